@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// scripts/debugEmailToFixture.js - TURN A SAVED DEBUG EMAIL INTO A PARSER FIXTURE
+//
+// GmailService.saveDebugEmail writes <name>.html (or .txt) and
+// <name>_metadata.json under ~/gmail_debug_logs/emails/<platform>/.
+// Point this script at either file:
+//
+//   npm run fixture:from-debug -- <debug file> [--name "Asha Rao"] [--as <fixture name>]
+//
+// --name adds a name to scrub (repeatable); --as picks the fixture file name.
+// The fixture lands in tests/fixtures/emails/<platform>/ with `expected` set
+// to what the parser returns today: correct it before committing.
+
+process.env.TZ = process.env.TZ || "Asia/Kolkata";
+
+const fs = require("fs");
+const path = require("path");
+const { parserFactory } = require("../src/services/parsers");
+const {
+  writeFixture,
+  toParserInput,
+  summarizeResult,
+} = require("../tests/helpers/emailFixtures");
+const { scrubPii } = require("../tests/helpers/scrubPii");
+
+const METADATA_SUFFIX = "_metadata.json";
+
+function parseArgs(argv) {
+  const args = { file: null, names: [], fixtureName: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--name") args.names.push(argv[++i]);
+    else if (argv[i] === "--as") args.fixtureName = argv[++i];
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+/**
+ * Body and metadata paths of a debug email, from either of its files
+ */
+function resolveDebugFiles(file) {
+  const base = file.endsWith(METADATA_SUFFIX)
+    ? file.slice(0, -METADATA_SUFFIX.length)
+    : file.replace(/\.(html|txt)$/, "");
+
+  const bodyPath = [`${base}.html`, `${base}.txt`].find((candidate) =>
+    fs.existsSync(candidate)
+  );
+  const metadataPath = `${base}${METADATA_SUFFIX}`;
+
+  if (!bodyPath || !fs.existsSync(metadataPath)) {
+    throw new Error(
+      `Expected ${base}.html (or .txt) and ${metadataPath} from saveDebugEmail`
+    );
+  }
+  return { bodyPath, metadataPath };
+}
+
+function slugify(text) {
+  return (
+    (text || "email")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_|_$/g, "")
+      .slice(0, 60) || "email"
+  );
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error(
+      'Usage: npm run fixture:from-debug -- <debug file> [--name "Full Name"] [--as <fixture name>]'
+    );
+    process.exit(1);
+  }
+
+  const { bodyPath, metadataPath } = resolveDebugFiles(args.file);
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+  const body = fs.readFileSync(bodyPath, "utf8");
+  const isHtml = bodyPath.endsWith(".html");
+
+  const email = {
+    id: metadata.id,
+    from: metadata.from,
+    subject: metadata.subject,
+    date: metadata.date,
+  };
+  const original = parserFactory.parseEmail(
+    toParserInput({
+      ...email,
+      html: isHtml ? body : "",
+      text: isHtml ? "" : body,
+    })
+  );
+
+  // What the parser found must survive scrubbing, or the fixture tests nothing
+  const senderDomain = parserFactory.getSenderDomain(email.from);
+  const scrubOptions = {
+    names: args.names,
+    keep: [
+      original?.orderId,
+      original?.trackingId,
+      ...(original?.additionalOrderIds || []),
+      original?.amount ? String(original.amount) : null,
+    ],
+    keepDomains: [senderDomain],
+  };
+  const platform = original?.platform || metadata.platform || "unknown";
+  const fixtureName = args.fixtureName || slugify(email.subject);
+
+  const scrubbedEmail = {
+    id: `fixture-${platform}-${fixtureName}`,
+    from: email.from,
+    subject: scrubPii(email.subject, scrubOptions),
+    date: email.date,
+  };
+  const scrubbedBody = scrubPii(body, scrubOptions);
+  const scrubbed = parserFactory.parseEmail(
+    toParserInput({
+      ...scrubbedEmail,
+      html: isHtml ? scrubbedBody : "",
+      text: isHtml ? "" : scrubbedBody,
+    })
+  );
+
+  const fixturePath = writeFixture(platform, fixtureName, {
+    description: scrubbedEmail.subject || "(no subject)",
+    email: scrubbedEmail,
+    body: scrubbedBody,
+    isHtml,
+    expected: summarizeResult(scrubbed),
+  });
+
+  console.log(
+    `✅ Fixture written: ${path.relative(process.cwd(), fixturePath)}`
+  );
+  if (
+    JSON.stringify(summarizeResult(original)) !==
+    JSON.stringify(summarizeResult(scrubbed))
+  ) {
+    console.log(
+      "⚠️ Scrubbing changed the parse result; check what was replaced"
+    );
+  }
+  console.log(
+    "📝 `expected` is what the parser returns today. Correct it to what it should return, and read the body for leftover personal data before committing."
+  );
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// scripts/reencryptTokens.js - MOVE STORED TOKENS TO THE ACTIVE ENCRYPTION KEY
+//
+// Key rotation: add the new key to TOKEN_ENCRYPTION_KEYS, point
+// TOKEN_ENCRYPTION_KEY_ID at it, deploy, then run
+//
+//   npm run tokens:reencrypt
+//
+// Every token and IMAP password under another key gets its data key
+// re-wrapped with the active one (plaintext values are encrypted). Once it
+// reports nothing left to change, the old key can be removed.
+
+const db = require("../src/models");
+const {
+  getKeyring,
+  reencryptToken,
+  rewriteStoredSecrets,
+} = require("../src/utils/tokenCrypto");
+
+async function main() {
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not set");
+  }
+
+  console.log(`🔐 Re-encrypting stored tokens with key "${activeKeyId}"...`);
+  const changed = await rewriteStoredSecrets(db.sequelize, reencryptToken);
+  console.log(
+    changed > 0
+      ? `✅ Re-encrypted ${changed} values`
+      : "✅ Every stored value already uses the active key"
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.sequelize.close());
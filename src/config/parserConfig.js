@@ -1,7 +1,6 @@
 // src/config/parserConfig.js
 
-const fs = require("fs");
-const path = require("path");
+const { discoverParserFiles } = require("../services/parsers/discovery");
 
 /**
  * Auto-generate parser configuration based on discovered parsers
@@ -9,7 +8,6 @@ const path = require("path");
  */
 class ParserConfig {
   constructor() {
-    this.parsersDir = path.join(__dirname, "../services/parsers");
     this.config = this.generateConfig();
   }
 
@@ -25,22 +23,7 @@ class ParserConfig {
     };
 
     try {
-      const files = fs.readdirSync(this.parsersDir);
-
-      files.forEach((file) => {
-        if (
-          file === "index.js" ||
-          file === "baseParser.js" ||
-          !file.endsWith(".js")
-        ) {
-          return;
-        }
-
-        const platformMatch = file.match(/^(.+)Parser\.js$/);
-        if (!platformMatch) return;
-
-        const platform = platformMatch[1].toLowerCase();
-
+      discoverParserFiles().forEach(({ platform }) => {
         // Add to platforms list
         config.platforms.push(platform);
 
@@ -96,6 +79,22 @@ class ParserConfig {
           shipped: ["shipped", "dispatched"],
           confirmed: ["confirmed", "order placed"],
         },
+        // Days after delivery; byCategory keys match the item's category or
+        // name. A "return by" date in an email wins over these.
+        returnWindow: {
+          days: 10,
+          byCategory: {
+            mobile: 7,
+            phone: 7,
+            laptop: 7,
+            electronics: 7,
+            clothing: 30,
+            apparel: 30,
+            fashion: 30,
+            shoes: 30,
+            footwear: 30,
+          },
+        },
       },
       flipkart: {
         displayName: "Flipkart",
@@ -113,6 +112,10 @@ class ParserConfig {
           shipped: ["shipped", "out for delivery"],
           confirmed: ["confirmed", "order placed"],
         },
+        returnWindow: {
+          days: 7,
+          byCategory: { clothing: 10, fashion: 10, footwear: 10 },
+        },
       },
       swiggy: {
         displayName: "Swiggy",
@@ -135,6 +138,10 @@ class ParserConfig {
         displayName: "Myntra",
         senderPatterns: ["myntra.com", "@myntra"],
         subjectPatterns: ["order confirmation", "order placed", "myntra"],
+        returnWindow: {
+          days: 14,
+          byCategory: { footwear: 30, shoes: 30, watch: 30 },
+        },
         orderIdPatterns: [/order\s*(?:id|number|#)\s*[:\-]?\s*([A-Z0-9\-]+)/i],
         amountPatterns: [
           /(?:total|amount|paid)\s*[:\-]?\s*₹?\s*(\d+(?:,\d+)*(?:\.\d{2})?)/i,
@@ -179,6 +186,7 @@ class ParserConfig {
           "order shipped",
           "order delivered",
         ],
+        returnWindow: { days: 15 },
         orderIdPatterns: [/order\s*(?:id|number|#)\s*[:\-]?\s*([A-Z0-9\-]+)/i],
         amountPatterns: [
           /(?:total|amount|paid|grand total|order total)\s*[:\-]?\s*₹?\s*(\d+(?:,\d+)*(?:\.\d{2})?)/i,
@@ -282,6 +290,23 @@ class ParserConfig {
     return this.config.platformConfigs[platform.toLowerCase()];
   }
 
+  /**
+   * Days after delivery an item of this platform can be returned: the first
+   * returnWindow.byCategory key found in the item's category or name, else
+   * the platform's days. Null for platforms without returns (quick
+   * commerce, food) or without a returnWindow.
+   */
+  getReturnWindowDays(platform, item = {}) {
+    const returnWindow = this.getPlatformConfig(platform)?.returnWindow;
+    if (!returnWindow) return null;
+
+    const text = `${item.category || ""} ${item.name || ""}`.toLowerCase();
+    const categoryRule = Object.entries(returnWindow.byCategory || {}).find(
+      ([category]) => text.includes(category)
+    );
+    return categoryRule ? categoryRule[1] : returnWindow.days;
+  }
+
   /**
    * Get email patterns for a platform
    */
@@ -322,6 +347,8 @@ module.exports = {
   getSupportedPlatforms: () => parserConfig.getSupportedPlatforms(),
   getPlatformConfig: (platform) => parserConfig.getPlatformConfig(platform),
   getEmailPatterns: (platform) => parserConfig.getEmailPatterns(platform),
+  getReturnWindowDays: (platform, item) =>
+    parserConfig.getReturnWindowDays(platform, item),
   getSearchQueries: (platform) => parserConfig.getSearchQueries(platform),
   reload: () => parserConfig.reload(),
   getConfig: () => parserConfig.getConfig(),
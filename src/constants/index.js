@@ -1,33 +1,16 @@
 // src/constants/index.js
 
-const fs = require("fs");
-const path = require("path");
+const { discoverParserFiles } = require("../services/parsers/discovery");
 
 /**
  * Auto-generate platform constants from discovered parsers
  */
 function generatePlatformConstants() {
-  const parsersDir = path.join(__dirname, "../services/parsers");
   const platforms = {};
 
   try {
-    const files = fs.readdirSync(parsersDir);
-
-    files.forEach((file) => {
-      if (
-        file === "index.js" ||
-        file === "baseParser.js" ||
-        !file.endsWith(".js")
-      ) {
-        return;
-      }
-
-      const platformMatch = file.match(/^(.+)Parser\.js$/);
-      if (!platformMatch) return;
-
-      const platform = platformMatch[1].toLowerCase();
-      const platformKey = platform.toUpperCase();
-      platforms[platformKey] = platform;
+    discoverParserFiles().forEach(({ platform }) => {
+      platforms[platform.toUpperCase()] = platform;
     });
   } catch (error) {
     console.error("❌ Error generating platform constants:", error.message);
@@ -47,11 +30,19 @@ const ORDER_STATUS = {
   SHIPPED: "shipped",
   OUT_FOR_DELIVERY: "out_for_delivery",
   DELIVERED: "delivered",
+  RETURN_REQUESTED: "return_requested",
+  RETURN_PICKUP_SCHEDULED: "return_pickup_scheduled",
   CANCELLED: "cancelled",
   RETURNED: "returned",
   UNKNOWN: "unknown",
 };
 
+// Refund constants; a refund is pending until the shop confirms the credit
+const REFUND_STATUS = {
+  INITIATED: "initiated",
+  CREDITED: "credited",
+};
+
 // Sync status constants
 const SYNC_STATUS = {
   PENDING: "pending",
@@ -61,13 +52,64 @@ const SYNC_STATUS = {
   CANCELLED: "cancelled",
 };
 
+// Sync worker stages, reported while a sync job runs
+const SYNC_STAGE = {
+  QUEUED: "queued",
+  SEARCHING: "searching",
+  FETCHING: "fetching",
+  PROCESSING: "processing",
+  FINALIZING: "finalizing",
+};
+
 // Sync type constants
 const SYNC_TYPE = {
   MANUAL: "manual",
   AUTOMATIC: "automatic",
   SCHEDULED: "scheduled",
+  IMPORT: "import", // Uploaded .eml / .mbox files
+};
+
+// Where sync reads a mailbox from (mail_accounts.provider)
+const MAIL_PROVIDER = {
+  GMAIL: "gmail",
+  IMAP: "imap",
+};
+
+// Auto sync frequencies stored in User.settings.sync_frequency
+const SYNC_FREQUENCY = {
+  HOURLY: "hourly",
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+// After a failed sync the scheduler waits BASE_MS before retrying, doubling
+// with each further failure up to MAX_MS, until a sync succeeds
+const SCHEDULED_SYNC_BACKOFF = {
+  BASE_MS: 30 * 60 * 1000,
+  MAX_MS: 24 * 60 * 60 * 1000,
+};
+
+// Per-message parse outcomes recorded in processed_emails
+const EMAIL_OUTCOME = {
+  ORDER_CREATED: "order_created",
+  ORDER_UPDATED: "order_updated",
+  SHIPMENT_CREATED: "shipment_created",
+  SHIPMENT_UPDATED: "shipment_updated",
+  IGNORED: "ignored",
+  PARSE_FAILED: "parse_failed",
+};
+
+// Where an order field's current value came from (orders.field_provenance)
+const FIELD_SOURCE = {
+  PARSER: "parser", // Email that created the order
+  EMAIL_UPDATE: "email_update", // Later email merged into the order
+  SHIPMENTS: "shipments", // Derived from the order's shipments
+  MANUAL: "manual", // User edit; also locks the field
 };
 
+// Bump whenever parser output changes so already-processed emails are re-parsed
+const PARSER_VERSION = "1.1.0";
+
 // Authentication constants
 const AUTH_PROVIDERS = {
   GOOGLE: "google",
@@ -88,6 +130,104 @@ const EMAIL_SEARCH = {
   BATCH_SIZE: 20,
 };
 
+// Accepted `sortBy` values for the order list → order attribute
+const ORDER_SORT_FIELDS = {
+  order_date: "order_date",
+  orderDate: "order_date",
+  total_amount: "total_amount",
+  amount: "total_amount",
+  updated_at: "updatedAt",
+  updatedAt: "updatedAt",
+};
+
+// Order search (GET /api/orders/search)
+const ORDER_SEARCH = {
+  MIN_QUERY_LENGTH: 2,
+  MAX_QUERY_LENGTH: 100,
+  // Postgres text search configuration used for stemming
+  TEXT_SEARCH_CONFIG: "english",
+  // pg_trgm word similarity a misspelt query needs to still match
+  TRIGRAM_THRESHOLD: 0.4,
+  DEFAULT_LIMIT: 20,
+};
+
+// Spending analytics (GET /api/orders/analytics)
+const ORDER_ANALYTICS = {
+  INTERVALS: ["day", "week", "month"],
+  DEFAULT_INTERVAL: "month",
+  DEFAULT_TOP_LIMIT: 5,
+  MAX_TOP_LIMIT: 50,
+  // Orders in these statuses are reported separately, not counted as spend
+  EXCLUDED_STATUSES: ["cancelled", "returned"],
+};
+
+// Order exports (GET /api/orders/export); orders are read and written
+// BATCH_SIZE at a time so a large export is never held in memory
+const ORDER_EXPORT = {
+  FORMATS: ["csv", "xlsx", "json"],
+  DEFAULT_FORMAT: "csv",
+  GRANULARITIES: ["order", "item"],
+  DEFAULT_GRANULARITY: "order",
+  BATCH_SIZE: 500,
+};
+
+// Return deadlines (GET /api/orders/return-deadlines and the reminder job);
+// the windows themselves are per platform in config/parserConfig
+const RETURN_WINDOW = {
+  DEFAULT_DAYS_AHEAD: 7,
+  MAX_DAYS_AHEAD: 90,
+  REMINDER_DAYS_BEFORE: 3,
+};
+
+// Notification types; each can be turned off in User.settings.notifications
+const NOTIFICATION_TYPE = {
+  ORDER_SHIPPED: "order_shipped",
+  ORDER_OUT_FOR_DELIVERY: "order_out_for_delivery",
+  ORDER_DELIVERED: "order_delivered",
+  RETURN_WINDOW_CLOSING: "return_window_closing",
+};
+
+// Order status changes users are notified about; a sync only notifies for
+// emails received in the last MAX_EMAIL_AGE_HOURS, so a first sync or an
+// import of old mail stays quiet
+const ORDER_NOTIFICATIONS = {
+  BY_STATUS: {
+    shipped: NOTIFICATION_TYPE.ORDER_SHIPPED,
+    out_for_delivery: NOTIFICATION_TYPE.ORDER_OUT_FOR_DELIVERY,
+    delivered: NOTIFICATION_TYPE.ORDER_DELIVERED,
+  },
+  MAX_EMAIL_AGE_HOURS: 72,
+};
+
+// Devices registered for push notifications (POST /api/devices)
+const DEVICE_PLATFORMS = ["ios", "android", "web"];
+
+// Events webhook endpoints subscribe to; `ping` is only sent by
+// POST /api/webhooks/:id/test
+const WEBHOOK_EVENT = {
+  ORDER_CREATED: "order.created",
+  ORDER_UPDATED: "order.updated",
+  ORDER_STATUS_CHANGED: "order.status_changed",
+  SYNC_COMPLETED: "sync.completed",
+  SYNC_FAILED: "sync.failed",
+  PING: "ping",
+};
+
+const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// A failed delivery is retried after 1, 2, 4 ... minutes until it has been
+// attempted MAX_ATTEMPTS times
+const WEBHOOKS = {
+  MAX_PER_USER: 10,
+  MAX_ATTEMPTS: 8,
+  BACKOFF_BASE_MS: 60 * 1000,
+  TIMEOUT_MS: 10 * 1000,
+};
+
 // Database constants
 const DB_CONSTRAINTS = {
   MAX_STRING_LENGTH: 255,
@@ -108,10 +248,14 @@ const VALIDATION = {
 const ERROR_MESSAGES = {
   AUTHENTICATION_FAILED: "Authentication failed",
   UNAUTHORIZED: "Unauthorized access",
+  ADMIN_REQUIRED: "Admin access required",
   RESOURCE_NOT_FOUND: "Resource not found",
   VALIDATION_FAILED: "Validation failed",
   DATABASE_ERROR: "Database operation failed",
   SYNC_FAILED: "Email sync failed",
+  SYNC_IN_PROGRESS: "A sync is already queued or running for this user",
+  SYNC_INTERRUPTED: "Sync interrupted by server restart",
+  NO_MAIL_ACCOUNTS: "No mailbox is connected and enabled for syncing",
   TOKEN_EXPIRED: "Token has expired",
   REAUTH_REQUIRED: "Re-authentication required",
   PARSER_NOT_FOUND: "No parser found for this email",
@@ -121,6 +265,7 @@ const ERROR_MESSAGES = {
 // Success messages
 const SUCCESS_MESSAGES = {
   SYNC_STARTED: "Email sync started successfully",
+  SYNC_QUEUED: "Email sync queued successfully",
   ORDER_CREATED: "Order created successfully",
   ORDER_UPDATED: "Order updated successfully",
   ORDER_DELETED: "Order deleted successfully",
@@ -143,11 +288,30 @@ function reloadPlatformConstants() {
 module.exports = {
   PLATFORMS,
   ORDER_STATUS,
+  REFUND_STATUS,
   SYNC_STATUS,
+  SYNC_STAGE,
   SYNC_TYPE,
+  SYNC_FREQUENCY,
+  SCHEDULED_SYNC_BACKOFF,
+  MAIL_PROVIDER,
+  EMAIL_OUTCOME,
+  FIELD_SOURCE,
+  PARSER_VERSION,
   AUTH_PROVIDERS,
   API_RESPONSES,
   EMAIL_SEARCH,
+  ORDER_SORT_FIELDS,
+  ORDER_SEARCH,
+  ORDER_ANALYTICS,
+  ORDER_EXPORT,
+  RETURN_WINDOW,
+  NOTIFICATION_TYPE,
+  ORDER_NOTIFICATIONS,
+  DEVICE_PLATFORMS,
+  WEBHOOK_EVENT,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOKS,
   DB_CONSTRAINTS,
   VALIDATION,
   ERROR_MESSAGES,
@@ -2,9 +2,76 @@
 
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
-const { User } = require("../../models");
+const { User, MailAccount } = require("../../models");
 const logger = require("../../utils/logger").createModuleLogger("GoogleAuth");
-const { AUTH_PROVIDERS } = require("../../constants");
+const { AUTH_PROVIDERS, MAIL_PROVIDER } = require("../../constants");
+const { MAILBOX_LINK_COOKIE, verifyMailboxLinkToken } = require("./jwtAuth");
+
+/**
+ * Store the Google tokens on the user's Gmail mailbox for this profile,
+ * adding the mailbox if it is new
+ */
+const connectGmailAccount = async (user, profile, tokens) => {
+  const [account] = await MailAccount.findOrBuild({
+    where: {
+      user_id: user.id,
+      provider: MAIL_PROVIDER.GMAIL,
+      address: profile.emails[0].value,
+    },
+  });
+
+  account.set({
+    provider_account_id: profile.id,
+    access_token: tokens.accessToken,
+    refresh_token: tokens.refreshToken || account.refresh_token,
+    token_expires_at: tokens.expiresAt,
+    reauth_required: false,
+  });
+  await account.save();
+  return account;
+};
+
+/**
+ * Value of one cookie from the request's Cookie header
+ */
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  if (!cookie) return null;
+
+  try {
+    return decodeURIComponent(cookie.slice(name.length + 1));
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Link token GET /auth/google put in state when this flow adds a mailbox
+ */
+const readLinkToken = (req) => {
+  try {
+    return JSON.parse(req.query.state || "{}").link_token || null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * User adding a mailbox. The link token only counts together with the
+ * nonce cookie POST /auth/accounts/google set in the user's browser, so a
+ * link opened anywhere else cannot attach a mailbox to that user.
+ */
+const findLinkingUser = async (req, linkToken) => {
+  const userId = verifyMailboxLinkToken(
+    linkToken,
+    readCookie(req, MAILBOX_LINK_COOKIE)
+  );
+  const user = userId ? await User.findByPk(userId) : null;
+  return user && user.is_active ? user : null;
+};
 
 /**
  * Google OAuth Strategy for Passport
@@ -19,8 +86,9 @@ const googleStrategy = new GoogleStrategy(
       "email",
       "https://www.googleapis.com/auth/gmail.readonly",
     ],
+    passReqToCallback: true,
   },
-  async (accessToken, refreshToken, profile, done) => {
+  async (req, accessToken, refreshToken, profile, done) => {
     try {
       console.log("=== GOOGLE STRATEGY CALLBACK ===");
       console.log("Profile ID:", profile.id);
@@ -34,17 +102,41 @@ const googleStrategy = new GoogleStrategy(
 
       logger.info(`Google OAuth callback for user: ${profile.id}`);
 
+      const tokens = {
+        accessToken,
+        refreshToken,
+        expiresAt: new Date(
+          Date.now() + (parseInt(process.env.GOOGLE_TOKEN_EXPIRY_MS) || 3600000)
+        ),
+      };
+
+      // Adding another mailbox to a signed-in user, not signing in
+      const linkToken = readLinkToken(req);
+      if (linkToken) {
+        const linkingUser = await findLinkingUser(req, linkToken);
+        if (!linkingUser) {
+          logger.warn("Mailbox link rejected: expired or another browser", {
+            profileId: profile.id,
+          });
+          return done(null, false, { message: "Mailbox link rejected" });
+        }
+
+        const account = await connectGmailAccount(linkingUser, profile, tokens);
+        logger.info(
+          `Mailbox ${account.address} added for user: ${linkingUser.email}`
+        );
+        return done(null, linkingUser, { linkedAccount: account });
+      }
+
       // Check if user already exists
       let user = await User.findByProviderId(AUTH_PROVIDERS.GOOGLE, profile.id);
 
       if (user) {
-        // Update existing user's tokens
-        user.access_token = accessToken;
-        user.refresh_token = refreshToken || user.refresh_token;
-        user.token_expires_at = new Date(Date.now() + (parseInt(process.env.GOOGLE_TOKEN_EXPIRY_MS) || 3600000));
-        await user.save();
+        if (user.reauth_required) {
+          await user.update({ reauth_required: false });
+        }
 
-        logger.info(`Existing user updated: ${user.email}`);
+        logger.info(`Existing user signed in: ${user.email}`);
       } else {
         // Create new user
         user = await User.create({
@@ -53,14 +145,14 @@ const googleStrategy = new GoogleStrategy(
           avatar: profile.photos[0]?.value,
           provider: AUTH_PROVIDERS.GOOGLE,
           provider_id: profile.id,
-          access_token: accessToken,
-          refresh_token: refreshToken,
-          token_expires_at: new Date(Date.now() + (parseInt(process.env.GOOGLE_TOKEN_EXPIRY_MS) || 3600000)),
         });
 
         logger.info(`New user created: ${user.email}`);
       }
 
+      // The tokens belong to the sign-in address, a mailbox to sync
+      await connectGmailAccount(user, profile, tokens);
+
       console.log("=== GOOGLE STRATEGY SUCCESS ===");
       return done(null, user);
     } catch (error) {
@@ -5,8 +5,12 @@ const {
   jwtStrategy,
   generateToken,
   verifyToken,
+  MAILBOX_LINK_COOKIE,
+  generateMailboxLinkToken,
+  verifyMailboxLinkToken,
   authenticateJWT,
   optionalAuth,
+  requireAdminInProduction,
   requireGoogleAuth,
 } = require("./jwtAuth");
 const {
@@ -27,8 +31,12 @@ module.exports = {
   passport,
   generateToken,
   verifyToken,
+  MAILBOX_LINK_COOKIE,
+  generateMailboxLinkToken,
+  verifyMailboxLinkToken,
   authenticateJWT,
   optionalAuth,
+  requireAdminInProduction,
   requireGoogleAuth,
   authenticateGoogle,
   handleGoogleCallback,
@@ -1,12 +1,13 @@
 // src/middleware/authentication/jwtAuth.js
 
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 const passport = require("passport");
 const JwtStrategy = require("passport-jwt").Strategy;
 const ExtractJwt = require("passport-jwt").ExtractJwt;
-const { User } = require("../../models");
+const { User, MailAccount } = require("../../models");
 const logger = require("../../utils/logger").createModuleLogger("JWTAuth");
-const { ERROR_MESSAGES } = require("../../constants");
+const { ERROR_MESSAGES, MAIL_PROVIDER } = require("../../constants");
 
 // JWT configuration
 const JWT_SECRET = process.env.JWT_SECRET || "your-super-secret-jwt-key";
@@ -63,6 +64,61 @@ const verifyToken = (token) => {
   }
 };
 
+// Holds the nonce that binds a mailbox link token to the browser that
+// asked for it
+const MAILBOX_LINK_COOKIE = "mailbox_link";
+
+const hashLinkNonce = (nonce) =>
+  crypto.createHash("sha256").update(nonce).digest("base64url");
+
+/**
+ * Short-lived token that lets the Google callback add the mailbox being
+ * authorized to this user instead of signing its owner in. It carries no
+ * userId, so the JWT strategy will not accept it as a session.
+ *
+ * The token travels in URLs, so on its own it proves nothing: the nonce
+ * goes into an HttpOnly cookie and the callback needs both.
+ * @returns {{token: string, nonce: string}}
+ */
+const generateMailboxLinkToken = (user) => {
+  const nonce = crypto.randomBytes(32).toString("base64url");
+  const token = jwt.sign(
+    { linkUserId: user.id, nonceHash: hashLinkNonce(nonce) },
+    JWT_SECRET,
+    {
+      expiresIn: "10m",
+      issuer: "order-tracker",
+      audience: "mailbox-link",
+    }
+  );
+  return { token, nonce };
+};
+
+/**
+ * User id from a mailbox link token and the nonce cookie issued with it,
+ * or null if the token is invalid or expired or the nonce does not match
+ */
+const verifyMailboxLinkToken = (token, nonce) => {
+  if (!token || !nonce) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET, { audience: "mailbox-link" });
+  } catch (error) {
+    return null;
+  }
+
+  const expected = Buffer.from(payload.nonceHash || "");
+  const actual = Buffer.from(hashLinkNonce(nonce));
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+  return payload.linkUserId;
+};
+
 /**
  * JWT Authentication middleware
  */
@@ -115,13 +171,39 @@ const optionalAuth = (req, res, next) => {
 };
 
 /**
- * Check if user has valid Google tokens
+ * Admin-only in production; any signed-in user elsewhere. Use after
+ * authenticateJWT.
+ */
+const requireAdminInProduction = (req, res, next) => {
+  if (process.env.NODE_ENV === "production" && !req.user?.is_admin) {
+    logger.warn("Admin access denied:", {
+      userId: req.user?.id,
+      path: req.path,
+    });
+    return res.status(403).json({
+      success: false,
+      message: ERROR_MESSAGES.ADMIN_REQUIRED,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check that the user's sign-in Gmail mailbox has usable Google tokens; an
+ * expired access token is refreshed when the mailbox is read
  */
 const requireGoogleAuth = async (req, res, next) => {
   try {
-    const user = req.user;
+    const account = await MailAccount.findOne({
+      where: {
+        user_id: req.user.id,
+        provider: MAIL_PROVIDER.GMAIL,
+        address: req.user.email,
+      },
+    });
 
-    if (!user.access_token) {
+    if (!account?.refresh_token || account.reauth_required) {
       return res.status(403).json({
         success: false,
         message: ERROR_MESSAGES.REAUTH_REQUIRED,
@@ -129,16 +211,6 @@ const requireGoogleAuth = async (req, res, next) => {
       });
     }
 
-    // Check if token needs refresh
-    if (user.needsTokenRefresh()) {
-      logger.info(`Token refresh needed for user: ${user.id}`);
-      return res.status(403).json({
-        success: false,
-        message: ERROR_MESSAGES.TOKEN_EXPIRED,
-        action: "REAUTH_REQUIRED",
-      });
-    }
-
     next();
   } catch (error) {
     logger.error("Google auth check error:", { error: error.message });
@@ -153,8 +225,12 @@ module.exports = {
   jwtStrategy,
   generateToken,
   verifyToken,
+  MAILBOX_LINK_COOKIE,
+  generateMailboxLinkToken,
+  verifyMailboxLinkToken,
   authenticateJWT,
   optionalAuth,
+  requireAdminInProduction,
   requireGoogleAuth,
   JWT_SECRET,
   JWT_EXPIRES_IN,
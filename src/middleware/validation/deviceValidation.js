@@ -0,0 +1,68 @@
+// src/middleware/validation/deviceValidation.js
+
+const { body, param } = require("express-validator");
+const { DEVICE_PLATFORMS, NOTIFICATION_TYPE } = require("../../constants");
+
+// ExponentPushToken[...] or the newer ExpoPushToken[...]
+const EXPO_PUSH_TOKEN = /^Expo(nent)?PushToken\[[^\]]+\]$/;
+
+/**
+ * Validation middleware for registering a device
+ */
+const validateDeviceRegistration = [
+  body("pushToken")
+    .isString()
+    .matches(EXPO_PUSH_TOKEN)
+    .withMessage("Push token must be an Expo push token"),
+
+  body("platform")
+    .optional()
+    .isIn(DEVICE_PLATFORMS)
+    .withMessage(`Platform must be one of: ${DEVICE_PLATFORMS.join(", ")}`),
+
+  body("deviceName")
+    .optional()
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Device name must be at most 255 characters"),
+];
+
+/**
+ * Validation middleware for unregistering a device
+ */
+const validateDeviceToken = [
+  param("pushToken")
+    .matches(EXPO_PUSH_TOKEN)
+    .withMessage("Push token must be an Expo push token"),
+];
+
+/**
+ * Validation middleware for notification preferences: `enabled` and any
+ * notification type, each true or false
+ */
+const validateNotificationPreferences = [
+  body()
+    .custom(
+      (preferences) =>
+        preferences &&
+        typeof preferences === "object" &&
+        Object.keys(preferences).length > 0 &&
+        Object.entries(preferences).every(
+          ([key, value]) =>
+            (key === "enabled" ||
+              Object.values(NOTIFICATION_TYPE).includes(key)) &&
+            typeof value === "boolean"
+        )
+    )
+    .withMessage(
+      `Send true or false for enabled or any of: ${Object.values(
+        NOTIFICATION_TYPE
+      ).join(", ")}`
+    ),
+];
+
+module.exports = {
+  validateDeviceRegistration,
+  validateDeviceToken,
+  validateNotificationPreferences,
+};
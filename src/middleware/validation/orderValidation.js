@@ -1,28 +1,48 @@
 // src/middleware/validation/orderValidation.js
 
 const { body, query, param, validationResult } = require("express-validator");
-const { PLATFORMS, ORDER_STATUS } = require("../../constants");
+const {
+  PLATFORMS,
+  ORDER_STATUS,
+  ORDER_SORT_FIELDS,
+  ORDER_SEARCH,
+  ORDER_ANALYTICS,
+  ORDER_EXPORT,
+  RETURN_WINDOW,
+} = require("../../constants");
+const { Order } = require("../../models");
+const { normalizeList } = require("../../utils/normalize");
 const { validationErrorResponse } = require("../../utils/response");
 
+// Orders can only be stored under the platforms the order model knows
+const ORDER_PLATFORMS = Order.rawAttributes.platform.values;
+
 /**
- * Validation middleware for order creation
+ * Order fields a user may set when creating or editing an order
  */
-const validateOrderCreation = [
-  body("platform")
-    .isIn(Object.values(PLATFORMS))
-    .withMessage("Invalid platform"),
-
-  body("orderId")
-    .notEmpty()
-    .withMessage("Order ID is required")
+const orderFieldBodies = [
+  body("productName")
+    .optional()
     .isString()
-    .withMessage("Order ID must be a string"),
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Product name must be between 1 and 255 characters"),
+
+  body("productImage")
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage("Product image must be a URL"),
 
   body("amount")
     .optional()
     .isFloat({ min: 0 })
     .withMessage("Amount must be a positive number"),
 
+  body("currency")
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage("Currency must be a 3-letter code")
+    .toUpperCase(),
+
   body("status")
     .optional()
     .isIn(Object.values(ORDER_STATUS))
@@ -33,6 +53,53 @@ const validateOrderCreation = [
     .isISO8601()
     .withMessage("Order date must be a valid date"),
 
+  body("trackingNumber")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Tracking number must be a string"),
+
+  body("carrierName")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Carrier name must be a string"),
+
+  body("sellerName")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Seller name must be a string"),
+
+  body("expectedDelivery")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Expected delivery must be a valid date"),
+
+  body("deliveredDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Delivered date must be a valid date"),
+
+  body("deliveryAddress")
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage("Delivery address must be an object"),
+];
+
+/**
+ * Validation middleware for order creation
+ */
+const validateOrderCreation = [
+  body("platform")
+    .isIn(ORDER_PLATFORMS)
+    .withMessage(`Platform must be one of: ${ORDER_PLATFORMS.join(", ")}`),
+
+  body("orderId")
+    .notEmpty()
+    .withMessage("Order ID is required")
+    .isString()
+    .withMessage("Order ID must be a string"),
+
+  ...orderFieldBodies,
+
   body("items").optional().isArray().withMessage("Items must be an array"),
 
   body("items.*.name")
@@ -51,40 +118,103 @@ const validateOrderCreation = [
     .withMessage("Item unit price must be a positive number"),
 ];
 
+/**
+ * Validation middleware for routes addressing one order
+ */
+const validateOrderId = [
+  param("id").isUUID().withMessage("Invalid order ID format"),
+];
+
 /**
  * Validation middleware for order updates
  */
 const validateOrderUpdate = [
   param("id").isUUID().withMessage("Invalid order ID format"),
 
-  body("status")
+  ...orderFieldBodies,
+];
+
+/**
+ * Order item fields; `name` and `unit_price` are required on creation
+ */
+const orderItemBodies = (isCreation) => [
+  (isCreation ? body("name") : body("name").optional())
+    .isString()
+    .withMessage("Item name must be a string")
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage("Item name must be between 1 and 255 characters"),
+
+  (isCreation ? body("unit_price") : body("unit_price").optional())
+    .isFloat({ min: 0 })
+    .withMessage("Item unit price must be a positive number"),
+
+  body("quantity")
     .optional()
-    .isIn(Object.values(ORDER_STATUS))
-    .withMessage("Invalid order status"),
+    .isInt({ min: 1 })
+    .withMessage("Item quantity must be a positive integer"),
 
-  body("trackingNumber")
+  body("total_price")
     .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Item total price must be a positive number"),
+
+  body(["image_url", "product_url"])
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage("Item image and product URLs must be URLs"),
+
+  body(["description", "sku", "brand", "category"])
+    .optional({ nullable: true })
     .isString()
-    .withMessage("Tracking number must be a string"),
+    .withMessage("Item description, SKU, brand and category must be strings"),
 
-  body("deliveryAddress")
-    .optional()
+  body("attributes")
+    .optional({ nullable: true })
     .isObject()
-    .withMessage("Delivery address must be an object"),
+    .withMessage("Item attributes must be an object"),
 ];
 
 /**
- * Validation middleware for order queries
+ * Validation middleware for adding an item to an order
  */
-const validateOrderQueries = [
+const validateOrderItemCreation = [
+  param("id").isUUID().withMessage("Invalid order ID format"),
+
+  ...orderItemBodies(true),
+];
+
+/**
+ * Validation middleware for editing or deleting an order item
+ */
+const validateOrderItemUpdate = [
+  param("id").isUUID().withMessage("Invalid order ID format"),
+
+  param("itemId").isUUID().withMessage("Invalid item ID format"),
+
+  ...orderItemBodies(false),
+];
+
+/**
+ * Filters shared by the order list and order search
+ */
+const orderFilterQueries = [
   query("platform")
     .optional()
-    .isIn(Object.values(PLATFORMS))
+    .custom((value) =>
+      normalizeList(value).every((platform) =>
+        Object.values(PLATFORMS).includes(platform)
+      )
+    )
     .withMessage("Invalid platform"),
 
   query("status")
     .optional()
-    .isIn(Object.values(ORDER_STATUS))
+    .custom((value) =>
+      normalizeList(value).every((status) =>
+        Object.values(ORDER_STATUS).includes(status)
+      )
+    )
     .withMessage("Invalid order status"),
 
   query("startDate")
@@ -97,6 +227,30 @@ const validateOrderQueries = [
     .isISO8601()
     .withMessage("End date must be a valid date"),
 
+  query("minAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum amount must be a positive number"),
+
+  query("maxAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Maximum amount must be a positive number"),
+
+  query("carrier")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Carrier must be at most 100 characters"),
+
+  query("syncId")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Invalid sync ID format"),
+];
+
+const paginationQueries = [
   query("page")
     .optional()
     .isInt({ min: 1 })
@@ -106,49 +260,137 @@ const validateOrderQueries = [
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage("Limit must be between 1 and 100"),
+];
+
+const sortQueries = [
+  query("sortBy")
+    .optional()
+    .isIn(Object.keys(ORDER_SORT_FIELDS))
+    .withMessage(
+      `Sort by must be one of: ${Object.keys(ORDER_SORT_FIELDS).join(", ")}`
+    ),
+
+  query("sortOrder")
+    .optional()
+    .isIn(["asc", "desc", "ASC", "DESC"])
+    .withMessage("Sort order must be asc or desc"),
+];
+
+/**
+ * Validation middleware for order queries
+ */
+const validateOrderQueries = [
+  ...orderFilterQueries,
+
+  ...sortQueries,
+
+  ...paginationQueries,
 
   query("includeItems")
     .optional()
     .isIn(["true", "false"])
     .withMessage("Include items must be true or false"),
+
+  query("syncOnly")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Sync only must be true or false"),
+];
+
+/**
+ * Validation middleware for order exports: the list filters and sort, no
+ * pagination
+ */
+const validateOrderExport = [
+  query("format")
+    .optional()
+    .isIn(ORDER_EXPORT.FORMATS)
+    .withMessage(`Format must be one of: ${ORDER_EXPORT.FORMATS.join(", ")}`),
+
+  query("granularity")
+    .optional()
+    .isIn(ORDER_EXPORT.GRANULARITIES)
+    .withMessage(
+      `Granularity must be one of: ${ORDER_EXPORT.GRANULARITIES.join(", ")}`
+    ),
+
+  ...orderFilterQueries,
+
+  ...sortQueries,
+
+  query("syncOnly")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Sync only must be true or false"),
 ];
 
 /**
  * Validation middleware for order search
  */
 const validateOrderSearch = [
-  body("query")
+  query("q")
     .notEmpty()
     .withMessage("Search query is required")
     .isString()
     .withMessage("Search query must be a string")
-    .isLength({ min: 2, max: 100 })
-    .withMessage("Search query must be between 2 and 100 characters"),
+    .trim()
+    .isLength({
+      min: ORDER_SEARCH.MIN_QUERY_LENGTH,
+      max: ORDER_SEARCH.MAX_QUERY_LENGTH,
+    })
+    .withMessage(
+      `Search query must be between ${ORDER_SEARCH.MIN_QUERY_LENGTH} and ${ORDER_SEARCH.MAX_QUERY_LENGTH} characters`
+    ),
+
+  ...orderFilterQueries,
+
+  ...paginationQueries,
+];
 
-  body("platforms")
+/**
+ * Validation middleware for spending analytics
+ */
+const validateOrderAnalytics = [
+  query("startDate")
     .optional()
-    .isArray()
-    .withMessage("Platforms must be an array"),
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
 
-  body("platforms.*")
+  query("endDate")
     .optional()
-    .isIn(Object.values(PLATFORMS))
-    .withMessage("Invalid platform in platforms array"),
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
 
-  body("dateRange")
+  query("platform")
     .optional()
-    .isObject()
-    .withMessage("Date range must be an object"),
+    .custom((value) =>
+      normalizeList(value).every((platform) =>
+        Object.values(PLATFORMS).includes(platform)
+      )
+    )
+    .withMessage("Invalid platform"),
 
-  body("dateRange.startDate")
+  query("interval")
     .optional()
-    .isISO8601()
-    .withMessage("Start date must be a valid date"),
+    .isIn(ORDER_ANALYTICS.INTERVALS)
+    .withMessage(
+      `Interval must be one of: ${ORDER_ANALYTICS.INTERVALS.join(", ")}`
+    ),
 
-  body("dateRange.endDate")
+  query("top")
     .optional()
-    .isISO8601()
-    .withMessage("End date must be a valid date"),
+    .isInt({ min: 1, max: ORDER_ANALYTICS.MAX_TOP_LIMIT })
+    .withMessage(`Top must be between 1 and ${ORDER_ANALYTICS.MAX_TOP_LIMIT}`),
+];
+
+/**
+ * Validation middleware for upcoming return deadlines
+ */
+const validateReturnDeadlines = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: RETURN_WINDOW.MAX_DAYS_AHEAD })
+    .withMessage(`Days must be between 1 and ${RETURN_WINDOW.MAX_DAYS_AHEAD}`),
 ];
 
 /**
@@ -176,6 +418,42 @@ const validateSyncOptions = [
     .withMessage("Invalid platform in platforms array"),
 ];
 
+/**
+ * Parser dry run: a raw RFC 822 message in `raw`, or the email's parts
+ */
+const validateParserDryRun = [
+  body("raw")
+    .optional()
+    .isString()
+    .withMessage("Raw message must be a string")
+    .bail()
+    .notEmpty()
+    .withMessage("Raw message is empty"),
+
+  body("from")
+    .if(body("raw").not().exists())
+    .notEmpty()
+    .withMessage("From is required unless a raw message is sent")
+    .bail()
+    .isString()
+    .withMessage("From must be a string"),
+
+  body(["subject", "html", "text"])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Subject, html and text must be strings"),
+
+  body("date")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Date must be a string"),
+
+  body("html")
+    .if(body("raw").not().exists())
+    .custom((html, { req }) => Boolean(html || req.body.text))
+    .withMessage("Send the email body in html or text"),
+];
+
 /**
  * Generic validation result handler
  */
@@ -184,7 +462,7 @@ const handleValidationErrors = (req, res, next) => {
 
   if (!errors.isEmpty()) {
     const errorMessages = errors.array().map((error) => ({
-      field: error.path,
+      field: error.param,
       message: error.msg,
       value: error.value,
     }));
@@ -200,8 +478,15 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
   validateOrderCreation,
   validateOrderUpdate,
+  validateOrderId,
+  validateOrderItemCreation,
+  validateOrderItemUpdate,
   validateOrderQueries,
   validateOrderSearch,
+  validateOrderExport,
+  validateOrderAnalytics,
+  validateReturnDeadlines,
   validateSyncOptions,
+  validateParserDryRun,
   handleValidationErrors,
 };
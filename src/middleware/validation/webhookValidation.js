@@ -0,0 +1,123 @@
+// src/middleware/validation/webhookValidation.js
+
+const net = require("net");
+const { body, query, param } = require("express-validator");
+const { isPublicAddress } = require("../../utils/publicAddress");
+const { WEBHOOK_EVENT, WEBHOOK_DELIVERY_STATUS } = require("../../constants");
+
+// Events an endpoint can subscribe to; ping is sent on request only
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENT).filter(
+  (event) => event !== WEBHOOK_EVENT.PING
+);
+
+/**
+ * Whether a URL names a loopback or internal host outright. Names that
+ * resolve to one are refused when a delivery is attempted.
+ */
+const isInternalHost = (url) => {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+  if (net.isIP(host)) return !isPublicAddress(host);
+  return host === "localhost" || host.endsWith(".localhost");
+};
+
+// Plain http and hosts without a TLD are only accepted outside production;
+// internal hosts only with WEBHOOK_ALLOW_PRIVATE_HOSTS
+const webhookUrl = (field) =>
+  field
+    .isURL({
+      protocols:
+        process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"],
+      require_protocol: true,
+      require_tld: process.env.NODE_ENV === "production",
+    })
+    .withMessage(
+      process.env.NODE_ENV === "production"
+        ? "URL must be an https URL"
+        : "URL must be an http(s) URL"
+    )
+    .bail()
+    .custom(
+      (url) =>
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true" ||
+        !isInternalHost(url)
+    )
+    .withMessage("URL must not point to a private or reserved address");
+
+const webhookEvents = (field) =>
+  field
+    .isArray({ min: 1 })
+    .withMessage("Events must be a non-empty list")
+    .custom((events) =>
+      events.every((event) => SUBSCRIBABLE_EVENTS.includes(event))
+    )
+    .withMessage(`Events must be any of: ${SUBSCRIBABLE_EVENTS.join(", ")}`);
+
+const webhookDescription = (field) =>
+  field
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("Description must be at most 255 characters");
+
+/**
+ * Validation middleware for registering a webhook endpoint
+ */
+const validateWebhookCreation = [
+  webhookUrl(body("url")),
+  webhookEvents(body("events")),
+  webhookDescription(body("description")),
+];
+
+/**
+ * Validation middleware for editing a webhook endpoint
+ */
+const validateWebhookUpdate = [
+  param("id").isUUID().withMessage("Invalid webhook ID"),
+  webhookUrl(body("url").optional()),
+  webhookEvents(body("events").optional()),
+  webhookDescription(body("description")),
+  body("enabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Enabled must be true or false"),
+];
+
+/**
+ * Validation middleware for webhook ID parameter
+ */
+const validateWebhookId = [
+  param("id").isUUID().withMessage("Invalid webhook ID"),
+];
+
+/**
+ * Validation middleware for the delivery log
+ */
+const validateWebhookDeliveryQueries = [
+  param("id").isUUID().withMessage("Invalid webhook ID"),
+
+  query("status")
+    .optional()
+    .isIn(Object.values(WEBHOOK_DELIVERY_STATUS))
+    .withMessage(
+      `Status must be one of: ${Object.values(WEBHOOK_DELIVERY_STATUS).join(
+        ", "
+      )}`
+    ),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+module.exports = {
+  validateWebhookCreation,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateWebhookDeliveryQueries,
+};
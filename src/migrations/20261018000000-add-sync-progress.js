@@ -0,0 +1,31 @@
+"use strict";
+
+// Background syncs report their stage and how many emails they found and
+// fetched so far
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("email_syncs");
+
+    if (!columns.current_stage) {
+      await queryInterface.addColumn("email_syncs", "current_stage", {
+        type: Sequelize.STRING,
+        allowNull: true,
+      });
+    }
+
+    for (const column of ["emails_found", "emails_fetched"]) {
+      if (!columns[column]) {
+        await queryInterface.addColumn("email_syncs", column, {
+          type: Sequelize.INTEGER,
+          defaultValue: 0,
+        });
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("email_syncs", "emails_fetched");
+    await queryInterface.removeColumn("email_syncs", "emails_found");
+    await queryInterface.removeColumn("email_syncs", "current_stage");
+  },
+};
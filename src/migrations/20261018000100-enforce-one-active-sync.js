@@ -0,0 +1,43 @@
+"use strict";
+
+// At most one queued or running sync per user, enforced by the database,
+// and a heartbeat so a sync whose worker died can be told from one that is
+// still running on another instance
+const ACTIVE_INDEX = "email_syncs_one_active_per_user";
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("email_syncs");
+    if (!columns.heartbeat_at) {
+      await queryInterface.addColumn("email_syncs", "heartbeat_at", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+
+    // Keep each user's newest active sync; older ones could never finish
+    await queryInterface.sequelize.query(`
+      UPDATE email_syncs SET status = 'failed', completed_at = NOW()
+      WHERE status IN ('pending', 'in_progress')
+        AND id NOT IN (
+          SELECT DISTINCT ON (user_id) id FROM email_syncs
+          WHERE status IN ('pending', 'in_progress')
+          ORDER BY user_id, created_at DESC
+        );
+    `);
+
+    const indexes = await queryInterface.showIndex("email_syncs");
+    if (!indexes.some((index) => index.name === ACTIVE_INDEX)) {
+      await queryInterface.addIndex("email_syncs", ["user_id"], {
+        name: ACTIVE_INDEX,
+        unique: true,
+        where: { status: ["pending", "in_progress"] },
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex("email_syncs", ACTIVE_INDEX);
+    await queryInterface.removeColumn("email_syncs", "heartbeat_at");
+  },
+};
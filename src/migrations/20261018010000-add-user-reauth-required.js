@@ -0,0 +1,19 @@
+"use strict";
+
+// Set when Google rejects a user's refresh token, so scheduled syncs stop
+// retrying until they sign in again
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("users");
+    if (!columns.reauth_required) {
+      await queryInterface.addColumn("users", "reauth_required", {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("users", "reauth_required");
+  },
+};
@@ -0,0 +1,29 @@
+"use strict";
+
+// The scheduler records each sync attempt and counts failures since the
+// last success, so a user whose syncs keep failing is retried with backoff
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("users");
+
+    if (!columns.last_sync_attempt_at) {
+      await queryInterface.addColumn("users", "last_sync_attempt_at", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+
+    if (!columns.sync_failure_count) {
+      await queryInterface.addColumn("users", "sync_failure_count", {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("users", "sync_failure_count");
+    await queryInterface.removeColumn("users", "last_sync_attempt_at");
+  },
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+// One row per user and Gmail message with the outcome of its last parse, so
+// later syncs skip messages the current parser version already handled
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("processed_emails")) return;
+
+    await queryInterface.createTable("processed_emails", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      gmail_message_id: { type: Sequelize.STRING, allowNull: false },
+      sync_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "email_syncs", key: "id" },
+        onDelete: "SET NULL",
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "orders", key: "id" },
+        onDelete: "SET NULL",
+      },
+      outcome: {
+        type: Sequelize.ENUM(
+          "order_created",
+          "order_updated",
+          "ignored",
+          "parse_failed"
+        ),
+        allowNull: false,
+      },
+      reason: { type: Sequelize.STRING, allowNull: true },
+      platform: { type: Sequelize.STRING, allowNull: true },
+      parser_version: { type: Sequelize.STRING, allowNull: false },
+      subject: { type: Sequelize.TEXT, allowNull: true },
+      sender: { type: Sequelize.STRING, allowNull: true },
+      email_date: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      updated_at: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex(
+      "processed_emails",
+      ["user_id", "gmail_message_id"],
+      { unique: true }
+    );
+    await queryInterface.addIndex("processed_emails", ["sync_id"]);
+    await queryInterface.addIndex("processed_emails", ["outcome"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("processed_emails");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_processed_emails_outcome";'
+    );
+  },
+};
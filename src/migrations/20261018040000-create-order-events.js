@@ -0,0 +1,58 @@
+"use strict";
+
+// Status history behind GET /api/orders/:id/timeline: one row per status an
+// email reported for an order
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("order_events")) return;
+
+    await queryInterface.createTable("order_events", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onDelete: "CASCADE",
+      },
+      status: {
+        type: Sequelize.ENUM(
+          "ordered",
+          "confirmed",
+          "processing",
+          "shipped",
+          "out_for_delivery",
+          "delivered",
+          "cancelled",
+          "returned",
+          "unknown"
+        ),
+        allowNull: false,
+      },
+      occurred_at: { type: Sequelize.DATE, allowNull: false },
+      source_message_id: { type: Sequelize.STRING, allowNull: true },
+      carrier: { type: Sequelize.STRING, allowNull: true },
+      location: { type: Sequelize.STRING, allowNull: true },
+      raw_snippet: { type: Sequelize.TEXT, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      updated_at: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex("order_events", ["order_id", "occurred_at"]);
+    await queryInterface.addIndex(
+      "order_events",
+      ["order_id", "status", "source_message_id"],
+      { unique: true }
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("order_events");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_order_events_status";'
+    );
+  },
+};
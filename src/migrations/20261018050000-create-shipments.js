@@ -0,0 +1,75 @@
+"use strict";
+
+// Courier emails become shipments, keyed by tracking number and linked to
+// the order once an order with that tracking number is seen
+const SHIPMENT_OUTCOMES = ["shipment_created", "shipment_updated"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // No transaction: before Postgres 12 ADD VALUE cannot run inside one
+    for (const outcome of SHIPMENT_OUTCOMES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_processed_emails_outcome" ADD VALUE IF NOT EXISTS '${outcome}' BEFORE 'ignored';`
+      );
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("shipments")) return;
+
+    await queryInterface.createTable("shipments", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: "orders", key: "id" },
+        onDelete: "SET NULL",
+      },
+      carrier: { type: Sequelize.STRING, allowNull: true },
+      tracking_number: { type: Sequelize.STRING, allowNull: false },
+      status: {
+        type: Sequelize.ENUM(
+          "ordered",
+          "confirmed",
+          "processing",
+          "shipped",
+          "out_for_delivery",
+          "delivered",
+          "cancelled",
+          "returned",
+          "unknown"
+        ),
+        defaultValue: "shipped",
+      },
+      expected_delivery: { type: Sequelize.DATE, allowNull: true },
+      delivered_at: { type: Sequelize.DATE, allowNull: true },
+      last_location: { type: Sequelize.STRING, allowNull: true },
+      last_event_at: { type: Sequelize.DATE, allowNull: true },
+      source_message_id: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      updated_at: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex("shipments", ["user_id", "tracking_number"], {
+      unique: true,
+    });
+    await queryInterface.addIndex("shipments", ["order_id"]);
+  },
+
+  // Postgres cannot drop enum values; processed_emails keeps accepting the
+  // shipment outcomes
+  async down(queryInterface) {
+    await queryInterface.dropTable("shipments");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_shipments_status";'
+    );
+  },
+};
@@ -0,0 +1,21 @@
+"use strict";
+
+// Split orders: each item points at the shipment (tracking id) it ships in
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("order_items");
+    if (columns.shipment_id) return;
+
+    await queryInterface.addColumn("order_items", "shipment_id", {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: { model: "shipments", key: "id" },
+      onDelete: "SET NULL",
+    });
+    await queryInterface.addIndex("order_items", ["shipment_id"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("order_items", "shipment_id");
+  },
+};
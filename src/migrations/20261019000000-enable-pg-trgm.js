@@ -0,0 +1,15 @@
+"use strict";
+
+// Order search ranks misspelt queries by trigram word similarity
+// (OrderService.searchOrders), which needs pg_trgm
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(
+      "CREATE EXTENSION IF NOT EXISTS pg_trgm;"
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query("DROP EXTENSION IF EXISTS pg_trgm;");
+  },
+};
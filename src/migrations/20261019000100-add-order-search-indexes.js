@@ -0,0 +1,47 @@
+"use strict";
+
+// GIN indexes order search matches through (OrderService.buildSearchSql):
+// full-text and trigram over each order's and each item's text. The
+// expressions must stay identical to ORDER_MATCH_TEXT_SQL and
+// ITEM_MATCH_TEXT_SQL or the planner falls back to scanning.
+const ORDER_TEXT = `(coalesce(product_name, '') || ' ' || coalesce(seller_name, '') || ' ' || coalesce(platform_order_id, '') || ' ' || coalesce(tracking_number, ''))`;
+const ITEM_TEXT = `(coalesce(name, '') || ' ' || coalesce(brand, '') || ' ' || coalesce(category, ''))`;
+
+const INDEXES = [
+  {
+    name: "orders_search_tsv",
+    table: "orders",
+    expression: `to_tsvector('english', ${ORDER_TEXT})`,
+  },
+  {
+    name: "orders_search_trgm",
+    table: "orders",
+    expression: `${ORDER_TEXT} gin_trgm_ops`,
+  },
+  {
+    name: "order_items_search_tsv",
+    table: "order_items",
+    expression: `to_tsvector('english', ${ITEM_TEXT})`,
+  },
+  {
+    name: "order_items_search_trgm",
+    table: "order_items",
+    expression: `${ITEM_TEXT} gin_trgm_ops`,
+  },
+];
+
+module.exports = {
+  async up(queryInterface) {
+    for (const { name, table, expression } of INDEXES) {
+      await queryInterface.sequelize.query(
+        `CREATE INDEX IF NOT EXISTS "${name}" ON "${table}" USING gin (${expression});`
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    for (const { name } of INDEXES) {
+      await queryInterface.sequelize.query(`DROP INDEX IF EXISTS "${name}";`);
+    }
+  },
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+// Orders added by hand (POST /api/orders) are told apart from parsed ones,
+// and fields a user edited are locked against later emails
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("orders");
+
+    if (!columns.source) {
+      await queryInterface.addColumn("orders", "source", {
+        type: Sequelize.ENUM("email", "manual"),
+        allowNull: false,
+        defaultValue: "email",
+      });
+    }
+
+    if (!columns.user_locked_fields) {
+      await queryInterface.addColumn("orders", "user_locked_fields", {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("orders", "user_locked_fields");
+    await queryInterface.removeColumn("orders", "source");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_orders_source";'
+    );
+  },
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+// Where each order field's current value came from, for the merge logic and
+// GET /api/orders/:id?include=provenance
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("orders");
+    if (columns.field_provenance) return;
+
+    await queryInterface.addColumn("orders", "field_provenance", {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {},
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("orders", "field_provenance");
+  },
+};
@@ -0,0 +1,19 @@
+"use strict";
+
+// Admin tools such as the parser dry run are limited to admins in production
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("users");
+    if (columns.is_admin) return;
+
+    await queryInterface.addColumn("users", "is_admin", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("users", "is_admin");
+  },
+};
@@ -0,0 +1,18 @@
+"use strict";
+
+// Parser extraction steps per email, kept when PERSIST_EXTRACTION_TRACE=true
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("processed_emails");
+    if (columns.extraction_trace) return;
+
+    await queryInterface.addColumn("processed_emails", "extraction_trace", {
+      type: Sequelize.JSONB,
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("processed_emails", "extraction_trace");
+  },
+};
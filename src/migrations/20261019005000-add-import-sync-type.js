@@ -0,0 +1,14 @@
+"use strict";
+
+// Uploaded .mbox/.eml files are imported as queued sync jobs of their own type
+module.exports = {
+  async up(queryInterface) {
+    // No transaction: before Postgres 12 ADD VALUE cannot run inside one
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_email_syncs_sync_type" ADD VALUE IF NOT EXISTS 'import';`
+    );
+  },
+
+  // Postgres cannot drop enum values; email_syncs keeps accepting 'import'
+  async down() {},
+};
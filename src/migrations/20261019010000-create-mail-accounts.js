@@ -0,0 +1,97 @@
+"use strict";
+
+// Mailbox credentials move from users to mail_accounts so one user can sync
+// several mailboxes. Every user with Google tokens gets their sign-in address
+// as a Gmail account, keeping the incremental sync position; users switched to
+// IMAP keep those settings as an IMAP account.
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes("mail_accounts")) {
+      await queryInterface.createTable("mail_accounts", {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "users", key: "id" },
+          onDelete: "CASCADE",
+        },
+        provider: {
+          type: Sequelize.ENUM("gmail", "imap"),
+          allowNull: false,
+          defaultValue: "gmail",
+        },
+        address: { type: Sequelize.STRING, allowNull: false },
+        provider_account_id: { type: Sequelize.STRING, allowNull: true },
+        access_token: { type: Sequelize.TEXT, allowNull: true },
+        refresh_token: { type: Sequelize.TEXT, allowNull: true },
+        token_expires_at: { type: Sequelize.DATE, allowNull: true },
+        imap_settings: { type: Sequelize.JSONB, allowNull: true },
+        mail_cursor: { type: Sequelize.STRING, allowNull: true },
+        last_sync: { type: Sequelize.DATE, allowNull: true },
+        enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        reauth_required: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        created_at: { type: Sequelize.DATE, allowNull: false },
+        updated_at: { type: Sequelize.DATE, allowNull: false },
+      });
+      await queryInterface.addIndex(
+        "mail_accounts",
+        ["user_id", "provider", "address"],
+        { unique: true }
+      );
+    }
+
+    const userColumns = await queryInterface.describeTable("users");
+    const cursor = userColumns.gmail_history_id ? "gmail_history_id" : "NULL";
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO mail_accounts (id, user_id, provider, address,
+        provider_account_id, access_token, refresh_token, token_expires_at,
+        mail_cursor, last_sync, enabled, reauth_required, created_at,
+        updated_at)
+      SELECT gen_random_uuid(), id, 'gmail', email, provider_id,
+        access_token, refresh_token, token_expires_at,
+        ${
+          userColumns.mail_provider
+            ? `CASE WHEN mail_provider = 'gmail' THEN ${cursor} END`
+            : cursor
+        },
+        last_sync, true, COALESCE(reauth_required, false), NOW(), NOW()
+      FROM users
+      WHERE refresh_token IS NOT NULL OR access_token IS NOT NULL
+      ON CONFLICT DO NOTHING;
+    `);
+
+    if (userColumns.imap_settings) {
+      await queryInterface.sequelize.query(`
+        INSERT INTO mail_accounts (id, user_id, provider, address,
+          imap_settings, mail_cursor, last_sync, enabled, reauth_required,
+          created_at, updated_at)
+        SELECT gen_random_uuid(), id, 'imap', imap_settings->>'username',
+          imap_settings, ${cursor}, last_sync, true, false, NOW(), NOW()
+        FROM users
+        WHERE mail_provider = 'imap' AND imap_settings IS NOT NULL
+        ON CONFLICT DO NOTHING;
+      `);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("mail_accounts");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_mail_accounts_provider";'
+    );
+  },
+};
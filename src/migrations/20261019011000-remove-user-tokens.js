@@ -0,0 +1,32 @@
+"use strict";
+
+// Google tokens live on the sign-in Gmail mailbox in mail_accounts, where the
+// previous migration copied them; drop the user copies
+const TOKEN_COLUMNS = ["access_token", "refresh_token", "token_expires_at"];
+
+module.exports = {
+  async up(queryInterface) {
+    const columns = await queryInterface.describeTable("users");
+    for (const column of TOKEN_COLUMNS) {
+      if (columns[column]) {
+        await queryInterface.removeColumn("users", column);
+      }
+    }
+  },
+
+  // The columns come back empty; the tokens stay in mail_accounts
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn("users", "access_token", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("users", "refresh_token", {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("users", "token_expires_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+  },
+};
@@ -0,0 +1,26 @@
+"use strict";
+
+const {
+  encryptToken,
+  decryptToken,
+  getKeyring,
+  rewriteStoredSecrets,
+} = require("../utils/tokenCrypto");
+
+// Encrypt the OAuth tokens and IMAP passwords stored in plaintext so far.
+// Needs TOKEN_ENCRYPTION_KEYS; values that are already encrypted are left
+// alone, so it is safe to run again.
+module.exports = {
+  async up(queryInterface) {
+    if (!getKeyring().activeKeyId) {
+      throw new Error(
+        "Set TOKEN_ENCRYPTION_KEYS before running this migration"
+      );
+    }
+    await rewriteStoredSecrets(queryInterface.sequelize, encryptToken);
+  },
+
+  async down(queryInterface) {
+    await rewriteStoredSecrets(queryInterface.sequelize, decryptToken);
+  },
+};
@@ -0,0 +1,68 @@
+"use strict";
+
+// Return and refund emails: two return statuses for orders and their
+// timeline, and a refunds table for refunds initiated / credited
+const RETURN_STATUSES = ["return_requested", "return_pickup_scheduled"];
+const STATUS_ENUMS = ["enum_orders_status", "enum_order_events_status"];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // No transaction: before Postgres 12 ADD VALUE cannot run inside one
+    for (const enumName of STATUS_ENUMS) {
+      for (const status of RETURN_STATUSES) {
+        await queryInterface.sequelize.query(
+          `ALTER TYPE "${enumName}" ADD VALUE IF NOT EXISTS '${status}' BEFORE 'cancelled';`
+        );
+      }
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("refunds")) return;
+
+    await queryInterface.createTable("refunds", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      order_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "orders", key: "id" },
+        onDelete: "CASCADE",
+      },
+      amount: { type: Sequelize.DECIMAL(10, 2), allowNull: true },
+      currency: { type: Sequelize.STRING(3), defaultValue: "INR" },
+      method: { type: Sequelize.STRING, allowNull: true },
+      reference: { type: Sequelize.STRING, allowNull: true },
+      status: {
+        type: Sequelize.ENUM("initiated", "credited"),
+        allowNull: false,
+        defaultValue: "initiated",
+      },
+      initiated_at: { type: Sequelize.DATE, allowNull: true },
+      credited_at: { type: Sequelize.DATE, allowNull: true },
+      initiated_message_id: { type: Sequelize.STRING, allowNull: true },
+      credited_message_id: { type: Sequelize.STRING, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      updated_at: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex("refunds", ["order_id"]);
+    await queryInterface.addIndex("refunds", ["user_id", "status"]);
+  },
+
+  // Postgres cannot drop enum values; orders keep accepting the return
+  // statuses after a rollback
+  async down(queryInterface) {
+    await queryInterface.dropTable("refunds");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_refunds_status";'
+    );
+  },
+};
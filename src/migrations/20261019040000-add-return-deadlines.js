@@ -0,0 +1,29 @@
+"use strict";
+
+// Return windows: the last day each item can be returned, and when the
+// reminder for that deadline went out
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const columns = await queryInterface.describeTable("order_items");
+
+    if (!columns.return_eligible_until) {
+      await queryInterface.addColumn("order_items", "return_eligible_until", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+      await queryInterface.addIndex("order_items", ["return_eligible_until"]);
+    }
+
+    if (!columns.return_reminder_sent_at) {
+      await queryInterface.addColumn("order_items", "return_reminder_sent_at", {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn("order_items", "return_reminder_sent_at");
+    await queryInterface.removeColumn("order_items", "return_eligible_until");
+  },
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+// Devices registered for push notifications, one row per Expo push token
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes("devices")) return;
+
+    await queryInterface.createTable("devices", {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      push_token: { type: Sequelize.STRING, allowNull: false, unique: true },
+      platform: { type: Sequelize.STRING, allowNull: true },
+      device_name: { type: Sequelize.STRING, allowNull: true },
+      last_registered_at: { type: Sequelize.DATE, allowNull: true },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      updated_at: { type: Sequelize.DATE, allowNull: false },
+    });
+    await queryInterface.addIndex("devices", ["user_id"]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("devices");
+  },
+};
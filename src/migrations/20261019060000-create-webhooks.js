@@ -0,0 +1,89 @@
+"use strict";
+
+// Webhook endpoints users register, and one delivery row per event sent to
+// an endpoint, which is both the retry queue and the delivery log
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes("webhook_endpoints")) {
+      await queryInterface.createTable("webhook_endpoints", {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+        },
+        user_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "users", key: "id" },
+          onDelete: "CASCADE",
+        },
+        url: { type: Sequelize.TEXT, allowNull: false },
+        description: { type: Sequelize.STRING, allowNull: true },
+        events: { type: Sequelize.JSONB, allowNull: false, defaultValue: [] },
+        secret: { type: Sequelize.TEXT, allowNull: false },
+        enabled: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        created_at: { type: Sequelize.DATE, allowNull: false },
+        updated_at: { type: Sequelize.DATE, allowNull: false },
+      });
+      await queryInterface.addIndex("webhook_endpoints", ["user_id"]);
+    }
+
+    if (!tables.includes("webhook_deliveries")) {
+      await queryInterface.createTable("webhook_deliveries", {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+        },
+        webhook_id: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: "webhook_endpoints", key: "id" },
+          onDelete: "CASCADE",
+        },
+        event: { type: Sequelize.STRING, allowNull: false },
+        event_id: { type: Sequelize.UUID, allowNull: false },
+        payload: { type: Sequelize.JSONB, allowNull: false },
+        status: {
+          type: Sequelize.ENUM("pending", "succeeded", "failed"),
+          allowNull: false,
+          defaultValue: "pending",
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        next_attempt_at: { type: Sequelize.DATE, allowNull: true },
+        last_attempt_at: { type: Sequelize.DATE, allowNull: true },
+        response_status: { type: Sequelize.INTEGER, allowNull: true },
+        error: { type: Sequelize.TEXT, allowNull: true },
+        delivered_at: { type: Sequelize.DATE, allowNull: true },
+        created_at: { type: Sequelize.DATE, allowNull: false },
+        updated_at: { type: Sequelize.DATE, allowNull: false },
+      });
+      await queryInterface.addIndex("webhook_deliveries", [
+        "status",
+        "next_attempt_at",
+      ]);
+      await queryInterface.addIndex("webhook_deliveries", [
+        "webhook_id",
+        "created_at",
+      ]);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable("webhook_deliveries");
+    await queryInterface.dropTable("webhook_endpoints");
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_webhook_deliveries_status";'
+    );
+  },
+};
@@ -0,0 +1,92 @@
+module.exports = (sequelize, DataTypes) => {
+  const Device = sequelize.define(
+    "Device",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      push_token: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: "Expo push token, ExponentPushToken[...]",
+      },
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "ios, android or web",
+      },
+      device_name: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      last_registered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Last time the app registered the token, on every launch",
+      },
+    },
+    {
+      tableName: "devices",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["user_id"],
+        },
+      ],
+    }
+  );
+
+  // Class methods
+  // A token belongs to the app install, not the account: signing in as
+  // someone else on the same phone moves the token to them
+  Device.register = async function (
+    userId,
+    { pushToken, platform, deviceName }
+  ) {
+    const values = {
+      user_id: userId,
+      platform: platform || null,
+      device_name: deviceName || null,
+      last_registered_at: new Date(),
+    };
+
+    const device = await this.findOne({ where: { push_token: pushToken } });
+    if (device) {
+      await device.update(values);
+      return { device, created: false };
+    }
+
+    return {
+      device: await this.create({ ...values, push_token: pushToken }),
+      created: true,
+    };
+  };
+
+  Device.findByUser = async function (userId) {
+    return await this.findAll({
+      where: { user_id: userId },
+      order: [["last_registered_at", "DESC"]],
+    });
+  };
+
+  // Associations
+  Device.associate = function (models) {
+    Device.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+  };
+
+  return Device;
+};
@@ -16,7 +16,7 @@ module.exports = (sequelize, DataTypes) => {
         },
       },
       sync_type: {
-        type: DataTypes.ENUM("manual", "automatic", "scheduled"),
+        type: DataTypes.ENUM("manual", "automatic", "scheduled", "import"),
         defaultValue: "manual",
       },
       status: {
@@ -37,6 +37,25 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      heartbeat_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment:
+          "Refreshed by the worker running the sync; stale when that worker died",
+      },
+      current_stage: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Worker stage while the sync runs (queued, searching, fetching, ...)",
+      },
+      emails_found: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      emails_fetched: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
       emails_processed: {
         type: DataTypes.INTEGER,
         defaultValue: 0,
@@ -84,6 +103,14 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ["started_at"],
         },
+        {
+          // One queued or running sync per user, even when two requests
+          // pass assertNoActiveSync at once
+          name: "email_syncs_one_active_per_user",
+          unique: true,
+          fields: ["user_id"],
+          where: { status: ["pending", "in_progress"] },
+        },
       ],
     }
   );
@@ -92,6 +119,7 @@ module.exports = (sequelize, DataTypes) => {
   EmailSync.prototype.start = async function () {
     this.status = "in_progress";
     this.started_at = new Date();
+    this.heartbeat_at = this.started_at;
     return await this.save();
   };
 
@@ -103,7 +131,7 @@ module.exports = (sequelize, DataTypes) => {
 
     // Update counters if provided
     Object.keys(results).forEach((key) => {
-      if (this.hasOwnProperty(key)) {
+      if (EmailSync.rawAttributes[key]) {
         this[key] = results[key];
       }
     });
@@ -145,7 +173,7 @@ module.exports = (sequelize, DataTypes) => {
 
   EmailSync.prototype.updateProgress = async function (progress = {}) {
     Object.keys(progress).forEach((key) => {
-      if (this.hasOwnProperty(key)) {
+      if (EmailSync.rawAttributes[key]) {
         this[key] = progress[key];
       }
     });
@@ -169,6 +197,37 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  // Pending syncs count as active: they are queued and will run shortly
+  EmailSync.getActiveSync = async function (userId) {
+    return await this.findOne({
+      where: {
+        user_id: userId,
+        status: ["pending", "in_progress"],
+      },
+      order: [["created_at", "DESC"]],
+    });
+  };
+
+  // Atomically move a pending sync to in_progress; false if another worker got it first
+  EmailSync.claimPending = async function (syncId) {
+    const now = new Date();
+    const [affectedRows] = await this.update(
+      { status: "in_progress", started_at: now, heartbeat_at: now },
+      { where: { id: syncId, status: "pending" } }
+    );
+    return affectedRows === 1;
+  };
+
+  // Mark syncs as still being worked on by this process
+  EmailSync.touchHeartbeat = async function (syncIds) {
+    if (syncIds.length === 0) return 0;
+    const [affectedRows] = await this.update(
+      { heartbeat_at: new Date() },
+      { where: { id: syncIds, status: "in_progress" } }
+    );
+    return affectedRows;
+  };
+
   EmailSync.getSyncStats = async function (userId, dateRange = {}) {
     const { startDate, endDate } = dateRange;
     const whereClause = { user_id: userId };
@@ -0,0 +1,121 @@
+const { encryptedField, encryptedJsonField } = require("../utils/tokenCrypto");
+
+module.exports = (sequelize, DataTypes) => {
+  const MailAccount = sequelize.define(
+    "MailAccount",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      provider: {
+        type: DataTypes.ENUM("gmail", "imap"),
+        allowNull: false,
+        defaultValue: "gmail",
+        comment: "Which mail source reads it; see services/mailSources",
+      },
+      address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: "Mailbox address (Gmail) or IMAP login",
+      },
+      provider_account_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Google profile id of a Gmail mailbox",
+      },
+      // Credentials are encrypted at rest; see utils/tokenCrypto
+      access_token: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        ...encryptedField("access_token"),
+      },
+      refresh_token: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        ...encryptedField("refresh_token"),
+      },
+      token_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      imap_settings: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: "host, port, secure, username, password, mailbox",
+        ...encryptedJsonField("imap_settings", "password"),
+      },
+      mail_cursor: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment:
+          "Mail source position at the last successful sync (Gmail historyId, IMAP UIDVALIDITY:UID), for incremental fetches",
+      },
+      last_sync: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: "Disabled mailboxes stay connected but are not synced",
+      },
+      reauth_required: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment:
+          "Set when the provider rejects the stored credentials; cleared when the mailbox is connected again",
+      },
+    },
+    {
+      tableName: "mail_accounts",
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["user_id", "provider", "address"],
+        },
+      ],
+    }
+  );
+
+  // Instance methods
+  MailAccount.prototype.toSafeObject = function () {
+    const { access_token, refresh_token, imap_settings, ...safeAccount } =
+      this.toJSON();
+    if (imap_settings) {
+      const { password, ...imapSettings } = imap_settings;
+      safeAccount.imap_settings = imapSettings;
+    }
+    return safeAccount;
+  };
+
+  // Class methods
+  MailAccount.findEnabledForUser = async function (userId) {
+    return await this.findAll({
+      where: { user_id: userId, enabled: true },
+      order: [["created_at", "ASC"]],
+    });
+  };
+
+  // Associations
+  MailAccount.associate = function (models) {
+    MailAccount.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+  };
+
+  return MailAccount;
+};
@@ -1,4 +1,10 @@
 // backend/src/models/order.js - UPDATED VERSION
+
+const { FIELD_SOURCE } = require("../constants");
+
+// A return in progress; the packages themselves stay delivered
+const RETURN_STATUSES = ["return_requested", "return_pickup_scheduled"];
+
 module.exports = (sequelize, DataTypes) => {
   const Order = sequelize.define(
     "Order",
@@ -74,6 +80,8 @@ module.exports = (sequelize, DataTypes) => {
           "shipped",
           "out_for_delivery",
           "delivered",
+          "return_requested",
+          "return_pickup_scheduled",
           "cancelled",
           "returned",
           "unknown" // Add unknown status
@@ -161,6 +169,24 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
+      source: {
+        type: DataTypes.ENUM("email", "manual"),
+        allowNull: false,
+        defaultValue: "email",
+      },
+      field_provenance: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment:
+          "Per column: source, parser, parser_version, message_id, confidence, recorded_at",
+      },
+      user_locked_fields: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Columns the user set by hand; email syncs leave them alone",
+      },
     },
     {
       tableName: "orders",
@@ -193,12 +219,71 @@ module.exports = (sequelize, DataTypes) => {
   );
 
   // Instance methods
-  Order.prototype.updateStatus = async function (newStatus) {
+  // event: optional OrderEvent fields (occurred_at, source_message_id, ...)
+  Order.prototype.updateStatus = async function (newStatus, event = {}) {
     this.status = newStatus;
     this.last_updated = new Date();
+    await this.save();
+
+    await sequelize.models.OrderEvent.recordStatus(this.id, {
+      occurred_at: new Date(),
+      ...event,
+      status: newStatus,
+    });
+
+    return this;
+  };
+
+  // Re-derive status and delivered date from the order's shipments; a no-op
+  // for orders without any. Returns the order.
+  Order.prototype.refreshStatusFromShipments = async function () {
+    const { Shipment } = sequelize.models;
+    const shipments = await Shipment.findAll({
+      where: { order_id: this.id },
+    });
+
+    const status = Shipment.aggregateStatus(shipments);
+    if (!status || status === this.status || this.isFieldLocked("status")) {
+      return this;
+    }
+    // Once a return starts, the packages can only complete it
+    if (
+      this.status === "returned" ||
+      (RETURN_STATUSES.includes(this.status) && status !== "returned")
+    ) {
+      return this;
+    }
+
+    const deliveredDates = shipments
+      .map((shipment) => shipment.delivered_at)
+      .filter(Boolean);
+    const changed = ["status"];
+
+    // A date the user set stays, even if the packages say otherwise
+    if (!this.isFieldLocked("delivered_date")) {
+      if (status !== "delivered") {
+        this.delivered_date = null;
+      } else if (deliveredDates.length > 0) {
+        this.delivered_date = new Date(Math.max(...deliveredDates));
+      } else if (!this.delivered_date) {
+        this.delivered_date = new Date();
+      }
+      changed.push("delivered_date");
+    }
+    this.status = status;
+    this.field_provenance = Order.mergeProvenance(
+      this.field_provenance,
+      changed,
+      { source: FIELD_SOURCE.SHIPMENTS, confidence: null }
+    );
+    this.last_updated = new Date();
     return await this.save();
   };
 
+  Order.prototype.isFieldLocked = function (field) {
+    return (this.user_locked_fields || []).includes(field);
+  };
+
   Order.prototype.toSummary = function () {
     return {
       id: this.id,
@@ -216,6 +301,18 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Class methods
+  // Copy of `provenance` with `entry` recorded for each column; a new object
+  // so Sequelize notices the JSONB change
+  Order.mergeProvenance = function (provenance, columns, entry) {
+    const recordedAt = new Date().toISOString();
+    return {
+      ...(provenance || {}),
+      ...Object.fromEntries(
+        columns.map((column) => [column, { ...entry, recorded_at: recordedAt }])
+      ),
+    };
+  };
+
   Order.findByUserAndPlatform = async function (
     userId,
     platform,
@@ -266,6 +363,23 @@ module.exports = (sequelize, DataTypes) => {
       as: "OrderItems",
       onDelete: "CASCADE",
     });
+
+    Order.hasMany(models.OrderEvent, {
+      foreignKey: "order_id",
+      as: "events",
+      onDelete: "CASCADE",
+    });
+
+    Order.hasMany(models.Shipment, {
+      foreignKey: "order_id",
+      as: "shipments",
+    });
+
+    Order.hasMany(models.Refund, {
+      foreignKey: "order_id",
+      as: "refunds",
+      onDelete: "CASCADE",
+    });
   };
 
   return Order;
@@ -0,0 +1,105 @@
+module.exports = (sequelize, DataTypes) => {
+  const OrderEvent = sequelize.define(
+    "OrderEvent",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "ordered",
+          "confirmed",
+          "processing",
+          "shipped",
+          "out_for_delivery",
+          "delivered",
+          "return_requested",
+          "return_pickup_scheduled",
+          "cancelled",
+          "returned",
+          "unknown"
+        ),
+        allowNull: false,
+      },
+      occurred_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: "Date of the email that reported this status",
+      },
+      source_message_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Gmail message id of the email that reported this status",
+      },
+      carrier: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      location: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      raw_snippet: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "order_events",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["order_id", "occurred_at"],
+        },
+        {
+          unique: true,
+          fields: ["order_id", "status", "source_message_id"],
+        },
+      ],
+    }
+  );
+
+  // Class methods
+  // Re-parsing the same email must not add a duplicate timeline entry
+  OrderEvent.recordStatus = async function (orderId, event) {
+    const [orderEvent] = await this.findOrCreate({
+      where: {
+        order_id: orderId,
+        status: event.status,
+        source_message_id: event.source_message_id || null,
+      },
+      defaults: event,
+    });
+    return orderEvent;
+  };
+
+  OrderEvent.getTimeline = async function (orderId) {
+    return await this.findAll({
+      where: { order_id: orderId },
+      order: [
+        ["occurred_at", "ASC"],
+        ["created_at", "ASC"],
+      ],
+    });
+  };
+
+  // Associations
+  OrderEvent.associate = function (models) {
+    OrderEvent.belongsTo(models.Order, {
+      foreignKey: "order_id",
+      as: "order",
+    });
+  };
+
+  return OrderEvent;
+};
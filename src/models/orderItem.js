@@ -15,6 +15,15 @@ module.exports = (sequelize, DataTypes) => {
           key: "id",
         },
       },
+      shipment_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "shipments",
+          key: "id",
+        },
+        comment: "Package this item ships in, once a tracking id names it",
+      },
       name: {
         type: DataTypes.STRING,
         allowNull: false,
@@ -76,6 +85,17 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         comment: "Additional product attributes like size, color, etc.",
       },
+      return_eligible_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment:
+          "Last day to return: a date the emails state, else delivery plus the platform's return window",
+      },
+      return_reminder_sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When the return window reminder went out for this deadline",
+      },
     },
     {
       tableName: "order_items",
@@ -84,6 +104,9 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ["order_id"],
         },
+        {
+          fields: ["shipment_id"],
+        },
         {
           fields: ["name"],
         },
@@ -93,6 +116,9 @@ module.exports = (sequelize, DataTypes) => {
         {
           fields: ["category"],
         },
+        {
+          fields: ["return_eligible_until"],
+        },
       ],
       hooks: {
         beforeSave: (item) => {
@@ -142,6 +168,12 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: "order_id",
       as: "order",
     });
+
+    OrderItem.belongsTo(models.Shipment, {
+      foreignKey: "shipment_id",
+      as: "shipment",
+      onDelete: "SET NULL",
+    });
   };
 
   return OrderItem;
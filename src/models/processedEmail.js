@@ -0,0 +1,145 @@
+module.exports = (sequelize, DataTypes) => {
+  const ProcessedEmail = sequelize.define(
+    "ProcessedEmail",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      gmail_message_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      sync_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "email_syncs",
+          key: "id",
+        },
+        comment: "Sync that last parsed this message",
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+      },
+      outcome: {
+        type: DataTypes.ENUM(
+          "order_created",
+          "order_updated",
+          "shipment_created",
+          "shipment_updated",
+          "ignored",
+          "parse_failed"
+        ),
+        allowNull: false,
+      },
+      reason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Why the email was ignored, or the parse error message",
+      },
+      platform: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      parser_version: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      subject: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      sender: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      email_date: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      extraction_trace: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment:
+          "Parser steps for this email; only kept when PERSIST_EXTRACTION_TRACE=true",
+      },
+    },
+    {
+      tableName: "processed_emails",
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["user_id", "gmail_message_id"],
+        },
+        {
+          fields: ["sync_id"],
+        },
+        {
+          fields: ["outcome"],
+        },
+      ],
+    }
+  );
+
+  // Class methods
+  // Message ids already handled by this parser version. Failures are left
+  // out so they are retried: the cause may have been transient.
+  ProcessedEmail.findProcessedIds = async function (
+    userId,
+    messageIds,
+    parserVersion
+  ) {
+    if (messageIds.length === 0) return new Set();
+
+    const rows = await this.findAll({
+      where: {
+        user_id: userId,
+        gmail_message_id: messageIds,
+        parser_version: parserVersion,
+        outcome: { [sequelize.Sequelize.Op.ne]: "parse_failed" },
+      },
+      attributes: ["gmail_message_id"],
+      raw: true,
+    });
+
+    return new Set(rows.map((row) => row.gmail_message_id));
+  };
+
+  // Associations
+  ProcessedEmail.associate = function (models) {
+    ProcessedEmail.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+
+    ProcessedEmail.belongsTo(models.EmailSync, {
+      foreignKey: "sync_id",
+      as: "sync",
+      onDelete: "SET NULL",
+    });
+
+    ProcessedEmail.belongsTo(models.Order, {
+      foreignKey: "order_id",
+      as: "order",
+      onDelete: "SET NULL",
+    });
+  };
+
+  return ProcessedEmail;
+};
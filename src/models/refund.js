@@ -0,0 +1,160 @@
+module.exports = (sequelize, DataTypes) => {
+  const Refund = sequelize.define(
+    "Refund",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        defaultValue: "INR",
+      },
+      method: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment:
+          "original_payment, card, upi, bank_account, wallet or gift_card",
+      },
+      reference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Refund reference / RRN / ARN the shop quotes",
+      },
+      status: {
+        type: DataTypes.ENUM("initiated", "credited"),
+        allowNull: false,
+        defaultValue: "initiated",
+      },
+      initiated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Date of the email saying the refund was initiated",
+      },
+      credited_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Date of the email confirming the money was credited",
+      },
+      initiated_message_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Message id of the refund initiated email",
+      },
+      credited_message_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Message id of the refund credited email",
+      },
+    },
+    {
+      tableName: "refunds",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["order_id"],
+        },
+        {
+          fields: ["user_id", "status"],
+        },
+      ],
+    }
+  );
+
+  // Class methods
+  // The refund a refund email is about: the one this email already recorded,
+  // else the one with its reference, else an earlier refund of the order not
+  // yet at this stage, preferring the same amount. Null means a new refund.
+  Refund.findMatching = async function (
+    orderId,
+    { status, amount, reference, messageId }
+  ) {
+    const refunds = await this.findAll({
+      where: { order_id: orderId },
+      order: [["created_at", "ASC"]],
+    });
+    const messageColumn =
+      status === "credited" ? "credited_message_id" : "initiated_message_id";
+
+    const recorded = refunds.find(
+      (refund) => messageId && refund[messageColumn] === messageId
+    );
+    if (recorded) return recorded;
+
+    if (reference) {
+      const sameReference = refunds.find(
+        (refund) => refund.reference === reference
+      );
+      if (sameReference) return sameReference;
+    }
+
+    const candidates = refunds.filter(
+      (refund) => !refund[messageColumn] && !(reference && refund.reference)
+    );
+    return (
+      candidates.find(
+        (refund) => amount && parseFloat(refund.amount) === amount
+      ) ||
+      candidates.find((refund) => !amount || !refund.amount) ||
+      null
+    );
+  };
+
+  // Refunds the shop initiated but never confirmed as credited, oldest first
+  Refund.findPending = async function (userId) {
+    return await this.findAll({
+      where: { user_id: userId, status: "initiated" },
+      include: [
+        {
+          model: sequelize.models.Order,
+          as: "order",
+          attributes: [
+            "id",
+            "platform",
+            "platform_order_id",
+            "product_name",
+            "total_amount",
+            "status",
+          ],
+        },
+      ],
+      order: [["initiated_at", "ASC"]],
+    });
+  };
+
+  // Associations
+  Refund.associate = function (models) {
+    Refund.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+
+    Refund.belongsTo(models.Order, {
+      foreignKey: "order_id",
+      as: "order",
+    });
+  };
+
+  return Refund;
+};
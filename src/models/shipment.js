@@ -0,0 +1,167 @@
+// Earliest first; "unknown" ranks with "ordered"
+const SHIPMENT_PROGRESSION = [
+  "unknown",
+  "ordered",
+  "confirmed",
+  "processing",
+  "shipped",
+  "out_for_delivery",
+  "delivered",
+];
+
+module.exports = (sequelize, DataTypes) => {
+  const Shipment = sequelize.define(
+    "Shipment",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      order_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: "orders",
+          key: "id",
+        },
+        comment: "Null until an order with this tracking number is seen",
+      },
+      carrier: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      tracking_number: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM(
+          "ordered",
+          "confirmed",
+          "processing",
+          "shipped",
+          "out_for_delivery",
+          "delivered",
+          "cancelled",
+          "returned",
+          "unknown"
+        ),
+        defaultValue: "shipped",
+      },
+      expected_delivery: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      delivered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      last_location: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      last_event_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "Date of the newest email about this shipment",
+      },
+      source_message_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: "Gmail message id of the newest email about this shipment",
+      },
+    },
+    {
+      tableName: "shipments",
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ["user_id", "tracking_number"],
+        },
+        {
+          fields: ["order_id"],
+        },
+      ],
+    }
+  );
+
+  // Instance methods
+  // Point the order's items with these names at this shipment
+  Shipment.prototype.linkItemsByName = async function (names) {
+    const wanted = names
+      .filter(Boolean)
+      .map((name) => name.toString().trim().toLowerCase());
+    if (!this.order_id || wanted.length === 0) return 0;
+
+    const items = await sequelize.models.OrderItem.findAll({
+      where: { order_id: this.order_id },
+    });
+    const matched = items.filter(
+      (item) =>
+        item.shipment_id !== this.id &&
+        wanted.includes(item.name.trim().toLowerCase())
+    );
+
+    for (const item of matched) {
+      await item.update({ shipment_id: this.id });
+    }
+    return matched.length;
+  };
+
+  // Class methods
+  // Order status implied by its shipments: the least advanced live package,
+  // so an order is only delivered once every package is. Null if there are
+  // no shipments to go by.
+  Shipment.aggregateStatus = function (shipments) {
+    if (shipments.length === 0) return null;
+
+    const live = shipments.filter(
+      (shipment) => !["cancelled", "returned"].includes(shipment.status)
+    );
+    if (live.length === 0) {
+      return shipments.some((shipment) => shipment.status === "returned")
+        ? "returned"
+        : "cancelled";
+    }
+
+    return live.reduce(
+      (least, shipment) =>
+        SHIPMENT_PROGRESSION.indexOf(shipment.status) <
+        SHIPMENT_PROGRESSION.indexOf(least)
+          ? shipment.status
+          : least,
+      live[0].status
+    );
+  };
+
+  // Associations
+  Shipment.associate = function (models) {
+    Shipment.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+
+    Shipment.belongsTo(models.Order, {
+      foreignKey: "order_id",
+      as: "order",
+      onDelete: "SET NULL",
+    });
+
+    Shipment.hasMany(models.OrderItem, {
+      foreignKey: "shipment_id",
+      as: "items",
+    });
+  };
+
+  return Shipment;
+};
@@ -33,26 +33,37 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING,
         allowNull: true,
       },
-      access_token: {
-        type: DataTypes.TEXT,
-        allowNull: true,
-      },
-      refresh_token: {
-        type: DataTypes.TEXT,
-        allowNull: true,
-      },
-      token_expires_at: {
+      last_sync: {
         type: DataTypes.DATE,
         allowNull: true,
       },
-      last_sync: {
+      last_sync_attempt_at: {
         type: DataTypes.DATE,
         allowNull: true,
+        comment: "When the scheduler last queued a sync, successful or not",
+      },
+      sync_failure_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: "Syncs failed since the last successful one",
+      },
+      reauth_required: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: "Set when Google rejects the refresh token; cleared on next login",
       },
       is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
       },
+      is_admin: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment:
+          "Allows admin tools, such as the parser dry run, in production",
+      },
       settings: {
         type: DataTypes.JSONB,
         defaultValue: {
@@ -78,15 +89,38 @@ module.exports = (sequelize, DataTypes) => {
   );
 
   // Instance methods
+  // Mailbox credentials live in mail_accounts, never on the user
   User.prototype.toSafeObject = function () {
-    const { access_token, refresh_token, ...safeUser } = this.toJSON();
-    return safeUser;
+    return this.toJSON();
   };
 
-  User.prototype.needsTokenRefresh = function () {
-    if (!this.token_expires_at) return true;
-    const bufferTime = parseInt(process.env.TOKEN_BUFFER_TIME_MS) || 5 * 60 * 1000; // 5 minutes buffer
-    return new Date(this.token_expires_at) <= new Date(Date.now() + bufferTime);
+  // settings.notifications is true/false for every notification, or an
+  // object turning off single types: { return_window_closing: false }
+  User.prototype.wantsNotification = function (type) {
+    const notifications = this.settings?.notifications;
+    if (notifications === false) return false;
+    if (notifications && typeof notifications === "object") {
+      return notifications.enabled !== false && notifications[type] !== false;
+    }
+    return true;
+  };
+
+  // Merge { enabled, [type]: boolean } into settings.notifications, turning
+  // the true/false form into the object form
+  User.prototype.updateNotificationPreferences = async function (changes) {
+    const current = this.settings?.notifications;
+    const notifications =
+      current && typeof current === "object"
+        ? { ...current }
+        : { enabled: current !== false };
+
+    await this.update({
+      settings: {
+        ...this.settings,
+        notifications: { ...notifications, ...changes },
+      },
+    });
+    return this.settings.notifications;
   };
 
   // Class methods
@@ -111,11 +145,47 @@ module.exports = (sequelize, DataTypes) => {
       onDelete: "CASCADE",
     });
 
+    User.hasMany(models.MailAccount, {
+      foreignKey: "user_id",
+      as: "mail_accounts",
+      onDelete: "CASCADE",
+    });
+
     User.hasMany(models.EmailSync, {
       foreignKey: "user_id",
       as: "email_syncs",
       onDelete: "CASCADE",
     });
+
+    User.hasMany(models.ProcessedEmail, {
+      foreignKey: "user_id",
+      as: "processed_emails",
+      onDelete: "CASCADE",
+    });
+
+    User.hasMany(models.Shipment, {
+      foreignKey: "user_id",
+      as: "shipments",
+      onDelete: "CASCADE",
+    });
+
+    User.hasMany(models.Refund, {
+      foreignKey: "user_id",
+      as: "refunds",
+      onDelete: "CASCADE",
+    });
+
+    User.hasMany(models.Device, {
+      foreignKey: "user_id",
+      as: "devices",
+      onDelete: "CASCADE",
+    });
+
+    User.hasMany(models.WebhookEndpoint, {
+      foreignKey: "user_id",
+      as: "webhooks",
+      onDelete: "CASCADE",
+    });
   };
 
   return User;
@@ -0,0 +1,107 @@
+module.exports = (sequelize, DataTypes) => {
+  const WebhookDelivery = sequelize.define(
+    "WebhookDelivery",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      webhook_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "webhook_endpoints",
+          key: "id",
+        },
+      },
+      event: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      event_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment:
+          "Shared by every endpoint the event went to; receivers dedupe on it",
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+      },
+      status: {
+        type: DataTypes.ENUM("pending", "succeeded", "failed"),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: "When a pending delivery is (re)tried",
+      },
+      last_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      response_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: "HTTP status of the last attempt",
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: "Why the last attempt failed",
+      },
+      delivered_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      tableName: "webhook_deliveries",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["status", "next_attempt_at"],
+        },
+        {
+          fields: ["webhook_id", "created_at"],
+        },
+      ],
+    }
+  );
+
+  // Class methods
+  // Atomically take a due delivery until `leaseUntil`; false if another
+  // worker got it first. A worker that dies mid-attempt leaves the lease
+  // to expire, and the delivery is tried again.
+  WebhookDelivery.claimDue = async function (deliveryId, leaseUntil) {
+    const [affectedRows] = await this.update(
+      { next_attempt_at: leaseUntil },
+      {
+        where: {
+          id: deliveryId,
+          status: "pending",
+          next_attempt_at: { [sequelize.Sequelize.Op.lte]: new Date() },
+        },
+      }
+    );
+    return affectedRows === 1;
+  };
+
+  // Associations
+  WebhookDelivery.associate = function (models) {
+    WebhookDelivery.belongsTo(models.WebhookEndpoint, {
+      foreignKey: "webhook_id",
+      as: "webhook",
+    });
+  };
+
+  return WebhookDelivery;
+};
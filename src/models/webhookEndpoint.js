@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const { encryptedField } = require("../utils/tokenCrypto");
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookEndpoint = sequelize.define(
+    "WebhookEndpoint",
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+      },
+      user_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: "users",
+          key: "id",
+        },
+      },
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+      description: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      events: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: "Subscribed events, e.g. order.created, sync.failed",
+      },
+      // Signs every payload; encrypted at rest, see utils/tokenCrypto
+      secret: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        ...encryptedField("secret"),
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+    },
+    {
+      tableName: "webhook_endpoints",
+      timestamps: true,
+      indexes: [
+        {
+          fields: ["user_id"],
+        },
+      ],
+    }
+  );
+
+  // Instance methods
+  WebhookEndpoint.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    delete values.secret;
+    return values;
+  };
+
+  // Class methods
+  WebhookEndpoint.generateSecret = function () {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  };
+
+  // Enabled endpoints of the user subscribed to the event
+  WebhookEndpoint.findSubscribed = async function (userId, event) {
+    return await this.findAll({
+      where: {
+        user_id: userId,
+        enabled: true,
+        events: { [sequelize.Sequelize.Op.contains]: [event] },
+      },
+    });
+  };
+
+  // Associations
+  WebhookEndpoint.associate = function (models) {
+    WebhookEndpoint.belongsTo(models.User, {
+      foreignKey: "user_id",
+      as: "user",
+    });
+
+    WebhookEndpoint.hasMany(models.WebhookDelivery, {
+      foreignKey: "webhook_id",
+      as: "deliveries",
+      onDelete: "CASCADE",
+    });
+  };
+
+  return WebhookEndpoint;
+};
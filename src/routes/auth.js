@@ -3,26 +3,60 @@ const passport = require("passport");
 const {
   generateToken,
   verifyToken,
+  MAILBOX_LINK_COOKIE,
+  generateMailboxLinkToken,
   authenticateJWT,
 } = require("../middleware/authentication");
 const logger = require("../utils/logger");
 const { globalErrorHandler } = require("../middleware/errorHandler");
 const { google } = require("googleapis");
-const { User } = require("../models");
+const { User, MailAccount } = require("../models");
+const { ImapMailSource } = require("../services/mailSources");
+const { MAIL_PROVIDER } = require("../constants");
 const router = express.Router();
 
+/**
+ * The Gmail mailbox of the address the user signs in with, which holds the
+ * Google tokens from sign-in
+ */
+const findSignInMailbox = (user) =>
+  MailAccount.findOne({
+    where: {
+      user_id: user.id,
+      provider: MAIL_PROVIDER.GMAIL,
+      address: user.email,
+    },
+  });
+
+/**
+ * The mailbox link nonce cookie is only sent back to the Google routes;
+ * Lax still sends it on the redirect back from Google
+ */
+const mailboxLinkCookieOptions = (req) => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  path: `${req.baseUrl}/google`,
+});
+
 /**
  * GET /auth/google
  * - Normal login: no prompt param (Google decides UI; no consent forced).
  * - Fresh login (reauth): ?fresh=1 → prompt=consent to force new refresh_token.
+ * - Adding a mailbox: ?link_token=… from POST /auth/accounts/google, in the
+ *   browser that holds its cookie.
  * - We always request offline access so refresh_token can be issued on fresh flows.
  */
 router.get("/google", (req, res, next) => {
   const isFresh = req.query.fresh === "1";
+  const linkToken = req.query.link_token;
   const redirectUrl = req.query.redirect_url || process.env.FRONTEND_URL;
 
   // Put redirect_url into state so we can recover it in /callback
-  const state = JSON.stringify({ redirect_url: redirectUrl });
+  const state = JSON.stringify({
+    redirect_url: redirectUrl,
+    link_token: linkToken,
+  });
 
   const opts = {
     scope: [
@@ -41,6 +75,11 @@ router.get("/google", (req, res, next) => {
   if (isFresh) {
     opts.prompt = "consent";
   }
+  // A new mailbox: let the user pick another Google account, and consent so
+  // Google issues a refresh token for it
+  if (linkToken) {
+    opts.prompt = "select_account consent";
+  }
   // IMPORTANT: do NOT set prompt: 'none' for normal logins
 
   return passport.authenticate("google", opts)(req, res, next);
@@ -73,9 +112,18 @@ router.get(
       }
 
       const delimiter = redirectUrl.includes("?") ? "&" : "?";
-      const finalUrl = `${redirectUrl}${delimiter}token=${encodeURIComponent(
+      let finalUrl = `${redirectUrl}${delimiter}token=${encodeURIComponent(
         token
       )}`;
+      // Set by the Google strategy when this flow added a mailbox
+      const linkedAccount = req.authInfo?.linkedAccount;
+      if (linkedAccount) {
+        finalUrl += `&linked_account=${encodeURIComponent(
+          linkedAccount.address
+        )}`;
+        // One link per nonce
+        res.clearCookie(MAILBOX_LINK_COOKIE, mailboxLinkCookieOptions(req));
+      }
 
       return res.redirect(finalUrl);
     } catch (err) {
@@ -132,11 +180,12 @@ router.get("/me", async (req, res) => {
 });
 
 // POST /auth/refresh
+// Refresh the Google access token of the sign-in mailbox
 router.post("/refresh", authenticateJWT, async (req, res) => {
   try {
-    const user = req.user;
+    const account = await findSignInMailbox(req.user);
 
-    if (!user.refresh_token) {
+    if (!account?.refresh_token) {
       return res.status(403).json({
         success: false,
         message: "No refresh token available",
@@ -148,9 +197,9 @@ router.post("/refresh", authenticateJWT, async (req, res) => {
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET
     );
-    oauth2Client.setCredentials({ refresh_token: user.refresh_token });
+    oauth2Client.setCredentials({ refresh_token: account.refresh_token });
 
-    const { tokens } = await oauth2Client.refreshToken(user.refresh_token);
+    const { tokens } = await oauth2Client.refreshToken(account.refresh_token);
 
     if (!tokens?.access_token) {
       return res.status(500).json({
@@ -159,7 +208,7 @@ router.post("/refresh", authenticateJWT, async (req, res) => {
       });
     }
 
-    user.access_token = tokens.access_token;
+    account.access_token = tokens.access_token;
 
     // Handle both expiry_date (ms) and expires_in (s)
     const expiryMs = tokens.expiry_date
@@ -167,9 +216,9 @@ router.post("/refresh", authenticateJWT, async (req, res) => {
       : tokens.expires_in
       ? Date.now() + tokens.expires_in * 1000
       : Date.now() + 60 * 60 * 1000; // default 1h
-    user.token_expires_at = new Date(expiryMs);
+    account.token_expires_at = new Date(expiryMs);
 
-    await user.save();
+    await account.save();
 
     return res.json({ success: true, message: "Token refreshed successfully" });
   } catch (error) {
@@ -190,8 +239,8 @@ router.post("/refresh", authenticateJWT, async (req, res) => {
 // Logout
 router.post("/logout", authenticateJWT, async (req, res) => {
   try {
-    const user = req.user; // set by authenticateJWT
-    await user.update({
+    const account = await findSignInMailbox(req.user);
+    await account?.update({
       access_token: null,
       token_expires_at: null,
       // NOTE: DO NOT clear refresh_token here
@@ -204,48 +253,220 @@ router.post("/logout", authenticateJWT, async (req, res) => {
   }
 });
 
-const fetch =
-  global.fetch ||
-  ((...args) => import("node-fetch").then(({ default: f }) => f(...args)));
-
+/**
+ * POST /auth/disconnect
+ * - Body: { accountId } of one connected mailbox; without it, the sign-in
+ *   Gmail mailbox
+ * - Gmail grants are revoked at Google; processed orders are kept
+ */
 router.post("/disconnect", authenticateJWT, async (req, res) => {
   try {
     const user = req.user;
+    const accountId = req.body?.accountId;
+
+    const account = accountId
+      ? await MailAccount.findOne({
+          where: { id: accountId, user_id: user.id },
+        })
+      : await findSignInMailbox(user);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Mailbox not found",
+      });
+    }
+
+    // Revoke at Google (safe to ignore failures)
+    if (account.provider === MAIL_PROVIDER.GMAIL && account.refresh_token) {
+      try {
+        await fetch(
+          "https://oauth2.googleapis.com/revoke?token=" +
+            encodeURIComponent(account.refresh_token),
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          }
+        );
+      } catch (e) {
+        console.warn("Google revoke failed (continuing):", e?.message);
+      }
+    }
+
+    await account.destroy();
 
-    if (!user.refresh_token) {
+    return res.json({
+      success: true,
+      message: `${account.address} disconnected`,
+    });
+  } catch (error) {
+    console.error("Disconnect error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to disconnect mailbox",
+    });
+  }
+});
+
+/**
+ * GET /auth/accounts
+ * - The user's connected mailboxes, without credentials
+ */
+router.get("/accounts", authenticateJWT, async (req, res) => {
+  try {
+    const accounts = await MailAccount.findAll({
+      where: { user_id: req.user.id },
+      order: [["created_at", "ASC"]],
+    });
+
+    return res.json({
+      success: true,
+      accounts: accounts.map((account) => account.toSafeObject()),
+    });
+  } catch (error) {
+    logger.error("Error listing mail accounts:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to list mailboxes",
+    });
+  }
+});
+
+/**
+ * POST /auth/accounts/google
+ * - Start adding another Gmail mailbox. Open the returned authUrl in the
+ *   browser; the callback redirects with linked_account=<address>.
+ * - Sets an HttpOnly nonce cookie the callback checks, so call this with
+ *   credentials from the browser that will open authUrl
+ * - Body: { redirect_url } (optional)
+ */
+router.post("/accounts/google", authenticateJWT, (req, res) => {
+  const { token, nonce } = generateMailboxLinkToken(req.user);
+  res.cookie(MAILBOX_LINK_COOKIE, nonce, {
+    ...mailboxLinkCookieOptions(req),
+    maxAge: 10 * 60 * 1000, // as long as the link token
+  });
+
+  const params = new URLSearchParams({ link_token: token });
+  if (req.body?.redirect_url) {
+    params.set("redirect_url", req.body.redirect_url);
+  }
+
+  return res.json({
+    success: true,
+    authUrl: `${req.baseUrl}/google?${params}`,
+  });
+});
+
+/**
+ * PATCH /auth/accounts/:id
+ * - Body: { enabled } to include a mailbox in syncs or leave it out
+ */
+router.patch("/accounts/:id", authenticateJWT, async (req, res) => {
+  try {
+    if (typeof req.body?.enabled !== "boolean") {
       return res.status(400).json({
         success: false,
-        message: "Already disconnected (no refresh token on file)",
+        message: "enabled must be true or false",
       });
     }
 
-    // Revoke at Google (safe to ignore failures)
-    try {
-      await fetch(
-        "https://oauth2.googleapis.com/revoke?token=" +
-          encodeURIComponent(user.refresh_token),
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        }
-      );
-    } catch (e) {
-      console.warn("Google revoke failed (continuing):", e?.message);
+    const account = await MailAccount.findOne({
+      where: { id: req.params.id, user_id: req.user.id },
+    });
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Mailbox not found",
+      });
     }
 
-    // Now remove all Google tokens from DB
-    await user.update({
-      access_token: null,
-      refresh_token: null,
-      token_expires_at: null,
+    await account.update({ enabled: req.body.enabled });
+
+    return res.json({ success: true, account: account.toSafeObject() });
+  } catch (error) {
+    logger.error("Error updating mail account:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update mailbox",
+    });
+  }
+});
+
+/**
+ * POST /auth/imap
+ * - Add an IMAP mailbox (Outlook, Yahoo, company mail), or update the
+ *   settings of the one with this username
+ * - Body: { host, port, secure, username, password, mailbox }
+ * - The login is tested before anything is saved
+ */
+router.post("/imap", authenticateJWT, async (req, res) => {
+  const { host, port = 993, secure = true, username, password } = req.body;
+  const mailbox = req.body.mailbox || "INBOX";
+
+  if (!host || !username || !password || !Number.isInteger(Number(port))) {
+    return res.status(400).json({
+      success: false,
+      message: "host, username, password and a numeric port are required",
     });
+  }
+
+  const imapSettings = {
+    host,
+    port: Number(port),
+    secure: secure !== false && secure !== "false",
+    username,
+    password,
+    mailbox,
+  };
 
-    return res.json({ success: true, message: "Google disconnected" });
+  // Only the settings are needed to log in; a stored account is left alone
+  // so a typo does not flag reauth_required
+  const mailSource = new ImapMailSource({ imap_settings: imapSettings });
+  try {
+    await mailSource.connect();
   } catch (error) {
-    console.error("Disconnect error:", error);
+    logger.warn("IMAP connection test failed", {
+      userId: req.user.id,
+      host,
+      error: error.message,
+    });
+    return res.status(400).json({
+      success: false,
+      message: `Could not open ${mailbox} on ${host}: ${error.message}`,
+    });
+  } finally {
+    await mailSource.disconnect();
+  }
+
+  try {
+    const [account] = await MailAccount.findOrBuild({
+      where: {
+        user_id: req.user.id,
+        provider: MAIL_PROVIDER.IMAP,
+        address: username,
+      },
+    });
+    // A cursor from another server or folder means nothing here
+    const moved =
+      account.imap_settings?.host !== host ||
+      account.imap_settings?.mailbox !== mailbox;
+    account.set({
+      imap_settings: imapSettings,
+      mail_cursor: moved ? null : account.mail_cursor,
+      reauth_required: false,
+    });
+    await account.save();
+
+    return res.json({
+      success: true,
+      message: "IMAP mailbox connected",
+      account: account.toSafeObject(),
+    });
+  } catch (error) {
+    logger.error("Error saving IMAP settings:", error);
     return res.status(500).json({
       success: false,
-      message: "Failed to disconnect Google",
+      message: "Failed to save IMAP settings",
     });
   }
 });
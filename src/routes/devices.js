@@ -0,0 +1,160 @@
+// src/routes/devices.js - PUSH NOTIFICATION DEVICES AND PREFERENCES
+const express = require("express");
+const { authenticateJWT } = require("../middleware/authentication");
+const { catchAsync, NotFoundError } = require("../middleware/errorHandler");
+const { Device, User } = require("../models");
+const {
+  validateDeviceRegistration,
+  validateDeviceToken,
+  validateNotificationPreferences,
+} = require("../middleware/validation/deviceValidation");
+const {
+  handleValidationErrors,
+} = require("../middleware/validation/orderValidation");
+const { successResponse } = require("../utils/response");
+const { NOTIFICATION_TYPE } = require("../constants");
+const logger = require("../utils/logger").createModuleLogger("DeviceRoutes");
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+const formatDevice = (device) => ({
+  id: device.id,
+  push_token: device.push_token,
+  pushToken: device.push_token, // Frontend compatibility
+  platform: device.platform,
+  device_name: device.device_name,
+  last_registered_at: device.last_registered_at,
+});
+
+// The master switch, and each type's own setting under it
+const formatPreferences = (notifications) => {
+  const settings =
+    notifications && typeof notifications === "object" ? notifications : {};
+  return {
+    enabled: notifications !== false && settings.enabled !== false,
+    types: Object.fromEntries(
+      Object.values(NOTIFICATION_TYPE).map((type) => [
+        type,
+        settings[type] !== false,
+      ])
+    ),
+  };
+};
+
+// @route   POST /api/devices
+// @desc    Register the app's Expo push token; the app calls this on every
+//          launch, so a known token is refreshed rather than duplicated
+// @access  Private
+router.post(
+  "/",
+  validateDeviceRegistration,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { device, created } = await Device.register(req.user.id, req.body);
+
+    logger.info("Device registered", {
+      userId: req.user.id,
+      deviceId: device.id,
+      platform: device.platform,
+      created,
+    });
+
+    const statusCode = created ? 201 : 200;
+    res
+      .status(statusCode)
+      .json(
+        successResponse(
+          formatDevice(device),
+          created ? "Device registered" : "Device updated",
+          statusCode
+        )
+      );
+  })
+);
+
+// @route   GET /api/devices
+// @desc    Devices receiving push notifications
+// @access  Private
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const devices = await Device.findByUser(req.user.id);
+
+    res.json(
+      successResponse(
+        { devices: devices.map(formatDevice), count: devices.length },
+        "Devices retrieved successfully"
+      )
+    );
+  })
+);
+
+// @route   GET /api/devices/preferences
+// @desc    Which notifications the user's devices receive
+// @access  Private
+router.get(
+  "/preferences",
+  catchAsync(async (req, res) => {
+    const user = await User.findByPk(req.user.id, {
+      attributes: ["id", "settings"],
+    });
+
+    res.json(
+      successResponse(
+        formatPreferences(user.settings?.notifications),
+        "Notification preferences retrieved successfully"
+      )
+    );
+  })
+);
+
+// @route   PATCH /api/devices/preferences
+// @desc    Turn notifications on or off: `enabled` for all of them, or a
+//          notification type, e.g. { "order_shipped": false }
+// @access  Private
+router.patch(
+  "/preferences",
+  validateNotificationPreferences,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const user = await User.findByPk(req.user.id);
+    const notifications = await user.updateNotificationPreferences(req.body);
+
+    logger.info("Notification preferences updated", {
+      userId: user.id,
+      changes: req.body,
+    });
+
+    res.json(
+      successResponse(
+        formatPreferences(notifications),
+        "Notification preferences updated"
+      )
+    );
+  })
+);
+
+// @route   DELETE /api/devices/:pushToken
+// @desc    Stop pushing to a device, e.g. when the user signs out there
+// @access  Private
+router.delete(
+  "/:pushToken",
+  validateDeviceToken,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const deleted = await Device.destroy({
+      where: { user_id: req.user.id, push_token: req.params.pushToken },
+    });
+    if (!deleted) {
+      throw new NotFoundError("Device not found");
+    }
+
+    logger.info("Device unregistered", { userId: req.user.id });
+
+    res.json(successResponse(null, "Device unregistered"));
+  })
+);
+
+module.exports = router;
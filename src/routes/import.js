@@ -0,0 +1,94 @@
+// src/routes/import.js - IMPORT MAIL FROM FILES INSTEAD OF GMAIL
+const express = require("express");
+const multer = require("multer");
+const { authenticateJWT } = require("../middleware/authentication");
+const { AppError, catchAsync } = require("../middleware/errorHandler");
+const {
+  IMPORT_UPLOAD_DIR,
+  discardMailboxFiles,
+} = require("../services/mailboxImport");
+const { syncQueue } = require("../services/syncQueue");
+const { successResponse } = require("../utils/response");
+const logger = require("../utils/logger").createModuleLogger("ImportRoutes");
+
+const router = express.Router();
+
+const MAX_FILES = 50;
+
+// Files go to disk, not memory; the sync worker reads and deletes them
+const upload = multer({
+  storage: multer.diskStorage({ destination: IMPORT_UPLOAD_DIR }),
+  limits: {
+    files: MAX_FILES,
+    fileSize:
+      (parseInt(process.env.IMPORT_MAX_FILE_SIZE_MB) || 25) * 1024 * 1024,
+  },
+});
+
+// Multer rejects oversized or too many files with a MulterError
+const receiveFiles = (req, res, next) =>
+  upload.array("files", MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(
+        new AppError(err.message, err.code === "LIMIT_FILE_SIZE" ? 413 : 400)
+      );
+    }
+    next(err);
+  });
+
+// @route   POST /api/import/mailbox
+// @desc    Queue an import of .eml files and/or .mbox archives (multipart
+//          field `files`) through the sync pipeline as an `import` sync
+// @access  Private
+router.post(
+  "/mailbox",
+  authenticateJWT,
+  receiveFiles,
+  catchAsync(async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      throw new AppError(
+        "Attach .eml or .mbox files in the `files` field",
+        400
+      );
+    }
+
+    const uploads = req.files.map((file) => ({
+      name: file.originalname,
+      file: file.filename,
+      size: file.size,
+    }));
+
+    let syncRecord;
+    try {
+      syncRecord = await syncQueue.enqueueImport(req.user.id, uploads);
+    } catch (error) {
+      await discardMailboxFiles(uploads);
+      if (error.code === "SYNC_IN_PROGRESS") {
+        throw new AppError(error.message, 409);
+      }
+      throw error;
+    }
+
+    logger.info("Mailbox import queued", {
+      userId: req.user.id,
+      syncId: syncRecord.id,
+      files: uploads.length,
+    });
+
+    res.status(202).json(
+      successResponse(
+        {
+          syncId: syncRecord.id,
+          status: syncRecord.status,
+          files: uploads.map(({ name, size }) => ({ name, size })),
+          statusUrl: `/api/sync/status/${syncRecord.id}`,
+          emailsUrl: `/api/sync/status/${syncRecord.id}/emails`,
+        },
+        `Import of ${uploads.length} files queued`,
+        202
+      )
+    );
+  })
+);
+
+module.exports = router;
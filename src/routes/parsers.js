@@ -0,0 +1,96 @@
+// src/routes/parsers.js - PARSER DEBUGGING TOOLS
+const express = require("express");
+const {
+  authenticateJWT,
+  requireAdminInProduction,
+} = require("../middleware/authentication");
+const { catchAsync } = require("../middleware/errorHandler");
+const {
+  validateParserDryRun,
+  handleValidationErrors,
+} = require("../middleware/validation/orderValidation");
+const { dryRunParse } = require("../services/parserDryRun");
+const { parseRawEmail } = require("../utils/parseRawEmail");
+const { successResponse } = require("../utils/response");
+const logger = require("../utils/logger").createModuleLogger("ParserRoutes");
+
+const router = express.Router();
+
+router.use(authenticateJWT, requireAdminInProduction);
+
+// A raw message can be posted as-is instead of inside JSON
+const rawMessageBody = [
+  express.text({
+    type: ["message/rfc822", "text/plain"],
+    limit: process.env.REQUEST_BODY_LIMIT || "10mb",
+  }),
+  (req, res, next) => {
+    if (typeof req.body === "string") req.body = { raw: req.body };
+    next();
+  },
+];
+
+// @route   POST /api/parsers/parse
+// @desc    Parse one email without storing anything: a raw RFC 822 message
+//          (message/rfc822 body, or JSON `raw`) or JSON
+//          {from, subject, html, text, date}
+// @access  Private (admin in production)
+router.post(
+  "/parse",
+  rawMessageBody,
+  validateParserDryRun,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const email = req.body.raw
+      ? toParserInput(parseRawEmail(req.body.raw))
+      : {
+          from: req.body.from,
+          subject: req.body.subject || "",
+          html: req.body.html || "",
+          text: req.body.text || "",
+          date: req.body.date,
+          messageId: null,
+        };
+
+    const dryRun = dryRunParse(email);
+
+    logger.info("Parser dry run", {
+      userId: req.user.id,
+      platform: dryRun.platform,
+      parsed: !!dryRun.result,
+      reason: dryRun.reason,
+    });
+
+    res.json(
+      successResponse(
+        {
+          email: {
+            from: email.from,
+            subject: email.subject,
+            date: email.date,
+            hasHtml: !!email.html,
+            hasText: !!email.text,
+          },
+          ...dryRun,
+        },
+        dryRun.result ? "Email parsed" : "No order found in email"
+      )
+    );
+  })
+);
+
+/**
+ * The parser factory's input, from a parsed raw message
+ */
+function toParserInput(message) {
+  return {
+    from: message.headers.from,
+    subject: message.headers.subject || "",
+    html: message.body.html,
+    text: message.body.text,
+    date: message.headers.date,
+    messageId: message.messageId,
+  };
+}
+
+module.exports = router;
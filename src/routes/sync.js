@@ -2,14 +2,18 @@
 
 const express = require("express");
 const syncService = require("../services/syncService");
+const { syncQueue } = require("../services/syncQueue");
 const {
   verifyToken,
   authenticateJWT,
 } = require("../middleware/authentication");
 const logger = require("../utils/logger");
 const { globalErrorHandler } = require("../middleware/errorHandler");
-const { User } = require("../models");
+const { User, EmailSync } = require("../models");
 const emailConfig = require("../config/emailConfig");
+const { validatePagination, isValidUUID } = require("../utils/validation");
+const { paginatedResponse } = require("../utils/response");
+const { EMAIL_OUTCOME } = require("../constants");
 
 const router = express.Router();
 
@@ -116,13 +120,15 @@ router.post("/trigger", authenticateJWT, async (req, res) => {
       validation: enhancedOptions.metadata.validation,
     });
 
-    const result = await syncService.syncUserOrders(userId, enhancedOptions);
+    const syncRecord = await syncQueue.enqueue(userId, enhancedOptions);
 
-    return res.status(200).json({
+    return res.status(202).json({
       success: true,
-      message: `Sync started for last ${finalDaysToFetch} days`,
+      message: `Sync queued for last ${finalDaysToFetch} days`,
       data: {
-        ...result,
+        syncId: syncRecord.id,
+        status: syncRecord.status,
+        statusUrl: `/api/sync/status/${syncRecord.id}`,
         syncConfiguration: {
           daysToFetch: finalDaysToFetch,
           maxResults: finalMaxResults,
@@ -142,6 +148,25 @@ router.post("/trigger", authenticateJWT, async (req, res) => {
       });
     }
 
+    if (err.code === "NO_MAIL_ACCOUNTS") {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+        action: "CONNECT_MAILBOX",
+      });
+    }
+
+    if (err.code === "SYNC_IN_PROGRESS") {
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        data: {
+          syncId: err.syncId,
+          statusUrl: `/api/sync/status/${err.syncId}`,
+        },
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: err.message || "Failed to trigger sync",
@@ -158,10 +183,12 @@ router.get("/status", authenticateJWT, async (req, res) => {
     // Get latest sync info to show current configuration
     const latestSync = await syncService.getSyncHistory(userId, 1);
     const syncStats = await syncService.getSyncStats(userId);
+    const activeSync = await EmailSync.getActiveSync(userId);
 
     const response = {
       success: true,
-      status: "idle",
+      status: activeSync ? activeSync.status : "idle",
+      activeSyncId: activeSync?.id || null,
       timestamp: new Date().toISOString(),
       latestSync: latestSync[0] || null,
       stats: syncStats,
@@ -240,6 +267,52 @@ router.get("/status/:syncId", async (req, res) => {
   }
 });
 
+// Per-email parse outcomes for a sync, to see why an email produced no order
+router.get("/status/:syncId/emails", authenticateJWT, async (req, res) => {
+  try {
+    const { syncId } = req.params;
+    const { outcome } = req.query;
+
+    if (!isValidUUID(syncId)) {
+      return res.status(400).json({ success: false, error: "Invalid sync ID" });
+    }
+
+    if (outcome && !Object.values(EMAIL_OUTCOME).includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: `outcome must be one of: ${Object.values(EMAIL_OUTCOME).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const pagination = validatePagination(req.query);
+    const { emails, total } = await syncService.getSyncEmails(
+      req.user.id,
+      syncId,
+      { outcome, limit: pagination.limit, offset: pagination.offset }
+    );
+
+    res.json(
+      paginatedResponse(
+        emails,
+        { ...pagination, total },
+        "Sync emails retrieved successfully"
+      )
+    );
+  } catch (error) {
+    if (error.message === "Sync record not found") {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    logger.error("Sync emails error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Failed to get sync emails",
+    });
+  }
+});
+
 // Get sync configuration options (NEW ENDPOINT)
 router.get("/config", authenticateJWT, async (req, res) => {
   try {
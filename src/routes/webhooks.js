@@ -0,0 +1,242 @@
+// src/routes/webhooks.js - WEBHOOK ENDPOINTS, THEIR DELIVERY LOG AND TEST PINGS
+const express = require("express");
+const { authenticateJWT } = require("../middleware/authentication");
+const {
+  catchAsync,
+  AppError,
+  NotFoundError,
+} = require("../middleware/errorHandler");
+const { WebhookEndpoint, WebhookDelivery } = require("../models");
+const {
+  validateWebhookCreation,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateWebhookDeliveryQueries,
+} = require("../middleware/validation/webhookValidation");
+const {
+  handleValidationErrors,
+} = require("../middleware/validation/orderValidation");
+const { webhookService } = require("../services/webhookService");
+const { successResponse, paginatedResponse } = require("../utils/response");
+const { validatePagination } = require("../utils/validation");
+const { WEBHOOKS } = require("../constants");
+const logger = require("../utils/logger").createModuleLogger("WebhookRoutes");
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+const findUserWebhook = async (req) => {
+  const webhook = await WebhookEndpoint.findOne({
+    where: { id: req.params.id, user_id: req.user.id },
+  });
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found");
+  }
+  return webhook;
+};
+
+const formatDelivery = (delivery) => ({
+  id: delivery.id,
+  event: delivery.event,
+  event_id: delivery.event_id,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  next_attempt_at: delivery.next_attempt_at,
+  last_attempt_at: delivery.last_attempt_at,
+  response_status: delivery.response_status,
+  error: delivery.error,
+  delivered_at: delivery.delivered_at,
+  created_at: delivery.created_at,
+});
+
+// @route   POST /api/webhooks
+// @desc    Register an endpoint for events; the response is the only time
+//          its signing secret is shown
+// @access  Private
+router.post(
+  "/",
+  validateWebhookCreation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const count = await WebhookEndpoint.count({
+      where: { user_id: req.user.id },
+    });
+    if (count >= WEBHOOKS.MAX_PER_USER) {
+      throw new AppError(
+        `You can register at most ${WEBHOOKS.MAX_PER_USER} webhooks`,
+        400
+      );
+    }
+
+    const secret = WebhookEndpoint.generateSecret();
+    const webhook = await WebhookEndpoint.create({
+      user_id: req.user.id,
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      description: req.body.description || null,
+      secret,
+    });
+
+    logger.info("Webhook registered", {
+      userId: req.user.id,
+      webhookId: webhook.id,
+      events: webhook.events,
+    });
+
+    res
+      .status(201)
+      .json(
+        successResponse(
+          { ...webhook.toJSON(), secret },
+          "Webhook registered; store the secret, it is not shown again",
+          201
+        )
+      );
+  })
+);
+
+// @route   GET /api/webhooks
+// @desc    The user's webhook endpoints
+// @access  Private
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const webhooks = await WebhookEndpoint.findAll({
+      where: { user_id: req.user.id },
+      order: [["created_at", "ASC"]],
+    });
+
+    res.json(
+      successResponse(
+        { webhooks, count: webhooks.length },
+        "Webhooks retrieved successfully"
+      )
+    );
+  })
+);
+
+// @route   GET /api/webhooks/:id
+// @desc    One webhook endpoint
+// @access  Private
+router.get(
+  "/:id",
+  validateWebhookId,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await findUserWebhook(req);
+
+    res.json(successResponse(webhook, "Webhook retrieved successfully"));
+  })
+);
+
+// @route   PATCH /api/webhooks/:id
+// @desc    Change an endpoint's url, events or description, or disable it
+// @access  Private
+router.patch(
+  "/:id",
+  validateWebhookUpdate,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await findUserWebhook(req);
+
+    const updates = {};
+    for (const field of ["url", "description", "enabled"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (req.body.events) {
+      updates.events = [...new Set(req.body.events)];
+    }
+
+    await webhook.update(updates);
+
+    logger.info("Webhook updated", {
+      userId: req.user.id,
+      webhookId: webhook.id,
+      fields: Object.keys(updates),
+    });
+
+    res.json(successResponse(webhook, "Webhook updated"));
+  })
+);
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Remove an endpoint with its delivery log
+// @access  Private
+router.delete(
+  "/:id",
+  validateWebhookId,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await findUserWebhook(req);
+
+    await WebhookDelivery.destroy({ where: { webhook_id: webhook.id } });
+    await webhook.destroy();
+
+    logger.info("Webhook deleted", {
+      userId: req.user.id,
+      webhookId: webhook.id,
+    });
+
+    res.json(successResponse(null, "Webhook deleted"));
+  })
+);
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Delivery log, newest first; ?status=pending|succeeded|failed
+// @access  Private
+router.get(
+  "/:id/deliveries",
+  validateWebhookDeliveryQueries,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await findUserWebhook(req);
+    const { page, limit, offset } = validatePagination(req.query);
+
+    const where = { webhook_id: webhook.id };
+    if (req.query.status) where.status = req.query.status;
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      order: [["created_at", "DESC"]],
+      limit,
+      offset,
+    });
+
+    res.json(
+      paginatedResponse(
+        rows.map(formatDelivery),
+        { page, limit, offset, total: count },
+        "Webhook deliveries retrieved successfully"
+      )
+    );
+  })
+);
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a signed `ping` now and report how the endpoint answered
+// @access  Private
+router.post(
+  "/:id/test",
+  validateWebhookId,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const webhook = await findUserWebhook(req);
+    if (!webhook.enabled) {
+      throw new AppError("Enable the webhook before testing it", 400);
+    }
+
+    const delivery = await webhookService.sendTest(webhook);
+
+    res.json(
+      successResponse(
+        formatDelivery(delivery),
+        delivery.status === "succeeded"
+          ? "Test ping delivered"
+          : `Test ping failed: ${delivery.error}`
+      )
+    );
+  })
+);
+
+module.exports = router;
@@ -14,6 +14,17 @@ const { passport } = require("./middleware/authentication");
 const authRoutes = require("./routes/auth");
 const orderRoutes = require("./routes/orders");
 const syncRoutes = require("./routes/sync");
+const parserRoutes = require("./routes/parsers");
+const importRoutes = require("./routes/import");
+const deviceRoutes = require("./routes/devices");
+const webhookRoutes = require("./routes/webhooks");
+const { syncQueue } = require("./services/syncQueue");
+const { syncScheduler } = require("./services/syncScheduler");
+const {
+  returnReminderScheduler,
+} = require("./services/returnReminderScheduler");
+const { pushNotifications } = require("./services/pushNotifications");
+const { webhookService } = require("./services/webhookService");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,6 +82,10 @@ app.get("/health", (req, res) => {
 app.use("/auth", authRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/sync", syncRoutes);
+app.use("/api/parsers", parserRoutes);
+app.use("/api/import", importRoutes);
+app.use("/api/devices", deviceRoutes);
+app.use("/api/webhooks", webhookRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -94,6 +109,24 @@ const startServer = async () => {
       logger.info("Database synchronized successfully.");
     }
 
+    if (process.env.PUSH_NOTIFICATIONS_ENABLED !== "false") {
+      pushNotifications.start();
+    }
+
+    if (process.env.WEBHOOKS_ENABLED !== "false") {
+      webhookService.start();
+    }
+
+    await syncQueue.start();
+
+    if (process.env.SYNC_SCHEDULER_ENABLED !== "false") {
+      syncScheduler.start();
+    }
+
+    if (process.env.RETURN_REMINDERS_ENABLED !== "false") {
+      returnReminderScheduler.start();
+    }
+
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || "development"}`);
@@ -107,12 +140,22 @@ const startServer = async () => {
 // Graceful shutdown
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
+  syncScheduler.stop();
+  returnReminderScheduler.stop();
+  syncQueue.stop();
+  await pushNotifications.stop();
+  webhookService.stop();
   await db.sequelize.close();
   process.exit(0);
 });
 
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully");
+  syncScheduler.stop();
+  returnReminderScheduler.stop();
+  syncQueue.stop();
+  await pushNotifications.stop();
+  webhookService.stop();
   await db.sequelize.close();
   process.exit(0);
 });
@@ -1,9 +1,69 @@
 // src/services/database/orderService.js
 
-const { Order, OrderItem, User } = require("../../models");
+const { Order, OrderItem, OrderEvent, Refund, User } = require("../../models");
 const { Op } = require("sequelize");
 const logger = require("../../utils/logger").createModuleLogger("OrderService");
+const { AppError, NotFoundError } = require("../../middleware/errorHandler");
+const { getOrderHash } = require("../deduplication");
 const { validatePagination } = require("../../utils/validation");
+const { normalizeList } = require("../../utils/normalize");
+const {
+  ORDER_SORT_FIELDS,
+  ORDER_SEARCH,
+  ORDER_ANALYTICS,
+  ORDER_EXPORT,
+  RETURN_WINDOW,
+  FIELD_SOURCE,
+} = require("../../constants");
+
+// Request fields a user may set on an order → order column
+const ORDER_EDITABLE_FIELDS = {
+  productName: "product_name",
+  productImage: "product_image",
+  amount: "total_amount",
+  currency: "currency",
+  orderDate: "order_date",
+  status: "status",
+  trackingNumber: "tracking_number",
+  carrierName: "carrier_name",
+  sellerName: "seller_name",
+  expectedDelivery: "expected_delivery",
+  deliveredDate: "delivered_date",
+  deliveryAddress: "delivery_address",
+};
+
+const ORDER_ITEM_EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "quantity",
+  "unit_price",
+  "total_price",
+  "image_url",
+  "product_url",
+  "sku",
+  "brand",
+  "category",
+  "attributes",
+];
+
+// Searchable text of an order row ("Order") and its items, for search SQL
+const SEARCH_CONFIG_SQL = `'${ORDER_SEARCH.TEXT_SEARCH_CONFIG}'`;
+const ITEMS_TEXT_SQL = `(SELECT string_agg(concat_ws(' ', i.name, i.brand, i.category), ' ') FROM order_items AS i WHERE i.order_id = "Order"."id")`;
+const SEARCH_TEXT_SQL = `concat_ws(' ', "Order"."product_name", "Order"."seller_name", "Order"."platform_order_id", "Order"."tracking_number", ${ITEMS_TEXT_SQL})`;
+const SEARCH_HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5";
+
+// Searches find their matches through the GIN indexes built by the
+// add-order-search-indexes migration, so these must stay identical to the
+// indexed expressions (unqualified: they run in subqueries on each table)
+const ORDER_MATCH_TEXT_SQL = `(coalesce(product_name, '') || ' ' || coalesce(seller_name, '') || ' ' || coalesce(platform_order_id, '') || ' ' || coalesce(tracking_number, ''))`;
+const ITEM_MATCH_TEXT_SQL = `(coalesce(name, '') || ' ' || coalesce(brand, '') || ' ' || coalesce(category, ''))`;
+
+// Order identity and product name outrank seller and item details
+const SEARCH_DOCUMENT_SQL =
+  `(setweight(to_tsvector(${SEARCH_CONFIG_SQL}, concat_ws(' ', "Order"."product_name", "Order"."platform_order_id", "Order"."tracking_number")), 'A')` +
+  ` || setweight(to_tsvector(${SEARCH_CONFIG_SQL}, coalesce("Order"."seller_name", '')), 'B')` +
+  ` || setweight(to_tsvector(${SEARCH_CONFIG_SQL}, coalesce(${ITEMS_TEXT_SQL}, '')), 'B'))`;
 
 /**
  * Order Database Service
@@ -22,14 +82,18 @@ class OrderService {
         {
           user_id: userId,
           platform: orderData.platform,
+          order_id: orderData.orderId,
           platform_order_id: orderData.orderId,
-          product_name: orderData.items?.[0]?.name || "Unknown Product",
+          product_name:
+            orderData.productName ||
+            orderData.items?.[0]?.name ||
+            "Unknown Product",
           product_image: orderData.productImage,
           total_amount: orderData.amount || 0,
           currency: orderData.currency || "INR",
           order_date: orderData.orderDate || new Date(),
           status: orderData.status || "ordered",
-          tracking_number: orderData.trackingId,
+          tracking_number: orderData.trackingNumber || orderData.trackingId,
           carrier_name: orderData.carrierName,
           seller_name: orderData.sellerName,
           delivery_address: orderData.deliveryAddress,
@@ -41,6 +105,9 @@ class OrderService {
           parsed_data: orderData.parsedData,
           hash: orderData.hash,
           sync_id: orderData.syncId,
+          source: orderData.source,
+          user_locked_fields: orderData.userLockedFields,
+          field_provenance: orderData.fieldProvenance,
         },
         { transaction }
       );
@@ -85,53 +152,75 @@ class OrderService {
     }
   }
 
+  /**
+   * Add an order the user entered by hand (an offline purchase, or one the
+   * parsers missed). Every field the user supplied is locked against email
+   * syncs.
+   */
+  async createManualOrder(orderData, userId) {
+    if (await this.orderExists(userId, orderData.platform, orderData.orderId)) {
+      throw new AppError(
+        "An order with this platform and order ID already exists",
+        409
+      );
+    }
+
+    const editedColumns = this.getEditedColumns(orderData);
+    const order = await this.createOrder(
+      {
+        ...orderData,
+        source: "manual",
+        userLockedFields: editedColumns,
+        fieldProvenance: Order.mergeProvenance({}, editedColumns, {
+          source: FIELD_SOURCE.MANUAL,
+          confidence: 1,
+        }),
+        hash: getOrderHash({
+          platform: orderData.platform,
+          orderId: orderData.orderId,
+          userId,
+        }),
+      },
+      userId
+    );
+
+    await OrderEvent.recordStatus(order.id, {
+      status: order.status,
+      occurred_at: order.order_date,
+    });
+
+    return await this.getOrderById(order.id, userId);
+  }
+
+  /**
+   * Order columns set by a create or edit request
+   */
+  getEditedColumns(requestData) {
+    return Object.entries(ORDER_EDITABLE_FIELDS)
+      .filter(([field]) => requestData[field] !== undefined)
+      .map(([, column]) => column);
+  }
+
   /**
    * Get orders for user with pagination and filtering
+   * @param {string} userId
+   * @param {Object} options - `platform` and `status` take a value, an array
+   *   or a comma-separated list; `sortBy` is one of ORDER_SORT_FIELDS
+   * @returns {Promise<{orders: Array, pagination: Object}>}
    */
   async getOrders(userId, options = {}) {
     const {
       page = 1,
       limit = 10,
-      platform,
-      status,
-      startDate,
-      endDate,
       includeItems = true,
       syncOnly = false,
     } = options;
 
     const pagination = validatePagination({ page, limit });
-
-    // Build where clause
-    const whereClause = { user_id: userId };
-
-    if (platform) {
-      whereClause.platform = platform;
-    }
-
-    if (status) {
-      whereClause.status = status;
-    }
-
-    if (startDate && endDate) {
-      whereClause.order_date = {
-        [Op.between]: [new Date(startDate), new Date(endDate)],
-      };
-    }
-
-    // If syncOnly is true, get the latest sync ID and filter by it
-    if (syncOnly) {
-      const latestSync = await Order.findOne({
-        where: { user_id: userId },
-        attributes: ["sync_id"],
-        order: [["created_at", "DESC"]],
-        raw: true,
-      });
-
-      if (latestSync?.sync_id) {
-        whereClause.sync_id = latestSync.sync_id;
-      }
-    }
+    const whereClause = await this.buildOrderListFilters(userId, {
+      ...options,
+      syncOnly,
+    });
 
     // Build include array
     const includeArray = [];
@@ -156,11 +245,15 @@ class OrderService {
       });
     }
 
+    const { sortField, order } = this.buildOrderSort(options);
+
     // Execute query
     const { count, rows: orders } = await Order.findAndCountAll({
       where: whereClause,
       include: includeArray,
-      order: [["created_at", "DESC"]],
+      // Items must not multiply the count
+      distinct: true,
+      order,
       limit: pagination.limit,
       offset: pagination.offset,
       attributes: [
@@ -180,6 +273,8 @@ class OrderService {
         "seller_name",
         "confidence_score",
         "sync_id",
+        "source",
+        "user_locked_fields",
         "created_at",
         "updated_at",
       ],
@@ -190,6 +285,7 @@ class OrderService {
       count,
       page: pagination.page,
       limit: pagination.limit,
+      sortBy: sortField,
     });
 
     return {
@@ -202,6 +298,200 @@ class OrderService {
     };
   }
 
+  /**
+   * Orders matching the list filters, in list order, a batch at a time
+   * with their items. For exports: a whole history never has
+   * to fit in memory.
+   * @param {string} userId
+   * @param {Object} options - The list filters, `syncOnly` and the sort
+   * @yields {Array<Object>} Orders with `OrderItems`
+   */
+  async *iterateOrders(userId, options = {}) {
+    const batchSize = options.batchSize || ORDER_EXPORT.BATCH_SIZE;
+    const whereClause = await this.buildOrderListFilters(userId, options);
+    const {
+      sortField,
+      sortDirection,
+      order: orderBy,
+    } = this.buildOrderSort(options);
+    const sortColumn = `"Order"."${Order.rawAttributes[sortField].field}"`;
+
+    let last = null;
+    for (;;) {
+      const orders = await Order.findAll({
+        where: last
+          ? {
+              [Op.and]: [
+                whereClause,
+                this.buildKeysetCondition(sortColumn, sortDirection, last),
+              ],
+            }
+          : whereClause,
+        attributes: {
+          // As text, so a timestamp keeps its microseconds
+          include: [
+            [Order.sequelize.literal(`${sortColumn}::text`), "sort_key"],
+          ],
+        },
+        order: orderBy,
+        limit: batchSize,
+      });
+      if (orders.length === 0) return;
+
+      // Items separately: a limit on an include would cut through an order
+      const items = await OrderItem.findAll({
+        where: { order_id: orders.map((order) => order.id) },
+        order: [
+          ["created_at", "ASC"],
+          ["id", "ASC"],
+        ],
+      });
+      const itemsByOrder = new Map();
+      for (const item of items) {
+        if (!itemsByOrder.has(item.order_id)) {
+          itemsByOrder.set(item.order_id, []);
+        }
+        itemsByOrder.get(item.order_id).push(item);
+      }
+      for (const order of orders) {
+        order.OrderItems = itemsByOrder.get(order.id) || [];
+      }
+
+      yield orders;
+
+      if (orders.length < batchSize) return;
+      const lastOrder = orders[orders.length - 1];
+      last = { id: lastOrder.id, sortKey: lastOrder.get("sort_key") };
+    }
+  }
+
+  /**
+   * Order clause for `sortBy`/`sortOrder`; id breaks ties so pages never
+   * overlap
+   */
+  buildOrderSort(options = {}) {
+    const sortField = ORDER_SORT_FIELDS[options.sortBy] || "order_date";
+    const sortDirection =
+      `${options.sortOrder}`.toUpperCase() === "ASC" ? "ASC" : "DESC";
+
+    return {
+      sortField,
+      sortDirection,
+      order: [
+        [sortField, sortDirection],
+        ["id", sortDirection],
+      ],
+    };
+  }
+
+  /**
+   * Orders after `last` in buildOrderSort order: keyset pagination on the
+   * sort column and id, so each batch starts where the previous one ended
+   * however many rows came before it. NULLs, possible for total_amount,
+   * sort first descending and last ascending.
+   * @param {string} sortColumn - Quoted column
+   * @param {string} sortDirection - ASC or DESC
+   * @param {{id: string, sortKey: string|null}} last - Last row returned
+   */
+  buildKeysetCondition(sortColumn, sortDirection, last) {
+    const { sequelize } = Order;
+    const after = sortDirection === "ASC" ? ">" : "<";
+    const id = sequelize.escape(last.id);
+    const afterId = `"Order"."id" ${after} ${id}`;
+
+    if (last.sortKey === null) {
+      return sequelize.literal(
+        sortDirection === "ASC"
+          ? `(${sortColumn} IS NULL AND ${afterId})`
+          : `((${sortColumn} IS NULL AND ${afterId}) OR ${sortColumn} IS NOT NULL)`
+      );
+    }
+
+    const sortKey = sequelize.escape(last.sortKey);
+    const afterRow = `(${sortColumn}, "Order"."id") ${after} (${sortKey}, ${id})`;
+    return sequelize.literal(
+      sortDirection === "ASC"
+        ? `(${afterRow} OR ${sortColumn} IS NULL)`
+        : `(${afterRow})`
+    );
+  }
+
+  /**
+   * buildOrderFilters plus `syncOnly`: only orders from the latest sync
+   */
+  async buildOrderListFilters(userId, options = {}) {
+    const whereClause = this.buildOrderFilters(userId, options);
+
+    if (options.syncOnly && !options.syncId) {
+      const latestSync = await Order.findOne({
+        where: { user_id: userId },
+        attributes: ["sync_id"],
+        order: [["created_at", "DESC"]],
+        raw: true,
+      });
+
+      if (latestSync?.sync_id) {
+        whereClause.sync_id = latestSync.sync_id;
+      }
+    }
+
+    return whereClause;
+  }
+
+  /**
+   * Where clause for the order list filters
+   */
+  buildOrderFilters(userId, options = {}) {
+    const {
+      platform,
+      status,
+      startDate,
+      endDate,
+      minAmount,
+      maxAmount,
+      carrier,
+      syncId,
+    } = options;
+
+    const whereClause = { user_id: userId };
+
+    const platforms = normalizeList(platform);
+    if (platforms.length > 0) {
+      whereClause.platform = { [Op.in]: platforms };
+    }
+
+    const statuses = normalizeList(status);
+    if (statuses.length > 0) {
+      whereClause.status = { [Op.in]: statuses };
+    }
+
+    if (startDate || endDate) {
+      whereClause.order_date = {};
+      if (startDate) whereClause.order_date[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.order_date[Op.lte] = new Date(endDate);
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      whereClause.total_amount = {};
+      if (minAmount !== undefined) {
+        whereClause.total_amount[Op.gte] = parseFloat(minAmount);
+      }
+      if (maxAmount !== undefined) {
+        whereClause.total_amount[Op.lte] = parseFloat(maxAmount);
+      }
+    }
+
+    if (carrier) {
+      whereClause.carrier_name = { [Op.iLike]: carrier };
+    }
+
+    if (syncId) {
+      whereClause.sync_id = syncId;
+    }
+
+    return whereClause;
+  }
+
   /**
    * Get order by ID with items
    */
@@ -231,7 +521,7 @@ class OrderService {
     });
 
     if (!order) {
-      throw new Error("Order not found");
+      throw new NotFoundError("Order not found");
     }
 
     logger.info("Order retrieved successfully", {
@@ -244,26 +534,53 @@ class OrderService {
   }
 
   /**
-   * Update order
+   * Apply a user's edit (ORDER_EDITABLE_FIELDS keys). The edited columns
+   * become user-owned, so later email syncs leave them alone.
    */
-  async updateOrder(orderId, userId, updateData) {
+  async updateOrder(orderId, userId, changes) {
     const order = await Order.findOne({
       where: { id: orderId, user_id: userId },
     });
 
     if (!order) {
-      throw new Error("Order not found");
+      throw new NotFoundError("Order not found");
+    }
+
+    const updateData = {};
+    for (const [field, column] of Object.entries(ORDER_EDITABLE_FIELDS)) {
+      if (changes[field] !== undefined) updateData[column] = changes[field];
     }
+    const editedColumns = Object.keys(updateData);
+    const statusChanged =
+      updateData.status !== undefined && updateData.status !== order.status;
+
+    await order.update({
+      ...updateData,
+      user_locked_fields: [
+        ...new Set([...(order.user_locked_fields || []), ...editedColumns]),
+      ],
+      field_provenance: Order.mergeProvenance(
+        order.field_provenance,
+        editedColumns,
+        { source: FIELD_SOURCE.MANUAL, confidence: 1 }
+      ),
+      last_updated: new Date(),
+    });
 
-    const updatedOrder = await order.update(updateData);
+    if (statusChanged) {
+      await OrderEvent.recordStatus(order.id, {
+        status: order.status,
+        occurred_at: new Date(),
+      });
+    }
 
     logger.info("Order updated successfully", {
       orderId,
       userId,
-      updatedFields: Object.keys(updateData),
+      updatedFields: editedColumns,
     });
 
-    return updatedOrder;
+    return await this.getOrderById(order.id, userId);
   }
 
   /**
@@ -275,7 +592,7 @@ class OrderService {
     });
 
     if (!order) {
-      throw new Error("Order not found");
+      throw new NotFoundError("Order not found");
     }
 
     await order.destroy();
@@ -289,53 +606,225 @@ class OrderService {
   }
 
   /**
-   * Search orders
+   * Add an item to one of the user's orders
    */
-  async searchOrders(userId, searchQuery, options = {}) {
-    const { platforms = [], dateRange = {}, limit = 20 } = options;
+  async addOrderItem(orderId, userId, itemData) {
+    const order = await this.getOrderById(orderId, userId);
 
-    const whereClause = {
-      user_id: userId,
-      [Op.or]: [
-        { platform_order_id: { [Op.iLike]: `%${searchQuery}%` } },
-        { product_name: { [Op.iLike]: `%${searchQuery}%` } },
-        { tracking_number: { [Op.iLike]: `%${searchQuery}%` } },
-      ],
-    };
+    const fields = this.pickItemFields(itemData);
+    const quantity = fields.quantity ?? 1;
 
-    if (platforms.length > 0) {
-      whereClause.platform = { [Op.in]: platforms };
-    }
+    const item = await OrderItem.create({
+      ...fields,
+      quantity,
+      total_price: fields.total_price ?? quantity * fields.unit_price,
+      order_id: order.id,
+    });
 
-    if (dateRange.startDate && dateRange.endDate) {
-      whereClause.order_date = {
-        [Op.between]: [
-          new Date(dateRange.startDate),
-          new Date(dateRange.endDate),
-        ],
-      };
+    logger.info("Order item added", { orderId, userId, itemId: item.id });
+    return item;
+  }
+
+  /**
+   * Edit an item; a new quantity or unit price recomputes the total unless
+   * one is given
+   */
+  async updateOrderItem(orderId, itemId, userId, itemData) {
+    const item = await this.findOrderItem(orderId, itemId, userId);
+    const updateData = this.pickItemFields(itemData);
+
+    if (
+      updateData.total_price === undefined &&
+      (updateData.quantity !== undefined || updateData.unit_price !== undefined)
+    ) {
+      updateData.total_price =
+        (updateData.quantity ?? item.quantity) *
+        (updateData.unit_price ?? item.unit_price);
     }
 
-    const orders = await Order.findAll({
-      where: whereClause,
+    await item.update(updateData);
+
+    logger.info("Order item updated", {
+      orderId,
+      userId,
+      itemId,
+      updatedFields: Object.keys(updateData),
+    });
+    return item;
+  }
+
+  /**
+   * Remove an item from one of the user's orders
+   */
+  async deleteOrderItem(orderId, itemId, userId) {
+    const item = await this.findOrderItem(orderId, itemId, userId);
+    await item.destroy();
+
+    logger.info("Order item deleted", { orderId, userId, itemId });
+    return true;
+  }
+
+  /**
+   * Item of an order owned by the user
+   */
+  async findOrderItem(orderId, itemId, userId) {
+    const item = await OrderItem.findOne({
+      where: { id: itemId, order_id: orderId },
       include: [
         {
-          model: OrderItem,
-          as: "OrderItems",
-          attributes: ["id", "name", "quantity", "unit_price"],
+          model: Order,
+          as: "order",
+          where: { user_id: userId },
+          attributes: [],
         },
       ],
-      order: [["order_date", "DESC"]],
-      limit,
     });
 
+    if (!item) {
+      throw new NotFoundError("Order item not found");
+    }
+
+    return item;
+  }
+
+  pickItemFields(itemData) {
+    return Object.fromEntries(
+      ORDER_ITEM_EDITABLE_FIELDS.filter(
+        (field) => itemData[field] !== undefined
+      ).map((field) => [field, itemData[field]])
+    );
+  }
+
+  /**
+   * Full-text search over a user's orders and their items, best match
+   * first, with a highlighted snippet per order. Trigram word similarity
+   * also matches misspelt queries that full-text search misses; it needs the
+   * pg_trgm extension and the order search indexes (see src/migrations).
+   * @param {string} userId
+   * @param {string} searchQuery - Web-search syntax: words, "phrases", -not
+   * @param {Object} options - page, limit and the getOrders filters
+   * @returns {Promise<{results: Array<{order, rank, snippet}>, pagination: Object}>}
+   */
+  async searchOrders(userId, searchQuery, options = {}) {
+    const { page = 1, limit = ORDER_SEARCH.DEFAULT_LIMIT } = options;
+    const pagination = validatePagination({ page, limit });
+    const { sequelize } = Order;
+
+    const search = this.buildSearchSql(userId, searchQuery);
+    const whereClause = {
+      ...this.buildOrderFilters(userId, options),
+      [Op.and]: sequelize.literal(search.match),
+    };
+
+    const { count, matches } = await sequelize.transaction(
+      async (transaction) => {
+        // `<%` matches at this threshold; SET LOCAL ends with the transaction
+        await sequelize.query(
+          "SELECT set_config('pg_trgm.word_similarity_threshold', :threshold, true)",
+          {
+            replacements: { threshold: String(ORDER_SEARCH.TRIGRAM_THRESHOLD) },
+            transaction,
+          }
+        );
+
+        return {
+          count: await Order.count({ where: whereClause, transaction }),
+          matches: await Order.findAll({
+            where: whereClause,
+            attributes: [
+              "id",
+              [sequelize.literal(search.rank), "search_rank"],
+              [sequelize.literal(search.snippet), "search_snippet"],
+            ],
+            order: [
+              [sequelize.literal(search.rank), "DESC"],
+              ["order_date", "DESC"],
+            ],
+            limit: pagination.limit,
+            offset: pagination.offset,
+            raw: true,
+            transaction,
+          }),
+        };
+      }
+    );
+
+    const orders =
+      matches.length === 0
+        ? []
+        : await Order.findAll({
+            where: { id: matches.map((match) => match.id) },
+            include: [
+              {
+                model: OrderItem,
+                as: "OrderItems",
+                attributes: [
+                  "id",
+                  "name",
+                  "description",
+                  "quantity",
+                  "unit_price",
+                  "total_price",
+                  "image_url",
+                  "product_url",
+                  "brand",
+                  "category",
+                  "attributes",
+                ],
+              },
+            ],
+          });
+    const ordersById = new Map(orders.map((order) => [order.id, order]));
+
     logger.info("Orders search completed", {
       userId,
       searchQuery,
-      resultsCount: orders.length,
+      resultsCount: count,
     });
 
-    return orders;
+    return {
+      results: matches
+        .filter((match) => ordersById.has(match.id))
+        .map((match) => ({
+          order: ordersById.get(match.id),
+          rank: parseFloat(match.search_rank) || 0,
+          snippet: match.search_snippet,
+        })),
+      pagination: {
+        ...pagination,
+        total: count,
+        totalPages: Math.ceil(count / pagination.limit),
+      },
+    };
+  }
+
+  /**
+   * SQL fragments for one search. `match` finds the user's orders whose own
+   * text or any item's text matches the full-text query or is within
+   * trigram word similarity of it, each through its GIN index; `rank` and
+   * `snippet` are then only computed for those matches.
+   * @returns {{match: string, rank: string, snippet: string}}
+   */
+  buildSearchSql(userId, searchQuery) {
+    const { sequelize } = Order;
+    const escapedQuery = sequelize.escape(searchQuery);
+    const tsQuery = `websearch_to_tsquery(${SEARCH_CONFIG_SQL}, ${escapedQuery})`;
+    const similarity = `word_similarity(${escapedQuery}, ${SEARCH_TEXT_SQL})`;
+
+    return {
+      match: `"Order"."id" IN (
+        SELECT id FROM orders
+        WHERE user_id = ${sequelize.escape(userId)}
+          AND (to_tsvector(${SEARCH_CONFIG_SQL}, ${ORDER_MATCH_TEXT_SQL}) @@ ${tsQuery}
+            OR ${escapedQuery} <% ${ORDER_MATCH_TEXT_SQL})
+        UNION
+        SELECT order_id FROM order_items
+        WHERE to_tsvector(${SEARCH_CONFIG_SQL}, ${ITEM_MATCH_TEXT_SQL}) @@ ${tsQuery}
+          OR ${escapedQuery} <% ${ITEM_MATCH_TEXT_SQL}
+      )`,
+      rank: `(ts_rank(${SEARCH_DOCUMENT_SQL}, ${tsQuery}) + ${similarity})`,
+      snippet: `ts_headline(${SEARCH_CONFIG_SQL}, ${SEARCH_TEXT_SQL}, ${tsQuery}, '${SEARCH_HEADLINE_OPTIONS}')`,
+    };
   }
 
   /**
@@ -371,6 +860,236 @@ class OrderService {
     return stats;
   }
 
+  /**
+   * Spending breakdowns for the dashboard. Cancelled and returned orders are
+   * left out of every figure and reported under `excluded` instead.
+   * @param {string} userId
+   * @param {Object} options - startDate, endDate, platform, interval
+   *   (day/week/month buckets for `overTime`), top (size of top lists)
+   */
+  async getSpendingAnalytics(userId, options = {}) {
+    const { top = ORDER_ANALYTICS.DEFAULT_TOP_LIMIT } = options;
+    const interval = ORDER_ANALYTICS.INTERVALS.includes(options.interval)
+      ? options.interval
+      : ORDER_ANALYTICS.DEFAULT_INTERVAL;
+    const { sequelize } = Order;
+    const { fn, col, literal } = sequelize;
+    const topLimit = Math.min(
+      ORDER_ANALYTICS.MAX_TOP_LIMIT,
+      Math.max(1, parseInt(top) || ORDER_ANALYTICS.DEFAULT_TOP_LIMIT)
+    );
+
+    const filters = this.buildOrderFilters(userId, {
+      startDate: options.startDate,
+      endDate: options.endDate,
+      platform: options.platform,
+    });
+    const spendWhere = {
+      ...filters,
+      status: { [Op.notIn]: ORDER_ANALYTICS.EXCLUDED_STATUSES },
+    };
+
+    const spendAttributes = [
+      [fn("COUNT", col("Order.id")), "order_count"],
+      [fn("COALESCE", fn("SUM", col("total_amount")), 0), "total_spent"],
+    ];
+    const itemSpendAttributes = [
+      [fn("COUNT", col("OrderItem.id")), "item_count"],
+      [
+        fn("COALESCE", fn("SUM", col("OrderItem.total_price")), 0),
+        "total_spent",
+      ],
+    ];
+    const orderInclude = {
+      model: Order,
+      as: "order",
+      attributes: [],
+      where: spendWhere,
+    };
+
+    const [
+      totals,
+      overTime,
+      byPlatform,
+      byCategory,
+      topSellers,
+      topBrands,
+      excluded,
+    ] = await Promise.all([
+      Order.findOne({
+        where: spendWhere,
+        attributes: spendAttributes,
+        raw: true,
+      }),
+      Order.findAll({
+        where: spendWhere,
+        attributes: [
+          [fn("date_trunc", interval, col("order_date")), "period"],
+          ...spendAttributes,
+        ],
+        group: [literal("period")],
+        order: [[literal("period"), "ASC"]],
+        raw: true,
+      }),
+      Order.findAll({
+        where: spendWhere,
+        attributes: ["platform", ...spendAttributes],
+        group: ["platform"],
+        order: [[literal("total_spent"), "DESC"]],
+        raw: true,
+      }),
+      OrderItem.findAll({
+        include: [orderInclude],
+        attributes: [
+          [fn("COALESCE", col("category"), "uncategorized"), "category"],
+          ...itemSpendAttributes,
+        ],
+        group: [literal("1")],
+        order: [[literal("total_spent"), "DESC"]],
+        raw: true,
+      }),
+      Order.findAll({
+        where: { ...spendWhere, seller_name: { [Op.ne]: null } },
+        attributes: ["seller_name", ...spendAttributes],
+        group: ["seller_name"],
+        order: [[literal("total_spent"), "DESC"]],
+        limit: topLimit,
+        raw: true,
+      }),
+      OrderItem.findAll({
+        where: { brand: { [Op.ne]: null } },
+        include: [orderInclude],
+        attributes: ["brand", ...itemSpendAttributes],
+        group: ["brand"],
+        order: [[literal("total_spent"), "DESC"]],
+        limit: topLimit,
+        raw: true,
+      }),
+      Order.findAll({
+        where: {
+          ...filters,
+          status: { [Op.in]: ORDER_ANALYTICS.EXCLUDED_STATUSES },
+        },
+        attributes: ["status", ...spendAttributes],
+        group: ["status"],
+        raw: true,
+      }),
+    ]);
+
+    const toSpend = (row) => ({
+      totalSpent: parseFloat(row.total_spent) || 0,
+      orderCount: parseInt(row.order_count) || 0,
+    });
+    const toItemSpend = (row) => ({
+      totalSpent: parseFloat(row.total_spent) || 0,
+      itemCount: parseInt(row.item_count) || 0,
+    });
+    const summary = toSpend(totals || {});
+
+    logger.info("Spending analytics computed", {
+      userId,
+      interval,
+      orderCount: summary.orderCount,
+    });
+
+    return {
+      summary: {
+        ...summary,
+        averageOrderValue:
+          summary.orderCount > 0
+            ? Math.round((summary.totalSpent / summary.orderCount) * 100) / 100
+            : 0,
+        currency: "INR",
+      },
+      interval,
+      overTime: overTime.map((row) => ({
+        period: row.period,
+        ...toSpend(row),
+      })),
+      byPlatform: byPlatform.map((row) => ({
+        platform: row.platform,
+        ...toSpend(row),
+      })),
+      byCategory: byCategory.map((row) => ({
+        category: row.category,
+        ...toItemSpend(row),
+      })),
+      topSellers: topSellers.map((row) => ({
+        seller: row.seller_name,
+        ...toSpend(row),
+      })),
+      topBrands: topBrands.map((row) => ({
+        brand: row.brand,
+        ...toItemSpend(row),
+      })),
+      excluded: Object.fromEntries(
+        ORDER_ANALYTICS.EXCLUDED_STATUSES.map((status) => [
+          status,
+          toSpend(excluded.find((row) => row.status === status) || {}),
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Refunds initiated but never confirmed as credited, oldest first, with
+   * the total still owed per currency
+   */
+  async getPendingRefunds(userId) {
+    const refunds = await Refund.findPending(userId);
+
+    const totals = {};
+    for (const refund of refunds) {
+      totals[refund.currency] =
+        (totals[refund.currency] || 0) + (parseFloat(refund.amount) || 0);
+    }
+
+    logger.info("Pending refunds fetched", {
+      userId,
+      count: refunds.length,
+    });
+
+    return { refunds, totals };
+  }
+
+  /**
+   * Items of delivered orders whose return window closes within the next
+   * `days` days, soonest first
+   */
+  async getReturnDeadlines(userId, days = RETURN_WINDOW.DEFAULT_DAYS_AHEAD) {
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const items = await OrderItem.findAll({
+      where: {
+        return_eligible_until: { [Op.between]: [now, until] },
+      },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { user_id: userId, status: "delivered" },
+          attributes: [
+            "id",
+            "platform",
+            "platform_order_id",
+            "delivered_date",
+            "status",
+          ],
+        },
+      ],
+      order: [["return_eligible_until", "ASC"]],
+    });
+
+    logger.info("Return deadlines fetched", {
+      userId,
+      days,
+      count: items.length,
+    });
+
+    return items;
+  }
+
   /**
    * Check if order exists by platform order ID
    */
@@ -2,9 +2,13 @@
 
 const { google } = require("googleapis");
 const logger = require("../utils/logger");
+const historyLogger =
+  require("../utils/logger").createModuleLogger("GmailService");
 const fs = require("fs");
 const path = require("path");
 const { parseGmailApiMessage } = require("../utils/parseGmailMessage");
+const { ensureFreshGoogleToken } = require("../utils/googleToken");
+const MailSource = require("./mailSources/mailSource");
 
 function sanitizeFilename(str) {
   return String(str)
@@ -14,8 +18,13 @@ function sanitizeFilename(str) {
     .toLowerCase();
 }
 
-class GmailService {
-  constructor() {
+class GmailService extends MailSource {
+  /**
+   * @param {Object} [account] - MailAccount row; needed for the MailSource
+   *   methods, which use and refresh its Google tokens
+   */
+  constructor(account = null) {
+    super(account);
     this.gmail = null;
     // Create debug directory outside nodemon coverage
     this.debugDir = path.join(require("os").homedir(), "gmail_debug_logs");
@@ -36,6 +45,60 @@ class GmailService {
     }
   }
 
+  get provider() {
+    return "gmail";
+  }
+
+  /**
+   * Make sure the mailbox's Google token is usable, refreshing it if needed
+   */
+  async verifyAccess() {
+    if (!this.account.access_token) {
+      throw new Error(`No access token for ${this.account.address}`);
+    }
+
+    const refreshResult = await ensureFreshGoogleToken(this.account);
+    if (!refreshResult.ok) {
+      const err = new Error("Failed to refresh Google token");
+      err.code =
+        refreshResult.reason === "INVALID_GRANT" ||
+        refreshResult.reason === "NO_REFRESH_TOKEN"
+          ? "REAUTH_REQUIRED"
+          : "REFRESH_FAILED";
+
+      // Flag the mailbox so scheduled syncs skip it until it is reconnected
+      if (err.code === "REAUTH_REQUIRED" && !this.account.reauth_required) {
+        await this.account.update({ reauth_required: true });
+      }
+      throw err;
+    }
+  }
+
+  async connect() {
+    await this.verifyAccess();
+    await this.initializeClient(
+      this.account.access_token,
+      this.account.refresh_token
+    );
+  }
+
+  // The Gmail historyId is the cursor
+  async getCursor() {
+    return this.getCurrentHistoryId();
+  }
+
+  async searchSinceCursor(cursor) {
+    return this.getEmailsSinceHistoryId(cursor);
+  }
+
+  async searchByDateRange(daysToFetch, maxResults) {
+    return this.getEmailsFromDateRange(daysToFetch, maxResults);
+  }
+
+  async fetchMessages(refs) {
+    return this.getEmailDetails(refs);
+  }
+
   async initializeClient(accessToken, refreshToken) {
     try {
       const oauth2Client = new google.auth.OAuth2();
@@ -71,114 +134,8 @@ class GmailService {
       `🔍 Strategy: exact_trusted_sources + content_validation + spam_inclusion`
     );
 
-    // 🏢 YOUR EXACT TRUSTED SOURCES (as specified in your requirements)
-    const trustedSources = {
-      ecommerce: [
-        "amazon.in",
-        "amazon.com",
-        "auto-confirm@amazon.com",
-        "shipment-tracking@amazon.com",
-        "flipkart.com",
-        "noreply@flipkart.com",
-        "myntra.com",
-        "noreply@myntra.com",
-        "nykaa.com",
-        "noreply@nykaa.com",
-        "ajio.com",
-        "noreply@ajio.com",
-        "meesho.com",
-        "noreply@meesho.com",
-        "bigbasket.com",
-        "noreply@bigbasket.com",
-        "tatacliq.com",
-        "noreply@tatacliq.com",
-        "firstcry.com",
-        "noreply@firstcry.com",
-        "snapdeal.com",
-        "noreply@snapdeal.com",
-        "paytmmall.com",
-        "reliancedigital.in",
-        "swiggy.in",
-        "noreply@swiggy.in",
-      ],
-      courier: [
-        "dtdc.in",
-        "dtdc.com",
-        "noreply@dtdc.in",
-        "bluedart.com",
-        "bluedart.in",
-        "noreply@bluedart.com",
-        "fedex.com",
-        "fedex.in",
-        "noreply@fedex.com",
-        "delhivery.com",
-        "noreply@delhivery.com",
-        "ecomexpress.in",
-        "noreply@ecomexpress.in",
-        "aramex.com",
-        "aramex.in",
-        "noreply@aramex.com",
-        "indianpost.gov.in",
-        "indiapost.gov.in",
-        "tciexpress.in",
-        "safexpress.com",
-        "gati.com",
-        "xpressbees.com",
-        "ekart.in",
-      ],
-    };
-
-    // 🔍 IMPORTANT: Add discovered sender variations to handle your specific findings
-    const discoveredSenders = [
-      // Your actual findings
-      "shipment-tracking@amazon.in",
-      "order-update@amazon.in",
-      "noreply@nct.flipkart.com", // The actual Flipkart sender you found
-      "noreply@swiggy.in",
-    ];
-
-    // Merge discovered senders with trusted sources (avoid duplicates)
-    trustedSources.ecommerce.push(
-      ...discoveredSenders.filter(
-        (s) =>
-          !trustedSources.ecommerce.includes(s) &&
-          !trustedSources.courier.includes(s)
-      )
-    );
-
-    // 📧 SUBJECT KEYWORDS (Positive + Negative)
-    const positiveSubjects = [
-      "order",
-      "shipped",
-      "delivered",
-      "package",
-      "tracking",
-      "dispatched",
-      "courier",
-      "awb",
-      "consignment",
-      "shipment",
-      "confirmation",
-      "placed",
-    ];
-
-    const negativeSubjects = [
-      "offer",
-      "sale",
-      "discount",
-      "deals",
-      "promotion",
-      "cashback",
-      "newsletter",
-      "unsubscribe",
-      "marketing",
-      "advertisement",
-      "promo",
-      "review",
-      "feedback",
-      "rate",
-      "survey", // Added from your parser logic
-    ];
+    const { trustedSources, positiveSubjects, negativeSubjects } =
+      this.getSearchCriteria();
 
     // 🔍 BUILD OPTIMIZED SEARCH QUERIES (with discovered senders + spam inclusion)
     const searchQueries = this.buildOptimizedQueries(
@@ -292,6 +249,123 @@ class GmailService {
     return sortedEmails;
   }
 
+  /**
+   * Current mailbox historyId. Read it before searching so mail that lands
+   * while a sync runs is picked up by the next incremental sync.
+   */
+  async getCurrentHistoryId() {
+    const response = await this.gmail.users.getProfile({ userId: "me" });
+    return response.data.historyId;
+  }
+
+  /**
+   * 🔄 INCREMENTAL: Order emails added since a stored historyId.
+   * Walks every history page (no maxResults cap, so new mail is never
+   * truncated) and keeps only messages from trusted senders with order
+   * subjects. Returns null when Gmail no longer has that history (404),
+   * in which case the caller falls back to a date-window search. Throws if
+   * any added message cannot be read, so the cursor is not advanced past it.
+   */
+  async getEmailsSinceHistoryId(startHistoryId) {
+    historyLogger.debug("Incremental search", { startHistoryId });
+
+    const addedMessages = new Map();
+    let pageToken;
+
+    try {
+      do {
+        const response = await this.gmail.users.history.list({
+          userId: "me",
+          startHistoryId,
+          historyTypes: ["messageAdded"],
+          pageToken,
+        });
+
+        (response.data.history || []).forEach((record) => {
+          (record.messagesAdded || []).forEach(({ message }) => {
+            const labels = message.labelIds || [];
+            if (labels.includes("SENT") || labels.includes("DRAFT")) return;
+            addedMessages.set(message.id, message);
+          });
+        });
+
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (status === 404) {
+        historyLogger.debug("History expired, falling back to date window", {
+          startHistoryId,
+        });
+        return null;
+      }
+      throw error;
+    }
+
+    historyLogger.debug("Messages added since last sync", {
+      added: addedMessages.size,
+    });
+
+    const { trustedSources, positiveSubjects, negativeSubjects } =
+      this.getSearchCriteria();
+    const allSources = [...trustedSources.ecommerce, ...trustedSources.courier];
+
+    const candidates = Array.from(addedMessages.values());
+    const matchingEmails = [];
+    const batchSize = 10;
+
+    for (let i = 0; i < candidates.length; i += batchSize) {
+      const batch = candidates.slice(i, i + batchSize);
+      const batchResults = await Promise.allSettled(
+        batch.map((message) =>
+          this.gmail.users.messages.get({
+            userId: "me",
+            id: message.id,
+            format: "metadata",
+            metadataHeaders: ["From", "Subject"],
+          })
+        )
+      );
+
+      batchResults.forEach((result) => {
+        if (result.status !== "fulfilled") {
+          // Deleted since it was added; anything else would be lost for good
+          // once the cursor moves past it, so fail the mailbox instead
+          const status = result.reason.code || result.reason.response?.status;
+          if (status === 404) return;
+          throw result.reason;
+        }
+
+        const message = result.value.data;
+        const headers = this.extractHeaders(message.payload?.headers || []);
+        if (
+          this.matchesSearchCriteria(
+            headers,
+            allSources,
+            positiveSubjects,
+            negativeSubjects
+          )
+        ) {
+          matchingEmails.push({
+            id: message.id,
+            threadId: message.threadId,
+            internalDate: message.internalDate,
+            queryCategory: "incremental",
+            queryDescription: `History since ${startHistoryId}`,
+          });
+        }
+      });
+    }
+
+    historyLogger.debug("Order emails since last sync", {
+      matching: matchingEmails.length,
+    });
+
+    return matchingEmails.sort(
+      (a, b) => parseInt(b.internalDate || 0) - parseInt(a.internalDate || 0)
+    );
+  }
+
   /**
    * Build optimized search queries using the clean approach + spam inclusion + discovered senders
    */
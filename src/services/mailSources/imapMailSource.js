@@ -0,0 +1,211 @@
+// src/services/mailSources/imapMailSource.js - ORDER MAIL OVER IMAP (Outlook, Yahoo, company mail)
+
+const { ImapFlow } = require("imapflow");
+const MailSource = require("./mailSource");
+const { parseRawEmail } = require("../../utils/parseRawEmail");
+const logger =
+  require("../../utils/logger").createModuleLogger("ImapMailSource");
+
+const REQUIRED_SETTINGS = ["host", "port", "username", "password"];
+
+/**
+ * Reads one IMAP folder (INBOX unless the settings name another) with the
+ * user's app password, from mail_accounts.imap_settings:
+ * `{host, port, secure, username, password, mailbox}`.
+ *
+ * The cursor is "<UIDVALIDITY>:<last seen UID>"; when the server resets
+ * UIDVALIDITY the stored cursor is useless and sync falls back to the date
+ * window.
+ */
+class ImapMailSource extends MailSource {
+  constructor(account) {
+    super(account);
+    this.settings = account.imap_settings || {};
+    this.client = null;
+    this.mailbox = null;
+  }
+
+  get provider() {
+    return "imap";
+  }
+
+  async verifyAccess() {
+    const missing = REQUIRED_SETTINGS.filter((key) => !this.settings[key]);
+    if (missing.length > 0) {
+      const err = new Error(`IMAP settings incomplete: ${missing.join(", ")}`);
+      err.code = "REAUTH_REQUIRED";
+      throw err;
+    }
+  }
+
+  async connect() {
+    await this.verifyAccess();
+
+    this.client = new ImapFlow({
+      host: this.settings.host,
+      port: Number(this.settings.port),
+      secure: this.settings.secure !== false,
+      auth: { user: this.settings.username, pass: this.settings.password },
+      logger: false,
+    });
+    // Socket errors after connect are reported here; without a listener
+    // they would crash the process
+    this.client.on("error", (error) =>
+      logger.warn("IMAP connection error", {
+        host: this.settings.host,
+        error: error.message,
+      })
+    );
+
+    try {
+      await this.client.connect();
+    } catch (error) {
+      this.client = null;
+      if (!error.authenticationFailed) throw error;
+
+      const err = new Error("IMAP login failed");
+      err.code = "REAUTH_REQUIRED";
+      // Same as an expired Google grant: stop scheduled retries until the
+      // user enters a working password
+      if (this.account.update && !this.account.reauth_required) {
+        await this.account.update({ reauth_required: true });
+      }
+      throw err;
+    }
+
+    this.mailbox = await this.client.mailboxOpen(
+      this.settings.mailbox || "INBOX",
+      { readOnly: true }
+    );
+  }
+
+  async disconnect() {
+    if (!this.client) return;
+    try {
+      await this.client.logout();
+    } catch (error) {
+      // Already closed by the server
+    }
+    this.client = null;
+  }
+
+  async getCursor() {
+    return `${this.mailbox.uidValidity}:${this.mailbox.uidNext - 1}`;
+  }
+
+  async searchSinceCursor(cursor) {
+    const [uidValidity, lastUid] = String(cursor).split(":");
+    if (uidValidity !== String(this.mailbox.uidValidity) || !lastUid) {
+      return null;
+    }
+
+    // "n:*" always matches the newest message, even when its UID is below n
+    const uids = (
+      (await this.client.search(
+        { uid: `${Number(lastUid) + 1}:*` },
+        { uid: true }
+      )) || []
+    ).filter((uid) => uid > Number(lastUid));
+
+    return this.filterOrderEmails(uids);
+  }
+
+  async searchByDateRange(daysToFetch, maxResults) {
+    const since = new Date();
+    since.setDate(since.getDate() - daysToFetch);
+
+    const { trustedSources } = this.getSearchCriteria();
+    const senders = [...trustedSources.ecommerce, ...trustedSources.courier];
+
+    const uids =
+      (await this.client.search(
+        { since, or: senders.map((from) => ({ from })) },
+        { uid: true }
+      )) || [];
+
+    const refs = await this.filterOrderEmails(uids);
+    return refs.slice(0, maxResults);
+  }
+
+  /**
+   * Refs for the UIDs whose sender and subject pass the shared search
+   * criteria, newest first
+   */
+  async filterOrderEmails(uids) {
+    if (uids.length === 0) return [];
+
+    const { trustedSources, positiveSubjects, negativeSubjects } =
+      this.getSearchCriteria();
+    const senders = [...trustedSources.ecommerce, ...trustedSources.courier];
+    const refs = [];
+
+    for await (const message of this.client.fetch(
+      uids,
+      { envelope: true, internalDate: true },
+      { uid: true }
+    )) {
+      const sender = message.envelope?.from?.[0];
+      const headers = {
+        from: sender ? `${sender.name || ""} <${sender.address}>` : "",
+        subject: message.envelope?.subject || "",
+      };
+      if (
+        !this.matchesSearchCriteria(
+          headers,
+          senders,
+          positiveSubjects,
+          negativeSubjects
+        )
+      ) {
+        continue;
+      }
+
+      const messageId = message.envelope.messageId;
+      refs.push({
+        // Message-ID survives moves between folders; UIDs do not
+        id: messageId
+          ? messageId.replace(/^<|>$/g, "")
+          : `imap-${this.mailbox.uidValidity}-${message.uid}`,
+        uid: message.uid,
+        internalDate: String(message.internalDate.getTime()),
+      });
+    }
+
+    return refs.sort(
+      (a, b) => parseInt(b.internalDate) - parseInt(a.internalDate)
+    );
+  }
+
+  async fetchMessages(refs) {
+    if (refs.length === 0) return [];
+
+    const refsByUid = new Map(refs.map((ref) => [ref.uid, ref]));
+    const emails = [];
+
+    for await (const message of this.client.fetch(
+      [...refsByUid.keys()],
+      { source: true },
+      { uid: true }
+    )) {
+      const ref = refsByUid.get(message.uid);
+      if (!ref) continue;
+
+      try {
+        emails.push({
+          ...parseRawEmail(message.source),
+          id: ref.id,
+          internalDate: ref.internalDate,
+        });
+      } catch (error) {
+        logger.error("Failed to parse IMAP message", {
+          uid: message.uid,
+          error: error.message,
+        });
+      }
+    }
+
+    return emails;
+  }
+}
+
+module.exports = ImapMailSource;
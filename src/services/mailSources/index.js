@@ -0,0 +1,31 @@
+// src/services/mailSources/index.js - PICK THE MAILBOX IMPLEMENTATION FOR AN ACCOUNT
+
+const GmailService = require("../gmailService");
+const ImapMailSource = require("./imapMailSource");
+const MailSource = require("./mailSource");
+const { MAIL_PROVIDER } = require("../../constants");
+
+const MAIL_SOURCES = {
+  [MAIL_PROVIDER.GMAIL]: GmailService,
+  [MAIL_PROVIDER.IMAP]: ImapMailSource,
+};
+
+/**
+ * The mail source for a connected mailbox (mail_accounts.provider)
+ * @param {Object} account - MailAccount row
+ * @returns {MailSource}
+ */
+function createMailSource(account) {
+  const provider = account.provider || MAIL_PROVIDER.GMAIL;
+  const Source = MAIL_SOURCES[provider];
+  if (!Source) {
+    throw new Error(`Unknown mail provider: ${provider}`);
+  }
+  return new Source(account);
+}
+
+module.exports = {
+  createMailSource,
+  MailSource,
+  ImapMailSource,
+};
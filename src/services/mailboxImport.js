@@ -0,0 +1,130 @@
+// src/services/mailboxImport.js - IMPORT .eml / .mbox FILES THROUGH THE SYNC PIPELINE
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseRawEmail } = require("../utils/parseRawEmail");
+const { splitMbox, isMbox } = require("../utils/parseMbox");
+const { extractTextContent } = require("../utils/htmlCleaner");
+
+// Uploads wait here until a sync worker imports them; instances that share
+// the sync queue must share this directory too
+const IMPORT_UPLOAD_DIR =
+  process.env.IMPORT_UPLOAD_DIR || path.join(os.tmpdir(), "mailbox-imports");
+
+// Lines that open an inline forward (Gmail / Outlook web, Apple Mail)
+const FORWARD_MARKERS = [
+  /^-{5,}\s*Forwarded message\s*-{5,}$/im,
+  /^Begin forwarded message:\s*$/im,
+];
+
+// Header lines quoted under the marker, e.g. "Date: Sat, 10 Oct 2026 at 7:42 PM"
+const QUOTED_HEADER = /^(From|Date|Sent|Subject|To|Cc):\s*(.*)$/i;
+
+/**
+ * The order email inside a forward, so the parsers see the shop as sender.
+ * Forwards sent as attachments are replaced by the attached messages;
+ * inline forwards take From, Subject and Date from the quoted header block
+ * and keep the wrapper's body, which contains the original.
+ * @returns {Object[]} Messages in parseRawEmail's shape
+ */
+function unwrapForwardedEmail(message) {
+  if (message.attachedMessages.length > 0) {
+    return message.attachedMessages.flatMap((raw) =>
+      unwrapForwardedEmail(parseRawEmail(raw))
+    );
+  }
+
+  const text = message.body.text || extractTextContent(message.body.html);
+  const marker = FORWARD_MARKERS.map((pattern) => text.match(pattern)).find(
+    Boolean
+  );
+  if (!marker) return [message];
+
+  const quoted = {};
+  const lines = text
+    .slice(marker.index + marker[0].length)
+    .split("\n")
+    .map((line) => line.trim());
+  for (const line of lines.slice(lines.findIndex(Boolean))) {
+    const header = line.match(QUOTED_HEADER);
+    if (!header) break;
+    quoted[header[1].toLowerCase()] = header[2].trim();
+  }
+  if (!quoted.from) return [message];
+
+  // Gmail writes "Sat, 10 Oct 2026 at 7:42 PM", which Date cannot read
+  const date = Date.parse(
+    (quoted.date || quoted.sent || "").replace(" at ", " ")
+  );
+
+  return [
+    {
+      ...message,
+      internalDate: isNaN(date) ? message.internalDate : String(date),
+      headers: {
+        ...message.headers,
+        from: quoted.from,
+        subject: quoted.subject || message.headers.subject,
+        date: isNaN(date) ? message.headers.date : new Date(date).toUTCString(),
+      },
+    },
+  ];
+}
+
+// Stored names are multer's random file names, never a caller's path
+const uploadPath = (upload) =>
+  path.join(IMPORT_UPLOAD_DIR, path.basename(upload.file));
+
+/**
+ * Messages in the uploaded files, read from disk one file at a time. A
+ * message that appears twice (the same Message-ID in two files) is kept once.
+ * @param {Array<{name: string, file: string}>} uploads - Original and stored
+ *   file names, as recorded on the import sync's metadata.import.uploads
+ * @returns {Promise<{emails: Object[], files: Array<{name: string,
+ *   messages: number, unreadable: number}>}>}
+ */
+async function readMailboxFiles(uploads) {
+  const emails = new Map();
+  const summaries = [];
+
+  for (const upload of uploads) {
+    const buffer = await fs.promises.readFile(uploadPath(upload));
+    const raws = isMbox(buffer) ? splitMbox(buffer) : [buffer];
+    const summary = { name: upload.name, messages: 0, unreadable: 0 };
+
+    for (const raw of raws) {
+      try {
+        for (const email of unwrapForwardedEmail(parseRawEmail(raw))) {
+          if (!email.headers.from) {
+            summary.unreadable++;
+            continue;
+          }
+          emails.set(email.id, email);
+          summary.messages++;
+        }
+      } catch (error) {
+        summary.unreadable++;
+      }
+    }
+    summaries.push(summary);
+  }
+
+  return { emails: [...emails.values()], files: summaries };
+}
+
+/**
+ * Delete uploaded files once their import has run or been given up on
+ */
+async function discardMailboxFiles(uploads) {
+  for (const upload of uploads) {
+    await fs.promises.rm(uploadPath(upload), { force: true });
+  }
+}
+
+module.exports = {
+  IMPORT_UPLOAD_DIR,
+  readMailboxFiles,
+  discardMailboxFiles,
+  unwrapForwardedEmail,
+};
@@ -0,0 +1,58 @@
+// src/services/notificationEvents.js - IN-PROCESS BUS FOR USER NOTIFICATIONS
+
+const { EventEmitter } = require("events");
+const logger =
+  require("../utils/logger").createModuleLogger("NotificationEvents");
+
+const NOTIFICATION_EVENT = "notification";
+const NOTIFICATION_FLUSH_EVENT = "notification_flush";
+
+/**
+ * Jobs publish user notifications here; delivery channels subscribe with
+ * `notificationEvents.on(NOTIFICATION_EVENT, listener)`. Each event is
+ * `{type, userId, data, createdAt}` with a NOTIFICATION_TYPE type.
+ * Channels that batch (push) hold a user's notifications until the
+ * publisher calls flush(userId) or a quiet period passes.
+ */
+class NotificationEvents extends EventEmitter {
+  /**
+   * Publish a notification unless the user turned its type off in
+   * User.settings.notifications
+   * @returns {boolean} Whether it was published
+   */
+  notify(user, type, data = {}) {
+    if (!user.wantsNotification(type)) {
+      logger.debug("Notification turned off by user", {
+        userId: user.id,
+        type,
+      });
+      return false;
+    }
+
+    this.emit(NOTIFICATION_EVENT, {
+      type,
+      userId: user.id,
+      data,
+      createdAt: new Date(),
+    });
+    logger.info("Notification published", { userId: user.id, type });
+    return true;
+  }
+
+  /**
+   * A burst of notifications for the user, such as one sync's, is complete
+   */
+  flush(userId) {
+    this.emit(NOTIFICATION_FLUSH_EVENT, { userId });
+  }
+}
+
+// Export singleton instance
+const notificationEvents = new NotificationEvents();
+
+module.exports = {
+  notificationEvents,
+  NotificationEvents,
+  NOTIFICATION_EVENT,
+  NOTIFICATION_FLUSH_EVENT,
+};
@@ -0,0 +1,42 @@
+// src/services/parserDryRun.js - RUN THE PARSERS ON ONE EMAIL WITHOUT TOUCHING THE DATABASE
+
+const { parserFactory } = require("./parsers");
+const syncService = require("./syncService");
+
+/**
+ * Parse an email exactly as sync would, stopping before anything is stored
+ * @param {Object} email - {from, subject, html, text, date, messageId}
+ * @returns {{platform: string|null, parser: Object|null, reason: string|null,
+ *   error: string|null, result: Object|null, normalized: Object|null,
+ *   validationError: string|null, confidence: number|null, trace: Object[]}}
+ *   `trace` holds the extraction steps
+ */
+function dryRunParse(email) {
+  const details = parserFactory.parseEmailWithDetails(email);
+  let normalized = { parsedData: null, error: null };
+  try {
+    normalized = syncService.normalizeParsedData(details.result);
+  } catch (error) {
+    normalized.error = error.message;
+  }
+  const { trace, ...result } = details.result || {};
+
+  return {
+    platform: details.platform,
+    parser: details.parser && {
+      platform: details.parser.platform,
+      senderDomains: details.parser.senderDomains,
+      priority: details.parser.priority,
+      fallback: !!details.parser.fallback,
+    },
+    reason: details.reason,
+    error: details.error || null,
+    result: details.result && result,
+    normalized: normalized.parsedData,
+    validationError: normalized.error,
+    confidence: details.result?.confidence ?? null,
+    trace: details.trace.steps,
+  };
+}
+
+module.exports = { dryRunParse };
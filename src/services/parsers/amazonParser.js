@@ -1,38 +1,116 @@
 const { cleanHtml, extractTextContent } = require("../../utils/htmlCleaner");
 const { extractAmount, formatAmount } = require("../../utils/amountExtractor");
+const { NullTrace } = require("./extractionTrace");
+const {
+  detectReturnRefundType,
+  isReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+} = require("./returnRefund");
 
 class AmazonParser {
   constructor() {
     this.platform = "amazon";
+    this.senderDomains = ["amazon.in", "amazon.com"];
+    this.priority = 50;
+    this.trace = new NullTrace();
+  }
+
+  /**
+   * Amazon mail whose subject looks like an order update; promotional mail
+   * is rejected even when it mentions an order
+   */
+  canParse(emailData) {
+    if (!emailData.from || !emailData.subject) return false;
+
+    const from = emailData.from.toLowerCase();
+    const subject = emailData.subject.toLowerCase();
+
+    // Must be from Amazon
+    const isAmazon =
+      from.includes("amazon.in") ||
+      from.includes("amazon.com") ||
+      from.includes("@amazon");
+
+    if (!isAmazon) {
+      return false;
+    }
+
+    // Must have order indicators
+    const orderIndicators = [
+      "order",
+      "delivered",
+      "shipped",
+      "dispatched",
+      "tracking",
+      "confirmation",
+      "package",
+      "delivery",
+      "shipment",
+      "ordered:",
+      "shipped:",
+      "delivered:",
+      "regarding your recent order",
+      "return",
+      "refund",
+    ];
+
+    const hasOrderKeyword = orderIndicators.some((keyword) =>
+      subject.includes(keyword)
+    );
+
+    // Reject promotional emails
+    const rejectPatterns = [
+      "newsletter",
+      "recommendation",
+      "deals",
+      "offer",
+      "discount",
+      "sale",
+      "wishlist",
+      "browse",
+      "explore",
+      "subscribe",
+      "unsubscribe",
+    ];
+
+    const isPromo = rejectPatterns.some((pattern) => subject.includes(pattern));
+
+    if (isPromo) {
+      return false;
+    }
+
+    return hasOrderKeyword;
   }
 
   /**
    * 🎯 COMPLETELY ENHANCED: Parse Amazon emails with MAXIMUM product extraction
    */
-  parse(emailData) {
-    console.log("🛒 Amazon: Starting ENHANCED V2 parsing...");
-    console.log(`📧 Subject: ${emailData.subject}`);
-    console.log(`📧 From: ${emailData.from}`);
+  parse(emailData, trace = new NullTrace()) {
+    // The extract* helpers record into this.trace. Parsing is synchronous,
+    // so the shared parser instance only ever holds one email's trace.
+    this.trace = trace;
 
     try {
       // Step 1: Clean HTML content
       const cleanContent = cleanHtml(emailData.html || emailData.text || "");
-      console.log("✅ Amazon: HTML cleaned successfully");
 
       // Step 2: Detect email type
-      const emailType = this.detectEmailType(emailData.subject, cleanContent);
-      console.log(`📧 Amazon: Email type detected - ${emailType}`);
+      const emailType = this.trace.record({
+        field: "emailType",
+        strategy: "detectEmailType",
+        chosen: this.detectEmailType(emailData.subject, cleanContent),
+      });
 
       // Step 3: Extract order ID(s)
       const orderIds = this.extractAllOrderIds(cleanContent, emailData.subject);
 
       if (orderIds.length === 0) {
-        console.log("❌ Amazon: No order IDs found");
         return null;
       }
 
       const primaryOrderId = orderIds[0];
-      console.log(`🎯 Amazon: Processing primary order - ${primaryOrderId}`);
 
       // Step 4: 🔧 ENHANCED: Multi-source product extraction
       const products = this.extractProductsEnhanced(
@@ -42,12 +120,15 @@ class AmazonParser {
         primaryOrderId
       );
 
-      // Step 5: 🔧 ENHANCED: Multi-source amount extraction
-      const amount = this.extractAmountEnhanced(
-        cleanContent,
-        emailData.subject,
-        emailType
-      );
+      // Step 5: 🔧 ENHANCED: Multi-source amount extraction. A return or
+      // refund mail's amount is the refund, not the order total.
+      const amount = isReturnRefundType(emailType)
+        ? null
+        : this.extractAmountEnhanced(
+            cleanContent,
+            emailData.subject,
+            emailType
+          );
 
       // Step 6: Extract additional data
       const trackingId = this.extractTrackingId(cleanContent);
@@ -65,6 +146,8 @@ class AmazonParser {
         status: status,
         trackingId: trackingId,
         emailType: emailType,
+        refund: extractRefundDetails(emailType, cleanContent),
+        returnBy: extractReturnDeadline(cleanContent, emailData.date),
         confidence: this.calculateEnhancedConfidence(
           primaryOrderId,
           amount,
@@ -86,20 +169,16 @@ class AmazonParser {
         },
       };
 
-      console.log("📊 Amazon: ENHANCED V2 parsing result:", {
-        orderId: orderInfo.orderId,
-        amount: orderInfo.amount,
-        productName: orderInfo.products[0]?.name?.substring(0, 40),
-        status: orderInfo.status,
-        emailType: orderInfo.emailType,
-        confidence: orderInfo.confidence,
-        extractionQuality: orderInfo.extractionMetadata.extractionQuality,
-      });
-
       return orderInfo;
     } catch (error) {
-      console.error("❌ Amazon parser error:", error);
+      this.trace.record({
+        field: "parser",
+        strategy: "parse",
+        note: `failed: ${error.message}`,
+      });
       return null;
+    } finally {
+      this.trace = new NullTrace();
     }
   }
 
@@ -107,64 +186,45 @@ class AmazonParser {
    * 🎯 COMPLETELY ENHANCED: Multi-source product extraction with aggressive fallbacks
    */
   extractProductsEnhanced(subject, content, emailType, orderId) {
-    console.log(`🎯 Amazon: ENHANCED multi-source product extraction...`);
-
-    // METHOD 1: Subject line extraction (highest priority)
-    console.log(`🔍 Method 1: Subject line extraction...`);
-    const subjectProducts = this.extractProductFromSubjectEnhanced(subject);
-    if (
-      subjectProducts.length > 0 &&
-      this.hasRealProductName(subjectProducts)
-    ) {
-      console.log(`✅ SUCCESS: Found real product in subject`);
-      return subjectProducts;
-    }
-
-    // METHOD 2: Content structured patterns
-    console.log(`🔍 Method 2: Content structured patterns...`);
-    const contentProducts = this.extractProductFromContentEnhanced(
-      content,
-      orderId
-    );
-    if (
-      contentProducts.length > 0 &&
-      this.hasRealProductName(contentProducts)
-    ) {
-      console.log(`✅ SUCCESS: Found real product in content`);
-      return contentProducts;
-    }
+    // Methods from most to least trusted; the first real product name wins
+    const methods = [
+      [
+        "extractProductFromSubjectEnhanced",
+        () => this.extractProductFromSubjectEnhanced(subject),
+      ],
+      [
+        "extractProductFromContentEnhanced",
+        () => this.extractProductFromContentEnhanced(content, orderId),
+      ],
+      [
+        "extractProductAggressiveFromSubject",
+        () => this.extractProductAggressiveFromSubject(subject),
+      ],
+      [
+        "extractProductFromKeywords",
+        () => this.extractProductFromKeywords(content),
+      ],
+    ];
 
-    // METHOD 3: Aggressive subject parsing (lower standards)
-    console.log(`🔍 Method 3: Aggressive subject parsing...`);
-    const aggressiveProducts =
-      this.extractProductAggressiveFromSubject(subject);
-    if (
-      aggressiveProducts.length > 0 &&
-      this.hasRealProductName(aggressiveProducts)
-    ) {
-      console.log(`✅ SUCCESS: Found product with aggressive parsing`);
-      return aggressiveProducts;
-    }
+    for (const [strategy, extract] of methods) {
+      const products = extract();
+      const accepted = products.length > 0 && this.hasRealProductName(products);
 
-    // METHOD 4: Content keyword search
-    console.log(`🔍 Method 4: Content keyword search...`);
-    const keywordProducts = this.extractProductFromKeywords(content);
-    if (
-      keywordProducts.length > 0 &&
-      this.hasRealProductName(keywordProducts)
-    ) {
-      console.log(`✅ SUCCESS: Found product via keyword search`);
-      return keywordProducts;
+      this.trace.record({
+        field: "products",
+        strategy,
+        candidates: products.map((product) => product.name),
+        chosen: accepted ? products.map((product) => product.name) : null,
+      });
+      if (accepted) return products;
     }
 
     // METHOD 5: Create intelligent fallback
-    console.log(`🔍 Method 5: Creating intelligent fallback...`);
     const intelligentFallback = this.createIntelligentFallback(
       subject,
       orderId,
       emailType
     );
-    console.log(`📋 FALLBACK: Using intelligent fallback product name`);
     return [intelligentFallback];
   }
 
@@ -174,8 +234,6 @@ class AmazonParser {
   extractProductFromSubjectEnhanced(subject) {
     if (!subject) return [];
 
-    console.log(`🎯 Amazon: ENHANCED subject extraction: "${subject}"`);
-
     // 🔧 COMPREHENSIVE Amazon subject patterns
     const enhancedSubjectPatterns = [
       // Standard Amazon formats
@@ -208,16 +266,18 @@ class AmazonParser {
 
       if (match) {
         const productName = match[1].trim();
-        console.log(
-          `🔍 Amazon: Enhanced pattern ${i + 1} matched: "${productName}"`
-        );
-
         const cleanName = this.cleanProductNameEnhanced(productName);
+        const isValid = this.isValidProductNameEnhanced(cleanName);
 
-        if (this.isValidProductNameEnhanced(cleanName)) {
-          console.log(
-            `✅ Amazon: VALID enhanced product from subject - "${cleanName}"`
-          );
+        this.trace.record({
+          field: "productName",
+          strategy: "extractProductFromSubjectEnhanced",
+          pattern,
+          candidates: [productName],
+          chosen: isValid ? cleanName : null,
+        });
+
+        if (isValid) {
           return [
             {
               name: cleanName,
@@ -241,8 +301,6 @@ class AmazonParser {
   extractProductAggressiveFromSubject(subject) {
     if (!subject) return [];
 
-    console.log(`🎯 Amazon: Aggressive subject parsing: "${subject}"`);
-
     // Remove common Amazon prefixes/suffixes to isolate product name
     let cleanSubject = subject
       .replace(/^.*?Amazon\.in[^:]*:\s*/i, "") // Remove "Amazon.in order update:"
@@ -257,15 +315,10 @@ class AmazonParser {
       .replace(/\.{2,}.*$/, "") // Remove ellipsis and everything after
       .trim();
 
-    console.log(`🧹 Cleaned subject: "${cleanSubject}"`);
-
     if (cleanSubject.length >= 5 && cleanSubject.length <= 100) {
       const finalName = this.cleanProductNameEnhanced(cleanSubject);
 
       if (this.isValidProductNameAggressive(finalName)) {
-        console.log(
-          `✅ Amazon: AGGRESSIVE extraction success - "${finalName}"`
-        );
         return [
           {
             name: finalName,
@@ -285,8 +338,6 @@ class AmazonParser {
    * 🔧 NEW: Extract products from content keywords
    */
   extractProductFromKeywords(content) {
-    console.log(`🔍 Amazon: Keyword-based product extraction...`);
-
     // Look for common product name indicators in content
     const keywordPatterns = [
       // Product name after "Item:" or "Product:"
@@ -325,8 +376,6 @@ class AmazonParser {
               confidence: 75,
               source: "content_keywords",
             });
-
-            console.log(`✅ Amazon keyword product: ${cleanName}`);
           }
         }
       }
@@ -339,32 +388,26 @@ class AmazonParser {
    * 🔧 ENHANCED: Multi-source amount extraction
    */
   extractAmountEnhanced(content, subject, emailType) {
-    console.log(`💰 Amazon: ENHANCED amount extraction for ${emailType}...`);
-
     let amount = null;
 
     // METHOD 1: Primary content extraction
     amount = this.extractAmountFromContent(content, emailType);
     if (amount && amount > 0) {
-      console.log(`✅ Amount from content: ₹${amount}`);
       return amount;
     }
 
     // METHOD 2: Subject line extraction (sometimes Amazon puts total in subject)
     amount = this.extractAmountFromSubject(subject);
     if (amount && amount > 0) {
-      console.log(`✅ Amount from subject: ₹${amount}`);
       return amount;
     }
 
     // METHOD 3: Aggressive content search
     amount = this.extractAmountAggressive(content);
     if (amount && amount > 0) {
-      console.log(`✅ Amount from aggressive search: ₹${amount}`);
       return amount;
     }
 
-    console.log("❌ Amazon: No amount found with any method");
     return null;
   }
 
@@ -454,16 +497,22 @@ class AmazonParser {
       foundAmounts.sort(
         (a, b) => b.priority - a.priority || b.amount - a.amount
       );
-      const selectedAmount = foundAmounts[0].amount;
-
-      console.log(`✅ Amazon: Selected amount ₹${selectedAmount}`);
-      console.log(`   Method: ${foundAmounts[0].patternName}`);
-      console.log(`   Context: ${foundAmounts[0].context}`);
-
-      return selectedAmount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractAmountFromContent",
+        pattern: foundAmounts[0].patternName,
+        candidates: foundAmounts.map(
+          ({ amount, patternName }) => `${patternName}: ${amount}`
+        ),
+        chosen: foundAmounts[0].amount,
+        note: foundAmounts[0].context,
+      });
     }
 
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractAmountFromContent",
+    });
   }
 
   /**
@@ -483,13 +532,20 @@ class AmazonParser {
       for (const match of matches) {
         const amount = parseFloat(match[1].replace(/,/g, ""));
         if (!isNaN(amount) && amount > 10 && amount < 500000) {
-          console.log(`💰 Amazon: Amount from subject ₹${amount}`);
-          return amount;
+          return this.trace.record({
+            field: "amount",
+            strategy: "extractAmountFromSubject",
+            pattern,
+            chosen: amount,
+          });
         }
       }
     }
 
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractAmountFromSubject",
+    });
   }
 
   /**
@@ -525,12 +581,20 @@ class AmazonParser {
       const reasonableAmounts = amounts.filter((a) => a >= 50 && a <= 50000);
       if (reasonableAmounts.length > 0) {
         const selectedAmount = reasonableAmounts.sort((a, b) => b - a)[0]; // Prefer larger reasonable amounts
-        console.log(`💰 Amazon: Aggressive amount ₹${selectedAmount}`);
-        return selectedAmount;
+        return this.trace.record({
+          field: "amount",
+          strategy: "extractAmountAggressive",
+          candidates: amounts,
+          chosen: selectedAmount,
+        });
       }
     }
 
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractAmountAggressive",
+      candidates: amounts,
+    });
   }
 
   /**
@@ -580,10 +644,6 @@ class AmazonParser {
               confidence: 85,
               source: "content_enhanced",
             });
-
-            console.log(
-              `✅ Amazon enhanced content product: ${cleanName} - ₹${price}`
-            );
           }
         }
       }
@@ -596,8 +656,6 @@ class AmazonParser {
    * 🔧 NEW: Create intelligent fallback product name
    */
   createIntelligentFallback(subject, orderId, emailType) {
-    console.log(`🧠 Amazon: Creating intelligent fallback...`);
-
     // Try to extract ANY meaningful text from subject
     if (subject) {
       // Look for capitalized words that could be brand names
@@ -612,9 +670,12 @@ class AmazonParser {
             const fallbackName = `${cleanHint} (${this.getEmailTypeDescription(
               emailType
             )})`;
-            console.log(
-              `🎯 Amazon: Intelligent fallback with hint - "${fallbackName}"`
-            );
+            this.trace.record({
+              field: "products",
+              strategy: "createIntelligentFallback",
+              note: "brand hint from subject",
+              chosen: [fallbackName],
+            });
             return {
               name: fallbackName,
               quantity: 1,
@@ -637,9 +698,12 @@ class AmazonParser {
             const fallbackName = `${cleanSequence} (${this.getEmailTypeDescription(
               emailType
             )})`;
-            console.log(
-              `🎯 Amazon: Intelligent fallback with sequence - "${fallbackName}"`
-            );
+            this.trace.record({
+              field: "products",
+              strategy: "createIntelligentFallback",
+              note: "text sequence from subject",
+              chosen: [fallbackName],
+            });
             return {
               name: fallbackName,
               quantity: 1,
@@ -656,7 +720,12 @@ class AmazonParser {
     const finalFallback = `Amazon ${this.getEmailTypeDescription(
       emailType
     )} ${orderId}`;
-    console.log(`📋 Amazon: Using final fallback - "${finalFallback}"`);
+    this.trace.record({
+      field: "products",
+      strategy: "createIntelligentFallback",
+      note: "no product name in email",
+      chosen: [finalFallback],
+    });
 
     return {
       name: finalFallback,
@@ -682,6 +751,9 @@ class AmazonParser {
         return "Out for Delivery";
       case "feedback_request":
         return "Item";
+      case "return_requested":
+      case "return_pickup_scheduled":
+        return "Returned Item";
       default:
         return "Item";
     }
@@ -919,12 +991,7 @@ class AmazonParser {
     const start = Math.max(0, orderIdIndex - 1200);
     const end = Math.min(content.length, orderIdIndex + 1200);
 
-    const section = content.substring(start, end);
-    console.log(
-      `📄 Amazon: Extracted section for ${orderId} (${section.length} chars)`
-    );
-
-    return section;
+    return content.substring(start, end);
   }
 
   /**
@@ -947,7 +1014,6 @@ class AmazonParser {
         for (const match of matches) {
           if (this.isValidAmazonOrderId(match[1])) {
             orderIds.add(match[1]);
-            console.log(`🎯 Amazon: Order ID from subject - ${match[1]}`);
           }
         }
       }
@@ -959,16 +1025,17 @@ class AmazonParser {
       for (const match of matches) {
         if (this.isValidAmazonOrderId(match[1])) {
           orderIds.add(match[1]);
-          console.log(`📄 Amazon: Order ID from content - ${match[1]}`);
         }
       }
     }
 
-    console.log(
-      `📋 Amazon: Found ${orderIds.size} order IDs: ${Array.from(orderIds).join(
-        ", "
-      )}`
-    );
+    // Subject matches were added first, so they are preferred
+    this.trace.record({
+      field: "orderId",
+      strategy: "extractAllOrderIds",
+      candidates: [...orderIds],
+      chosen: [...orderIds][0] || null,
+    });
     return Array.from(orderIds);
   }
 
@@ -1005,6 +1072,10 @@ class AmazonParser {
     const subjectLower = subject.toLowerCase();
     const contentLower = content.toLowerCase();
 
+    // Returns and refunds first: their mails quote the order total too
+    const returnRefundType = detectReturnRefundType(subject, content);
+    if (returnRefundType) return returnRefundType;
+
     // Order confirmation emails (highest priority - usually has amounts)
     if (
       subjectLower.includes("ordered:") ||
@@ -1069,8 +1140,12 @@ class AmazonParser {
     for (const pattern of trackingPatterns) {
       const match = content.match(pattern);
       if (match && match[1]) {
-        console.log(`📦 Amazon: Found tracking ID - ${match[1]}`);
-        return match[1];
+        return this.trace.record({
+          field: "trackingId",
+          strategy: "extractTrackingId",
+          pattern,
+          chosen: match[1],
+        });
       }
     }
 
@@ -1087,11 +1162,13 @@ class AmazonParser {
     for (const pattern of datePatterns) {
       const match = content.match(pattern);
       if (match) {
-        const extractedDate = new Date(match[1]);
-        console.log(
-          `📅 Amazon: Extracted order date - ${extractedDate.toDateString()}`
-        );
-        return extractedDate;
+        return this.trace.record({
+          field: "orderDate",
+          strategy: "extractOrderDate",
+          pattern,
+          candidates: [match[1]],
+          chosen: new Date(match[1]),
+        });
       }
     }
 
@@ -1112,72 +1189,8 @@ class AmazonParser {
       case "feedback_request":
         return "delivered";
       default:
-        return "unknown";
-    }
-  }
-
-  /**
-   * 🔧 ENHANCED: Email validation
-   */
-  static canParse(emailData) {
-    if (!emailData.from || !emailData.subject) return false;
-
-    const from = emailData.from.toLowerCase();
-    const subject = emailData.subject.toLowerCase();
-
-    // Must be from Amazon
-    const isAmazon =
-      from.includes("amazon.in") ||
-      from.includes("amazon.com") ||
-      from.includes("@amazon");
-
-    if (!isAmazon) {
-      return false;
+        return statusForReturnRefundType(emailType) || "unknown";
     }
-
-    // Must have order indicators
-    const orderIndicators = [
-      "order",
-      "delivered",
-      "shipped",
-      "dispatched",
-      "tracking",
-      "confirmation",
-      "package",
-      "delivery",
-      "shipment",
-      "ordered:",
-      "shipped:",
-      "delivered:",
-      "regarding your recent order",
-    ];
-
-    const hasOrderKeyword = orderIndicators.some((keyword) =>
-      subject.includes(keyword)
-    );
-
-    // Reject promotional emails
-    const rejectPatterns = [
-      "newsletter",
-      "recommendation",
-      "deals",
-      "offer",
-      "discount",
-      "sale",
-      "wishlist",
-      "browse",
-      "explore",
-      "subscribe",
-      "unsubscribe",
-    ];
-
-    const isPromo = rejectPatterns.some((pattern) => subject.includes(pattern));
-
-    if (isPromo) {
-      return false;
-    }
-
-    return hasOrderKeyword;
   }
 
   // Legacy compatibility methods
@@ -0,0 +1,207 @@
+// src/services/parsers/baseCourierParser.js
+
+const BaseParser = require("./baseParser");
+const { cleanHtml } = require("../../utils/htmlCleaner");
+const { ORDER_STATUS } = require("../../constants");
+const logger =
+  require("../../utils/logger").createModuleLogger("CourierParser");
+
+// Checked in order: the first matching status wins. A bare "delivered" is
+// only trusted in the subject; bodies say "will be delivered by ..." too.
+const SHIPMENT_STATUS_KEYWORDS = [
+  {
+    status: ORDER_STATUS.RETURNED,
+    keywords: ["return to origin", "returned to origin", "return to sender"],
+  },
+  {
+    status: ORDER_STATUS.OUT_FOR_DELIVERY,
+    keywords: ["out for delivery"],
+  },
+  {
+    status: ORDER_STATUS.DELIVERED,
+    keywords: ["has been delivered", "was delivered", "successfully delivered"],
+    subjectKeywords: ["delivered"],
+  },
+  {
+    status: ORDER_STATUS.SHIPPED,
+    keywords: [
+      "in transit",
+      "shipped",
+      "dispatched",
+      "picked up",
+      "booked",
+      "reached",
+    ],
+  },
+];
+
+const SHIPMENT_KEYWORDS = [
+  "shipment",
+  "consignment",
+  "awb",
+  "waybill",
+  "tracking",
+  "parcel",
+  "package",
+  "delivered",
+  "out for delivery",
+  "in transit",
+  "dispatched",
+  "picked up",
+];
+
+const PROMOTIONAL_KEYWORDS = ["offer", "discount", "cashback", "newsletter"];
+
+/**
+ * Shared logic for courier emails. Courier parsers return the common parser
+ * result with `resultType: "shipment"`: they carry a tracking number and a
+ * delivery status rather than an order, and sync attaches them to the order
+ * with the same tracking number.
+ */
+class BaseCourierParser extends BaseParser {
+  /**
+   * @param {string} platform - Must match the `<platform>Parser.js` file name
+   * @param {Object} options
+   * @param {string} options.carrierName - Display name stored on shipments
+   * @param {string[]} options.senderDomains
+   * @param {RegExp} options.trackingIdPattern - Carrier's tracking number format
+   */
+  constructor(platform, { carrierName, senderDomains, trackingIdPattern }) {
+    super(platform, { senderDomains, priority: 40 });
+    this.carrierName = carrierName;
+    this.trackingIdPattern = trackingIdPattern;
+    this.resultType = "shipment";
+  }
+
+  canParse(email) {
+    const subject = email.subject?.toLowerCase() || "";
+
+    if (PROMOTIONAL_KEYWORDS.some((keyword) => subject.includes(keyword))) {
+      return false;
+    }
+
+    return SHIPMENT_KEYWORDS.some((keyword) => subject.includes(keyword));
+  }
+
+  parse(email) {
+    const subject = email.subject || "";
+    const content = cleanHtml(email.html || "") || email.text || "";
+
+    const trackingId = this.extractTrackingId(subject, content);
+    if (!trackingId) {
+      logger.debug("No tracking number found", { carrier: this.carrierName });
+      return null;
+    }
+
+    const status = this.extractShipmentStatus(subject, content);
+    logger.debug("Parsed courier email", {
+      carrier: this.carrierName,
+      trackingId,
+      status,
+    });
+
+    return {
+      platform: this.platform,
+      resultType: this.resultType,
+      orderId: this.extractOrderReference(content),
+      amount: null,
+      products: [],
+      orderDate: null,
+      status,
+      trackingId,
+      carrierName: this.carrierName,
+      expectedDelivery: this.extractExpectedDelivery(content),
+      location: this.extractLocation(content),
+      emailType: "shipment_update",
+      confidence: status ? 0.8 : 0.6,
+    };
+  }
+
+  /**
+   * Prefer a labelled number ("AWB No: ..."), then any number in the
+   * carrier's format, subject first
+   */
+  extractTrackingId(subject, content) {
+    const exactFormat = new RegExp(
+      `^(?:${this.trackingIdPattern.source})$`,
+      "i"
+    );
+    const labelled =
+      /(?:tracking|awb|waybill|consignment|shipment)\s*(?:no\.?|number|id|#)?\s*(?:is)?\s*[:#\-]?\s*([A-Z0-9]{8,20})\b/gi;
+
+    for (const text of [subject, content]) {
+      for (const match of text.matchAll(labelled)) {
+        if (exactFormat.test(match[1])) return match[1].toUpperCase();
+      }
+    }
+
+    for (const text of [subject, content]) {
+      const match = text.match(
+        new RegExp(`\\b(${this.trackingIdPattern.source})\\b`, "i")
+      );
+      if (match) return match[1].toUpperCase();
+    }
+
+    return null;
+  }
+
+  extractShipmentStatus(subject, content) {
+    // The subject states the current event; the body often repeats history
+    const subjectLower = subject.toLowerCase();
+    for (const {
+      status,
+      keywords,
+      subjectKeywords = [],
+    } of SHIPMENT_STATUS_KEYWORDS) {
+      if (
+        [...keywords, ...subjectKeywords].some((keyword) =>
+          subjectLower.includes(keyword)
+        )
+      ) {
+        return status;
+      }
+    }
+
+    const contentLower = content.toLowerCase();
+    for (const { status, keywords } of SHIPMENT_STATUS_KEYWORDS) {
+      if (keywords.some((keyword) => contentLower.includes(keyword))) {
+        return status;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Merchant order id when the courier mail quotes one
+   */
+  extractOrderReference(content) {
+    const match = content.match(
+      /order\s*(?:id|no\.?|number|ref(?:erence)?)\s*[:#\-]?\s*([A-Z0-9\-]{6,25})\b/i
+    );
+    return match ? match[1] : null;
+  }
+
+  extractExpectedDelivery(content) {
+    const match = content.match(
+      /(?:expected|estimated)\s+delivery(?:\s+date)?\s*(?:by|on|:)?\s*(\d{1,2}[\s\-\/][A-Za-z0-9]{2,9}[\s\-\/]\d{2,4}|[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})/i
+    );
+    if (!match) return null;
+
+    const date = new Date(match[1]);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  extractLocation(content) {
+    const match =
+      content.match(
+        /(?:current\s+)?location\s*[:\-]\s*([A-Za-z][A-Za-z ,]{2,48})/i
+      ) ||
+      content.match(
+        /(?:reached|arrived at|is at)\s+(?:the\s+)?([A-Za-z][A-Za-z ]{2,40}?)\s+(?:hub|facility|centre|center|office)/i
+      );
+    return match ? match[1].trim() : null;
+  }
+}
+
+module.exports = BaseCourierParser;
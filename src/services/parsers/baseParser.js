@@ -3,11 +3,22 @@
 const { ORDER_STATUS } = require("../../constants");
 
 /**
- * Base parser class with common functionality
+ * Base parser class with common functionality.
+ * Every parser, whether or not it extends this class, exposes the interface
+ * the ParserFactory registry checks at startup: platform, senderDomains,
+ * priority, canParse(email) and parse(email).
  */
 class BaseParser {
-  constructor(platform) {
+  /**
+   * @param {string} platform - Must match the `<platform>Parser.js` file name
+   * @param {Object} options
+   * @param {string[]} options.senderDomains - Domains whose mail this parser handles
+   * @param {number} options.priority - Higher is tried first when domains overlap
+   */
+  constructor(platform, { senderDomains = [], priority = 50 } = {}) {
     this.platform = platform;
+    this.senderDomains = senderDomains;
+    this.priority = priority;
   }
 
   /**
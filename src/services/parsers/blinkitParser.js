@@ -4,14 +4,14 @@ const BaseParser = require("./baseParser");
 
 class BlinkitParser extends BaseParser {
   constructor() {
-    super("blinkit");
+    super("blinkit", { senderDomains: ["blinkit.com"] });
   }
 
   /**
    * Check if this parser can handle the given email
    */
   canParse(email) {
-    const sender = email.sender?.toLowerCase() || "";
+    const sender = email.from?.toLowerCase() || "";
     const subject = email.subject?.toLowerCase() || "";
 
     return (
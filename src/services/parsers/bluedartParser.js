@@ -1,20 +1,18 @@
-const baseParser = require("./baseParser");
+// src/services/parsers/bluedartParser.js
 
-module.exports = {
-  parse: (html) => {
-    const trackingId = baseParser.extractTrackingId(html, /\d{11}/); // BlueDart 11-digit
+const BaseCourierParser = require("./baseCourierParser");
 
-    return {
-      source: "BlueDart",
-      orderId: trackingId || "Details not available",
-      trackingId: trackingId || "Details not available",
-      items: ["Details not available"],
-      price: "Details not available",
-      bookedAt: baseParser.extractDate(html) || "Details not available",
-      expectedDelivery:
-        baseParser.extractExpectedDelivery(html) || "Details not available",
-      deliveryStatus:
-        baseParser.extractDeliveryStatus(html) || "Details not available",
-    };
-  },
-};
+/**
+ * Blue Dart shipment update emails
+ */
+class BluedartParser extends BaseCourierParser {
+  constructor() {
+    super("bluedart", {
+      carrierName: "Blue Dart",
+      senderDomains: ["bluedart.com", "bluedart.in"],
+      trackingIdPattern: /\d{11}/, // Blue Dart waybill: 11 digits
+    });
+  }
+}
+
+module.exports = BluedartParser;
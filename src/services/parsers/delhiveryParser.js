@@ -0,0 +1,18 @@
+// src/services/parsers/delhiveryParser.js
+
+const BaseCourierParser = require("./baseCourierParser");
+
+/**
+ * Delhivery shipment update emails
+ */
+class DelhiveryParser extends BaseCourierParser {
+  constructor() {
+    super("delhivery", {
+      carrierName: "Delhivery",
+      senderDomains: ["delhivery.com"],
+      trackingIdPattern: /\d{13,14}/, // Delhivery waybill: 13-14 digits
+    });
+  }
+}
+
+module.exports = DelhiveryParser;
@@ -0,0 +1,37 @@
+// src/services/parsers/discovery.js - SINGLE SOURCE OF TRUTH FOR PARSER FILES
+
+const fs = require("fs");
+const path = require("path");
+
+const PARSERS_DIR = __dirname;
+const PARSER_FILE_PATTERN = /^(.+)Parser\.js$/;
+const NON_PARSER_FILES = ["baseParser.js", "baseCourierParser.js"];
+
+/**
+ * Find every `<platform>Parser.js` file in this directory.
+ * Only reads file names, never requires them, so constants can use it
+ * without a circular import.
+ * @returns {Array<{platform: string, file: string}>}
+ */
+function discoverParserFiles() {
+  return fs
+    .readdirSync(PARSERS_DIR)
+    .filter((file) => !NON_PARSER_FILES.includes(file))
+    .map((file) => {
+      const match = file.match(PARSER_FILE_PATTERN);
+      return match ? { platform: match[1].toLowerCase(), file } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Require a discovered parser file
+ */
+function loadParserModule(file) {
+  return require(path.join(PARSERS_DIR, file));
+}
+
+module.exports = {
+  discoverParserFiles,
+  loadParserModule,
+};
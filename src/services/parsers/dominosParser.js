@@ -4,14 +4,16 @@ const BaseParser = require("./baseParser");
 
 class DominosParser extends BaseParser {
   constructor() {
-    super("dominos");
+    super("dominos", {
+      senderDomains: ["dominos.co.in", "dominos.com", "jublfood.com"],
+    });
   }
 
   /**
    * Check if this parser can handle the given email
    */
   canParse(email) {
-    const sender = email.sender?.toLowerCase() || "";
+    const sender = email.from?.toLowerCase() || "";
     const subject = email.subject?.toLowerCase() || "";
 
     return (
@@ -238,4 +240,4 @@ class DominosParser extends BaseParser {
   }
 }
 
-module.exports = DominosParser; 
\ No newline at end of file
+module.exports = DominosParser; 
@@ -1,22 +1,18 @@
-const baseParser = require("./baseParser");
+// src/services/parsers/dtdcParser.js
 
-module.exports = {
-  parse: (html) => {
-    // Extract details from DTDC mails
-    const orderId = baseParser.extractOrderId(html, /(DTDC\d+)/i);
-    const trackingId = baseParser.extractTrackingId(html, /(DTDC\d+)/i);
+const BaseCourierParser = require("./baseCourierParser");
 
-    return {
-      source: "DTDC",
-      orderId: orderId || "Details not available",
-      trackingId: trackingId || "Details not available",
-      items: ["Details not available"],
-      price: "Details not available",
-      bookedAt: baseParser.extractDate(html) || "Details not available",
-      expectedDelivery:
-        baseParser.extractExpectedDelivery(html) || "Details not available",
-      deliveryStatus:
-        baseParser.extractDeliveryStatus(html) || "Details not available",
-    };
-  },
-};
+/**
+ * DTDC shipment update emails
+ */
+class DtdcParser extends BaseCourierParser {
+  constructor() {
+    super("dtdc", {
+      carrierName: "DTDC",
+      senderDomains: ["dtdc.in", "dtdc.com"],
+      trackingIdPattern: /[A-Z]\d{8,11}/, // DTDC consignment number, e.g. D12345678
+    });
+  }
+}
+
+module.exports = DtdcParser;
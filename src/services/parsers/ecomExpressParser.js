@@ -0,0 +1,18 @@
+// src/services/parsers/ecomExpressParser.js
+
+const BaseCourierParser = require("./baseCourierParser");
+
+/**
+ * Ecom Express shipment update emails
+ */
+class EcomExpressParser extends BaseCourierParser {
+  constructor() {
+    super("ecomexpress", {
+      carrierName: "Ecom Express",
+      senderDomains: ["ecomexpress.in"],
+      trackingIdPattern: /\d{9,10}/, // Ecom Express AWB: 9-10 digits
+    });
+  }
+}
+
+module.exports = EcomExpressParser;
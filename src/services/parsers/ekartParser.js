@@ -0,0 +1,18 @@
+// src/services/parsers/ekartParser.js
+
+const BaseCourierParser = require("./baseCourierParser");
+
+/**
+ * Ekart shipment update emails
+ */
+class EkartParser extends BaseCourierParser {
+  constructor() {
+    super("ekart", {
+      carrierName: "Ekart",
+      senderDomains: ["ekart.in", "ekartlogistics.com"],
+      trackingIdPattern: /FM[A-Z]{2}\d{10,12}/, // Ekart tracking id, e.g. FMPC1234567890
+    });
+  }
+}
+
+module.exports = EkartParser;
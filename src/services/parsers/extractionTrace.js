@@ -0,0 +1,73 @@
+// src/services/parsers/extractionTrace.js - HOW ONE EMAIL WAS PARSED, STEP BY STEP
+
+const MAX_VALUE_LENGTH = 200;
+const MAX_CANDIDATES = 10;
+
+function toTraceValue(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString();
+  }
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+}
+
+/**
+ * One step per extraction attempt: which field, which strategy, what the
+ * pattern matched and which value was kept. ParserFactory creates one per
+ * email, passes it to the parser, attaches it to the result and logs it at
+ * debug level with the sync and message ids.
+ */
+class ExtractionTrace {
+  /**
+   * @param {Object} context - Ids to log with the steps, e.g. {syncId, messageId}
+   */
+  constructor(context = {}) {
+    this.context = context;
+    this.steps = [];
+  }
+
+  /**
+   * @param {Object} step
+   * @param {string} step.field - "platform", "orderId", "amount", "products", ...
+   * @param {string} step.strategy - What ran, e.g. "extractAmountFromSubject"
+   * @param {RegExp|string} [step.pattern] - Pattern that matched
+   * @param {Array} [step.candidates] - Values considered
+   * @param {*} [step.chosen] - Value kept; null when the strategy found nothing
+   * @param {string} [step.note]
+   * @returns {*} `chosen`, so a strategy can end with `return trace.record(...)`
+   */
+  record({ field, strategy, pattern, candidates, chosen = null, note }) {
+    const step = { field, strategy };
+    if (pattern) {
+      step.pattern = pattern instanceof RegExp ? pattern.source : pattern;
+    }
+    if (candidates) {
+      step.candidates = candidates.slice(0, MAX_CANDIDATES).map(toTraceValue);
+    }
+    step.chosen = toTraceValue(chosen);
+    if (note) step.note = note;
+
+    this.steps.push(step);
+    return chosen;
+  }
+
+  toJSON() {
+    return { ...this.context, steps: this.steps };
+  }
+}
+
+/**
+ * Keeps nothing; parsers use it when called without a trace
+ */
+class NullTrace extends ExtractionTrace {
+  record({ chosen = null }) {
+    return chosen;
+  }
+}
+
+module.exports = {
+  ExtractionTrace,
+  NullTrace,
+};
@@ -1,20 +1,18 @@
-const baseParser = require("./baseParser");
+// src/services/parsers/fedexParser.js
 
-module.exports = {
-  parse: (html) => {
-    const trackingId = baseParser.extractTrackingId(html, /\d{12}/); // FedEx usually 12 digits
+const BaseCourierParser = require("./baseCourierParser");
 
-    return {
-      source: "FedEx",
-      orderId: trackingId || "Details not available",
-      trackingId: trackingId || "Details not available",
-      items: ["Details not available"],
-      price: "Details not available",
-      bookedAt: baseParser.extractDate(html) || "Details not available",
-      expectedDelivery:
-        baseParser.extractExpectedDelivery(html) || "Details not available",
-      deliveryStatus:
-        baseParser.extractDeliveryStatus(html) || "Details not available",
-    };
-  },
-};
+/**
+ * FedEx shipment update emails
+ */
+class FedexParser extends BaseCourierParser {
+  constructor() {
+    super("fedex", {
+      carrierName: "FedEx",
+      senderDomains: ["fedex.com", "fedex.in"],
+      trackingIdPattern: /\d{12}|\d{15}/, // FedEx tracking number: 12 or 15 digits
+    });
+  }
+}
+
+module.exports = FedexParser;
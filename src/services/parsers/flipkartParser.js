@@ -2,22 +2,28 @@
 
 const { cleanHtml, extractTextContent } = require("../../utils/htmlCleaner");
 const { extractAmount, formatAmount } = require("../../utils/amountExtractor");
+const { NullTrace } = require("./extractionTrace");
+const {
+  detectReturnRefundType,
+  isReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+} = require("./returnRefund");
 
 class FlipkartParser {
   constructor() {
     this.platform = "flipkart";
+    this.senderDomains = ["flipkart.com"];
+    this.priority = 50;
+    this.trace = new NullTrace();
   }
 
   /**
    * 🔍 ENHANCED canParse with comprehensive Flipkart sender detection
    */
-  static canParse(emailData) {
-    console.log("🔍 FLIPKART DEBUG: canParse() called");
-    console.log(`📧 From: ${emailData.from}`);
-    console.log(`📋 Subject: ${emailData.subject}`);
-
+  canParse(emailData) {
     if (!emailData.from || !emailData.subject) {
-      console.log("❌ FLIPKART: Missing from/subject");
       return false;
     }
 
@@ -38,12 +44,8 @@ class FlipkartParser {
     ];
 
     const isFlipkart = flipkartDomains.some((domain) => from.includes(domain));
-    console.log(
-      `🎯 FLIPKART: Is from Flipkart domain? ${isFlipkart} (${from})`
-    );
 
     if (!isFlipkart) {
-      console.log("❌ FLIPKART: Not from Flipkart domain");
       return false;
     }
 
@@ -64,14 +66,14 @@ class FlipkartParser {
       "item", // ✅ NEW: "item from your order has been shipped"
       "shipment", // ✅ NEW: Common in shipping notifications
       "successfully", // ✅ NEW: "successfully placed"
+      "return",
+      "refund",
+      "pickup",
     ];
 
     const hasOrderKeyword = orderIndicators.some((keyword) =>
       subject.includes(keyword)
     );
-    console.log(
-      `📧 FLIPKART: Has order keywords? ${hasOrderKeyword} (${subject})`
-    );
 
     // Check for promotional content (stricter rejection)
     const rejectPatterns = [
@@ -99,35 +101,29 @@ class FlipkartParser {
     const isPromotional = rejectPatterns.some((pattern) =>
       subject.includes(pattern)
     );
-    console.log(`🚫 FLIPKART: Is promotional? ${isPromotional}`);
 
-    const canParse = isFlipkart && hasOrderKeyword && !isPromotional;
-    console.log(`✅ FLIPKART: Final canParse result: ${canParse}`);
-
-    return canParse;
+    return isFlipkart && hasOrderKeyword && !isPromotional;
   }
 
   /**
    * 🎯 COMPLETE enhanced parse method for Flipkart emails
    */
-  parse(emailData) {
-    console.log("🛒 FLIPKART: Starting complete enhanced parsing...");
-    console.log(`📧 Subject: ${emailData.subject}`);
-    console.log(`📧 From: ${emailData.from}`);
+  parse(emailData, trace = new NullTrace()) {
+    // Same contract as AmazonParser.parse: helpers record into this.trace
+    this.trace = trace;
 
     try {
       // Step 1: Clean HTML content with Flipkart-specific fixes
       const cleanContent = this.cleanFlipkartHtml(
         emailData.html || emailData.text || ""
       );
-      console.log("✅ FLIPKART: HTML cleaned with enhanced encoding fixes");
 
       // Step 2: Detect email type with comprehensive patterns
-      const emailType = this.detectFlipkartEmailType(
-        emailData.subject,
-        cleanContent
-      );
-      console.log(`📧 FLIPKART: Email type detected - ${emailType}`);
+      const emailType = this.trace.record({
+        field: "emailType",
+        strategy: "detectFlipkartEmailType",
+        chosen: this.detectFlipkartEmailType(emailData.subject, cleanContent),
+      });
 
       // Step 3: Extract order ID with robust patterns
       const orderId = this.extractOrderIdRobust(
@@ -135,10 +131,8 @@ class FlipkartParser {
         emailData.subject
       );
       if (!orderId) {
-        console.log("❌ FLIPKART: No order ID found - cannot process");
         return null;
       }
-      console.log(`✅ FLIPKART: Order ID extracted - ${orderId}`);
 
       // Step 4: Extract order date with enhanced logic
       const orderDate = this.extractOrderDateRobust(
@@ -146,13 +140,12 @@ class FlipkartParser {
         emailData.date,
         emailType
       );
-      console.log(
-        `📅 FLIPKART: Order date - ${orderDate?.toLocaleDateString()}`
-      );
 
-      // Step 5: Extract amount with comprehensive currency handling
-      const amount = this.extractOrderAmountRobust(cleanContent, emailType);
-      console.log(`💰 FLIPKART: Amount extracted - ₹${amount || "not found"}`);
+      // Step 5: Extract amount with comprehensive currency handling; a
+      // return or refund mail's amount is the refund, not the order total
+      const amount = isReturnRefundType(emailType)
+        ? null
+        : this.extractOrderAmountRobust(cleanContent, emailType);
 
       // Step 6: Extract products with enhanced methods (pass total amount)
       const products = this.extractProductsRobust(
@@ -162,15 +155,22 @@ class FlipkartParser {
         emailData.subject,
         amount
       );
-      console.log(`📦 FLIPKART: Products found - ${products.length} items`);
+      this.trace.record({
+        field: "products",
+        strategy: "extractProductsRobust",
+        note: this.getProductExtractionMethod(products),
+        chosen: products.map((product) => product.name),
+      });
 
       // Step 7: Extract comprehensive metadata
       const metadata = this.extractFlipkartMetadata(cleanContent, emailData);
-      console.log(`📋 FLIPKART: Metadata extracted`);
 
       // Step 8: Map status with email type awareness
-      const status = this.mapStatusConsistently(emailType, cleanContent);
-      console.log(`📊 FLIPKART: Status mapped - ${status}`);
+      const status = this.trace.record({
+        field: "status",
+        strategy: "mapStatusConsistently",
+        chosen: this.mapStatusConsistently(emailType, cleanContent),
+      });
 
       const orderInfo = {
         platform: this.platform,
@@ -191,6 +191,8 @@ class FlipkartParser {
 
         // Email analysis
         emailType,
+        refund: extractRefundDetails(emailType, cleanContent),
+        returnBy: extractReturnDeadline(cleanContent, emailData.date),
         confidence: this.calculateEnhancedConfidence(
           orderId,
           amount,
@@ -217,20 +219,16 @@ class FlipkartParser {
         },
       };
 
-      console.log("📊 FLIPKART: Complete enhanced parsing result:", {
-        orderId: orderInfo.orderId,
-        orderDate: orderInfo.orderDate?.toLocaleDateString(),
-        amount: orderInfo.amount,
-        productsCount: orderInfo.products.length,
-        status: orderInfo.status,
-        confidence: orderInfo.confidence,
-        dataQuality: orderInfo.dataQuality.completeness + "% complete",
-      });
-
       return orderInfo;
     } catch (error) {
-      console.error("❌ FLIPKART enhanced parser error:", error);
+      this.trace.record({
+        field: "parser",
+        strategy: "parse",
+        note: `failed: ${error.message}`,
+      });
       return null;
+    } finally {
+      this.trace = new NullTrace();
     }
   }
 
@@ -240,8 +238,6 @@ class FlipkartParser {
   cleanFlipkartHtml(htmlContent) {
     if (!htmlContent) return "";
 
-    console.log("🧹 Cleaning Flipkart HTML with comprehensive fixes...");
-
     let cleaned = htmlContent;
 
     // Step 1: Fix Flipkart-specific encoding issues
@@ -287,7 +283,6 @@ class FlipkartParser {
       .replace(/\n{2,}/g, "\n")
       .trim();
 
-    console.log("✅ Flipkart HTML cleaned successfully");
     return cleaned;
   }
 
@@ -295,8 +290,6 @@ class FlipkartParser {
    * 🆔 ROBUST order ID extraction with multiple fallback strategies
    */
   extractOrderIdRobust(content, subject) {
-    console.log("🆔 FLIPKART: Robust order ID extraction...");
-
     // ✅ COMPREHENSIVE: All Flipkart order ID patterns
     const orderIdPatterns = [
       // Direct patterns (highest priority)
@@ -321,34 +314,44 @@ class FlipkartParser {
 
     // Strategy 1: Search in subject first (most reliable)
     if (subject) {
-      console.log("🔍 Searching order ID in subject:", subject);
       for (const pattern of orderIdPatterns) {
         const matches = [...subject.matchAll(pattern)];
         for (const match of matches) {
           const orderId = match[1];
           if (this.isValidFlipkartOrderId(orderId)) {
-            console.log(`✅ FLIPKART: Order ID from subject - ${orderId}`);
-            return orderId;
+            return this.trace.record({
+              field: "orderId",
+              strategy: "extractOrderIdRobust",
+              pattern,
+              note: "subject",
+              chosen: orderId,
+            });
           }
         }
       }
     }
 
     // Strategy 2: Search in content
-    console.log("🔍 Searching order ID in content...");
     for (const pattern of orderIdPatterns) {
       const matches = [...content.matchAll(pattern)];
       for (const match of matches) {
         const orderId = match[1];
         if (this.isValidFlipkartOrderId(orderId)) {
-          console.log(`✅ FLIPKART: Order ID from content - ${orderId}`);
-          return orderId;
+          return this.trace.record({
+            field: "orderId",
+            strategy: "extractOrderIdRobust",
+            pattern,
+            note: "content",
+            chosen: orderId,
+          });
         }
       }
     }
 
-    console.log("❌ FLIPKART: No valid order ID found");
-    return null;
+    return this.trace.record({
+      field: "orderId",
+      strategy: "extractOrderIdRobust",
+    });
   }
 
   /**
@@ -360,23 +363,13 @@ class FlipkartParser {
     // Must be OD followed by 15-21 digits (actual Flipkart format)
     const flipkartFormat = /^OD\d{15,21}$/i;
 
-    if (!flipkartFormat.test(orderId)) {
-      console.log(`❌ FLIPKART: Invalid order ID format - ${orderId}`);
-      return false;
-    }
-
-    console.log(`✅ FLIPKART: Valid order ID format - ${orderId}`);
-    return true;
+    return flipkartFormat.test(orderId);
   }
 
   /**
    * 💰 ROBUST amount extraction with complete currency variation support
    */
   extractOrderAmountRobust(content, emailType) {
-    console.log(
-      "💰 FLIPKART: Robust amount extraction with enhanced patterns..."
-    );
-
     // ✅ COMPREHENSIVE: Flipkart amount patterns with ALL currency variations
     const flipkartAmountPatterns = [
       // Highest priority - Flipkart-specific exact patterns
@@ -424,25 +417,22 @@ class FlipkartParser {
         return b.amount - a.amount;
       });
 
-      const selectedAmount = foundAmounts[0].amount;
-      console.log(
-        `✅ FLIPKART: Selected amount ₹${selectedAmount} from ${foundAmounts.length} candidates`
-      );
-
-      if (foundAmounts.length > 1) {
-        console.log(
-          `📋 Other candidates:`,
-          foundAmounts
-            .slice(1, 4)
-            .map((a) => `₹${a.amount} (priority: ${a.priority})`)
-        );
-      }
-
-      return selectedAmount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractOrderAmountRobust",
+        pattern: foundAmounts[0].pattern,
+        candidates: foundAmounts.map(
+          ({ amount, priority }) => `${amount} (priority ${priority})`
+        ),
+        chosen: foundAmounts[0].amount,
+        note: foundAmounts[0].context,
+      });
     }
 
-    console.log("❌ FLIPKART: No valid amount found in email");
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractOrderAmountRobust",
+    });
   }
 
   /**
@@ -480,16 +470,10 @@ class FlipkartParser {
     subject,
     totalAmount = null
   ) {
-    console.log("📦 FLIPKART: Robust product extraction...");
-
     // Strategy 1: Extract actual products from content
     const extractedProducts = this.extractActualFlipkartProducts(content);
 
     if (extractedProducts.length > 0) {
-      console.log(
-        `✅ FLIPKART: Found ${extractedProducts.length} actual products from content`
-      );
-
       // ✅ NEW: Use total amount as item price if individual price not available
       return extractedProducts.map((product) => ({
         ...product,
@@ -509,7 +493,6 @@ class FlipkartParser {
     // Strategy 2: Extract product name from subject line
     const subjectProduct = this.extractProductNameFromSubject(subject);
     if (subjectProduct) {
-      console.log(`✅ FLIPKART: Extracted product name from subject`);
       return [
         {
           name: subjectProduct,
@@ -525,10 +508,6 @@ class FlipkartParser {
     }
 
     // Strategy 3: Create meaningful placeholder based on email type
-    console.log(
-      "📦 FLIPKART: Creating meaningful placeholder based on email type..."
-    );
-
     const productName = `Flipkart ${this.getEmailTypeLabel(
       emailType
     )} Order ${orderId}`;
@@ -551,8 +530,6 @@ class FlipkartParser {
    * Extract actual products from Flipkart content (FIXED - no garbage text)
    */
   extractActualFlipkartProducts(content) {
-    console.log("📦 FLIPKART: Extracting actual products from content...");
-
     const products = [];
 
     // ✅ PRIORITY 1: Alt text from images (most reliable for product names)
@@ -562,7 +539,6 @@ class FlipkartParser {
     for (const match of altMatches) {
       const productName = match[1].trim();
       if (this.isValidFlipkartProduct(productName)) {
-        console.log(`✅ FLIPKART: Product from alt text - ${productName}`);
         products.push({
           name: this.cleanFlipkartProductName(productName),
           quantity:
@@ -591,7 +567,6 @@ class FlipkartParser {
     for (const match of sellerMatches) {
       const productName = match[1].trim();
       if (this.isValidFlipkartProduct(productName)) {
-        console.log(`✅ FLIPKART: Product before seller - ${productName}`);
         products.push({
           name: this.cleanFlipkartProductName(productName),
           quantity:
@@ -616,8 +591,6 @@ class FlipkartParser {
   extractProductNameFromSubject(subject) {
     if (!subject) return null;
 
-    console.log("🔍 Extracting product name from subject:", subject);
-
     // ✅ ENHANCED: Subject line patterns for Flipkart
     const subjectPatterns = [
       // Pattern: "Your Order for Gurukrupa Internationa... has been successfully placed"
@@ -640,15 +613,17 @@ class FlipkartParser {
 
         // Validate extracted name
         if (this.isValidProductNameFromSubject(productName)) {
-          console.log(
-            `✅ FLIPKART: Product name from subject - ${productName}`
-          );
-          return this.cleanFlipkartProductName(productName);
+          return this.trace.record({
+            field: "productName",
+            strategy: "extractProductNameFromSubject",
+            pattern,
+            candidates: [productName],
+            chosen: this.cleanFlipkartProductName(productName),
+          });
         }
       }
     }
 
-    console.log("❌ FLIPKART: No valid product name found in subject");
     return null;
   }
 
@@ -690,6 +665,8 @@ class FlipkartParser {
       shipping_notification: "Shipped",
       delivery_notification: "Delivered",
       tracking_update: "Tracking",
+      return_requested: "Return",
+      return_pickup_scheduled: "Return",
       notification: "Order",
     };
     return labels[emailType] || "Order";
@@ -716,7 +693,9 @@ class FlipkartParser {
     const subjectLower = subject.toLowerCase();
     const contentLower = content.toLowerCase();
 
-    console.log("🔍 Detecting Flipkart email type from subject and content...");
+    // Returns and refunds first: their mails quote the order total too
+    const returnRefundType = detectReturnRefundType(subject, content);
+    if (returnRefundType) return returnRefundType;
 
     // ✅ ENHANCED: Order confirmation patterns
     if (
@@ -729,7 +708,6 @@ class FlipkartParser {
       contentLower.includes("amount paid") ||
       contentLower.includes("order has been successfully placed")
     ) {
-      console.log("📧 Detected: order_confirmation");
       return "order_confirmation";
     }
 
@@ -743,7 +721,6 @@ class FlipkartParser {
       contentLower.includes("item has been shipped") ||
       contentLower.includes("shipped via")
     ) {
-      console.log("📧 Detected: shipping_notification");
       return "shipping_notification";
     }
 
@@ -754,7 +731,6 @@ class FlipkartParser {
       contentLower.includes("has been delivered") ||
       contentLower.includes("delivery confirmed")
     ) {
-      console.log("📧 Detected: delivery_notification");
       return "delivery_notification";
     }
 
@@ -766,11 +742,9 @@ class FlipkartParser {
       contentLower.includes("track your shipment") ||
       contentLower.includes("tracking number")
     ) {
-      console.log("📧 Detected: tracking_update");
       return "tracking_update";
     }
 
-    console.log("📧 Detected: notification (generic)");
     return "notification";
   }
 
@@ -778,8 +752,6 @@ class FlipkartParser {
    * 📅 ROBUST order date extraction with Flipkart-specific patterns
    */
   extractOrderDateRobust(content, emailDate, emailType) {
-    console.log("📅 FLIPKART: Robust order date extraction...");
-
     // For order confirmations, prioritize actual order date from content
     if (emailType === "order_confirmation") {
       const orderDatePatterns = [
@@ -798,29 +770,31 @@ class FlipkartParser {
         if (match && match[1]) {
           const parsedDate = new Date(match[1]);
           if (!isNaN(parsedDate.getTime())) {
-            console.log(
-              `✅ FLIPKART: Found order date in content - ${parsedDate.toLocaleDateString()}`
-            );
-            return parsedDate;
+            return this.trace.record({
+              field: "orderDate",
+              strategy: "extractOrderDateRobust",
+              pattern,
+              candidates: [match[1]],
+              chosen: parsedDate,
+            });
           }
         }
       }
     }
 
     // Fallback to email date
-    const fallbackDate = emailDate ? new Date(emailDate) : new Date();
-    console.log(
-      `⚠️ FLIPKART: Using email date as fallback - ${fallbackDate.toLocaleDateString()}`
-    );
-    return fallbackDate;
+    return this.trace.record({
+      field: "orderDate",
+      strategy: "extractOrderDateRobust",
+      note: emailDate ? "email date" : "now",
+      chosen: emailDate ? new Date(emailDate) : new Date(),
+    });
   }
 
   /**
    * 📋 Extract comprehensive Flipkart metadata
    */
   extractFlipkartMetadata(content, emailData) {
-    console.log("📋 FLIPKART: Extracting comprehensive metadata...");
-
     const metadata = {};
 
     // Extract expected delivery date
@@ -835,10 +809,13 @@ class FlipkartParser {
       if (match && match[1]) {
         const deliveryDate = new Date(match[1]);
         if (!isNaN(deliveryDate.getTime())) {
-          metadata.expectedDelivery = deliveryDate;
-          console.log(
-            `📅 FLIPKART: Expected delivery - ${deliveryDate.toLocaleDateString()}`
-          );
+          metadata.expectedDelivery = this.trace.record({
+            field: "expectedDelivery",
+            strategy: "extractFlipkartMetadata",
+            pattern,
+            candidates: [match[1]],
+            chosen: deliveryDate,
+          });
           break;
         }
       }
@@ -855,7 +832,6 @@ class FlipkartParser {
       const match = content.match(pattern);
       if (match && match[1]) {
         metadata.carrierName = match[1].trim();
-        console.log(`🚛 FLIPKART: Carrier - ${metadata.carrierName}`);
         break;
       }
     }
@@ -876,7 +852,6 @@ class FlipkartParser {
           !sellerName.toLowerCase().includes("flipkart")
         ) {
           metadata.sellerName = sellerName;
-          console.log(`🏪 FLIPKART: Seller - ${metadata.sellerName}`);
           break;
         }
       }
@@ -893,7 +868,6 @@ class FlipkartParser {
       const match = content.match(pattern);
       if (match && match[1]) {
         metadata.phoneNumber = match[1];
-        console.log(`📱 FLIPKART: Phone number - ${metadata.phoneNumber}`);
         break;
       }
     }
@@ -910,7 +884,6 @@ class FlipkartParser {
         const address = match[1].trim();
         if (address.length > 10) {
           metadata.deliveryAddress = address;
-          console.log(`🏠 FLIPKART: Delivery address found`);
           break;
         }
       }
@@ -927,8 +900,12 @@ class FlipkartParser {
     for (const pattern of trackingPatterns) {
       const match = content.match(pattern);
       if (match && match[1]) {
-        metadata.trackingId = match[1];
-        console.log(`📦 FLIPKART: Tracking ID - ${metadata.trackingId}`);
+        metadata.trackingId = this.trace.record({
+          field: "trackingId",
+          strategy: "extractFlipkartMetadata",
+          pattern,
+          chosen: match[1],
+        });
         break;
       }
     }
@@ -969,8 +946,6 @@ class FlipkartParser {
   cleanFlipkartProductName(name) {
     if (!name) return "Unknown Product";
 
-    console.log(`🧹 Cleaning Flipkart product name: "${name}"`);
-
     let cleaned = name;
 
     // Step 1: Remove common extra text patterns
@@ -1009,11 +984,7 @@ class FlipkartParser {
 
     // Apply all cleaning patterns
     cleaningPatterns.forEach((pattern) => {
-      const beforeCleaning = cleaned;
       cleaned = cleaned.replace(pattern, "");
-      if (beforeCleaning !== cleaned) {
-        console.log(`🧽 Applied cleaning: "${beforeCleaning}" → "${cleaned}"`);
-      }
     });
 
     // Step 2: Normalize spaces and handle edge cases
@@ -1037,8 +1008,6 @@ class FlipkartParser {
 
     // Step 4: If cleaning made the name too short or invalid, try to recover
     if (cleaned.length < 10 && name.length >= 10) {
-      console.log(`⚠️ Cleaning made name too short, trying recovery...`);
-
       // Try gentler cleaning - just remove the most obvious issues
       cleaned = name
         .replace(/\.{2,}$/g, "") // Remove ellipsis
@@ -1047,12 +1016,10 @@ class FlipkartParser {
         .trim();
 
       if (cleaned.length < 10) {
-        console.log(`⚠️ Recovery failed, keeping original name`);
         cleaned = name.trim();
       }
     }
 
-    console.log(`✅ Final cleaned name: "${cleaned}"`);
     return cleaned;
   }
 
@@ -1104,9 +1071,6 @@ class FlipkartParser {
     );
 
     if (!isValid) {
-      console.log(
-        `❌ FLIPKART: Rejected garbage text - ${name.substring(0, 50)}...`
-      );
       return false;
     }
 
@@ -1121,25 +1085,13 @@ class FlipkartParser {
       pattern.test(name)
     );
 
-    if (!looksLikeProduct && name.length < 15) {
-      console.log(
-        `❌ FLIPKART: Rejected - doesn't look like product name: ${name}`
-      );
-      return false;
-    }
-
-    console.log(
-      `✅ FLIPKART: Valid product name - ${name.substring(0, 40)}...`
-    );
-    return true;
+    return looksLikeProduct || name.length >= 15;
   }
 
   /**
    * Map status consistently across email types (enhanced)
    */
   mapStatusConsistently(emailType, content) {
-    console.log(`📊 Mapping status for email type: ${emailType}`);
-
     const contentLower = content.toLowerCase();
 
     switch (emailType) {
@@ -1165,6 +1117,12 @@ class FlipkartParser {
           return "out_for_delivery";
         return "shipped";
 
+      case "return_requested":
+      case "return_pickup_scheduled":
+      case "refund_initiated":
+      case "refund_credited":
+        return statusForReturnRefundType(emailType);
+
       default:
         // Try to infer from content
         if (contentLower.includes("delivered")) return "delivered";
@@ -1232,13 +1190,12 @@ class FlipkartParser {
 
     const finalConfidence = Math.round(Math.min(confidence, 1.0) * 100) / 100;
 
-    console.log(
-      `📊 FLIPKART: Confidence calculated - ${finalConfidence} (factors: ${factors.join(
-        ", "
-      )})`
-    );
-
-    return finalConfidence;
+    return this.trace.record({
+      field: "confidence",
+      strategy: "calculateEnhancedConfidence",
+      candidates: factors,
+      chosen: finalConfidence,
+    });
   }
 
   /**
@@ -1317,135 +1274,9 @@ class FlipkartParser {
     if (quality.hasCarrierInfo) quality.strengths.push("carrier_info");
     if (quality.hasSellerInfo) quality.strengths.push("seller_info");
 
-    console.log(
-      `📊 FLIPKART: Data quality - ${quality.completeness}% core complete, ${quality.metadataRichness}% metadata rich`
-    );
-    if (quality.issues.length > 0) {
-      console.log(`⚠️ FLIPKART: Issues - ${quality.issues.join(", ")}`);
-    }
-    if (quality.strengths.length > 0) {
-      console.log(`✅ FLIPKART: Strengths - ${quality.strengths.join(", ")}`);
-    }
-
     return quality;
   }
 
-  /**
-   * 🧪 Test parser with real Flipkart email data
-   */
-  static testWithRealData() {
-    console.log("🧪 TESTING FLIPKART PARSER WITH REAL EMAIL DATA:");
-    console.log("=".repeat(60));
-
-    const realEmailSamples = [
-      {
-        from: '"Flipkart.com" <no-reply@rmt.flipkart.com>',
-        subject: "Gurukrupa Internationa... from your order has been shipped",
-        html: `<p>Hi Rakesh Singh, An item from your order has been shipped.</p>
-               <p>Order ID OD335092197400720100</p>
-               <p>Delivery by Friday, Aug 08, 2025</p>
-               <p>Item has been shipped via Ekart Logistics.</p>
-               <p>Shipment total ₹. 804 + 44 coins</p>
-               <img alt="Gurukrupa International Play Tent House for 3-13 Year Old Girls and Boys." src="image.jpg">
-               <p>Seller: Gurukrupainternational</p>
-               <p>Qty: 1</p>`,
-        expected: {
-          orderId: "OD335092197400720100",
-          amount: 804,
-          productName:
-            "Gurukrupa International Play Tent House for 3-13 Year Old Girls and Boys",
-          status: "shipped",
-        },
-      },
-      {
-        from: "Flipkart <noreply@nct.flipkart.com>",
-        subject:
-          "Your Order for Gurukrupa Internationa... has been successfully placed",
-        html: `<p>Hi Rakesh Singh, Your order has been successfully placed.</p>
-               <p>Order placed on Aug 01, 2025</p>
-               <p>Order ID OD335092197400720100</p>
-               <p>Delivery by Fri, Aug 08, 2025</p>
-               <p>Amount Paid Rs. 804 + 44 coins</p>
-               <img alt="Gurukrupa International Play Tent House for 3-13 Year Old Girls and Boys." src="image.jpg">
-               <p>Seller: Gurukrupainternational</p>`,
-        expected: {
-          orderId: "OD335092197400720100",
-          amount: 804,
-          productName:
-            "Gurukrupa International Play Tent House for 3-13 Year Old Girls and Boys",
-          status: "confirmed",
-        },
-      },
-    ];
-
-    const parser = new FlipkartParser();
-    let passedTests = 0;
-
-    realEmailSamples.forEach((sample, index) => {
-      console.log(`\n📧 Testing Sample ${index + 1}:`);
-      console.log(`From: ${sample.from}`);
-      console.log(`Subject: ${sample.subject}`);
-
-      // Test canParse
-      const canParse = FlipkartParser.canParse(sample);
-      console.log(`canParse: ${canParse ? "✅ PASS" : "❌ FAIL"}`);
-
-      if (canParse) {
-        // Test parse
-        const result = parser.parse(sample);
-
-        if (result) {
-          const tests = [
-            {
-              field: "orderId",
-              expected: sample.expected.orderId,
-              actual: result.orderId,
-            },
-            {
-              field: "amount",
-              expected: sample.expected.amount,
-              actual: result.amount,
-            },
-            {
-              field: "status",
-              expected: sample.expected.status,
-              actual: result.status,
-            },
-          ];
-
-          let samplePassed = true;
-          tests.forEach((test) => {
-            const passed = test.expected === test.actual;
-            console.log(
-              `  ${test.field}: Expected "${test.expected}", Got "${
-                test.actual
-              }" ${passed ? "✅" : "❌"}`
-            );
-            if (!passed) samplePassed = false;
-          });
-
-          if (samplePassed) {
-            passedTests++;
-            console.log(`  📊 SAMPLE ${index + 1}: ✅ PASSED`);
-          } else {
-            console.log(`  📊 SAMPLE ${index + 1}: ❌ FAILED`);
-          }
-        } else {
-          console.log(
-            `  📊 SAMPLE ${index + 1}: ❌ FAILED (parse returned null)`
-          );
-        }
-      } else {
-        console.log(`  📊 SAMPLE ${index + 1}: ❌ FAILED (canParse failed)`);
-      }
-    });
-
-    console.log(
-      `\n📈 OVERALL TEST RESULTS: ${passedTests}/${realEmailSamples.length} samples passed`
-    );
-    return { passed: passedTests, total: realEmailSamples.length };
-  }
-
   /**
    * 🔧 Utility method to extract tracking ID
    */
@@ -4,7 +4,8 @@ const BaseParser = require("./baseParser");
 
 class GenericParser extends BaseParser {
   constructor() {
-    super("generic");
+    super("generic", { priority: 0 });
+    this.fallback = true;
   }
 
   /**
@@ -14,10 +15,10 @@ class GenericParser extends BaseParser {
   canParse(email) {
     // Generic parser should only be used when no other parser can handle the email
     // Since this is called last in the parser factory, we can be more conservative
-    const { sender, subject } = email;
+    const { from, subject } = email;
 
     // Only attempt parsing if we have some basic order-related keywords
-    const content = `${sender} ${subject}`.toLowerCase();
+    const content = `${from} ${subject}`.toLowerCase();
     const orderKeywords = [
       "order",
       "delivered",
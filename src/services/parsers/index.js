@@ -1,70 +1,185 @@
-// src/services/parsers/index.js - ENHANCED PARSER FACTORY
-// Ensures your enhanced parsers are properly used
+// src/services/parsers/index.js - PLUGIN-DRIVEN PARSER FACTORY
+// Every <platform>Parser.js in this directory is registered automatically
 
-const AmazonParser = require("./amazonParser");
-const FlipkartParser = require("./flipkartParser");
-const SwiggyParser = require("./swiggyParser");
-const MyntraParser = require("./myntraParser");
-const BlinkitParser = require("./blinkitParser");
-const GenericParser = require("./genericParser");
+const { discoverParserFiles, loadParserModule } = require("./discovery");
+const { ExtractionTrace, NullTrace } = require("./extractionTrace");
+const logger =
+  require("../../utils/logger").createModuleLogger("ParserFactory");
 
 class ParserFactory {
   constructor() {
-    // Initialize all parsers
-    this.parsers = {
-      amazon: new AmazonParser(),
-      flipkart: new FlipkartParser(),
-      swiggy: new SwiggyParser(),
-      myntra: new MyntraParser(),
-      blinkit: new BlinkitParser(),
-      generic: new GenericParser(),
-    };
+    this.parsers = this.buildRegistry();
+
+    // Highest priority first; the fallback parser is only used by name
+    this.orderedParsers = Object.values(this.parsers)
+      .filter((parser) => !parser.fallback)
+      .sort((a, b) => b.priority - a.priority);
+    this.fallbackParser = Object.values(this.parsers).find(
+      (parser) => parser.fallback
+    );
+  }
+
+  /**
+   * Instantiate every discovered parser and verify the registry.
+   * Throws at startup rather than letting a broken parser silently
+   * drop a platform's emails during sync.
+   */
+  buildRegistry() {
+    const parsers = {};
+    const problems = [];
+
+    discoverParserFiles().forEach(({ platform, file }) => {
+      let parser;
+      try {
+        const ParserClass = loadParserModule(file);
+        parser = new ParserClass();
+      } catch (error) {
+        problems.push(`${file}: cannot be instantiated (${error.message})`);
+        return;
+      }
+
+      const issues = this.checkParserInterface(parser, platform);
+      if (issues.length > 0) {
+        problems.push(`${file}: ${issues.join(", ")}`);
+        return;
+      }
+
+      parsers[platform] = parser;
+    });
+
+    const fallbacks = Object.values(parsers).filter(
+      (parser) => parser.fallback
+    );
+    if (fallbacks.length !== 1) {
+      problems.push(
+        `expected exactly one fallback parser, found ${fallbacks.length}`
+      );
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(
+        `Parser registry self-check failed:\n  - ${problems.join("\n  - ")}`
+      );
+      error.code = "PARSER_REGISTRY_INVALID";
+      throw error;
+    }
+
+    return parsers;
+  }
+
+  /**
+   * @returns {string[]} what is missing or wrong; empty when the parser is usable
+   */
+  checkParserInterface(parser, platform) {
+    const issues = [];
+
+    if (parser.platform !== platform) {
+      issues.push(
+        `platform "${parser.platform}" does not match file name "${platform}"`
+      );
+    }
+    if (typeof parser.canParse !== "function") {
+      issues.push("missing canParse(email)");
+    }
+    if (typeof parser.parse !== "function") {
+      issues.push("missing parse(email)");
+    }
+    if (typeof parser.priority !== "number") {
+      issues.push("missing numeric priority");
+    }
+    if (
+      !Array.isArray(parser.senderDomains) ||
+      (!parser.fallback && parser.senderDomains.length === 0)
+    ) {
+      issues.push("missing senderDomains");
+    }
+
+    return issues;
   }
 
   /**
    * 🎯 ENHANCED: Parse email with better platform detection and debugging
    */
-  parseEmail(emailData) {
-    console.log("\n🔧 PARSER FACTORY: Starting email parsing...");
-    console.log(`📧 From: ${emailData.from}`);
-    console.log(`📧 Subject: ${emailData.subject?.substring(0, 60)}...`);
+  parseEmail(emailData, options = {}) {
+    return this.parseEmailWithDetails(emailData, options).result;
+  }
+
+  /**
+   * Same as parseEmail, but also says which parser ran and, when there is
+   * no result, why not. The extraction trace is logged at debug level and
+   * attached to the result as `trace`.
+   * @param {Object} [options]
+   * @param {string} [options.syncId] - Logged with the trace
+   * @returns {{platform: string|null, parser: Object|null,
+   *   result: Object|null, reason: string|null, trace: ExtractionTrace}}
+   *   `reason` is one of "no_platform", "cannot_parse", "no_result" or
+   *   "error" (with `error` holding the message)
+   */
+  parseEmailWithDetails(emailData, { syncId = null } = {}) {
+    const trace = new ExtractionTrace({
+      syncId,
+      messageId: emailData.messageId || null,
+    });
+    const outcome = this.runParser(emailData, trace);
+
+    trace.context.platform = outcome.platform;
+    trace.context.reason = outcome.reason;
+    if (outcome.result) outcome.result.trace = trace;
+
+    logger.debug("Extraction trace", {
+      ...trace.toJSON(),
+      subject: emailData.subject?.substring(0, 60),
+    });
+
+    return { ...outcome, trace };
+  }
+
+  runParser(emailData, trace) {
+    const outcome = {
+      platform: null,
+      parser: null,
+      result: null,
+      reason: null,
+    };
 
     try {
       // Step 1: Detect platform with enhanced logic
-      const platform = this.detectPlatform(emailData);
+      const platform = this.detectPlatform(emailData, trace);
 
       if (!platform) {
-        console.log("❌ PARSER: No platform detected");
-        return null;
+        return { ...outcome, reason: "no_platform" };
       }
-
-      console.log(`✅ PARSER: Platform detected - ${platform}`);
+      outcome.platform = platform;
 
       // Step 2: Get appropriate parser
       const parser = this.parsers[platform];
 
       if (!parser) {
-        console.log(`❌ PARSER: No parser available for platform ${platform}`);
-        return this.parsers.generic.parse(emailData);
+        const result = this.fallbackParser.parse(emailData, trace);
+        return {
+          ...outcome,
+          parser: this.fallbackParser,
+          result,
+          reason: result ? null : "no_result",
+        };
       }
+      outcome.parser = parser;
 
       // Step 3: Verify parser can handle this email
-      if (
-        parser.constructor.canParse &&
-        !parser.constructor.canParse(emailData)
-      ) {
-        console.log(`❌ PARSER: ${platform} parser cannot handle this email`);
-        return null;
+      if (!parser.fallback && !parser.canParse(emailData)) {
+        trace.record({
+          field: "parser",
+          strategy: "canParse",
+          note: `${platform} parser declined this email`,
+        });
+        return { ...outcome, reason: "cannot_parse" };
       }
 
-      console.log(`🚀 PARSER: Using ${platform} parser...`);
-
       // Step 4: Parse with the specific parser
-      const result = parser.parse(emailData);
+      const result = parser.parse(emailData, trace);
 
       if (!result) {
-        console.log(`❌ PARSER: ${platform} parser returned null`);
-        return null;
+        return { ...outcome, reason: "no_result" };
       }
 
       // Step 5: Validate and enhance result
@@ -74,70 +189,53 @@ class ParserFactory {
         platform
       );
 
-      console.log(`✅ PARSER: Successfully parsed ${platform} order`);
-      console.log(`📊 PARSER RESULT:`, {
-        platform: enhancedResult.platform,
-        orderId: enhancedResult.orderId,
-        amount: enhancedResult.amount,
-        itemsCount: enhancedResult.products?.length || 0,
-        confidence: enhancedResult.confidence,
-      });
-
-      return enhancedResult;
+      return { ...outcome, result: enhancedResult };
     } catch (error) {
-      console.error("❌ PARSER FACTORY ERROR:", error.message);
-      return null;
+      logger.error("Parser error", {
+        syncId: trace.context.syncId,
+        messageId: trace.context.messageId,
+        platform: outcome.platform,
+        error: error.message,
+      });
+      return { ...outcome, reason: "error", error: error.message };
     }
   }
 
+  /**
+   * Domain of the sender address, e.g. "nct.flipkart.com" for
+   * "Flipkart <noreply@nct.flipkart.com>"
+   */
+  getSenderDomain(from) {
+    const address = (from || "").match(/<([^>]+)>/)?.[1] || from || "";
+    return address.split("@").pop().trim().toLowerCase();
+  }
+
   /**
    * ENHANCED: Detect platform from email with STRICTER filtering
    */
-  detectPlatform(emailData) {
-    const from = (emailData.from || "").toLowerCase();
+  detectPlatform(emailData, trace = new NullTrace()) {
     const subject = (emailData.subject || "").toLowerCase();
     const content = (emailData.html || emailData.text || "").toLowerCase();
+    const senderDomain = this.getSenderDomain(emailData.from);
+
+    // Registered parsers claim mail by sender domain (subdomains included)
+    const parser = this.orderedParsers.find((candidate) =>
+      candidate.senderDomains.some(
+        (domain) =>
+          senderDomain === domain || senderDomain.endsWith(`.${domain}`)
+      )
+    );
 
-    // Enhanced platform detection with multiple indicators
-    const platformIndicators = {
-      amazon: [
-        "amazon.in",
-        "amazon.com",
-        "@amazon",
-        "auto-confirm@amazon",
-        "shipment-tracking@amazon",
-        "amazon.in order",
-        "order-update@amazon",
-      ],
-      flipkart: ["flipkart.com", "@flipkart", "flipkart"],
-      swiggy: ["swiggy.in", "@swiggy", "swiggy", "instamart"],
-      myntra: ["myntra.com", "@myntra", "myntra"],
-      blinkit: ["blinkit.com", "@blinkit", "blinkit"],
-    };
-
-    // Check each platform
-    for (const [platform, indicators] of Object.entries(platformIndicators)) {
-      const hasIndicator = indicators.some(
-        (indicator) =>
-          from.includes(indicator) ||
-          subject.includes(indicator) ||
-          content.includes(indicator)
-      );
-
-      if (hasIndicator) {
-        console.log(
-          `🎯 PARSER: Platform detected as ${platform} from indicators:`,
-          indicators.filter((i) => from.includes(i) || subject.includes(i))
-        );
-        return platform;
-      }
+    if (parser) {
+      return trace.record({
+        field: "platform",
+        strategy: "senderDomain",
+        candidates: [senderDomain],
+        chosen: parser.platform,
+      });
     }
 
     // ENHANCED: STRICT generic detection - only for emails with ORDER IDs
-    console.log(
-      "⚠️ PARSER: No specific platform detected, checking if valid order email..."
-    );
-
     // Must have actual order ID patterns to be considered generic order
     const orderIdPatterns = [
       /\b\d{3}-\d{7,8}-\d{7,8}\b/, // Amazon format
@@ -146,15 +244,17 @@ class ParserFactory {
       /\b[A-Z]{2,4}\d{10,20}\b/, // Letter+number combinations
     ];
 
-    const hasOrderId = orderIdPatterns.some(
+    const orderIdPattern = orderIdPatterns.find(
       (pattern) => pattern.test(content) || pattern.test(subject)
     );
 
-    if (!hasOrderId) {
-      console.log("❌ PARSER: No order ID patterns found - rejecting email");
-      console.log(`📧 From: ${emailData.from?.substring(0, 50)}`);
-      console.log(`📧 Subject: ${emailData.subject?.substring(0, 50)}`);
-      return null;
+    if (!orderIdPattern) {
+      return trace.record({
+        field: "platform",
+        strategy: "genericOrderId",
+        candidates: [senderDomain],
+        note: "unknown sender and no order id pattern",
+      });
     }
 
     // Additional validation - must be order-related
@@ -166,19 +266,26 @@ class ParserFactory {
       "receipt",
       "payment",
     ];
-    const hasOrderKeyword = orderKeywords.some(
+    const orderKeyword = orderKeywords.find(
       (keyword) => subject.includes(keyword) || content.includes(keyword)
     );
 
-    if (!hasOrderKeyword) {
-      console.log("❌ PARSER: No order keywords found - rejecting email");
-      return null;
+    if (!orderKeyword) {
+      return trace.record({
+        field: "platform",
+        strategy: "genericOrderId",
+        pattern: orderIdPattern,
+        note: "order id pattern but no order keyword",
+      });
     }
 
-    console.log(
-      "🔍 PARSER: Using generic parser for order email with ID patterns"
-    );
-    return "generic";
+    return trace.record({
+      field: "platform",
+      strategy: "genericOrderId",
+      pattern: orderIdPattern,
+      candidates: [senderDomain, orderKeyword],
+      chosen: this.fallbackParser.platform,
+    });
   }
 
   /**
@@ -194,7 +301,16 @@ class ParserFactory {
       products: result.products || result.items || [],
       orderDate: result.orderDate || new Date(emailData.date || Date.now()),
       status: result.status || "unknown",
-      confidence: result.confidence || 70,
+      trackingId: result.trackingId || null,
+      carrierName: result.carrierName || null,
+      expectedDelivery: result.expectedDelivery || null,
+      location: result.location || null,
+      emailType: result.emailType || null,
+      refund: result.refund || null,
+      returnBy: result.returnBy || null,
+      resultType: result.resultType || "order",
+      // 0..1 like confidence_score; null when the parser does not say
+      confidence: result.confidence ?? null,
       extractedAt: new Date().toISOString(),
       emailMetadata: {
         messageId: emailData.messageId,
@@ -1,20 +1,18 @@
-const baseParser = require("./baseParser");
+// src/services/parsers/indiaPostParser.js
 
-module.exports = {
-  parse: (html) => {
-    const trackingId = baseParser.extractTrackingId(html, /[A-Z]{2}\d{9}IN/); // India Post format e.g. EM123456789IN
+const BaseCourierParser = require("./baseCourierParser");
 
-    return {
-      source: "IndiaPost",
-      orderId: trackingId || "Details not available",
-      trackingId: trackingId || "Details not available",
-      items: ["Details not available"],
-      price: "Details not available",
-      bookedAt: baseParser.extractDate(html) || "Details not available",
-      expectedDelivery:
-        baseParser.extractExpectedDelivery(html) || "Details not available",
-      deliveryStatus:
-        baseParser.extractDeliveryStatus(html) || "Details not available",
-    };
-  },
-};
+/**
+ * India Post shipment update emails
+ */
+class IndiaPostParser extends BaseCourierParser {
+  constructor() {
+    super("indiapost", {
+      carrierName: "India Post",
+      senderDomains: ["indiapost.gov.in", "indianpost.gov.in"],
+      trackingIdPattern: /[A-Z]{2}\d{9}IN/, // India Post article number, e.g. EM123456789IN
+    });
+  }
+}
+
+module.exports = IndiaPostParser;
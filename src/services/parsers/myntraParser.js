@@ -1,6 +1,14 @@
 // src/services/parsers/myntraParser.js - UPDATED WITH PRECISE PATTERNS
 
 const { PLATFORMS, ORDER_STATUS } = require("../../constants");
+const {
+  detectReturnRefundType,
+  isReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+} = require("./returnRefund");
+const { NullTrace } = require("./extractionTrace");
 
 /**
  * Myntra-specific email parser - Updated for accurate extraction
@@ -8,6 +16,9 @@ const { PLATFORMS, ORDER_STATUS } = require("../../constants");
 class MyntraParser {
   constructor() {
     this.platform = PLATFORMS.MYNTRA;
+    this.senderDomains = ["myntra.com"];
+    this.priority = 50;
+    this.trace = new NullTrace();
   }
 
   /**
@@ -38,6 +49,9 @@ class MyntraParser {
       "dispatched",
       "confirmation",
       "myntra order",
+      "return",
+      "refund",
+      "pickup",
     ];
 
     return orderKeywords.some((keyword) => subjectLower.includes(keyword));
@@ -47,7 +61,7 @@ class MyntraParser {
    * Check if this parser can handle the given email
    */
   canParse(email) {
-    return this.isFromMyntra(email.sender) && this.isOrderEmail(email.subject);
+    return this.isFromMyntra(email.from) && this.isOrderEmail(email.subject);
   }
 
   /**
@@ -71,23 +85,20 @@ class MyntraParser {
    * Extract order ID from Myntra email - Updated with precise patterns
    */
   extractOrderId(content) {
-    console.log("🔍 Myntra: Extracting order ID...");
-
     // Primary pattern: Look for id="OrderId" elements
     const orderIdPattern = /id="OrderId"[^>]*>([^<]+)</i;
     const orderIdMatch = content.match(orderIdPattern);
 
     if (orderIdMatch) {
       const orderId = orderIdMatch[1].trim();
-      // Check if this looks like a tracking ID (starts with MYSP) vs order ID
-      if (orderId.startsWith("MYSP")) {
-        console.log(
-          `🔗 Found tracking ID: ${orderId} (will use as order reference)`
-        );
-      } else {
-        console.log(`✅ Found Myntra order ID: ${orderId}`);
-      }
-      return orderId;
+      return this.trace.record({
+        field: "orderId",
+        strategy: "extractOrderId",
+        pattern: orderIdPattern,
+        chosen: orderId,
+        // A tracking id (MYSP...) stands in for the order id
+        note: orderId.startsWith("MYSP") ? "tracking id" : undefined,
+      });
     }
 
     // Fallback patterns for different email formats
@@ -102,14 +113,18 @@ class MyntraParser {
       for (const match of matches) {
         const orderId = match[1];
         if (this.isValidMyntraOrderId(orderId)) {
-          console.log(`✅ Found valid Myntra order ID (fallback): ${orderId}`);
-          return orderId;
+          return this.trace.record({
+            field: "orderId",
+            strategy: "extractOrderId",
+            pattern,
+            chosen: orderId,
+            note: "fallback pattern",
+          });
         }
       }
     }
 
-    console.log("❌ No valid Myntra order ID found");
-    return null;
+    return this.trace.record({ field: "orderId", strategy: "extractOrderId" });
   }
 
   /**
@@ -121,13 +136,12 @@ class MyntraParser {
       /Your Tracking Id\s*:\s*<\/li>\s*<li[^>]*>([^<]+)</i;
     const trackingMatch = content.match(trackingPattern);
 
-    if (trackingMatch) {
-      const trackingId = trackingMatch[1].trim();
-      console.log(`✅ Found tracking ID: ${trackingId}`);
-      return trackingId;
-    }
-
-    return null;
+    return this.trace.record({
+      field: "trackingId",
+      strategy: "extractTrackingId",
+      pattern: trackingMatch ? trackingPattern : undefined,
+      chosen: trackingMatch ? trackingMatch[1].trim() : null,
+    });
   }
 
   /**
@@ -186,16 +200,17 @@ class MyntraParser {
    * Extract order amount from Myntra email - Updated with precise patterns
    */
   extractOrderAmount(content) {
-    console.log("💰 Extracting order amount...");
-
     // Primary pattern: Look for Net Paid amount
     const netPaidPattern = /Net Paid[\s\S]*?&#8377;([\d,]+\.?\d*)/i;
     const netPaidMatch = content.match(netPaidPattern);
 
     if (netPaidMatch) {
-      const amount = parseFloat(netPaidMatch[1].replace(/,/g, ""));
-      console.log(`✅ Found Net Paid amount: ₹${amount}`);
-      return amount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractOrderAmount",
+        pattern: netPaidPattern,
+        chosen: parseFloat(netPaidMatch[1].replace(/,/g, "")),
+      });
     }
 
     // Secondary pattern: Look for Total paid amount
@@ -203,9 +218,12 @@ class MyntraParser {
     const totalPaidMatch = content.match(totalPaidPattern);
 
     if (totalPaidMatch) {
-      const amount = parseFloat(totalPaidMatch[1].replace(/,/g, ""));
-      console.log(`✅ Found Total Paid amount: ₹${amount}`);
-      return amount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractOrderAmount",
+        pattern: totalPaidPattern,
+        chosen: parseFloat(totalPaidMatch[1].replace(/,/g, "")),
+      });
     }
 
     // Fallback: Look for Total Amount
@@ -213,9 +231,12 @@ class MyntraParser {
     const totalAmountMatch = content.match(totalAmountPattern);
 
     if (totalAmountMatch) {
-      const amount = parseFloat(totalAmountMatch[1].replace(/,/g, ""));
-      console.log(`✅ Found Total Amount: ₹${amount}`);
-      return amount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractOrderAmount",
+        pattern: totalAmountPattern,
+        chosen: parseFloat(totalAmountMatch[1].replace(/,/g, "")),
+      });
     }
 
     // Other fallback patterns
@@ -229,14 +250,21 @@ class MyntraParser {
       for (const match of matches) {
         const amount = parseFloat(match[1].replace(/,/g, ""));
         if (!isNaN(amount) && amount > 0 && amount < 1000000) {
-          console.log(`✅ Found amount (fallback): ₹${amount}`);
-          return amount;
+          return this.trace.record({
+            field: "amount",
+            strategy: "extractOrderAmount",
+            pattern,
+            chosen: amount,
+            note: "fallback pattern",
+          });
         }
       }
     }
 
-    console.log("❌ No valid amount found in Myntra email");
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractOrderAmount",
+    });
   }
 
   /**
@@ -312,29 +340,35 @@ class MyntraParser {
       const match = content.match(pattern);
       if (match) {
         const dateStr = match[1].trim();
-        console.log(`📅 Found date string: ${dateStr}`);
 
         // Parse the date string (e.g., "Fri, 01 Aug")
         const currentYear = new Date().getFullYear();
         const parsedDate = new Date(`${dateStr} ${currentYear}`);
 
         if (!isNaN(parsedDate.getTime())) {
-          console.log(`✅ Parsed order date: ${parsedDate.toISOString()}`);
-          return parsedDate;
+          return this.trace.record({
+            field: "orderDate",
+            strategy: "extractOrderDate",
+            pattern,
+            candidates: [dateStr],
+            chosen: parsedDate,
+          });
         }
       }
     }
 
-    console.log("❌ No valid order date found, using current date");
-    return new Date();
+    return this.trace.record({
+      field: "orderDate",
+      strategy: "extractOrderDate",
+      chosen: new Date(),
+      note: "no date found, using the current date",
+    });
   }
 
   /**
    * Extract product information from Myntra email - Updated with precise patterns
    */
   extractProductInfo(content) {
-    console.log("🛍️ Extracting product information...");
-
     // Extract brand name
     const brandPattern = /ItemProductBrandName[^>]*>([^<]+)</i;
     const brandMatch = content.match(brandPattern);
@@ -413,9 +447,12 @@ class MyntraParser {
       total_price: itemPrice * quantity,
     };
 
-    console.log(
-      `🎯 Extracted product: ${JSON.stringify(productInfo, null, 2)}`
-    );
+    this.trace.record({
+      field: "products",
+      strategy: "extractProductInfo",
+      pattern: productNameMatch ? productNamePattern : undefined,
+      chosen: productInfo.name,
+    });
     return productInfo;
   }
 
@@ -470,98 +507,87 @@ class MyntraParser {
   /**
    * Main parsing method - Updated with order linking support
    */
-  parse({ from, subject, html, text }) {
-    console.log("\n🏷️ Myntra Parser - Starting enhanced parse...");
-    console.log(`From: ${from}`);
-    console.log(`Subject: ${subject}`);
-
-    if (!this.isFromMyntra(from)) {
-      console.log("❌ Not from Myntra");
-      return null;
-    }
-
-    if (!this.isOrderEmail(subject)) {
-      console.log("❌ Not a Myntra order email");
-      return null;
-    }
-
-    const content = html || text || "";
-    console.log(`Content length: ${content.length}`);
-
-    // Extract core information
-    const orderId = this.extractOrderId(content);
-    const trackingId = this.extractTrackingId(content);
-
-    // For linking purposes, we need at least one ID
-    if (!orderId && !trackingId) {
-      console.log("❌ No valid order or tracking ID found - cannot parse");
-      return null;
-    }
+  parse({ from, subject, html, text, date }, trace = new NullTrace()) {
+    // The extract* helpers record into this.trace, as in AmazonParser
+    this.trace = trace;
+    try {
+      if (!this.isFromMyntra(from) || !this.isOrderEmail(subject)) {
+        return null;
+      }
 
-    const status = this.extractOrderStatus(content, subject);
-    const amount = this.extractOrderAmount(content);
-    const orderDate = this.extractOrderDate(content);
-    const productInfo = this.extractProductInfo(content);
-    const sellerInfo = this.extractSellerInfo(content);
-    const deliveryAddress = this.extractDeliveryAddress(content);
+      const content = html || text || "";
 
-    const items = [productInfo];
+      // Extract core information
+      const orderId = this.extractOrderId(content);
+      const trackingId = this.extractTrackingId(content);
 
-    // Generate order key for linking
-    const orderKey = this.generateOrderKey(
-      productInfo.name,
-      amount,
-      deliveryAddress
-    );
+      // For linking purposes, we need at least one ID
+      if (!orderId && !trackingId) {
+        return null;
+      }
 
-    // Determine email type
-    const emailType = this.determineEmailType(content, subject);
-
-    const parsedOrder = {
-      platform: this.platform,
-      orderId: orderId || null,
-      trackingId: trackingId || null,
-      orderKey: orderKey, // For linking related emails
-      amount: amount || null,
-      items,
-      status,
-      orderDate: orderDate,
-      seller: sellerInfo,
-      deliveryAddress: deliveryAddress,
-      emailType: emailType,
-      confidence: this.calculateConfidenceScore({
-        orderId,
-        trackingId,
+      // Determine email type
+      const emailType = this.determineEmailType(content, subject);
+
+      // A return or refund mail's amount is the refund, not the order total
+      const status =
+        statusForReturnRefundType(emailType) ||
+        this.extractOrderStatus(content, subject);
+      const amount = isReturnRefundType(emailType)
+        ? null
+        : this.extractOrderAmount(content);
+      const orderDate = this.extractOrderDate(content);
+      const productInfo = this.extractProductInfo(content);
+      const sellerInfo = this.extractSellerInfo(content);
+      const deliveryAddress = this.extractDeliveryAddress(content);
+
+      const items = [productInfo];
+
+      // Generate order key for linking
+      const orderKey = this.generateOrderKey(
+        productInfo.name,
         amount,
+        deliveryAddress
+      );
+
+      const parsedOrder = {
+        platform: this.platform,
+        orderId: orderId || null,
+        trackingId: trackingId || null,
+        orderKey: orderKey, // For linking related emails
+        amount: amount || null,
         items,
         status,
-      }),
-      rawData: {
-        subject,
-        from,
-        extractedAt: new Date(),
-      },
-    };
+        orderDate: orderDate,
+        seller: sellerInfo,
+        deliveryAddress: deliveryAddress,
+        emailType: emailType,
+        refund: extractRefundDetails(
+          emailType,
+          this.extractTextFromHtml(content)
+        ),
+        returnBy: extractReturnDeadline(
+          this.extractTextFromHtml(content),
+          date
+        ),
+        confidence: this.calculateConfidenceScore({
+          orderId,
+          trackingId,
+          amount,
+          items,
+          status,
+        }),
+        rawData: {
+          subject,
+          from,
+          extractedAt: new Date(),
+        },
+      };
 
-    console.log("✅ Myntra Parser - Successfully parsed:");
-    console.log(`  Order ID: ${parsedOrder.orderId || "Not available"}`);
-    console.log(`  Tracking ID: ${parsedOrder.trackingId || "Not available"}`);
-    console.log(`  Order Key: ${parsedOrder.orderKey}`);
-    console.log(`  Email Type: ${parsedOrder.emailType}`);
-    console.log(`  Status: ${parsedOrder.status}`);
-    console.log(
-      `  Amount: ${
-        parsedOrder.amount ? `₹${parsedOrder.amount}` : "Not available"
-      }`
-    );
-    console.log(`  Order Date: ${parsedOrder.orderDate.toDateString()}`);
-    console.log(`  Product: ${items[0].name}`);
-    console.log(`  Quantity: ${items[0].quantity}`);
-    console.log(`  Size: ${items[0].size || "Not specified"}`);
-    console.log(`  Seller: ${parsedOrder.seller || "Not available"}`);
-    console.log(`  Confidence: ${(parsedOrder.confidence * 100).toFixed(1)}%`);
-
-    return parsedOrder;
+      return parsedOrder;
+    } finally {
+      this.trace = new NullTrace();
+    }
   }
 
   /**
@@ -571,6 +597,13 @@ class MyntraParser {
     const contentLower = content.toLowerCase();
     const subjectLower = subject.toLowerCase();
 
+    // Returns and refunds first: their mails repeat the order details
+    const returnRefundType = detectReturnRefundType(
+      subject,
+      this.extractTextFromHtml(content)
+    );
+    if (returnRefundType) return returnRefundType;
+
     if (
       subjectLower.includes("confirmation") ||
       contentLower.includes("sit back and relax")
@@ -1,17 +1,24 @@
 // src/services/parsers/nykaaParser.js
 
 const BaseParser = require("./baseParser");
+const { cleanHtml } = require("../../utils/htmlCleaner");
+const {
+  detectReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+} = require("./returnRefund");
 
 class NykaaParser extends BaseParser {
   constructor() {
-    super("nykaa");
+    super("nykaa", { senderDomains: ["nykaa.com"] });
   }
 
   /**
    * Check if this parser can handle the given email
    */
   canParse(email) {
-    const sender = email.sender?.toLowerCase() || "";
+    const sender = email.from?.toLowerCase() || "";
     const subject = email.subject?.toLowerCase() || "";
 
     return (
@@ -44,11 +51,19 @@ class NykaaParser extends BaseParser {
     const datePattern =
       /(?:ordered|placed)\s*on\s*(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/i;
 
+    const plainText = text || cleanHtml(html);
+    const returnRefundType = detectReturnRefundType(subject, plainText);
+
     const orderId = this.extractOrderId(html, text, orderIdPattern);
-    const amount = this.extractAmount(html, text, amountPattern);
+    // A return or refund mail's amount is the refund, not the order total
+    const amount = returnRefundType
+      ? null
+      : this.extractAmount(html, text, amountPattern);
     const orderDate = this.extractOrderDate(html, text, datePattern);
     const items = this.extractItems(html, text);
-    const orderStatus = this.extractOrderStatus(html, text, subject);
+    const orderStatus =
+      statusForReturnRefundType(returnRefundType) ||
+      this.extractOrderStatus(html, text, subject);
 
     return {
       orderId,
@@ -56,6 +71,9 @@ class NykaaParser extends BaseParser {
       orderDate,
       items,
       status: orderStatus,
+      ...(returnRefundType && { emailType: returnRefundType }),
+      refund: extractRefundDetails(returnRefundType, plainText),
+      returnBy: extractReturnDeadline(plainText, email.date),
       platform: "nykaa",
       confidence: this.calculateConfidence(orderId, amount, items),
     };
@@ -0,0 +1,226 @@
+// src/services/parsers/returnRefund.js - RETURN AND REFUND MAILS, SHARED BY THE SHOP PARSERS
+
+const { ORDER_STATUS, REFUND_STATUS } = require("../../constants");
+
+// Most advanced stage first: a "refund credited" mail often repeats that the
+// return was picked up. Content phrases are specific enough not to match the
+// returns policy in every order mail's footer.
+const RETURN_REFUND_PATTERNS = [
+  {
+    emailType: "refund_credited",
+    subject: [/refund.*\b(credited|processed|completed|successful)/],
+    content: [
+      /refund (of .{1,30})?(has been|was|is) (successfully )?(credited|processed|completed)/,
+      /(amount|money) (has been|was) credited/,
+    ],
+  },
+  {
+    emailType: "refund_initiated",
+    subject: [/refund.*\b(initiated|issued|on (its|the) way)/],
+    content: [/refund (of .{1,30})?(has been|was|is) (initiated|issued)/],
+  },
+  {
+    emailType: "return_pickup_scheduled",
+    subject: [/pick-?up.*\b(scheduled|arranged|confirmed)/],
+    content: [/pick-?up (for your return )?(has been|is) (scheduled|arranged)/],
+  },
+  {
+    emailType: "return_requested",
+    subject: [
+      /return (request|requested|initiated|placed|created)/,
+      /return.*\b(received|registered)/,
+    ],
+    content: [
+      /return request (has been|is|was) (placed|received|raised|registered)/,
+      /we('ve| have) received your return request/,
+    ],
+  },
+];
+
+// Order status each return or refund mail reports; refund mails do not move
+// the order, so a refund of a cancelled order stays cancelled
+const STATUS_BY_EMAIL_TYPE = {
+  return_requested: ORDER_STATUS.RETURN_REQUESTED,
+  return_pickup_scheduled: ORDER_STATUS.RETURN_PICKUP_SCHEDULED,
+  refund_initiated: ORDER_STATUS.UNKNOWN,
+  refund_credited: ORDER_STATUS.UNKNOWN,
+};
+
+const REFUND_STATUS_BY_EMAIL_TYPE = {
+  refund_initiated: REFUND_STATUS.INITIATED,
+  refund_credited: REFUND_STATUS.CREDITED,
+};
+
+// First match wins, so more specific methods come first
+const REFUND_METHODS = [
+  { method: "gift_card", pattern: /gift ?card/ },
+  { method: "wallet", pattern: /amazon pay|wallet|myntra credit|supercoin/ },
+  { method: "upi", pattern: /\bupi\b/ },
+  { method: "bank_account", pattern: /bank account|\bneft\b|\bimps\b/ },
+  { method: "card", pattern: /credit card|debit card/ },
+  {
+    method: "original_payment",
+    pattern: /original (mode of )?payment|source account|same payment/,
+  },
+];
+
+const REFUND_AMOUNT_PATTERNS = [
+  /refund(?: amount)?(?: of)?\s*:?\s*(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d{1,2})?)/i,
+  /(?:₹|rs\.?|inr)\s*([\d,]+(?:\.\d{1,2})?)\s*(?:has been|will be|is|was)\s*(?:refunded|credited)/i,
+  /refund(?:ed)? amount\s*:?\s*(?:₹|rs\.?|inr)?\s*([\d,]+(?:\.\d{1,2})?)/i,
+];
+
+// The reference itself always has a digit, so "Refund reference ID" does
+// not match its own label
+const REFUND_REFERENCE_PATTERN =
+  /(?:refund (?:reference|ref\.?|id)|\brrn\b|\barn\b|\butr\b)(?:\s*(?:id|no\.?|number))?\s*[:#\-]?\s*((?=[A-Z0-9]*\d)[A-Z0-9]{6,})/i;
+
+// "Return window closes on 30 Oct", "eligible for return till 30 October
+// 2026", "return by 30/10/2026"
+const DEADLINE_DATE =
+  "(\\d{1,2}(?:st|nd|rd|th)?[ -](?:[a-z]{3,9})\\.?,?(?:[ -]\\d{4})?|[a-z]{3,9}\\.? \\d{1,2}(?:st|nd|rd|th)?,?(?: \\d{4})?|\\d{1,2}[/-]\\d{1,2}[/-]\\d{4})";
+const RETURN_DEADLINE_PATTERNS = [
+  new RegExp(
+    `return window (?:closes|closing|ends|expires)(?: on)?\\s*:?\\s*${DEADLINE_DATE}`,
+    "i"
+  ),
+  new RegExp(
+    `(?:return|returnable|replacement)[^.]{0,40}?\\b(?:by|till|until|before)\\s*:?\\s*${DEADLINE_DATE}`,
+    "i"
+  ),
+];
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * End of the day a deadline date names. Indian mails write numeric dates
+ * day first; a date without a year is the first one not long before the
+ * email.
+ */
+function parseDeadlineDate(text, referenceDate) {
+  const numeric = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  let day;
+  let month;
+  let year;
+
+  if (numeric) {
+    [day, month, year] = [numeric[1], numeric[2] - 1, numeric[3]].map(Number);
+  } else {
+    const words = text.toLowerCase().replace(/[.,]/g, "").split(/[ -]/);
+    const monthWord = words.find((word) => /^[a-z]{3,}$/.test(word));
+    month = monthWord ? MONTHS.indexOf(monthWord.slice(0, 3)) : -1;
+    day = parseInt(words.find((word) => /^\d{1,2}(st|nd|rd|th)?$/.test(word)));
+    year = parseInt(words.find((word) => /^\d{4}$/.test(word)));
+  }
+  if (month < 0 || month > 11 || !(day >= 1 && day <= 31)) return null;
+
+  if (!year) {
+    year = referenceDate.getFullYear();
+    // "Return by 5 Jan" in a December mail
+    if (new Date(year, month, day) < referenceDate - 30 * 86400000) year++;
+  }
+
+  const date = new Date(year, month, day, 23, 59, 59);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Explicit return deadline an email states, e.g. in a delivery mail's
+ * "return window closes on" line; null when it names none
+ * @param {string} content - Plain text of the email
+ * @param {Date|string} [emailDate] - Resolves dates given without a year
+ * @returns {Date|null}
+ */
+function extractReturnDeadline(content, emailDate) {
+  const text = content || "";
+  const referenceDate = emailDate ? new Date(emailDate) : new Date();
+
+  for (const pattern of RETURN_DEADLINE_PATTERNS) {
+    const match = text.match(pattern);
+    const deadline = match && parseDeadlineDate(match[1].trim(), referenceDate);
+    if (deadline) return deadline;
+  }
+  return null;
+}
+
+/**
+ * Return or refund email type of a shop mail, or null for any other mail.
+ * Parsers check this before their own order / shipping types.
+ */
+function detectReturnRefundType(subject, content) {
+  const subjectLower = (subject || "").toLowerCase();
+  const contentLower = (content || "").toLowerCase();
+
+  const match = RETURN_REFUND_PATTERNS.find(
+    ({ subject: subjectPatterns, content: contentPatterns }) =>
+      subjectPatterns.some((pattern) => pattern.test(subjectLower)) ||
+      contentPatterns.some((pattern) => pattern.test(contentLower))
+  );
+  return match ? match.emailType : null;
+}
+
+function isReturnRefundType(emailType) {
+  return emailType in STATUS_BY_EMAIL_TYPE;
+}
+
+/**
+ * Order status for a return or refund email type, else null
+ */
+function statusForReturnRefundType(emailType) {
+  return STATUS_BY_EMAIL_TYPE[emailType] || null;
+}
+
+/**
+ * Amount, method and reference of a refund mail. Any may be null; a credit
+ * confirmation often leaves out what the initiation mail said.
+ * @returns {{status: string, amount: number|null, method: string|null,
+ *   reference: string|null}|null} null unless emailType is a refund type
+ */
+function extractRefundDetails(emailType, content) {
+  const status = REFUND_STATUS_BY_EMAIL_TYPE[emailType];
+  if (!status) return null;
+
+  const text = content || "";
+  const textLower = text.toLowerCase();
+
+  let amount = null;
+  for (const pattern of REFUND_AMOUNT_PATTERNS) {
+    const match = text.match(pattern);
+    const value = match && parseFloat(match[1].replace(/,/g, ""));
+    if (value > 0) {
+      amount = value;
+      break;
+    }
+  }
+
+  const method = REFUND_METHODS.find(({ pattern }) => pattern.test(textLower));
+  const reference = text.match(REFUND_REFERENCE_PATTERN);
+
+  return {
+    status,
+    amount,
+    method: method ? method.method : null,
+    reference: reference ? reference[1] : null,
+  };
+}
+
+module.exports = {
+  detectReturnRefundType,
+  isReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+};
@@ -1,44 +1,44 @@
 const { cleanHtml, extractTextContent } = require("../../utils/htmlCleaner");
 const { extractAmount, formatAmount } = require("../../utils/amountExtractor");
+const { NullTrace } = require("./extractionTrace");
 
 class SwiggyParser {
   constructor() {
     this.platform = "swiggy";
+    this.senderDomains = ["swiggy.in", "swiggy.com"];
+    this.priority = 50;
+    this.trace = new NullTrace();
   }
 
   /**
    * 🎯 ENHANCED: Parse Swiggy orders with CORRECT Grand Total extraction
    */
-  parse(emailData) {
-    console.log("🍔 Swiggy: Starting enhanced parsing...");
-    console.log(`📧 Subject: ${emailData.subject}`);
+  parse(emailData, trace = new NullTrace()) {
+    // The extract* helpers record into this.trace, as in AmazonParser
+    this.trace = trace;
 
     try {
       // Step 1: Clean HTML content
       const cleanContent = cleanHtml(emailData.html || emailData.text || "");
-      console.log("✅ Swiggy: HTML cleaned successfully");
 
       // Step 2: Extract order ID
-      const orderId = this.extractOrderId(cleanContent, emailData.subject);
+      const orderId = this.trace.record({
+        field: "orderId",
+        strategy: "extractOrderId",
+        chosen: this.extractOrderId(cleanContent, emailData.subject),
+      });
       if (!orderId) {
-        console.log("❌ Swiggy: No order ID found");
         return null;
       }
-      console.log(`✅ Swiggy: Order ID found - ${orderId}`);
 
       // Step 3: Extract GRAND TOTAL (FIXED - not first item price)
       const grandTotal = this.extractGrandTotal(cleanContent);
-      console.log(
-        `💰 Swiggy: Grand Total extracted - ₹${grandTotal || "not found"}`
-      );
 
       // Step 4: Extract individual items
       const items = this.extractItems(cleanContent);
-      console.log(`📦 Swiggy: Items found - ${items.length} items`);
 
       // Step 5: Extract fees from Order Summary
       const fees = this.extractFees(cleanContent);
-      console.log(`💳 Swiggy: Fees found - ${fees.length} fees`);
 
       // Step 6: Combine items and fees
       const allProducts = [...items, ...fees];
@@ -50,11 +50,14 @@ class SwiggyParser {
       );
       const feesTotal = fees.reduce((sum, fee) => sum + (fee.price || 0), 0);
       const expectedTotal = calculatedTotal + feesTotal;
-
-      console.log(
-        `🧮 Swiggy: Calculated total - Items: ₹${calculatedTotal} + Fees: ₹${feesTotal} = ₹${expectedTotal}`
-      );
-      console.log(`🎯 Swiggy: Extracted Grand Total: ₹${grandTotal}`);
+      if (!grandTotal) {
+        this.trace.record({
+          field: "amount",
+          strategy: "sumItemsAndFees",
+          candidates: [calculatedTotal, feesTotal],
+          chosen: expectedTotal,
+        });
+      }
 
       return {
         platform: this.platform,
@@ -68,8 +71,14 @@ class SwiggyParser {
         confidence: this.calculateConfidence(orderId, grandTotal, allProducts),
       };
     } catch (error) {
-      console.error("❌ Swiggy parser error:", error);
+      this.trace.record({
+        field: "parser",
+        strategy: "parse",
+        note: `failed: ${error.message}`,
+      });
       return null;
+    } finally {
+      this.trace = new NullTrace();
     }
   }
 
@@ -77,8 +86,6 @@ class SwiggyParser {
    * FIXED: Extract Grand Total from Order Summary section
    */
   extractGrandTotal(content) {
-    console.log("💰 Swiggy: Looking for Grand Total...");
-
     // ENHANCED: Multiple patterns for Grand Total - prioritize these over item prices
     const grandTotalPatterns = [
       // Primary patterns - exact Grand Total
@@ -123,19 +130,21 @@ class SwiggyParser {
       });
 
       const selected = grandTotalCandidates[0];
-      console.log(
-        `✅ Swiggy: Found Grand Total ₹${selected.amount} from context: "${selected.context}"`
-      );
-      console.log(
-        `💡 Swiggy: All candidates:`,
-        grandTotalCandidates.map((c) => `₹${c.amount} (${c.priority})`)
-      );
-
-      return selected.amount;
+      return this.trace.record({
+        field: "amount",
+        strategy: "extractGrandTotal",
+        candidates: grandTotalCandidates.map(
+          ({ amount, priority }) => `${amount} (${priority})`
+        ),
+        chosen: selected.amount,
+        note: selected.context,
+      });
     }
 
-    console.log("❌ Swiggy: No Grand Total found");
-    return null;
+    return this.trace.record({
+      field: "amount",
+      strategy: "extractGrandTotal",
+    });
   }
 
   /**
@@ -157,8 +166,6 @@ class SwiggyParser {
    * Extract individual food items (separate from fees)
    */
   extractItems(content) {
-    console.log("📦 Swiggy: Extracting food items...");
-
     const items = [];
 
     // Enhanced item patterns for Swiggy food orders
@@ -205,13 +212,16 @@ class SwiggyParser {
             formattedPrice: formatAmount(price),
             type: "item",
           });
-          console.log(
-            `✅ Swiggy item: ${productName} (${quantity}x) - ₹${price}`
-          );
         }
       }
     }
 
+    this.trace.record({
+      field: "products",
+      strategy: "extractItems",
+      candidates: items.map((item) => item.name),
+      chosen: items[0]?.name,
+    });
     return items;
   }
 
@@ -219,8 +229,6 @@ class SwiggyParser {
    * Extract fees from Order Summary section
    */
   extractFees(content) {
-    console.log("💳 Swiggy: Extracting fees...");
-
     const fees = [];
 
     // Fee patterns
@@ -246,7 +254,6 @@ class SwiggyParser {
             formattedPrice: formatAmount(feeAmount),
             type: "fee",
           });
-          console.log(`✅ Swiggy fee: ${feeName} - ₹${feeAmount}`);
         }
       }
     }
@@ -411,7 +418,7 @@ class SwiggyParser {
   /**
    * FIXED: Check if email can be parsed - MORE INCLUSIVE for Swiggy orders
    */
-  static canParse(emailData) {
+  canParse(emailData) {
     if (!emailData.from || !emailData.subject) return false;
 
     const from = emailData.from.toLowerCase();
@@ -424,7 +431,6 @@ class SwiggyParser {
       from.includes("swiggy");
 
     if (!isSwiggy) {
-      console.log(`❌ Swiggy canParse: Not from Swiggy - ${emailData.from}`);
       return false;
     }
 
@@ -459,23 +465,12 @@ class SwiggyParser {
     );
 
     if (isDefinitelyNotOrder) {
-      console.log(
-        `❌ Swiggy canParse: Rejected promotional email - ${subject}`
-      );
       return false;
     }
 
-    const hasOrderKeyword = orderIndicators.some(
+    return orderIndicators.some(
       (keyword) => subject.includes(keyword) || from.includes(keyword)
     );
-
-    if (hasOrderKeyword) {
-      console.log(`✅ Swiggy canParse: Accepted order email - ${subject}`);
-    } else {
-      console.log(`❌ Swiggy canParse: No order indicators - ${subject}`);
-    }
-
-    return hasOrderKeyword;
   }
 }
 
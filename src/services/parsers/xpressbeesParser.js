@@ -0,0 +1,18 @@
+// src/services/parsers/xpressbeesParser.js
+
+const BaseCourierParser = require("./baseCourierParser");
+
+/**
+ * Xpressbees shipment update emails
+ */
+class XpressbeesParser extends BaseCourierParser {
+  constructor() {
+    super("xpressbees", {
+      carrierName: "Xpressbees",
+      senderDomains: ["xpressbees.com"],
+      trackingIdPattern: /1\d{13,14}/, // Xpressbees AWB: 14-15 digits starting with 1
+    });
+  }
+}
+
+module.exports = XpressbeesParser;
@@ -4,14 +4,14 @@ const BaseParser = require("./baseParser");
 
 class ZeptoParser extends BaseParser {
   constructor() {
-    super("zepto");
+    super("zepto", { senderDomains: ["zepto.in", "zeptonow.com"] });
   }
 
   /**
    * Check if this parser can handle the given email
    */
   canParse(email) {
-    const sender = email.sender?.toLowerCase() || "";
+    const sender = email.from?.toLowerCase() || "";
     const subject = email.subject?.toLowerCase() || "";
 
     return (
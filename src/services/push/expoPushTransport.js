@@ -0,0 +1,73 @@
+// src/services/push/expoPushTransport.js - EXPO PUSH SERVICE
+
+const PushTransport = require("./pushTransport");
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+// Expo rejects requests with more messages than this
+const MAX_MESSAGES_PER_REQUEST = 100;
+
+/**
+ * Sends through Expo's push API, which forwards to APNs and FCM. Set
+ * EXPO_ACCESS_TOKEN when the Expo project requires authenticated pushes.
+ */
+class ExpoPushTransport extends PushTransport {
+  constructor({
+    url = process.env.EXPO_PUSH_URL || EXPO_PUSH_URL,
+    accessToken = process.env.EXPO_ACCESS_TOKEN,
+  } = {}) {
+    super();
+    this.url = url;
+    this.accessToken = accessToken;
+  }
+
+  get name() {
+    return "expo";
+  }
+
+  async send(messages) {
+    const tickets = [];
+    for (let i = 0; i < messages.length; i += MAX_MESSAGES_PER_REQUEST) {
+      tickets.push(
+        ...(await this.sendChunk(
+          messages.slice(i, i + MAX_MESSAGES_PER_REQUEST)
+        ))
+      );
+    }
+    return tickets;
+  }
+
+  async sendChunk(messages) {
+    const headers = {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    };
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(
+        messages.map((message) => ({ sound: "default", ...message }))
+      ),
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !Array.isArray(body.data)) {
+      throw new Error(
+        body.errors?.[0]?.message ||
+          `Expo push request failed with status ${response.status}`
+      );
+    }
+
+    return body.data.map((ticket) => ({
+      status: ticket.status,
+      id: ticket.id,
+      message: ticket.message,
+      error: ticket.details?.error,
+    }));
+  }
+}
+
+module.exports = ExpoPushTransport;
@@ -0,0 +1,29 @@
+// src/services/push/index.js - PICK THE PUSH TRANSPORT
+
+const ExpoPushTransport = require("./expoPushTransport");
+const MemoryPushTransport = require("./memoryPushTransport");
+const PushTransport = require("./pushTransport");
+
+const PUSH_TRANSPORTS = {
+  expo: ExpoPushTransport,
+  memory: MemoryPushTransport,
+};
+
+/**
+ * The transport named by PUSH_TRANSPORT: `expo` (default) or `memory`
+ * @returns {PushTransport}
+ */
+function createPushTransport(name = process.env.PUSH_TRANSPORT || "expo") {
+  const Transport = PUSH_TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown push transport: ${name}`);
+  }
+  return new Transport();
+}
+
+module.exports = {
+  createPushTransport,
+  PushTransport,
+  ExpoPushTransport,
+  MemoryPushTransport,
+};
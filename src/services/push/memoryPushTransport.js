@@ -0,0 +1,41 @@
+// src/services/push/memoryPushTransport.js - KEEPS PUSHES IN MEMORY
+
+const PushTransport = require("./pushTransport");
+
+/**
+ * Records messages instead of sending them, for tests and local
+ * development. Tokens in `unregisteredTokens` get a DeviceNotRegistered
+ * ticket, as Expo answers for an uninstalled app.
+ */
+class MemoryPushTransport extends PushTransport {
+  constructor() {
+    super();
+    this.sent = [];
+    this.unregisteredTokens = new Set();
+  }
+
+  get name() {
+    return "memory";
+  }
+
+  async send(messages) {
+    return messages.map((message) => {
+      if (this.unregisteredTokens.has(message.to)) {
+        return {
+          status: "error",
+          message: `${message.to} is not a registered push notification recipient`,
+          error: "DeviceNotRegistered",
+        };
+      }
+
+      this.sent.push(message);
+      return { status: "ok" };
+    });
+  }
+
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = MemoryPushTransport;
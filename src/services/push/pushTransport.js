@@ -0,0 +1,30 @@
+// src/services/push/pushTransport.js - WHERE PUSH MESSAGES ARE DELIVERED
+
+/**
+ * Delivers push messages to devices. PushNotificationService only talks to
+ * this interface; createPushTransport picks the implementation from
+ * PUSH_TRANSPORT.
+ *
+ * A message is `{to, title, body, data}` with `to` an Expo push token.
+ * send resolves to one ticket per message, in the same order:
+ * `{status: "ok"}` or `{status: "error", message, error}`. The error
+ * DeviceNotRegistered means the token is dead and its device should go.
+ */
+class PushTransport {
+  /**
+   * Transport name as set in PUSH_TRANSPORT
+   */
+  get name() {
+    throw new Error(`${this.constructor.name} must define name`);
+  }
+
+  /**
+   * @param {Object[]} messages
+   * @returns {Promise<Object[]>} Tickets
+   */
+  async send(messages) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+}
+
+module.exports = PushTransport;
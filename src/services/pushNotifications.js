@@ -0,0 +1,242 @@
+// src/services/pushNotifications.js - PUSH NOTIFICATIONS TO REGISTERED DEVICES
+
+const { Device } = require("../models");
+const { createPushTransport } = require("./push");
+const {
+  notificationEvents,
+  NOTIFICATION_EVENT,
+  NOTIFICATION_FLUSH_EVENT,
+} = require("./notificationEvents");
+const { getPlatformConfig } = require("../config/parserConfig");
+const logger =
+  require("../utils/logger").createModuleLogger("PushNotifications");
+const { NOTIFICATION_TYPE } = require("../constants");
+
+const MAX_NAME_LENGTH = 40;
+
+const shopName = (data) =>
+  (data.platform && getPlatformConfig(data.platform)?.displayName) ||
+  data.platform ||
+  "Your";
+
+const shortName = (name) =>
+  name && name.length > MAX_NAME_LENGTH
+    ? `${name.slice(0, MAX_NAME_LENGTH - 1)}…`
+    : name;
+
+const orderName = (data) =>
+  shortName(data.productName) || `order ${data.platformOrderId}`;
+
+// What a single notification says. Within a batch a later notification
+// with the same collapse key replaces an earlier one, so an order that
+// shipped and was delivered in one sync only reports the delivery.
+const PUSH_MESSAGES = {
+  [NOTIFICATION_TYPE.ORDER_SHIPPED]: {
+    label: "shipped",
+    collapseKey: (data) => `order:${data.orderId}`,
+    format: (data) => ({
+      title: `${shopName(data)} order shipped`,
+      body: `${orderName(data)} is on its way`,
+    }),
+  },
+  [NOTIFICATION_TYPE.ORDER_OUT_FOR_DELIVERY]: {
+    label: "out for delivery",
+    collapseKey: (data) => `order:${data.orderId}`,
+    format: (data) => ({
+      title: "Out for delivery",
+      body: `${orderName(data)} from ${shopName(data)} arrives today`,
+    }),
+  },
+  [NOTIFICATION_TYPE.ORDER_DELIVERED]: {
+    label: "delivered",
+    collapseKey: (data) => `order:${data.orderId}`,
+    format: (data) => ({
+      title: `${shopName(data)} order delivered`,
+      body: `${orderName(data)} has been delivered`,
+    }),
+  },
+  [NOTIFICATION_TYPE.RETURN_WINDOW_CLOSING]: {
+    label: "closing for returns",
+    collapseKey: (data) => `return:${data.orderId}`,
+    format: (data) => {
+      const [first, ...rest] = data.items || [];
+      const items = rest.length
+        ? `${shortName(first.name)} and ${rest.length} more`
+        : shortName(first?.name) || `order ${data.platformOrderId}`;
+      return {
+        title: "Return window closing",
+        body: `${data.daysLeft} day${
+          data.daysLeft === 1 ? "" : "s"
+        } left to return ${items} to ${shopName(data)}`,
+      };
+    },
+  },
+};
+
+/**
+ * Delivers notifications from notificationEvents to the user's registered
+ * devices. Notifications are held per user until the publisher flushes
+ * (a sync, when it ends) or PUSH_BATCH_WINDOW_MS passes without another
+ * one; a batch of several is sent as one summary push.
+ */
+class PushNotificationService {
+  /**
+   * @param {Object} [options]
+   * @param {PushTransport} [options.transport] - Defaults to PUSH_TRANSPORT
+   * @param {number} [options.batchWindowMs]
+   */
+  constructor({ transport = null, batchWindowMs } = {}) {
+    this.transport = transport;
+    this.batchWindowMs =
+      batchWindowMs ?? (parseInt(process.env.PUSH_BATCH_WINDOW_MS) || 30000);
+    this.bus = null;
+    // userId → { notifications: Map(collapseKey → event), timer }
+    this.pending = new Map();
+
+    this.onNotification = (event) => this.enqueue(event);
+    this.onFlush = ({ userId }) => this.flush(userId);
+  }
+
+  start(bus = notificationEvents) {
+    if (this.bus) return;
+
+    this.transport = this.transport || createPushTransport();
+    this.bus = bus;
+    bus.on(NOTIFICATION_EVENT, this.onNotification);
+    bus.on(NOTIFICATION_FLUSH_EVENT, this.onFlush);
+
+    logger.info("Push notifications started", {
+      transport: this.transport.name,
+      batchWindowMs: this.batchWindowMs,
+    });
+  }
+
+  /**
+   * Unsubscribe and send what is still held rather than drop it
+   */
+  async stop() {
+    if (!this.bus) return;
+
+    this.bus.off(NOTIFICATION_EVENT, this.onNotification);
+    this.bus.off(NOTIFICATION_FLUSH_EVENT, this.onFlush);
+    this.bus = null;
+
+    await Promise.all(
+      [...this.pending.keys()].map((userId) => this.flush(userId))
+    );
+    logger.info("Push notifications stopped");
+  }
+
+  enqueue(event) {
+    const pushMessage = PUSH_MESSAGES[event.type];
+    if (!pushMessage) return;
+
+    let batch = this.pending.get(event.userId);
+    if (!batch) {
+      batch = { notifications: new Map(), timer: null };
+      this.pending.set(event.userId, batch);
+    }
+
+    // Re-inserted so a replaced notification takes its new place in order
+    const collapseKey = pushMessage.collapseKey(event.data);
+    batch.notifications.delete(collapseKey);
+    batch.notifications.set(collapseKey, event);
+
+    clearTimeout(batch.timer);
+    batch.timer = setTimeout(
+      () => this.flush(event.userId),
+      this.batchWindowMs
+    );
+    batch.timer.unref();
+  }
+
+  /**
+   * Send the user's held notifications to each of their devices. Never
+   * throws: a failed push is logged and dropped.
+   * @returns {Promise<Object|null>} Counts, or null when nothing was held
+   */
+  async flush(userId) {
+    const batch = this.pending.get(userId);
+    if (!batch) return null;
+
+    this.pending.delete(userId);
+    clearTimeout(batch.timer);
+    const notifications = [...batch.notifications.entries()];
+
+    try {
+      const devices = await Device.findByUser(userId);
+      if (devices.length === 0) {
+        return { notifications: notifications.length, devices: 0, sent: 0 };
+      }
+
+      const content = this.buildContent(notifications);
+      const tickets = await this.transport.send(
+        devices.map((device) => ({ to: device.push_token, ...content }))
+      );
+
+      const unregistered = devices.filter(
+        (device, i) => tickets[i]?.error === "DeviceNotRegistered"
+      );
+      if (unregistered.length > 0) {
+        await Device.destroy({
+          where: { id: unregistered.map((device) => device.id) },
+        });
+      }
+
+      const result = {
+        notifications: notifications.length,
+        devices: devices.length,
+        sent: tickets.filter((ticket) => ticket.status === "ok").length,
+        unregistered: unregistered.length,
+      };
+      logger.info("Push sent", { userId, ...result });
+      return result;
+    } catch (error) {
+      logger.error("Push failed", { userId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Title, body and data of the push for a batch: the notification itself,
+   * or a summary such as "2 delivered, 1 shipped" for several
+   * @param {Array<[string, Object]>} notifications - [collapseKey, event]
+   */
+  buildContent(notifications) {
+    if (notifications.length === 1) {
+      const [[collapseKey, event]] = notifications;
+      return {
+        ...PUSH_MESSAGES[event.type].format(event.data),
+        data: { ...event.data, type: event.type, collapseKey },
+      };
+    }
+
+    const counts = new Map();
+    for (const [, event] of notifications) {
+      counts.set(event.type, (counts.get(event.type) || 0) + 1);
+    }
+
+    return {
+      title: `${notifications.length} updates on your orders`,
+      body: [...counts]
+        .sort(([, a], [, b]) => b - a)
+        .map(([type, count]) => `${count} ${PUSH_MESSAGES[type].label}`)
+        .join(", "),
+      data: {
+        type: "summary",
+        collapseKey: "summary",
+        orderIds: [
+          ...new Set(notifications.map(([, event]) => event.data.orderId)),
+        ],
+      },
+    };
+  }
+}
+
+// Export singleton instance
+const pushNotifications = new PushNotificationService();
+
+module.exports = {
+  pushNotifications,
+  PushNotificationService,
+};
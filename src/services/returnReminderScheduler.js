@@ -0,0 +1,162 @@
+// src/services/returnReminderScheduler.js - REMINDERS BEFORE RETURN WINDOWS CLOSE
+
+const cron = require("node-cron");
+const { Op } = require("sequelize");
+const { User, Order, OrderItem } = require("../models");
+const { notificationEvents } = require("./notificationEvents");
+const logger = require("../utils/logger").createModuleLogger(
+  "ReturnReminderScheduler"
+);
+const { RETURN_WINDOW, NOTIFICATION_TYPE } = require("../constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Once a day, publishes a return_window_closing notification for every
+ * delivered order with items whose return_eligible_until falls within the
+ * next RETURN_REMINDER_DAYS_BEFORE days. Each deadline is reminded once:
+ * the items are stamped with return_reminder_sent_at, also when the user
+ * has the notification turned off.
+ */
+class ReturnReminderScheduler {
+  constructor() {
+    this.cronExpression = process.env.RETURN_REMINDER_CRON || "0 9 * * *";
+    this.daysBefore =
+      parseInt(process.env.RETURN_REMINDER_DAYS_BEFORE) ||
+      RETURN_WINDOW.REMINDER_DAYS_BEFORE;
+    this.task = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      logger.error("Invalid RETURN_REMINDER_CRON, reminders not started", {
+        cronExpression: this.cronExpression,
+      });
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+
+    logger.info("Return reminder scheduler started", {
+      cronExpression: this.cronExpression,
+      daysBefore: this.daysBefore,
+    });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info("Return reminder scheduler stopped");
+    }
+  }
+
+  async tick(now = new Date()) {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    const summary = { orders: 0, sent: 0, turnedOff: 0 };
+
+    try {
+      const itemsByOrder = new Map();
+      for (const item of await this.findDueItems(now)) {
+        const orderItems = itemsByOrder.get(item.order_id) || [];
+        itemsByOrder.set(item.order_id, [...orderItems, item]);
+      }
+      summary.orders = itemsByOrder.size;
+
+      for (const items of itemsByOrder.values()) {
+        const sent = await this.remindOrder(items, now);
+        summary[sent ? "sent" : "turnedOff"]++;
+      }
+
+      if (summary.orders > 0) {
+        logger.info("Return reminder tick finished", summary);
+      }
+    } catch (error) {
+      logger.error("Return reminder tick failed", { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Unreminded items of delivered orders whose window closes between now
+   * and daysBefore days from now
+   */
+  async findDueItems(now = new Date()) {
+    return await OrderItem.findAll({
+      where: {
+        return_eligible_until: {
+          [Op.between]: [
+            now,
+            new Date(now.getTime() + this.daysBefore * DAY_MS),
+          ],
+        },
+        return_reminder_sent_at: null,
+      },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { status: "delivered" },
+          attributes: ["id", "user_id", "platform", "platform_order_id"],
+          include: [
+            {
+              model: User,
+              as: "user",
+              where: { is_active: true },
+              attributes: ["id", "settings"],
+            },
+          ],
+        },
+      ],
+      order: [["return_eligible_until", "ASC"]],
+    });
+  }
+
+  /**
+   * One notification per order, naming the items and the earliest deadline
+   * @returns {Promise<boolean>} Whether the user was notified
+   */
+  async remindOrder(items, now = new Date()) {
+    const { order } = items[0];
+    const returnEligibleUntil = items[0].return_eligible_until;
+
+    const sent = notificationEvents.notify(
+      order.user,
+      NOTIFICATION_TYPE.RETURN_WINDOW_CLOSING,
+      {
+        orderId: order.id,
+        platform: order.platform,
+        platformOrderId: order.platform_order_id,
+        returnEligibleUntil,
+        daysLeft: Math.ceil((returnEligibleUntil - now) / DAY_MS),
+        items: items.map((item) => ({
+          id: item.id,
+          name: item.name,
+          returnEligibleUntil: item.return_eligible_until,
+        })),
+      }
+    );
+
+    await OrderItem.update(
+      { return_reminder_sent_at: now },
+      { where: { id: items.map((item) => item.id) } }
+    );
+    return sent;
+  }
+}
+
+// Export singleton instance
+const returnReminderScheduler = new ReturnReminderScheduler();
+
+module.exports = {
+  returnReminderScheduler,
+  ReturnReminderScheduler,
+};
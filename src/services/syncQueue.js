@@ -0,0 +1,234 @@
+// src/services/syncQueue.js - BACKGROUND SYNC WORKER BACKED BY email_syncs
+
+const { Op } = require("sequelize");
+const { EmailSync } = require("../models");
+const syncService = require("./syncService");
+const { discardMailboxFiles } = require("./mailboxImport");
+const logger = require("../utils/logger").createModuleLogger("SyncQueue");
+const { SYNC_STATUS, SYNC_TYPE, ERROR_MESSAGES } = require("../constants");
+
+/**
+ * In-process sync queue. Pending EmailSync rows are the queue itself, so a
+ * restart never loses queued work; a worker claims a row by atomically
+ * flipping it to in_progress before running it, then keeps its heartbeat
+ * fresh until the job ends. Several instances can share the table.
+ */
+class SyncQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.SYNC_WORKER_CONCURRENCY) || 1;
+    this.pollIntervalMs =
+      parseInt(process.env.SYNC_QUEUE_POLL_INTERVAL_MS) || 5000;
+    this.heartbeatIntervalMs =
+      parseInt(process.env.SYNC_HEARTBEAT_INTERVAL_MS) || 30000;
+    // A running sync whose heartbeat is older than this lost its worker
+    this.staleAfterMs =
+      parseInt(process.env.SYNC_STALE_AFTER_MS) || 5 * 60 * 1000;
+    this.activeJobs = new Map(); // syncId → job promise
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.running = false;
+    this.draining = false;
+  }
+
+  /**
+   * Recover syncs left by dead workers and start polling for pending ones
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.recoverOrphanedSyncs();
+
+    this.pollTimer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.pollTimer.unref();
+    this.heartbeatTimer = setInterval(
+      () => this.heartbeat(),
+      this.heartbeatIntervalMs
+    );
+    this.heartbeatTimer.unref();
+
+    logger.info("Sync queue started", {
+      concurrency: this.concurrency,
+      pollIntervalMs: this.pollIntervalMs,
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Stop claiming new jobs. Jobs already running are left to finish; if the
+   * process exits first their heartbeat goes stale and recoverOrphanedSyncs
+   * fails them.
+   */
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    logger.info("Sync queue stopped", { activeJobs: this.activeJobs.size });
+  }
+
+  /**
+   * Record a pending sync for the user and wake the worker
+   */
+  async enqueue(userId, options = {}, syncType = SYNC_TYPE.MANUAL) {
+    const syncRecord = await syncService.createSyncJob(
+      userId,
+      options,
+      syncType
+    );
+
+    setImmediate(() => this.drain());
+
+    return syncRecord;
+  }
+
+  /**
+   * Record a pending import of uploaded mailbox files and wake the worker
+   */
+  async enqueueImport(userId, uploads) {
+    const syncRecord = await syncService.createImportJob(userId, uploads);
+
+    setImmediate(() => this.drain());
+
+    return syncRecord;
+  }
+
+  /**
+   * Claim and start pending syncs until the worker is at capacity
+   */
+  async drain() {
+    if (!this.running || this.draining) return;
+    this.draining = true;
+
+    try {
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const syncRecord = await this.claimNext();
+        if (!syncRecord) break;
+        this.runJob(syncRecord);
+      }
+    } catch (error) {
+      logger.error("Error draining sync queue", { error: error.message });
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Claim the oldest pending sync, skipping rows another worker took first
+   */
+  async claimNext() {
+    const candidates = await EmailSync.findAll({
+      where: { status: SYNC_STATUS.PENDING },
+      order: [["created_at", "ASC"]],
+      limit: this.concurrency + 1,
+    });
+
+    for (const candidate of candidates) {
+      if (await EmailSync.claimPending(candidate.id)) {
+        return await candidate.reload();
+      }
+    }
+
+    return null;
+  }
+
+  runJob(syncRecord) {
+    const syncId = syncRecord.id;
+    logger.info("Sync job started", { syncId, userId: syncRecord.user_id });
+
+    const job = syncService
+      .runSyncJob(syncRecord)
+      .then((result) => {
+        logger.info("Sync job completed", {
+          syncId,
+          ordersCreated: result.ordersSaved,
+          ordersUpdated: result.ordersUpdated,
+        });
+      })
+      .catch((error) => {
+        // runSyncJob has already marked the row failed
+        logger.error("Sync job failed", {
+          syncId,
+          code: error.code,
+          error: error.message,
+        });
+      })
+      .finally(() => {
+        this.activeJobs.delete(syncId);
+        this.drain();
+      });
+
+    this.activeJobs.set(syncId, job);
+  }
+
+  /**
+   * Keep this worker's running syncs from looking orphaned, then recover
+   * any another instance left behind
+   */
+  async heartbeat() {
+    try {
+      await EmailSync.touchHeartbeat([...this.activeJobs.keys()]);
+      await this.recoverOrphanedSyncs();
+    } catch (error) {
+      logger.error("Sync heartbeat failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Running syncs with a stale heartbeat belonged to a process that died
+   * mid-run and will never finish; fail them so users can trigger a fresh
+   * sync. Syncs other live instances are running keep a fresh heartbeat.
+   */
+  async recoverOrphanedSyncs() {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs);
+    const orphaned = await EmailSync.findAll({
+      where: {
+        status: SYNC_STATUS.IN_PROGRESS,
+        id: { [Op.notIn]: [...this.activeJobs.keys()] },
+        [Op.or]: [
+          { heartbeat_at: { [Op.lt]: staleBefore } },
+          { heartbeat_at: null, started_at: { [Op.lt]: staleBefore } },
+          { heartbeat_at: null, started_at: null },
+        ],
+      },
+    });
+
+    for (const syncRecord of orphaned) {
+      await syncRecord.fail(new Error(ERROR_MESSAGES.SYNC_INTERRUPTED));
+      if (syncRecord.sync_type === SYNC_TYPE.IMPORT) {
+        await discardMailboxFiles(syncRecord.metadata?.import?.uploads || []);
+      }
+    }
+
+    if (orphaned.length > 0) {
+      logger.warn("Marked orphaned syncs as failed", {
+        count: orphaned.length,
+        syncIds: orphaned.map((syncRecord) => syncRecord.id),
+      });
+    }
+
+    return orphaned.length;
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      concurrency: this.concurrency,
+      activeJobs: Array.from(this.activeJobs.keys()),
+    };
+  }
+}
+
+// Export singleton instance
+const syncQueue = new SyncQueue();
+
+module.exports = {
+  syncQueue,
+  SyncQueue,
+};
@@ -0,0 +1,217 @@
+// src/services/syncScheduler.js - AUTOMATIC SYNCS FROM User.settings
+
+const cron = require("node-cron");
+const { Op, literal } = require("sequelize");
+const { User } = require("../models");
+const { syncQueue } = require("./syncQueue");
+const emailConfig = require("../config/emailConfig");
+const logger = require("../utils/logger").createModuleLogger("SyncScheduler");
+const {
+  SYNC_TYPE,
+  SYNC_FREQUENCY,
+  SCHEDULED_SYNC_BACKOFF,
+} = require("../constants");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long after last_sync a user becomes due again
+const FREQUENCY_INTERVALS_MS = {
+  [SYNC_FREQUENCY.HOURLY]: HOUR_MS,
+  [SYNC_FREQUENCY.DAILY]: DAY_MS,
+  [SYNC_FREQUENCY.WEEKLY]: 7 * DAY_MS,
+};
+
+// SQL intervals, in milliseconds: how long after last_sync a user is due
+// by settings.sync_frequency, and how long they wait after a failed attempt
+// (SCHEDULED_SYNC_BACKOFF doubled per consecutive failure)
+const FREQUENCY_CASES = Object.entries(FREQUENCY_INTERVALS_MS)
+  .map(([frequency, ms]) => `WHEN '${frequency}' THEN ${ms}`)
+  .join(" ");
+const FREQUENCY_INTERVAL_SQL = `(CASE "User"."settings"->>'sync_frequency'
+  ${FREQUENCY_CASES} ELSE ${FREQUENCY_INTERVALS_MS[SYNC_FREQUENCY.DAILY]}
+  END) * INTERVAL '1 millisecond'`;
+const BACKOFF_INTERVAL_SQL = `LEAST(
+  ${SCHEDULED_SYNC_BACKOFF.BASE_MS} *
+    POWER(2, LEAST("User"."sync_failure_count" - 1, 30)),
+  ${SCHEDULED_SYNC_BACKOFF.MAX_MS}) * INTERVAL '1 millisecond'`;
+
+/**
+ * Periodically queues scheduled syncs for users with auto_sync enabled whose
+ * last sync is older than their sync_frequency. Users whose syncs keep
+ * failing are retried with exponential backoff. Users are queued one at a
+ * time with a pause in between so a tick never bursts the Gmail API.
+ */
+class SyncScheduler {
+  constructor() {
+    this.cronExpression = process.env.SYNC_SCHEDULER_CRON || "*/15 * * * *";
+    this.batchSize = parseInt(process.env.SYNC_SCHEDULER_BATCH_SIZE) || 20;
+    this.staggerMs =
+      parseInt(process.env.SYNC_SCHEDULER_STAGGER_MS) || 30 * 1000;
+    this.task = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.cronExpression)) {
+      logger.error("Invalid SYNC_SCHEDULER_CRON, scheduler not started", {
+        cronExpression: this.cronExpression,
+      });
+      return;
+    }
+
+    this.task = cron.schedule(this.cronExpression, () => this.tick());
+
+    logger.info("Sync scheduler started", {
+      cronExpression: this.cronExpression,
+      batchSize: this.batchSize,
+      staggerMs: this.staggerMs,
+    });
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info("Sync scheduler stopped");
+    }
+  }
+
+  /**
+   * Queue syncs for every due user, skipping the tick if the previous one
+   * is still staggering through its batch
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    const summary = { due: 0, queued: 0, skipped: 0, reauthRequired: 0 };
+
+    try {
+      const dueUsers = await this.findDueUsers();
+      summary.due = dueUsers.length;
+
+      for (let i = 0; i < dueUsers.length; i++) {
+        const outcome = await this.queueUserSync(dueUsers[i]);
+        summary[outcome]++;
+
+        if (outcome === "queued" && i < dueUsers.length - 1) {
+          await new Promise((resolve) => setTimeout(resolve, this.staggerMs));
+        }
+      }
+
+      if (summary.due > 0) {
+        logger.info("Scheduled sync tick finished", summary);
+      }
+    } catch (error) {
+      logger.error("Scheduled sync tick failed", { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Users with auto_sync on, at least one usable mailbox, a stale
+   * last_sync and, after failures, their backoff served; longest waiting
+   * first
+   */
+  async findDueUsers(now = new Date()) {
+    const nowSql = `CAST(${User.sequelize.escape(now)} AS TIMESTAMPTZ)`;
+
+    return await User.findAll({
+      where: {
+        is_active: true,
+        settings: { auto_sync: true },
+        [Op.and]: [
+          literal(`EXISTS (
+            SELECT 1 FROM mail_accounts
+            WHERE mail_accounts.user_id = "User"."id"
+              AND mail_accounts.enabled AND NOT mail_accounts.reauth_required
+          )`),
+          literal(`("User"."last_sync" IS NULL
+            OR "User"."last_sync" <= ${nowSql} - ${FREQUENCY_INTERVAL_SQL})`),
+          literal(`("User"."sync_failure_count" = 0
+            OR "User"."last_sync_attempt_at" IS NULL
+            OR "User"."last_sync_attempt_at" <= ${nowSql} - ${BACKOFF_INTERVAL_SQL})`),
+        ],
+      },
+      order: [["last_sync", "ASC NULLS FIRST"]],
+      limit: this.batchSize,
+    });
+  }
+
+  /**
+   * Only look back as far as the previous sync (plus a day of overlap for
+   * late-arriving mail), capped at the normal manual sync window
+   */
+  getDaysToFetch(user, now = new Date()) {
+    const maxDays = emailConfig.defaultDaysToFetch || 7;
+    if (!user.last_sync) return maxDays;
+
+    const daysSinceSync = Math.ceil((now - new Date(user.last_sync)) / DAY_MS);
+    return Math.min(maxDays, daysSinceSync + 1);
+  }
+
+  /**
+   * @returns {"queued"|"skipped"|"reauthRequired"} outcome for the summary
+   */
+  async queueUserSync(user) {
+    try {
+      await user.update({ last_sync_attempt_at: new Date() });
+
+      const syncRecord = await syncQueue.enqueue(
+        user.id,
+        {
+          daysToFetch: this.getDaysToFetch(user),
+          maxResults: emailConfig.maxEmailsPerSync || 50,
+          metadata: {
+            scheduler: {
+              syncFrequency: user.settings?.sync_frequency,
+              lastSync: user.last_sync,
+            },
+          },
+        },
+        SYNC_TYPE.SCHEDULED
+      );
+
+      logger.info("Scheduled sync queued", {
+        userId: user.id,
+        syncId: syncRecord.id,
+      });
+      return "queued";
+    } catch (error) {
+      if (error.code === "REAUTH_REQUIRED") {
+        // The mail sources flagged the mailboxes; they drop out of findDueUsers
+        logger.warn("Skipping scheduled sync, re-auth required", {
+          userId: user.id,
+        });
+        return "reauthRequired";
+      }
+
+      // Already syncing is not a failure; anything else counts towards the
+      // backoff like a failed sync
+      if (error.code !== "SYNC_IN_PROGRESS") {
+        await user.increment("sync_failure_count").catch(() => {});
+      }
+
+      logger.warn("Skipping scheduled sync", {
+        userId: user.id,
+        code: error.code,
+        error: error.message,
+      });
+      return "skipped";
+    }
+  }
+}
+
+// Export singleton instance
+const syncScheduler = new SyncScheduler();
+
+module.exports = {
+  syncScheduler,
+  SyncScheduler,
+};
@@ -1,141 +1,618 @@
 // src/services/syncService.js - ENHANCED WITH CHRONOLOGICAL PROCESSING & SMART UPDATES
 
-const GmailService = require("./gmailService");
+const { Op } = require("sequelize");
+const { createMailSource } = require("./mailSources");
 const { parserFactory } = require("./parsers");
+const { isReturnRefundType } = require("./parsers/returnRefund");
 const { getOrderHash } = require("./deduplication");
-const { User, Order, OrderItem, EmailSync } = require("../models");
+const { notificationEvents } = require("./notificationEvents");
+const { webhookService } = require("./webhookService");
+const { readMailboxFiles, discardMailboxFiles } = require("./mailboxImport");
+const {
+  User,
+  Order,
+  OrderItem,
+  OrderEvent,
+  Shipment,
+  Refund,
+  EmailSync,
+  ProcessedEmail,
+  MailAccount,
+} = require("../models");
 const logger = require("../utils/logger");
+const syncLogger = require("../utils/logger").createModuleLogger("SyncService");
 const emailConfig = require("../config/emailConfig");
-const { ensureFreshGoogleToken } = require("../utils/googleToken");
+const { getReturnWindowDays } = require("../config/parserConfig");
+const {
+  SYNC_STATUS,
+  SYNC_STAGE,
+  SYNC_TYPE,
+  EMAIL_OUTCOME,
+  FIELD_SOURCE,
+  PARSER_VERSION,
+  ERROR_MESSAGES,
+  REFUND_STATUS,
+  ORDER_NOTIFICATIONS,
+  WEBHOOK_EVENT,
+} = require("../constants");
+
+// Persist live counters every N emails rather than on every single one
+const PROGRESS_UPDATE_INTERVAL = 5;
+
+// Store each email's extraction trace in processed_emails. Off by default:
+// traces are large and mostly wanted while a parser is being debugged.
+const PERSIST_EXTRACTION_TRACE =
+  process.env.PERSIST_EXTRACTION_TRACE === "true";
+
+// Order columns whose source is recorded in orders.field_provenance
+const PROVENANCE_FIELDS = [
+  "platform_order_id",
+  "product_name",
+  "total_amount",
+  "order_date",
+  "status",
+  "tracking_number",
+  "delivered_date",
+];
+
+// Statuses an email can move a shipment to; earlier ones describe the order
+const SHIPMENT_STATUSES = [
+  "shipped",
+  "out_for_delivery",
+  "delivered",
+  "cancelled",
+  "returned",
+];
+
+// Order progression for shouldUpdateStatus: an order only moves forward.
+// Cancelled and unknown are handled there.
+const STATUS_LEVELS = {
+  ordered: 1,
+  confirmed: 2,
+  processing: 2,
+  shipped: 3,
+  out_for_delivery: 4,
+  delivered: 5,
+  return_requested: 6,
+  return_pickup_scheduled: 7,
+  returned: 8,
+};
+
+// processOrderEmail / processShipmentEmail action → processed_emails outcome
+const PROCESSING_OUTCOMES = {
+  created: EMAIL_OUTCOME.ORDER_CREATED,
+  updated: EMAIL_OUTCOME.ORDER_UPDATED,
+  skipped: EMAIL_OUTCOME.IGNORED,
+  shipment_created: EMAIL_OUTCOME.SHIPMENT_CREATED,
+  shipment_updated: EMAIL_OUTCOME.SHIPMENT_UPDATED,
+};
 
 class SyncService {
-  constructor() {
-    this.gmailService = new GmailService();
+  /**
+   * Run a sync to completion inside the caller. The API enqueues through
+   * syncQueue instead; this stays for callers that need the result inline.
+   */
+  async syncUserOrders(userId, options = {}, syncType = SYNC_TYPE.MANUAL) {
+    const syncRecord = await this.createSyncJob(userId, options, syncType);
+    return await this.runSyncJob(syncRecord);
+  }
+
+  /**
+   * Validate the user's mail access and record a pending EmailSync row.
+   * The row carries the resolved options so any worker can run it later.
+   */
+  async createSyncJob(userId, options = {}, syncType = SYNC_TYPE.MANUAL) {
+    // Checked first so a busy user is told without waiting on token refresh
+    await this.assertNoActiveSync(userId);
+    const { user } = await this.getSyncableAccounts(userId);
+
+    const daysToFetch =
+      options.daysToFetch || emailConfig.defaultDaysToFetch || 7;
+    const maxResults =
+      options.maxResults || emailConfig.maxEmailsPerSync || 50;
+
+    const syncRecord = await this.createActiveSync(userId, {
+      sync_type: syncType,
+      status: SYNC_STATUS.PENDING,
+      current_stage: SYNC_STAGE.QUEUED,
+      metadata: {
+        options,
+        strategy: "chronological_with_smart_updates",
+        resolvedParameters: { daysToFetch, maxResults },
+      },
+    });
+
+    logger.info(
+      `Queued ${syncType} sync ${syncRecord.id} for user ${user.email}`
+    );
+
+    return syncRecord;
   }
 
-  async syncUserOrders(userId, options = {}) {
-    let syncRecord = null;
+  /**
+   * One sync per user at a time, whatever its type: two would race to
+   * create the same orders
+   */
+  async assertNoActiveSync(userId) {
+    const activeSync = await EmailSync.getActiveSync(userId);
+    if (activeSync) {
+      const err = new Error(ERROR_MESSAGES.SYNC_IN_PROGRESS);
+      err.code = "SYNC_IN_PROGRESS";
+      err.syncId = activeSync.id;
+      throw err;
+    }
+  }
+
+  /**
+   * Create the user's pending or in-progress sync row. A concurrent request
+   * that queued one first trips the email_syncs_one_active_per_user index
+   * and is reported like assertNoActiveSync.
+   */
+  async createActiveSync(userId, values) {
     try {
-      const user = await User.findByPk(userId);
-      if (!user) throw new Error("User not found");
-      if (!user.access_token) throw new Error("User has no access token");
-
-      const refreshResult = await ensureFreshGoogleToken(user);
-      if (!refreshResult.ok) {
-        const err = new Error("Failed to refresh Google token");
-        err.code =
-          refreshResult.reason === "INVALID_GRANT" ||
-          refreshResult.reason === "NO_REFRESH_TOKEN"
-            ? "REAUTH_REQUIRED"
-            : "REFRESH_FAILED";
-        throw err;
+      return await EmailSync.create({ user_id: userId, ...values });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        await this.assertNoActiveSync(userId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the user and their enabled mailboxes whose credentials are usable.
+   * A mailbox that fails the check is left out of the sync; when none
+   * passes, the first failure is thrown.
+   * @returns {Promise<{user: Object, accounts: Object[]}>}
+   */
+  async getSyncableAccounts(userId) {
+    const user = await User.findByPk(userId);
+    if (!user) throw new Error("User not found");
+
+    const enabledAccounts = await MailAccount.findEnabledForUser(userId);
+    if (enabledAccounts.length === 0) {
+      const err = new Error(ERROR_MESSAGES.NO_MAIL_ACCOUNTS);
+      err.code = "NO_MAIL_ACCOUNTS";
+      throw err;
+    }
+
+    const accounts = [];
+    let firstError = null;
+    for (const account of enabledAccounts) {
+      try {
+        await createMailSource(account).verifyAccess();
+        accounts.push(account);
+      } catch (error) {
+        logger.warn(`Leaving mailbox ${account.address} out of the sync:`, {
+          code: error.code,
+          error: error.message,
+        });
+        firstError = firstError || error;
       }
+    }
+    if (accounts.length === 0) throw firstError;
+
+    return { user, accounts };
+  }
+
+  /**
+   * Execute a queued sync: search, fetch and parse emails while recording
+   * progress on the EmailSync row so status polling sees live counters
+   */
+  async runSyncJob(syncRecord) {
+    if (syncRecord.sync_type === SYNC_TYPE.IMPORT) {
+      return await this.runImportJob(syncRecord);
+    }
 
-      const daysToFetch =
-        options.daysToFetch || emailConfig.defaultDaysToFetch || 7;
-      const maxResults =
-        options.maxResults || emailConfig.maxEmailsPerSync || 50;
+    const syncId = syncRecord.id;
+    const userId = syncRecord.user_id;
+    const mailboxes = [];
+
+    try {
+      if (syncRecord.status === SYNC_STATUS.PENDING) {
+        await syncRecord.start();
+      }
 
-      console.log("📋 ENHANCED SYNC SERVICE PARAMETERS:");
-      console.log("=".repeat(60));
-      console.log("👤 User:", user.email);
-      console.log("📅 Days to fetch:", daysToFetch);
-      console.log("📧 Max results:", maxResults);
-      console.log("🔄 Processing strategy: CHRONOLOGICAL with smart updates");
-      console.log("=".repeat(60));
+      const { user, accounts } = await this.getSyncableAccounts(userId);
+      const { daysToFetch, maxResults } =
+        syncRecord.metadata?.resolvedParameters || {};
 
-      syncRecord = await EmailSync.create({
-        user_id: userId,
-        status: "in_progress",
-        started_at: new Date(),
-        metadata: {
-          options,
-          strategy: "chronological_with_smart_updates",
-          resolvedParameters: { daysToFetch, maxResults },
-        },
+      syncLogger.debug("Mailboxes to sync", {
+        syncId,
+        mailboxes: accounts.map((account) => account.address),
+        daysToFetch,
+        maxResults,
       });
 
-      const syncId = syncRecord.id;
       logger.info(
         `Starting enhanced chronological sync for user ${user.email} with sync ID: ${syncId}`
       );
 
-      await this.gmailService.initializeClient(
-        user.access_token,
-        user.refresh_token
-      );
+      // Step 1: Search every mailbox
+      await syncRecord.updateProgress({ current_stage: SYNC_STAGE.SEARCHING });
+      for (const account of accounts) {
+        mailboxes.push(
+          await this.searchMailbox(account, syncRecord, daysToFetch, maxResults)
+        );
+      }
+      await this.mergeSyncMetadata(syncRecord, {
+        mailAccounts: mailboxes.map((mailbox) => ({
+          id: mailbox.account.id,
+          address: mailbox.account.address,
+          provider: mailbox.mailSource.provider,
+          fetchMode: mailbox.fetchMode,
+          emailsFound: mailbox.emails.length,
+          error: mailbox.error ? mailbox.error.message : undefined,
+        })),
+      });
 
-      // Step 1: Get emails from Gmail
-      console.log(`🔍 Searching emails from last ${daysToFetch} days...`);
-      const emails = await this.gmailService.getEmailsFromDateRange(
-        daysToFetch,
-        maxResults
+      const searched = mailboxes.filter((mailbox) => !mailbox.error);
+      if (searched.length === 0) throw mailboxes[0].error;
+
+      const foundEmails = searched.flatMap((mailbox) => mailbox.emails);
+      const newIds = new Set(
+        (await this.skipProcessedEmails(userId, foundEmails, syncRecord)).map(
+          (email) => email.id
+        )
       );
 
-      if (emails.length === 0) {
-        return await this.handleNoEmailsFound(
+      if (newIds.size === 0) {
+        const result = await this.handleNoEmailsFound(
           syncRecord,
           daysToFetch,
           maxResults
         );
+
+        await this.saveMailboxCursors(user, searched);
+        return result;
       }
 
       // Step 2: Fetch email details
-      console.log(`📥 Fetching details for ${emails.length} emails...`);
-      const emailDetails = await this.gmailService.getEmailDetails(emails);
+      await syncRecord.updateProgress({
+        current_stage: SYNC_STAGE.FETCHING,
+        emails_found: foundEmails.length,
+      });
+      syncLogger.debug("Fetching email details", {
+        syncId,
+        emails: newIds.size,
+      });
+      const fetchedEmails = [];
+      for (const mailbox of searched) {
+        const refs = mailbox.emails.filter((ref) => newIds.has(ref.id));
+        const fetched = await mailbox.mailSource.fetchMessages(refs);
+        // Messages that could not be fetched are searched again next time
+        if (fetched.length < refs.length) {
+          mailbox.cursor = mailbox.account.mail_cursor;
+        }
+        fetchedEmails.push(...fetched);
+      }
+      const emailDetails = await this.dropDuplicateMessages(
+        fetchedEmails,
+        userId,
+        syncId
+      );
 
       // Step 3: 📅 CHRONOLOGICAL PROCESSING (oldest first)
-      console.log(
-        `\n🕒 CHRONOLOGICAL PROCESSING: Sorting ${emailDetails.length} emails by date...`
-      );
+      await syncRecord.updateProgress({
+        current_stage: SYNC_STAGE.PROCESSING,
+        emails_fetched: emailDetails.length,
+      });
       const chronologicalEmails = this.sortEmailsChronologically(emailDetails);
-
-      console.log(
-        `📅 Date range: ${this.getEmailDateRange(chronologicalEmails)}`
-      );
-      console.log(
-        `🔄 Processing strategy: Process oldest emails first for proper order lifecycle`
-      );
+      syncLogger.debug("Processing emails oldest first", {
+        syncId,
+        emails: chronologicalEmails.length,
+        dateRange: this.getEmailDateRange(chronologicalEmails),
+      });
 
       // Step 4: Process emails chronologically with smart update logic
       const processResult = await this.processEmailsChronologically(
         chronologicalEmails,
         userId,
-        syncId
+        syncId,
+        (results) =>
+          syncRecord.updateProgress({
+            emails_processed: results.emailsProcessed,
+            orders_created: results.ordersCreated,
+            orders_updated: results.ordersUpdated,
+          })
       );
 
       // Step 5: Update sync record and return results
-      return await this.completeSyncWithResults(
+      await syncRecord.updateProgress({ current_stage: SYNC_STAGE.FINALIZING });
+      const result = await this.completeSyncWithResults(
         syncRecord,
         processResult,
         daysToFetch,
         maxResults
       );
+
+      await this.saveMailboxCursors(user, searched);
+      return result;
     } catch (error) {
       logger.error(`Sync failed for user ${userId}:`, error);
-      if (syncRecord) {
-        await syncRecord.update({
-          status: "failed",
-          completed_at: new Date(),
-          errors: [
-            {
-              timestamp: new Date(),
-              message: error.message,
-              stack: error.stack,
-            },
-          ],
-        });
+      await this.markSyncFailed(syncRecord, error);
+      throw error;
+    } finally {
+      for (const mailbox of mailboxes) {
+        await mailbox.mailSource.disconnect();
       }
+    }
+  }
+
+  /**
+   * Record a pending `import` sync for .eml / .mbox files uploaded to
+   * IMPORT_UPLOAD_DIR. The worker that claims the job reads them and
+   * deletes them when it is done.
+   * @param {Array<{name: string, file: string, size: number}>} uploads -
+   *   Original name, stored file name and size of each upload
+   */
+  async createImportJob(userId, uploads) {
+    await this.assertNoActiveSync(userId);
+
+    const syncRecord = await this.createActiveSync(userId, {
+      sync_type: SYNC_TYPE.IMPORT,
+      status: SYNC_STATUS.PENDING,
+      current_stage: SYNC_STAGE.QUEUED,
+      metadata: {
+        strategy: "chronological_with_smart_updates",
+        import: { uploads },
+      },
+    });
+
+    logger.info(
+      `Queued import ${syncRecord.id} of ${uploads.length} files for user ${userId}`
+    );
+
+    return syncRecord;
+  }
+
+  /**
+   * Run emails that did not come from a mailbox (uploaded .eml / .mbox
+   * files) through the same chronological processing as a sync
+   */
+  async runImportJob(syncRecord) {
+    const userId = syncRecord.user_id;
+    const uploads = syncRecord.metadata?.import?.uploads || [];
+
+    try {
+      if (syncRecord.status === SYNC_STATUS.PENDING) {
+        await syncRecord.start();
+      }
+      await syncRecord.updateProgress({ current_stage: SYNC_STAGE.FETCHING });
+
+      const { emails, files } = await readMailboxFiles(uploads);
+      await this.mergeSyncMetadata(syncRecord, {
+        import: { ...syncRecord.metadata.import, files },
+      });
+      if (emails.length === 0) {
+        throw new Error("No email messages found in the uploaded files");
+      }
+
+      logger.info(
+        `Importing ${emails.length} emails for user ${userId} with sync ID: ${syncRecord.id}`
+      );
+
+      const newEmails = await this.skipProcessedEmails(
+        userId,
+        emails,
+        syncRecord
+      );
+      await syncRecord.updateProgress({
+        current_stage: SYNC_STAGE.PROCESSING,
+        emails_found: emails.length,
+        emails_fetched: newEmails.length,
+      });
+
+      const processResult = await this.processEmailsChronologically(
+        this.sortEmailsChronologically(newEmails),
+        userId,
+        syncRecord.id,
+        (results) =>
+          syncRecord.updateProgress({
+            emails_processed: results.emailsProcessed,
+            orders_created: results.ordersCreated,
+            orders_updated: results.ordersUpdated,
+          })
+      );
+
+      await syncRecord.updateProgress({ current_stage: SYNC_STAGE.FINALIZING });
+      return await this.completeSyncWithResults(syncRecord, processResult);
+    } catch (error) {
+      logger.error(`Import failed for user ${userId}:`, error);
+      await this.markSyncFailed(syncRecord, error);
       throw error;
+    } finally {
+      await discardMailboxFiles(uploads);
     }
   }
 
+  async markSyncFailed(syncRecord, error) {
+    // Backs off scheduled syncs; a bad upload says nothing about the mailbox
+    if (syncRecord.sync_type !== SYNC_TYPE.IMPORT) {
+      await User.increment("sync_failure_count", {
+        where: { id: syncRecord.user_id },
+      });
+    }
+
+    await syncRecord.update({
+      status: SYNC_STATUS.FAILED,
+      completed_at: new Date(),
+      errors: [
+        ...(syncRecord.errors || []),
+        {
+          timestamp: new Date(),
+          message: error.message,
+          code: error.code,
+          stack: error.stack,
+        },
+      ],
+    });
+
+    await webhookService.publish(
+      syncRecord.user_id,
+      WEBHOOK_EVENT.SYNC_FAILED,
+      {
+        sync: this.toWebhookSync(syncRecord),
+        error: { message: error.message, code: error.code || null },
+      }
+    );
+  }
+
+  /**
+   * Sync fields sent in sync.* webhook payloads
+   */
+  toWebhookSync(syncRecord) {
+    return {
+      id: syncRecord.id,
+      sync_type: syncRecord.sync_type,
+      status: syncRecord.status,
+      started_at: syncRecord.started_at,
+      completed_at: syncRecord.completed_at,
+      emails_processed: syncRecord.emails_processed,
+      orders_created: syncRecord.orders_created,
+      orders_updated: syncRecord.orders_updated,
+    };
+  }
+
+  /**
+   * 🔄 Connect to one mailbox and search it: only mail added since the
+   * account's last successful sync when it has a cursor, otherwise the day
+   * window. A mailbox that fails is reported on the sync instead of failing
+   * the other mailboxes.
+   * @returns {Promise<{account: Object, mailSource: Object, cursor: ?string,
+   *   emails: Object[], fetchMode: string, error: ?Error}>}
+   */
+  async searchMailbox(account, syncRecord, daysToFetch, maxResults) {
+    const forceFullSync = syncRecord.metadata?.options?.fullSync === true;
+    // One mail source per job so concurrent workers never share credentials
+    const mailSource = createMailSource(account);
+    const mailbox = {
+      account,
+      mailSource,
+      cursor: null,
+      emails: [],
+      fetchMode: "date_window",
+      error: null,
+    };
+
+    try {
+      await mailSource.connect();
+      mailbox.cursor = await mailSource.getCursor();
+
+      if (account.mail_cursor && !forceFullSync) {
+        const emails = await mailSource.searchSinceCursor(account.mail_cursor);
+
+        if (emails) {
+          mailbox.emails = emails;
+          mailbox.fetchMode = "incremental";
+          return mailbox;
+        }
+
+        mailbox.fetchMode = "date_window_fallback";
+      }
+
+      syncLogger.debug("Searching mailbox by date", {
+        mailbox: account.address,
+        daysToFetch,
+      });
+      mailbox.emails = await mailSource.searchByDateRange(
+        daysToFetch,
+        maxResults
+      );
+    } catch (error) {
+      logger.error(`Search failed for mailbox ${account.address}:`, error);
+      mailbox.error = error;
+    }
+
+    return mailbox;
+  }
+
+  /**
+   * Remember where each searched mailbox was so the next sync is incremental
+   */
+  async saveMailboxCursors(user, mailboxes) {
+    const now = new Date();
+    for (const { account, cursor } of mailboxes) {
+      await account.update({ last_sync: now, mail_cursor: cursor });
+    }
+    await user.update({ last_sync: now, sync_failure_count: 0 });
+  }
+
+  /**
+   * 📬 The same message can reach two connected mailboxes (a forward, a
+   * shared alias). Keep the first copy of each Message-ID so its order is
+   * processed once; the other copies are recorded as ignored.
+   */
+  async dropDuplicateMessages(emails, userId, syncId) {
+    const seen = new Set();
+    const unique = [];
+    const duplicates = [];
+
+    for (const email of emails) {
+      if (email.messageId && seen.has(email.messageId)) {
+        duplicates.push(email);
+        continue;
+      }
+      if (email.messageId) seen.add(email.messageId);
+      unique.push(email);
+    }
+
+    if (duplicates.length > 0) {
+      syncLogger.debug("Skipping emails already fetched from another mailbox", {
+        count: duplicates.length,
+      });
+    }
+
+    // Two IMAP mailboxes share ids for the same message; its row is the
+    // kept copy's
+    const keptIds = new Set(unique.map((email) => email.id));
+    for (const email of duplicates) {
+      if (keptIds.has(email.id)) continue;
+      await this.recordProcessedEmail(userId, syncId, email, {
+        outcome: EMAIL_OUTCOME.IGNORED,
+        reason: "duplicate_message",
+      });
+    }
+
+    return unique;
+  }
+
+  /**
+   * ⏭️ Drop messages this user already had parsed by the current parser
+   * version, before spending mail provider quota fetching their bodies
+   */
+  async skipProcessedEmails(userId, emails, syncRecord) {
+    const processedIds = await ProcessedEmail.findProcessedIds(
+      userId,
+      emails.map((email) => email.id),
+      PARSER_VERSION
+    );
+
+    if (processedIds.size > 0) {
+      syncLogger.debug("Skipping emails already processed", {
+        count: processedIds.size,
+        parserVersion: PARSER_VERSION,
+      });
+    }
+
+    await this.mergeSyncMetadata(syncRecord, {
+      alreadyProcessed: processedIds.size,
+      parserVersion: PARSER_VERSION,
+    });
+
+    return emails.filter((email) => !processedIds.has(email.id));
+  }
+
+  async mergeSyncMetadata(syncRecord, data) {
+    await syncRecord.update({
+      metadata: { ...syncRecord.metadata, ...data },
+    });
+  }
+
   /**
    * 📅 Sort emails chronologically (oldest first) for proper order lifecycle processing
    */
   sortEmailsChronologically(emailDetails) {
-    console.log(`🕒 Sorting emails chronologically...`);
-
     const sorted = emailDetails.sort((a, b) => {
       // Primary sort: by internal date (oldest first)
       const dateA = parseInt(a.internalDate || 0);
@@ -152,12 +629,6 @@ class SyncService {
       return priorityA - priorityB;
     });
 
-    console.log(`✅ Emails sorted chronologically (${sorted.length} emails)`);
-    console.log(`📅 Oldest: ${this.formatEmailDate(sorted[0])}`);
-    console.log(
-      `📅 Newest: ${this.formatEmailDate(sorted[sorted.length - 1])}`
-    );
-
     return sorted;
   }
 
@@ -190,16 +661,18 @@ class SyncService {
   /**
    * 🔄 Process emails chronologically with smart update logic
    */
-  async processEmailsChronologically(chronologicalEmails, userId, syncId) {
-    console.log(
-      `\n🔄 CHRONOLOGICAL PROCESSING: ${chronologicalEmails.length} emails`
-    );
-    console.log(`📋 Strategy: Process oldest→newest, smart update detection`);
-
+  async processEmailsChronologically(
+    chronologicalEmails,
+    userId,
+    syncId,
+    onProgress = null
+  ) {
     const results = {
       ordersCreated: 0,
       ordersUpdated: 0,
       ordersSkipped: 0,
+      shipmentsCreated: 0,
+      shipmentsUpdated: 0,
       parsingErrors: 0,
       emailsProcessed: 0,
       processedOrders: [],
@@ -214,38 +687,67 @@ class SyncService {
       const email = chronologicalEmails[i];
       const emailIndex = i + 1;
 
-      console.log(
-        `\n--- 📧 Processing Email ${emailIndex}/${chronologicalEmails.length} ---`
-      );
-      console.log(`📅 Date: ${this.formatEmailDate(email)}`);
-      console.log(`📨 From: ${email.headers.from}`);
-      console.log(`📋 Subject: ${email.headers.subject}`);
+      syncLogger.debug("Processing email", {
+        syncId,
+        email: `${emailIndex}/${chronologicalEmails.length}`,
+        date: this.formatEmailDate(email),
+        from: email.headers.from,
+        subject: email.headers.subject,
+      });
 
       try {
         // Step 1: Parse email content
-        const parsedData = this.parseEmailWithValidation(email);
+        const {
+          parsedData,
+          error: parseError,
+          trace,
+        } = this.parseEmailWithOutcome(email, { syncId });
 
         if (!parsedData) {
-          console.log(
-            "⚠️ Parser returned null - email not recognized as order"
-          );
           results.skippedEmails.push({
             reason: "not_parseable",
             from: email.headers.from,
             subject: email.headers.subject,
           });
           results.ordersSkipped++;
+          await this.recordProcessedEmail(userId, syncId, email, {
+            outcome: parseError
+              ? EMAIL_OUTCOME.PARSE_FAILED
+              : EMAIL_OUTCOME.IGNORED,
+            reason: parseError || "not_parseable",
+            trace,
+          });
           continue;
         }
 
-        console.log(
-          `✅ Parsed as ${parsedData.platform} order: ${parsedData.orderId}`
-        );
-        console.log(
-          `📊 Status: ${parsedData.status}, Amount: ₹${
-            parsedData.amount || "N/A"
-          }`
-        );
+        // Courier mails update shipments rather than create orders
+        if (parsedData.resultType === "shipment") {
+          const shipmentResult = await this.processShipmentEmail(
+            parsedData,
+            email,
+            userId,
+            syncId
+          );
+
+          if (shipmentResult.action === "shipment_created") {
+            results.shipmentsCreated++;
+          } else {
+            results.shipmentsUpdated++;
+          }
+          // A courier's delivery mail can be what marks the order delivered
+          await this.recordReturnDeadlines(shipmentResult.order, parsedData);
+
+          await this.recordProcessedEmail(userId, syncId, email, {
+            outcome: PROCESSING_OUTCOMES[shipmentResult.action],
+            reason: shipmentResult.reason,
+            platform: parsedData.platform,
+            orderId: shipmentResult.order?.id,
+            trace,
+          });
+
+          results.emailsProcessed++;
+          continue;
+        }
 
         // Step 2: Determine if this is new order or update
         const orderKey = `${parsedData.platform}-${parsedData.orderId}`;
@@ -263,10 +765,36 @@ class SyncService {
           existingOrderInSync,
           existingOrderInDB,
           userId,
-          syncId,
-          emailIndex
+          syncId
         );
 
+        const shipmentCreated = await this.recordOrderShipment(
+          processingResult.order,
+          parsedData,
+          email,
+          syncId
+        );
+        if (shipmentCreated) {
+          results.shipmentsCreated++;
+          // A new package of a known order is news even if nothing else is
+          if (processingResult.action === "skipped") {
+            processingResult.action = "updated";
+            processingResult.reason = "shipment_added";
+          }
+        }
+
+        const refundChanged = await this.recordOrderRefund(
+          processingResult.order,
+          parsedData,
+          email
+        );
+        if (refundChanged && processingResult.action === "skipped") {
+          processingResult.action = "updated";
+          processingResult.reason = "refund_recorded";
+        }
+
+        await this.recordReturnDeadlines(processingResult.order, parsedData);
+
         if (processingResult.action === "created") {
           results.ordersCreated++;
           orderTracker.set(orderKey, processingResult.order);
@@ -284,26 +812,55 @@ class SyncService {
           });
         }
 
+        await this.recordProcessedEmail(userId, syncId, email, {
+          outcome: PROCESSING_OUTCOMES[processingResult.action],
+          reason: processingResult.reason,
+          platform: parsedData.platform,
+          orderId: processingResult.order?.id,
+          trace,
+        });
+
         results.emailsProcessed++;
       } catch (error) {
-        console.error(
-          `❌ Error processing email ${emailIndex}:`,
-          error.message
-        );
+        syncLogger.debug("Email processing failed", {
+          syncId,
+          email: `${emailIndex}/${chronologicalEmails.length}`,
+          error: error.message,
+        });
         results.parsingErrors++;
         results.errorEmails.push({
           error: error.message,
           from: email.headers.from,
           subject: email.headers.subject,
         });
+        await this.recordProcessedEmail(userId, syncId, email, {
+          outcome: EMAIL_OUTCOME.PARSE_FAILED,
+          reason: error.message,
+        });
+      } finally {
+        // In finally so emails that `continue` early still report progress
+        if (onProgress && emailIndex % PROGRESS_UPDATE_INTERVAL === 0) {
+          await onProgress(results);
+        }
       }
     }
 
-    console.log(`\n📊 CHRONOLOGICAL PROCESSING COMPLETE:`);
-    console.log(`✅ Orders created: ${results.ordersCreated}`);
-    console.log(`🔄 Orders updated: ${results.ordersUpdated}`);
-    console.log(`⏭️ Orders skipped: ${results.ordersSkipped}`);
-    console.log(`❌ Parsing errors: ${results.parsingErrors}`);
+    if (onProgress) {
+      await onProgress(results);
+    }
+
+    // One push for the whole sync rather than one per order
+    notificationEvents.flush(userId);
+
+    syncLogger.debug("Emails processed", {
+      syncId,
+      ordersCreated: results.ordersCreated,
+      ordersUpdated: results.ordersUpdated,
+      ordersSkipped: results.ordersSkipped,
+      shipmentsCreated: results.shipmentsCreated,
+      shipmentsUpdated: results.shipmentsUpdated,
+      parsingErrors: results.parsingErrors,
+    });
 
     return results;
   }
@@ -312,27 +869,94 @@ class SyncService {
    * Parse email with comprehensive validation and garbage filtering
    */
   parseEmailWithValidation(email) {
+    return this.parseEmailWithOutcome(email).parsedData;
+  }
+
+  /**
+   * Same as parseEmailWithValidation, but keeps the validation error so the
+   * processed_emails record can say why no order came out of the email
+   * @param {Object} [options]
+   * @param {string} [options.syncId] - Logged with the extraction trace
+   * @returns {{parsedData: Object|null, error: string|null,
+   *   trace: ExtractionTrace|null}}
+   */
+  parseEmailWithOutcome(email, { syncId = null } = {}) {
+    let trace = null;
     try {
       // Use your existing parser factory
-      const parsedData = parserFactory.parseEmail({
-        from: email.headers.from,
-        subject: email.headers.subject,
-        html: email.body.html,
-        text: email.body.text,
-        date: email.headers.date,
+      const details = parserFactory.parseEmailWithDetails(
+        {
+          from: email.headers.from,
+          subject: email.headers.subject,
+          html: email.body.html,
+          text: email.body.text,
+          date: email.headers.date,
+          messageId: email.messageId,
+        },
+        { syncId }
+      );
+      trace = details.trace;
+
+      return { ...this.normalizeParsedData(details.result), trace };
+    } catch (error) {
+      syncLogger.debug("Parsed email failed validation", {
+        syncId,
         messageId: email.messageId,
+        error: error.message,
       });
+      return { parsedData: null, error: error.message, trace };
+    }
+  }
+
+  /**
+   * Validate and clean a parser factory result into what sync stores.
+   * Throws when the result fails validation.
+   * @returns {{parsedData: Object|null, error: null}}
+   */
+  normalizeParsedData(parsedData) {
+    if (!parsedData) return { parsedData: null, error: null };
 
-      if (!parsedData) return null;
+    if (parsedData.resultType === "shipment") {
+      return { parsedData: this.cleanShipmentData(parsedData), error: null };
+    }
+
+    // Additional validation to ensure data quality
+    const validatedData = this.validateParsedData(parsedData);
 
-      // Additional validation to ensure data quality
-      const validatedData = this.validateParsedData(parsedData);
+    // Clean and standardize the data
+    return { parsedData: this.cleanParsedData(validatedData), error: null };
+  }
 
-      // Clean and standardize the data
-      return this.cleanParsedData(validatedData);
+  /**
+   * Upsert the per-message outcome. Bookkeeping only: a failure here is
+   * logged and never fails the sync.
+   */
+  async recordProcessedEmail(userId, syncId, email, outcome) {
+    try {
+      await ProcessedEmail.upsert(
+        {
+          user_id: userId,
+          gmail_message_id: email.id,
+          sync_id: syncId,
+          order_id: outcome.orderId || null,
+          outcome: outcome.outcome,
+          reason: outcome.reason ? String(outcome.reason).slice(0, 255) : null,
+          platform: outcome.platform || null,
+          parser_version: PARSER_VERSION,
+          subject: email.headers.subject,
+          sender: email.headers.from ? email.headers.from.slice(0, 255) : null,
+          email_date: email.internalDate
+            ? new Date(parseInt(email.internalDate))
+            : null,
+          extraction_trace:
+            PERSIST_EXTRACTION_TRACE && outcome.trace
+              ? outcome.trace.toJSON()
+              : null,
+        },
+        { conflictFields: ["user_id", "gmail_message_id"] }
+      );
     } catch (error) {
-      console.error("❌ Parsing error:", error.message);
-      return null;
+      logger.warn(`Failed to record processed email ${email.id}:`, error);
     }
   }
 
@@ -374,14 +998,43 @@ class SyncService {
       products: this.cleanProductsData(parsedData.products || []),
       orderDate: parsedData.orderDate || new Date(),
       status: this.standardizeOrderStatus(parsedData.status),
-      trackingId: parsedData.trackingId || "Data not available in email",
+      trackingId: parsedData.trackingId || null,
+      carrierName: parsedData.carrierName || null,
+      location: parsedData.location || null,
       emailType: parsedData.emailType || "unknown",
+      refund: parsedData.refund || null,
+      returnBy: parsedData.returnBy || null,
       confidence: parsedData.confidence || 0.7,
       extractedAt: new Date().toISOString(),
       dataAvailability: this.assessDataAvailability(parsedData),
     };
   }
 
+  /**
+   * Courier results have no order id to validate; the tracking number is
+   * their key
+   */
+  cleanShipmentData(parsedData) {
+    if (!parsedData.trackingId) {
+      throw new Error("Missing tracking number");
+    }
+
+    return {
+      platform: parsedData.platform,
+      resultType: "shipment",
+      trackingId: parsedData.trackingId,
+      carrierName: parsedData.carrierName || null,
+      orderReference: parsedData.orderId || null,
+      status: parsedData.status
+        ? this.standardizeOrderStatus(parsedData.status)
+        : null,
+      expectedDelivery: parsedData.expectedDelivery || null,
+      location: parsedData.location || null,
+      emailType: parsedData.emailType || "shipment_update",
+      confidence: parsedData.confidence || 0.7,
+    };
+  }
+
   /**
    * Clean products data and remove garbage
    */
@@ -445,18 +1098,24 @@ class SyncService {
     existingOrderInSync,
     existingOrderInDB,
     userId,
-    syncId,
-    emailIndex
+    syncId
   ) {
     const orderKey = `${parsedData.platform}-${parsedData.orderId}`;
 
-    console.log(`🔍 Processing order: ${orderKey}`);
-    console.log(`📧 Email type: ${parsedData.emailType}`);
-    console.log(`📊 Current status: ${parsedData.status}`);
+    syncLogger.debug("Processing order email", {
+      syncId,
+      orderKey,
+      emailType: parsedData.emailType,
+      status: parsedData.status,
+      seen: existingOrderInSync
+        ? "this_sync"
+        : existingOrderInDB
+        ? "earlier_sync"
+        : "new",
+    });
 
     // Case 1: First time seeing this order in current sync
     if (!existingOrderInSync && !existingOrderInDB) {
-      console.log(`🆕 NEW ORDER: Creating first entry for ${orderKey}`);
       const newOrder = await this.createNewOrder(
         parsedData,
         userId,
@@ -473,20 +1132,16 @@ class SyncService {
 
     // Case 2: Order exists in current sync - check for updates
     if (existingOrderInSync) {
-      console.log(`🔄 SYNC UPDATE: Checking updates for ${orderKey}`);
       return await this.handleOrderUpdateInSync(
         existingOrderInSync,
         parsedData,
         email,
-        emailIndex
+        syncId
       );
     }
 
     // Case 3: Order exists in DB from previous sync - check for updates
     if (existingOrderInDB) {
-      console.log(
-        `🔄 DB UPDATE: Checking updates for existing DB order ${orderKey}`
-      );
       return await this.handleOrderUpdateInDB(
         existingOrderInDB,
         parsedData,
@@ -505,14 +1160,12 @@ class SyncService {
   /**
    * Handle order updates within current sync
    */
-  async handleOrderUpdateInSync(existingOrder, parsedData, email, emailIndex) {
-    const updates = this.detectOrderChanges(existingOrder, parsedData);
+  async handleOrderUpdateInSync(existingOrder, parsedData, email, syncId) {
+    const updates = this.detectOrderChanges(existingOrder, parsedData, email);
+    this.logOrderChanges(existingOrder, updates, syncId);
 
     if (updates.hasChanges) {
-      console.log(
-        `✅ SYNC UPDATE: Changes detected for ${existingOrder.platform}-${existingOrder.platform_order_id}`
-      );
-      console.log(`📝 Changes: ${updates.changes.join(", ")}`);
+      const previousStatus = existingOrder.status;
 
       // Update the order with new information
       const updatedOrder = await this.applyOrderUpdates(
@@ -521,6 +1174,16 @@ class SyncService {
         updates.updateData
       );
 
+      if (updates.updateData.status) {
+        await this.recordStatusEvent(updatedOrder, parsedData, email);
+        await this.notifyStatusChange(updatedOrder, previousStatus, email);
+      }
+      await this.publishOrderUpdate(
+        updatedOrder,
+        previousStatus,
+        updates.changes
+      );
+
       return {
         action: "updated",
         order: updatedOrder,
@@ -528,9 +1191,6 @@ class SyncService {
         changes: updates.changes,
       };
     } else {
-      console.log(
-        `⏭️ SYNC SKIP: No changes detected for ${existingOrder.platform}-${existingOrder.platform_order_id}`
-      );
       return {
         action: "skipped",
         reason: "no_changes_in_sync",
@@ -543,23 +1203,30 @@ class SyncService {
    * Handle order updates for existing DB records
    */
   async handleOrderUpdateInDB(existingOrder, parsedData, email, syncId) {
-    const updates = this.detectOrderChanges(existingOrder, parsedData);
+    const updates = this.detectOrderChanges(existingOrder, parsedData, email);
+    this.logOrderChanges(existingOrder, updates, syncId);
 
     if (updates.hasChanges) {
-      console.log(
-        `✅ DB UPDATE: Changes detected for ${existingOrder.platform}-${existingOrder.platform_order_id}`
-      );
-      console.log(`📝 Changes: ${updates.changes.join(", ")}`);
-
       // Update database record
       const updateData = {
         ...updates.updateData,
         sync_id: syncId,
         last_updated: new Date(),
       };
+      const previousStatus = existingOrder.status;
 
       await existingOrder.update(updateData);
 
+      if (updateData.status) {
+        await this.recordStatusEvent(existingOrder, parsedData, email);
+        await this.notifyStatusChange(existingOrder, previousStatus, email);
+      }
+      await this.publishOrderUpdate(
+        existingOrder,
+        previousStatus,
+        updates.changes
+      );
+
       return {
         action: "updated",
         order: await existingOrder.reload(),
@@ -567,9 +1234,6 @@ class SyncService {
         changes: updates.changes,
       };
     } else {
-      console.log(
-        `⏭️ DB SKIP: No changes detected for ${existingOrder.platform}-${existingOrder.platform_order_id}`
-      );
       return {
         action: "skipped",
         reason: "no_changes_in_db",
@@ -578,22 +1242,48 @@ class SyncService {
     }
   }
 
+  /**
+   * Debug log of what an email changes on an order already stored
+   */
+  logOrderChanges(order, updates, syncId) {
+    syncLogger.debug(
+      updates.hasChanges ? "Order changes found" : "No order changes",
+      {
+        syncId,
+        orderId: order.id,
+        orderKey: `${order.platform}-${order.platform_order_id}`,
+        changes: updates.changes,
+      }
+    );
+  }
+
   /**
    * 🔍 Detect meaningful changes between existing and new order data
    */
-  detectOrderChanges(existingOrder, newParsedData) {
+  detectOrderChanges(existingOrder, newParsedData, email) {
     const changes = [];
     const updateData = {};
+    // Fields the user edited by hand are theirs; emails never overwrite them
+    const lockedFields = existingOrder.user_locked_fields || [];
+    const canUpdate = (field) => !lockedFields.includes(field);
+    // A set value is only replaced by a more confident parse
+    const isMoreConfident = (field) =>
+      (newParsedData.confidence || 0) >
+      this.getFieldConfidence(existingOrder, field);
 
     // Check status progression (only update if more advanced)
-    if (this.shouldUpdateStatus(existingOrder.status, newParsedData.status)) {
+    if (
+      canUpdate("status") &&
+      this.shouldUpdateStatus(existingOrder.status, newParsedData.status)
+    ) {
       changes.push(`status: ${existingOrder.status} → ${newParsedData.status}`);
       updateData.status = newParsedData.status;
 
       // Update delivery date if status is delivered
       if (
         newParsedData.status === "delivered" &&
-        !existingOrder.delivered_date
+        !existingOrder.delivered_date &&
+        canUpdate("delivered_date")
       ) {
         updateData.delivered_date = new Date();
         changes.push("delivery_date: added");
@@ -601,29 +1291,48 @@ class SyncService {
     }
 
     // Add tracking information if missing
-    if (newParsedData.trackingId && !existingOrder.tracking_number) {
+    if (
+      canUpdate("tracking_number") &&
+      newParsedData.trackingId &&
+      (!existingOrder.tracking_number ||
+        existingOrder.tracking_number === "Data not available in email")
+    ) {
       changes.push(`tracking: added ${newParsedData.trackingId}`);
       updateData.tracking_number = newParsedData.trackingId;
     }
 
     // Update amount if missing and new data has it
     if (
+      canUpdate("total_amount") &&
       newParsedData.amount &&
-      (!existingOrder.total_amount || existingOrder.total_amount === 0)
+      parseFloat(newParsedData.amount) !==
+        parseFloat(existingOrder.total_amount) &&
+      (!parseFloat(existingOrder.total_amount) ||
+        isMoreConfident("total_amount"))
     ) {
-      changes.push(`amount: added ₹${newParsedData.amount}`);
+      changes.push(
+        parseFloat(existingOrder.total_amount)
+          ? `amount: ₹${existingOrder.total_amount} → ₹${newParsedData.amount}`
+          : `amount: added ₹${newParsedData.amount}`
+      );
       updateData.total_amount = newParsedData.amount;
     }
 
     // Update product name if missing and new data has better info
-    if (newParsedData.products && newParsedData.products.length > 0) {
+    if (
+      canUpdate("product_name") &&
+      newParsedData.products &&
+      newParsedData.products.length > 0
+    ) {
       const newProductName = newParsedData.products[0].name;
       if (
         newProductName &&
         newProductName !== "Data not available in email" &&
+        newProductName !== existingOrder.product_name &&
         (!existingOrder.product_name ||
           existingOrder.product_name.includes("Order") ||
-          existingOrder.product_name === "Data not available in email")
+          existingOrder.product_name === "Data not available in email" ||
+          isMoreConfident("product_name"))
       ) {
         changes.push(
           `product: updated to ${newProductName.substring(0, 30)}...`
@@ -632,6 +1341,14 @@ class SyncService {
       }
     }
 
+    if (changes.length > 0) {
+      updateData.field_provenance = Order.mergeProvenance(
+        existingOrder.field_provenance,
+        Object.keys(updateData),
+        this.getFieldSource(newParsedData, email, FIELD_SOURCE.EMAIL_UPDATE)
+      );
+    }
+
     return {
       hasChanges: changes.length > 0,
       changes,
@@ -639,6 +1356,49 @@ class SyncService {
     };
   }
 
+  /**
+   * 🪝 order.updated for an email's changes, and order.status_changed too
+   * when they moved the status
+   */
+  async publishOrderUpdate(order, previousStatus, changes) {
+    if (!order?.id) return;
+
+    await webhookService.publishOrderEvent(order, WEBHOOK_EVENT.ORDER_UPDATED, {
+      changes,
+    });
+    if (order.status !== previousStatus) {
+      await webhookService.publishOrderEvent(
+        order,
+        WEBHOOK_EVENT.ORDER_STATUS_CHANGED,
+        { previous_status: previousStatus }
+      );
+    }
+  }
+
+  /**
+   * Provenance entry for fields taken from a parsed email
+   */
+  getFieldSource(parsedData, email, source) {
+    return {
+      source,
+      parser: parsedData.platform,
+      parser_version: PARSER_VERSION,
+      message_id: email?.id || null,
+      confidence: parsedData.confidence ?? null,
+    };
+  }
+
+  /**
+   * Confidence behind a field's current value; orders from before field
+   * provenance fall back to the order's overall confidence
+   */
+  getFieldConfidence(order, field) {
+    const entry = order.field_provenance?.[field];
+    if (entry?.source === FIELD_SOURCE.MANUAL) return 1;
+    if (entry && entry.confidence != null) return entry.confidence;
+    return parseFloat(order.confidence_score) || 0;
+  }
+
   /**
    * Apply updates to existing order
    */
@@ -660,6 +1420,385 @@ class SyncService {
     };
   }
 
+  /**
+   * 🚚 Apply a courier update: upsert the shipment by tracking number and,
+   * when it belongs to a known order, advance the order and its timeline
+   */
+  async processShipmentEmail(parsedData, email, userId, syncId = null) {
+    const emailDate = this.getEmailTimestamp(email);
+    const order = await this.findOrderForShipment(userId, parsedData);
+
+    let shipment = await Shipment.findOne({
+      where: { user_id: userId, tracking_number: parsedData.trackingId },
+    });
+    const isNew = !shipment;
+
+    if (isNew) {
+      syncLogger.debug("New shipment", {
+        syncId,
+        carrier: parsedData.carrierName,
+        trackingId: parsedData.trackingId,
+        orderId: order?.platform_order_id || null,
+      });
+      shipment = await Shipment.create({
+        user_id: userId,
+        order_id: order?.id || null,
+        carrier: parsedData.carrierName,
+        tracking_number: parsedData.trackingId,
+        status: SHIPMENT_STATUSES.includes(parsedData.status)
+          ? parsedData.status
+          : "shipped",
+        expected_delivery: parsedData.expectedDelivery,
+        delivered_at: parsedData.status === "delivered" ? emailDate : null,
+        last_location: parsedData.location,
+        last_event_at: emailDate,
+        source_message_id: email.id,
+      });
+    } else {
+      await this.updateShipment(shipment, parsedData, email, order);
+    }
+
+    if (order) {
+      if (parsedData.status) {
+        await this.recordStatusEvent(order, parsedData, email);
+      }
+      if (!order.carrier_name && !order.isFieldLocked("carrier_name")) {
+        await order.update({ carrier_name: parsedData.carrierName });
+      }
+      const previousStatus = order.status;
+      await order.refreshStatusFromShipments();
+      await this.notifyStatusChange(order, previousStatus, email);
+      if (order.status !== previousStatus) {
+        await webhookService.publishOrderEvent(
+          order,
+          WEBHOOK_EVENT.ORDER_STATUS_CHANGED,
+          { previous_status: previousStatus }
+        );
+      }
+    }
+
+    return {
+      action: isNew ? "shipment_created" : "shipment_updated",
+      reason: order ? "linked_to_order" : "no_matching_order",
+      shipment,
+      order,
+    };
+  }
+
+  /**
+   * 📦 Marketplace mails can name one package of a split order: keep a
+   * shipment per tracking id, link the items the mail lists to it and
+   * re-derive the order's status. A mail without a tracking id updates the
+   * order's shipment only when it has exactly one. Return and refund mails
+   * are about the way back, so they leave shipments alone.
+   * @returns {Promise<boolean>} Whether a new shipment was created
+   */
+  async recordOrderShipment(order, parsedData, email, syncId = null) {
+    if (!order?.id || isReturnRefundType(parsedData.emailType)) return false;
+
+    let shipment;
+    let created = false;
+
+    if (parsedData.trackingId) {
+      shipment = await Shipment.findOne({
+        where: {
+          user_id: order.user_id,
+          tracking_number: parsedData.trackingId,
+        },
+      });
+
+      if (!shipment) {
+        const emailDate = this.getEmailTimestamp(email);
+        syncLogger.debug("New shipment", {
+          syncId,
+          trackingId: parsedData.trackingId,
+          orderId: order.platform_order_id,
+        });
+        shipment = await Shipment.create({
+          user_id: order.user_id,
+          order_id: order.id,
+          carrier: parsedData.carrierName || order.carrier_name,
+          tracking_number: parsedData.trackingId,
+          status: SHIPMENT_STATUSES.includes(parsedData.status)
+            ? parsedData.status
+            : "shipped",
+          expected_delivery: parsedData.expectedDelivery,
+          delivered_at: parsedData.status === "delivered" ? emailDate : null,
+          last_event_at: emailDate,
+          source_message_id: email.id,
+        });
+        created = true;
+      } else {
+        await this.updateShipment(shipment, parsedData, email, order);
+      }
+
+      await shipment.linkItemsByName(
+        (parsedData.products || []).map((product) => product.name)
+      );
+    } else {
+      const shipments = await Shipment.findAll({
+        where: { order_id: order.id },
+      });
+      if (shipments.length !== 1) return false;
+
+      shipment = shipments[0];
+      await this.updateShipment(shipment, parsedData, email, order);
+    }
+
+    await order.refreshStatusFromShipments();
+    return created;
+  }
+
+  /**
+   * Apply a later email to an existing shipment; status only moves forward
+   */
+  async updateShipment(shipment, parsedData, email, order = null) {
+    const emailDate = this.getEmailTimestamp(email);
+    const updateData = {
+      last_event_at: emailDate,
+      source_message_id: email.id,
+    };
+
+    if (!shipment.order_id && order) updateData.order_id = order.id;
+    if (!shipment.carrier && parsedData.carrierName) {
+      updateData.carrier = parsedData.carrierName;
+    }
+    if (parsedData.expectedDelivery) {
+      updateData.expected_delivery = parsedData.expectedDelivery;
+    }
+    if (parsedData.location) updateData.last_location = parsedData.location;
+    if (
+      SHIPMENT_STATUSES.includes(parsedData.status) &&
+      this.shouldUpdateStatus(shipment.status, parsedData.status)
+    ) {
+      updateData.status = parsedData.status;
+      if (parsedData.status === "delivered") {
+        updateData.delivered_at = emailDate;
+      }
+    }
+
+    syncLogger.debug("Shipment updated", {
+      trackingId: shipment.tracking_number,
+      status: updateData.status || shipment.status,
+    });
+    return await shipment.update(updateData);
+  }
+
+  /**
+   * Record the refund a refund email reports on its order: a new refund, or
+   * the details and credit of one seen before. Returns true when anything
+   * was saved.
+   */
+  async recordOrderRefund(order, parsedData, email) {
+    const refundData = parsedData.refund;
+    if (!order?.id || !refundData) return false;
+
+    const emailDate = this.getEmailTimestamp(email);
+    const credited = refundData.status === REFUND_STATUS.CREDITED;
+    const refund = await Refund.findMatching(order.id, {
+      ...refundData,
+      messageId: email.id,
+    });
+
+    if (!refund) {
+      syncLogger.debug("New refund", {
+        orderId: order.platform_order_id,
+        status: refundData.status,
+      });
+      await Refund.create({
+        user_id: order.user_id,
+        order_id: order.id,
+        amount: refundData.amount,
+        currency: order.currency,
+        method: refundData.method,
+        reference: refundData.reference,
+        status: refundData.status,
+        initiated_at: credited ? null : emailDate,
+        initiated_message_id: credited ? null : email.id,
+        credited_at: credited ? emailDate : null,
+        credited_message_id: credited ? email.id : null,
+      });
+      return true;
+    }
+
+    const updateData = {};
+    for (const field of ["amount", "method", "reference"]) {
+      if (!refund[field] && refundData[field]) {
+        updateData[field] = refundData[field];
+      }
+    }
+    if (credited && !refund.credited_message_id) {
+      updateData.status = REFUND_STATUS.CREDITED;
+      updateData.credited_at = emailDate;
+      updateData.credited_message_id = email.id;
+    } else if (!credited && !refund.initiated_message_id) {
+      // Initiation mail processed after the credit, e.g. by a later sync
+      updateData.initiated_at = emailDate;
+      updateData.initiated_message_id = email.id;
+    }
+
+    if (Object.keys(updateData).length === 0) return false;
+
+    syncLogger.debug("Refund updated", {
+      orderId: order.platform_order_id,
+      status: updateData.status || refund.status,
+    });
+    await refund.update(updateData);
+    return true;
+  }
+
+  /**
+   * Set the order items' return_eligible_until: the "return by" date an
+   * email states, else once the order is delivered, its delivery date plus
+   * the platform's return window from parserConfig. A stated date replaces
+   * any earlier one; a computed date only fills in a missing one.
+   * @returns {Promise<number>} Items whose deadline changed
+   */
+  async recordReturnDeadlines(order, parsedData) {
+    if (!order?.id) return 0;
+
+    const statedDeadline = parsedData.returnBy
+      ? new Date(parsedData.returnBy)
+      : null;
+    if (!statedDeadline && order.status !== "delivered") return 0;
+
+    const items = await OrderItem.findByOrder(order.id);
+    const deliveredAt = new Date(order.delivered_date || Date.now());
+    let changed = 0;
+
+    for (const item of items) {
+      let deadline = statedDeadline;
+      if (!deadline) {
+        const days = getReturnWindowDays(order.platform, item);
+        if (item.return_eligible_until || !days) continue;
+
+        deadline = new Date(deliveredAt);
+        deadline.setDate(deadline.getDate() + days);
+        deadline.setHours(23, 59, 59, 0);
+      }
+
+      if (
+        item.return_eligible_until &&
+        new Date(item.return_eligible_until).getTime() === deadline.getTime()
+      ) {
+        continue;
+      }
+
+      // A new deadline earns a new reminder
+      await item.update({
+        return_eligible_until: deadline,
+        return_reminder_sent_at: null,
+      });
+      changed++;
+    }
+
+    if (changed > 0) {
+      syncLogger.debug("Return deadline set", {
+        orderId: order.platform_order_id,
+        items: changed,
+      });
+    }
+    return changed;
+  }
+
+  /**
+   * Order already linked to the tracking number, else the order carrying
+   * it, else the order id the courier mail quotes
+   */
+  async findOrderForShipment(userId, parsedData) {
+    const linkedShipment = await Shipment.findOne({
+      where: {
+        user_id: userId,
+        tracking_number: parsedData.trackingId,
+        order_id: { [Op.ne]: null },
+      },
+    });
+    if (linkedShipment) return await Order.findByPk(linkedShipment.order_id);
+
+    const byTracking = await Order.findOne({
+      where: { user_id: userId, tracking_number: parsedData.trackingId },
+    });
+    if (byTracking || !parsedData.orderReference) return byTracking;
+
+    return await Order.findOne({
+      where: { user_id: userId, platform_order_id: parsedData.orderReference },
+    });
+  }
+
+  /**
+   * 🕒 Add a timeline entry for the status this email moved the order to.
+   * Timeline bookkeeping never fails the sync.
+   */
+  async recordStatusEvent(order, parsedData, email) {
+    if (!order?.id) return;
+
+    try {
+      await OrderEvent.recordStatus(order.id, {
+        status: parsedData.status,
+        occurred_at: this.getEmailTimestamp(email),
+        source_message_id: email.id,
+        carrier: parsedData.carrierName,
+        location: parsedData.location,
+        raw_snippet: email.snippet || null,
+      });
+    } catch (error) {
+      logger.warn(
+        `Failed to record status event for order ${order.id}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * 🔔 Publish a notification when an email moved the order to a status
+   * users hear about (ORDER_NOTIFICATIONS). Mail older than
+   * MAX_EMAIL_AGE_HOURS is history, not news. Never fails the sync.
+   * @returns {Promise<boolean>} Whether a notification was published
+   */
+  async notifyStatusChange(order, previousStatus, email) {
+    const type = ORDER_NOTIFICATIONS.BY_STATUS[order?.status];
+    if (!type || !order.user_id || order.status === previousStatus) {
+      return false;
+    }
+
+    const emailAge = Date.now() - this.getEmailTimestamp(email).getTime();
+    if (emailAge > ORDER_NOTIFICATIONS.MAX_EMAIL_AGE_HOURS * 60 * 60 * 1000) {
+      return false;
+    }
+
+    try {
+      const user = await User.findByPk(order.user_id, {
+        attributes: ["id", "settings"],
+      });
+      if (!user) return false;
+
+      return notificationEvents.notify(user, type, {
+        orderId: order.id,
+        platform: order.platform,
+        platformOrderId: order.platform_order_id,
+        productName: order.product_name,
+        status: order.status,
+        previousStatus,
+      });
+    } catch (error) {
+      logger.warn(
+        `Failed to notify status change of order ${order.id}:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * When the email was received, falling back to its Date header
+   */
+  getEmailTimestamp(email) {
+    if (email.internalDate) return new Date(parseInt(email.internalDate));
+
+    const headerDate = new Date(email.headers?.date);
+    return isNaN(headerDate) ? new Date() : headerDate;
+  }
+
   /**
    * Find existing order in database
    */
@@ -677,10 +1816,6 @@ class SyncService {
    * Create new order with comprehensive data handling
    */
   async createNewOrder(parsedData, userId, syncId, email) {
-    console.log(
-      `🆕 Creating new order: ${parsedData.platform}-${parsedData.orderId}`
-    );
-
     const orderData = {
       user_id: userId,
       platform: parsedData.platform,
@@ -705,15 +1840,29 @@ class SyncService {
         userId,
       }),
     };
+    orderData.field_provenance = Order.mergeProvenance(
+      {},
+      PROVENANCE_FIELDS.filter((column) => orderData[column] != null),
+      this.getFieldSource(parsedData, email, FIELD_SOURCE.PARSER)
+    );
 
     const order = await Order.create(orderData);
 
     // Create order items if available
-    if (parsedData.products && parsedData.products.length > 0) {
-      await this.createOrderItems(order.id, parsedData.products);
-    }
-
-    console.log(`✅ Order created successfully: ${order.id}`);
+    const itemsCreated =
+      parsedData.products && parsedData.products.length > 0
+        ? await this.createOrderItems(order.id, parsedData.products)
+        : 0;
+
+    await this.recordStatusEvent(order, parsedData, email);
+
+    syncLogger.debug("Order created", {
+      syncId,
+      orderId: order.id,
+      orderKey: `${order.platform}-${order.platform_order_id}`,
+      items: itemsCreated,
+    });
+    await webhookService.publishOrderEvent(order, WEBHOOK_EVENT.ORDER_CREATED);
     return order;
   }
 
@@ -739,6 +1888,7 @@ class SyncService {
 
   /**
    * Create order items with validation
+   * @returns {Promise<number>} Items created
    */
   async createOrderItems(orderId, products) {
     const validItems = products.filter(
@@ -748,7 +1898,7 @@ class SyncService {
         item.name.length > 2
     );
 
-    if (validItems.length === 0) return;
+    if (validItems.length === 0) return 0;
 
     const itemsToCreate = validItems.map((item) => ({
       order_id: orderId,
@@ -759,7 +1909,7 @@ class SyncService {
     }));
 
     await OrderItem.bulkCreate(itemsToCreate);
-    console.log(`📦 Created ${itemsToCreate.length} order items`);
+    return itemsToCreate.length;
   }
 
   /**
@@ -770,6 +1920,9 @@ class SyncService {
 
     const statusLower = status.toLowerCase();
 
+    if (/return[_ ]pickup/.test(statusLower)) return "return_pickup_scheduled";
+    if (/return[_ ]requested/.test(statusLower)) return "return_requested";
+    if (/out[_ ]for[_ ]delivery/.test(statusLower)) return "out_for_delivery";
     if (statusLower.includes("delivered")) return "delivered";
     if (statusLower.includes("shipped") || statusLower.includes("dispatched"))
       return "shipped";
@@ -782,23 +1935,23 @@ class SyncService {
   }
 
   /**
-   * Determine if status should be updated (status progression)
+   * Determine if status should be updated (status progression). A
+   * cancellation wins until the order is delivered; a cancelled order only
+   * moves on when a later email has it shipped anyway.
    */
   shouldUpdateStatus(currentStatus, newStatus) {
-    const statusHierarchy = {
-      ordered: 1,
-      confirmed: 2,
-      shipped: 3,
-      out_for_delivery: 4,
-      delivered: 5,
-      cancelled: 0,
-      returned: 0,
-    };
+    if (newStatus === currentStatus) return false;
+    if (!STATUS_LEVELS[newStatus] && newStatus !== "cancelled") return false;
+    if (!currentStatus || currentStatus === "unknown") return true;
 
-    const currentLevel = statusHierarchy[currentStatus] || 1;
-    const newLevel = statusHierarchy[newStatus] || 1;
+    if (newStatus === "cancelled") {
+      return (STATUS_LEVELS[currentStatus] || 0) < STATUS_LEVELS.delivered;
+    }
+    if (currentStatus === "cancelled") {
+      return STATUS_LEVELS[newStatus] >= STATUS_LEVELS.shipped;
+    }
 
-    return newLevel > currentLevel;
+    return STATUS_LEVELS[newStatus] > (STATUS_LEVELS[currentStatus] || 0);
   }
 
   /**
@@ -892,14 +2045,20 @@ class SyncService {
    * Handle case when no emails are found
    */
   async handleNoEmailsFound(syncRecord, daysToFetch, maxResults) {
-    console.log("⚠️ No emails found matching search criteria");
+    syncLogger.debug("No new emails found", {
+      syncId: syncRecord.id,
+      daysToFetch,
+      maxResults,
+    });
 
     await syncRecord.update({
       status: "completed",
       completed_at: new Date(),
+      current_stage: null,
       emails_processed: 0,
       orders_found: 0,
       orders_created: 0,
+      orders_updated: 0,
       metadata: {
         ...syncRecord.metadata,
         summary: {
@@ -908,6 +2067,11 @@ class SyncService {
         },
       },
     });
+    await webhookService.publish(
+      syncRecord.user_id,
+      WEBHOOK_EVENT.SYNC_COMPLETED,
+      { sync: this.toWebhookSync(syncRecord) }
+    );
 
     return {
       success: true,
@@ -935,6 +2099,8 @@ class SyncService {
       ordersCreated: processResult.ordersCreated,
       ordersUpdated: processResult.ordersUpdated,
       ordersSkipped: processResult.ordersSkipped,
+      shipmentsCreated: processResult.shipmentsCreated,
+      shipmentsUpdated: processResult.shipmentsUpdated,
       parsingErrors: processResult.parsingErrors,
       platforms: this.getProcessedPlatforms(processResult.processedOrders),
       processingStrategy: "chronological_with_smart_updates",
@@ -945,9 +2111,11 @@ class SyncService {
     await syncRecord.update({
       status: "completed",
       completed_at: new Date(),
+      current_stage: null,
       emails_processed: processResult.emailsProcessed,
       orders_found: processResult.ordersCreated + processResult.ordersUpdated,
       orders_created: processResult.ordersCreated,
+      orders_updated: processResult.ordersUpdated,
       metadata: {
         ...syncRecord.metadata,
         summary: syncSummary,
@@ -961,6 +2129,11 @@ class SyncService {
     logger.info(
       `Enhanced chronological sync completed: ${processResult.ordersCreated} created, ${processResult.ordersUpdated} updated`
     );
+    await webhookService.publish(
+      syncRecord.user_id,
+      WEBHOOK_EVENT.SYNC_COMPLETED,
+      { sync: this.toWebhookSync(syncRecord) }
+    );
 
     return {
       success: true,
@@ -1072,12 +2245,60 @@ class SyncService {
       emailsProcessed: syncRecord.emails_processed,
       ordersFound: syncRecord.orders_found,
       ordersCreated: syncRecord.orders_created,
+      progress: {
+        stage: syncRecord.current_stage,
+        emailsFound: syncRecord.emails_found || 0,
+        emailsFetched: syncRecord.emails_fetched || 0,
+        emailsParsed: syncRecord.emails_processed || 0,
+        ordersCreated: syncRecord.orders_created || 0,
+        ordersUpdated: syncRecord.orders_updated || 0,
+      },
       metadata: syncRecord.metadata,
       errors: syncRecord.errors,
       searchConfiguration: syncRecord.metadata?.resolvedParameters,
     };
   }
 
+  /**
+   * Per-message outcomes for a sync, newest email first
+   */
+  async getSyncEmails(userId, syncId, { outcome, limit, offset } = {}) {
+    const syncRecord = await EmailSync.findOne({
+      where: { id: syncId, user_id: userId },
+    });
+
+    if (!syncRecord) {
+      throw new Error("Sync record not found");
+    }
+
+    const where = { user_id: userId, sync_id: syncId };
+    if (outcome) where.outcome = outcome;
+
+    const { rows, count } = await ProcessedEmail.findAndCountAll({
+      where,
+      order: [["email_date", "DESC"]],
+      limit,
+      offset,
+    });
+
+    return {
+      total: count,
+      emails: rows.map((row) => ({
+        messageId: row.gmail_message_id,
+        outcome: row.outcome,
+        reason: row.reason,
+        platform: row.platform,
+        orderId: row.order_id,
+        parserVersion: row.parser_version,
+        subject: row.subject,
+        from: row.sender,
+        emailDate: row.email_date,
+        processedAt: row.updatedAt,
+        extractionTrace: row.extraction_trace?.steps || null,
+      })),
+    };
+  }
+
   async getSyncHistory(userId, limit = 10) {
     const syncRecords = await EmailSync.findAll({
       where: { user_id: userId },
@@ -0,0 +1,334 @@
+// src/services/webhookService.js - SIGNED WEBHOOKS FOR ORDER AND SYNC EVENTS
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { Op } = require("sequelize");
+const { WebhookEndpoint, WebhookDelivery } = require("../models");
+const { resolvePublicAddress } = require("../utils/publicAddress");
+const logger = require("../utils/logger").createModuleLogger("WebhookService");
+const {
+  WEBHOOK_EVENT,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOKS,
+} = require("../constants");
+
+const USER_AGENT = "order-tracker-webhooks/1.0";
+
+/**
+ * `X-Webhook-Signature` of a payload: hex HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" with the endpoint's secret
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Order fields sent in order.* payloads
+ */
+function toWebhookOrder(order) {
+  return {
+    id: order.id,
+    platform: order.platform,
+    platform_order_id: order.platform_order_id,
+    product_name: order.product_name,
+    total_amount:
+      order.total_amount == null ? null : parseFloat(order.total_amount),
+    currency: order.currency,
+    status: order.status,
+    order_date: order.order_date,
+    delivered_date: order.delivered_date,
+    tracking_number: order.tracking_number,
+    carrier_name: order.carrier_name,
+  };
+}
+
+/**
+ * Delivers events to the webhook endpoints users registered. publish()
+ * stores one webhook_deliveries row per subscribed endpoint, and a worker
+ * polls for due rows, so a restart never loses a delivery. Failed attempts
+ * are retried with exponential backoff (WEBHOOKS) and every attempt's
+ * outcome stays on the row as the delivery log.
+ */
+class WebhookService {
+  constructor() {
+    this.pollIntervalMs =
+      parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+    this.batchSize = 20;
+    this.pollTimer = null;
+    this.running = false;
+    this.draining = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.pollTimer = setInterval(() => this.drain(), this.pollIntervalMs);
+    this.pollTimer.unref();
+
+    logger.info("Webhook worker started", {
+      pollIntervalMs: this.pollIntervalMs,
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Stop polling. An attempt in flight finishes; a delivery it leaves
+   * pending is picked up on next start.
+   */
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    logger.info("Webhook worker stopped");
+  }
+
+  /**
+   * Queue an event for every enabled endpoint of the user subscribed to
+   * it. Never throws: webhooks must not fail the sync that raised them.
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async publish(userId, event, data) {
+    try {
+      const endpoints = await WebhookEndpoint.findSubscribed(userId, event);
+      if (endpoints.length === 0) return 0;
+
+      const eventId = crypto.randomUUID();
+      const payload = {
+        id: eventId,
+        event,
+        created_at: new Date().toISOString(),
+        data,
+      };
+
+      await WebhookDelivery.bulkCreate(
+        endpoints.map((endpoint) => ({
+          webhook_id: endpoint.id,
+          event,
+          event_id: eventId,
+          payload,
+          next_attempt_at: new Date(),
+        }))
+      );
+
+      setImmediate(() => this.drain());
+      return endpoints.length;
+    } catch (error) {
+      logger.error("Failed to queue webhook event", {
+        userId,
+        event,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  publishOrderEvent(order, event, extra = {}) {
+    return this.publish(order.user_id, event, {
+      order: toWebhookOrder(order),
+      ...extra,
+    });
+  }
+
+  /**
+   * Send a ping to one endpoint right away, whatever it subscribes to. Not
+   * retried: the caller wants to know now whether the endpoint works.
+   * @returns {Promise<Object>} The delivery after its attempt
+   */
+  async sendTest(endpoint) {
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      webhook_id: endpoint.id,
+      event: WEBHOOK_EVENT.PING,
+      event_id: eventId,
+      payload: {
+        id: eventId,
+        event: WEBHOOK_EVENT.PING,
+        created_at: new Date().toISOString(),
+        data: { webhook_id: endpoint.id },
+      },
+    });
+
+    return await this.attempt(delivery, endpoint, { retry: false });
+  }
+
+  /**
+   * Attempt every due delivery, a batch at a time
+   */
+  async drain() {
+    if (!this.running || this.draining) return;
+    this.draining = true;
+
+    try {
+      let due;
+      do {
+        due = await WebhookDelivery.findAll({
+          where: {
+            status: WEBHOOK_DELIVERY_STATUS.PENDING,
+            next_attempt_at: { [Op.lte]: new Date() },
+          },
+          include: [{ model: WebhookEndpoint, as: "webhook" }],
+          order: [["next_attempt_at", "ASC"]],
+          limit: this.batchSize,
+        });
+
+        for (const delivery of due) {
+          if (!this.running) break;
+
+          const leaseUntil = new Date(Date.now() + 2 * WEBHOOKS.TIMEOUT_MS);
+          if (!(await WebhookDelivery.claimDue(delivery.id, leaseUntil))) {
+            continue;
+          }
+          await this.attempt(delivery, delivery.webhook);
+        }
+      } while (this.running && due.length === this.batchSize);
+    } catch (error) {
+      logger.error("Error draining webhook deliveries", {
+        error: error.message,
+      });
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * POST the delivery's payload, signed, and record the outcome. A 2xx
+   * response succeeds; anything else is retried until MAX_ATTEMPTS.
+   */
+  async attempt(delivery, endpoint, { retry = true } = {}) {
+    const attempts = delivery.attempts + 1;
+    const result = endpoint?.enabled
+      ? await this.post(endpoint, delivery)
+      : { error: "Webhook is disabled" };
+    const succeeded = result.status >= 200 && result.status < 300;
+
+    const update = {
+      attempts,
+      last_attempt_at: new Date(),
+      response_status: result.status || null,
+      error: succeeded
+        ? null
+        : result.error || `Endpoint responded with ${result.status}`,
+    };
+
+    if (succeeded) {
+      update.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+      update.delivered_at = new Date();
+      update.next_attempt_at = null;
+    } else if (retry && endpoint?.enabled && attempts < WEBHOOKS.MAX_ATTEMPTS) {
+      update.next_attempt_at = new Date(
+        Date.now() + WEBHOOKS.BACKOFF_BASE_MS * 2 ** (attempts - 1)
+      );
+    } else {
+      update.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+      update.next_attempt_at = null;
+    }
+
+    await delivery.update(update);
+
+    logger[succeeded ? "info" : "warn"]("Webhook attempt finished", {
+      deliveryId: delivery.id,
+      webhookId: delivery.webhook_id,
+      event: delivery.event,
+      attempts,
+      status: delivery.status,
+      responseStatus: result.status,
+      error: update.error,
+    });
+
+    return delivery;
+  }
+
+  /**
+   * POST to the endpoint's URL. The host is resolved here, on every
+   * attempt, and the request connects to the address that was checked, so
+   * a name cannot be pointed at an internal address after registration.
+   * Redirects are not followed and the response body is not read.
+   * @returns {Promise<{status?: number, error?: string}>}
+   */
+  async post(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "User-Agent": USER_AGENT,
+      "X-Webhook-Id": delivery.event_id,
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Timestamp": timestamp,
+      "X-Webhook-Signature": `sha256=${signPayload(
+        endpoint.secret,
+        timestamp,
+        body
+      )}`,
+    };
+
+    try {
+      const url = new URL(endpoint.url);
+      const target =
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true"
+          ? null
+          : await resolvePublicAddress(url.hostname);
+
+      return { status: await sendRequest(url, target, headers, body) };
+    } catch (error) {
+      return {
+        error:
+          error.name === "AbortError"
+            ? `No response within ${WEBHOOKS.TIMEOUT_MS}ms`
+            : error.message,
+      };
+    }
+  }
+}
+
+/**
+ * One POST with Node's http client, which never follows redirects
+ * @param {{address: string, family: number}|null} target - Connect here
+ *   instead of looking the host up again
+ * @returns {Promise<number>} Response status
+ */
+function sendRequest(url, target, headers, body) {
+  const client = url.protocol === "https:" ? https : http;
+  const lookup = target
+    ? (hostname, options, callback) =>
+        options.all
+          ? callback(null, [target])
+          : callback(null, target.address, target.family)
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers,
+        lookup,
+        signal: AbortSignal.timeout(WEBHOOKS.TIMEOUT_MS),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// Export singleton instance
+const webhookService = new WebhookService();
+
+module.exports = {
+  webhookService,
+  WebhookService,
+  signPayload,
+  toWebhookOrder,
+};
@@ -11,8 +11,6 @@
 function extractAmount(content, platform = "generic") {
   if (!content) return null;
 
-  console.log(`💰 Amount Extractor: Processing ${platform} content...`);
-
   // Get platform-specific patterns
   const patterns = getAmountPatterns(platform);
   const foundAmounts = [];
@@ -42,7 +40,6 @@ function extractAmount(content, platform = "generic") {
   }
 
   if (foundAmounts.length === 0) {
-    console.log(`❌ Amount Extractor: No valid amounts found for ${platform}`);
     return null;
   }
 
@@ -52,18 +49,7 @@ function extractAmount(content, platform = "generic") {
     return b.amount - a.amount;
   });
 
-  const selected = foundAmounts[0];
-  console.log(
-    `✅ Amount Extractor: Selected ₹${selected.amount} (${selected.description})`
-  );
-  console.log(
-    `💡 All candidates:`,
-    foundAmounts
-      .slice(0, 3)
-      .map((a) => `₹${a.amount} (${a.description}, priority: ${a.priority})`)
-  );
-
-  return selected.amount;
+  return foundAmounts[0].amount;
 }
 
 /**
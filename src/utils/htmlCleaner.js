@@ -11,10 +11,6 @@
 function cleanHtml(htmlContent) {
   if (!htmlContent) return "";
 
-  console.log(
-    "🧹 HTML Cleaner: Processing content with enhanced encoding fixes..."
-  );
-
   let cleaned = htmlContent;
 
   // Step 1: Fix character encoding issues (ENHANCED - helps all platforms)
@@ -35,9 +31,6 @@ function cleanHtml(htmlContent) {
   // Step 6: Final platform-agnostic cleanup
   cleaned = finalGeneralCleanup(cleaned);
 
-  console.log(
-    "✅ HTML Cleaner: Content cleaned successfully with enhanced patterns"
-  );
   return cleaned;
 }
 
@@ -45,8 +38,6 @@ function cleanHtml(htmlContent) {
  * 🔧 ENHANCED character encoding fixes (SAFE for all platforms)
  */
 function fixEnhancedCharacterEncoding(content) {
-  console.log("🔧 Applying enhanced character encoding fixes...");
-
   return (
     content
       // ✅ ENHANCED: Rupee symbol variations (helps ALL Indian e-commerce)
@@ -7,4 +7,10 @@ module.exports = {
   normalizeText(text) {
     return (text || "").replace(/\s+/g, " ").trim();
   },
+  // Query values may be repeated (?a=1&a=2) or comma-separated (?a=1,2)
+  normalizeList(value) {
+    return (Array.isArray(value) ? value : `${value ?? ""}`.split(","))
+      .map((item) => `${item}`.trim())
+      .filter(Boolean);
+  },
 };
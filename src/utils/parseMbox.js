@@ -0,0 +1,43 @@
+// src/utils/parseMbox.js
+
+/**
+ * Split an mbox archive (Thunderbird, Apple Mail, Google Takeout) into raw
+ * RFC 822 messages. A message starts at a "From " line at the top of the
+ * file or after a blank line; ">From " lines escaped by the writer (mboxrd)
+ * are unescaped.
+ * @param {string|Buffer} raw
+ * @returns {string[]}
+ */
+function splitMbox(raw) {
+  const lines = raw.toString("utf8").replace(/\r\n?/g, "\n").split("\n");
+  const messages = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    const startsMessage =
+      line.startsWith("From ") && (index === 0 || lines[index - 1] === "");
+
+    if (startsMessage) {
+      if (current) messages.push(current);
+      current = [];
+      return;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, "$1"));
+  });
+  if (current) messages.push(current);
+
+  // Drop the blank line that separates one message from the next "From "
+  return messages
+    .map((messageLines) => messageLines.join("\n").replace(/\n+$/, "\n"))
+    .filter((message) => message.trim());
+}
+
+/**
+ * mbox archives start with a "From " separator line; a single message
+ * starts with a header
+ */
+function isMbox(raw) {
+  return raw.slice(0, 5).toString() === "From ";
+}
+
+module.exports = { splitMbox, isMbox };
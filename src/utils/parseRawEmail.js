@@ -0,0 +1,207 @@
+// src/utils/parseRawEmail.js
+const crypto = require("crypto");
+
+/**
+ * Minimal RFC 822 / MIME reader for raw messages (.eml files, pasted
+ * sources). Handles folded and encoded-word headers, nested multipart
+ * bodies, and base64 / quoted-printable parts in any charset Node's
+ * TextDecoder knows.
+ */
+
+function splitHeaderBlock(source) {
+  const end = source.search(/\n\n/);
+  return end === -1
+    ? { headerBlock: source, body: "" }
+    : { headerBlock: source.slice(0, end), body: source.slice(end + 2) };
+}
+
+function decodeBytes(buffer, charset) {
+  try {
+    return new TextDecoder(charset || "utf-8").decode(buffer);
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder("utf-8").decode(buffer);
+  }
+}
+
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  const text = value.replace(/=\n/g, "");
+  for (let i = 0; i < text.length; i++) {
+    const hex = text.slice(i + 1, i + 3);
+    if (text[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], "utf8"));
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// =?charset?B|Q?text?= words, e.g. in subjects with the rupee sign
+function decodeEncodedWords(value) {
+  return value
+    .replace(/\?=\s+=\?/g, "?==?")
+    .replace(
+      /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g,
+      (match, charset, encoding, text) =>
+        decodeBytes(
+          encoding.toUpperCase() === "B"
+            ? Buffer.from(text, "base64")
+            : decodeQuotedPrintable(text.replace(/_/g, " ")),
+          charset.toLowerCase()
+        )
+    );
+}
+
+/**
+ * Lower-cased header names → decoded values; folded lines are joined and
+ * the first occurrence of a repeated header wins
+ */
+function parseHeaders(headerBlock) {
+  const headers = {};
+  const unfolded = headerBlock.replace(/\n[ \t]+/g, " ");
+
+  for (const line of unfolded.split("\n")) {
+    const separator = line.indexOf(":");
+    if (separator <= 0) continue;
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!(name in headers)) {
+      headers[name] = decodeEncodedWords(line.slice(separator + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * "text/html; charset=UTF-8" → {type: "text/html", params: {charset: "UTF-8"}}
+ */
+function parseHeaderParams(value = "") {
+  const [type, ...rest] = value.split(";");
+  const params = {};
+  for (const param of rest) {
+    const separator = param.indexOf("=");
+    if (separator === -1) continue;
+    params[param.slice(0, separator).trim().toLowerCase()] = param
+      .slice(separator + 1)
+      .trim()
+      .replace(/^"(.*)"$/, "$1");
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function decodePartBody(body, headers, charset) {
+  const encoding = (headers["content-transfer-encoding"] || "")
+    .trim()
+    .toLowerCase();
+
+  if (encoding === "base64") {
+    return decodeBytes(
+      Buffer.from(body.replace(/\s+/g, ""), "base64"),
+      charset
+    );
+  }
+  if (encoding === "quoted-printable") {
+    return decodeBytes(decodeQuotedPrintable(body), charset);
+  }
+  return body;
+}
+
+/**
+ * Walk a MIME entity, keeping the first HTML and plain-text bodies, listing
+ * attachments and keeping attached messages (forwarded as attachment) raw
+ */
+function collectParts(headers, body, collected) {
+  const contentType = parseHeaderParams(
+    headers["content-type"] || "text/plain"
+  );
+  const disposition = parseHeaderParams(headers["content-disposition"]);
+
+  if (
+    contentType.type.startsWith("multipart/") &&
+    contentType.params.boundary
+  ) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const sections = body.split(delimiter);
+
+    // sections[0] is the preamble; the close delimiter starts with "--"
+    for (const section of sections.slice(1)) {
+      if (section.startsWith("--")) break;
+
+      const { headerBlock, body: partBody } = splitHeaderBlock(
+        section.replace(/^[ \t]*\n/, "")
+      );
+      collectParts(
+        parseHeaders(headerBlock),
+        partBody.replace(/\n$/, ""),
+        collected
+      );
+    }
+    return;
+  }
+
+  if (contentType.type === "message/rfc822") {
+    collected.attachedMessages.push(decodePartBody(body, headers));
+    return;
+  }
+
+  const filename =
+    disposition.params.filename || contentType.params.name || null;
+  if (disposition.type === "attachment" || filename) {
+    collected.attachments.push({
+      filename,
+      mimeType: contentType.type,
+      size: body.length,
+    });
+    return;
+  }
+
+  const charset = contentType.params.charset?.toLowerCase();
+  if (contentType.type === "text/html" && !collected.html) {
+    collected.html = decodePartBody(body, headers, charset);
+  } else if (contentType.type === "text/plain" && !collected.text) {
+    collected.text = decodePartBody(body, headers, charset);
+  }
+}
+
+/**
+ * Parse a raw RFC 822 message into the shape parseGmailApiMessage returns,
+ * so sync and the parsers can take either. `id` is the Message-ID without
+ * brackets, or a hash of the source when the header is missing;
+ * `internalDate` is the Date header in epoch milliseconds, like Gmail's.
+ * @param {string|Buffer} raw
+ * @returns {{id: string, internalDate: string|null, headers: Object,
+ *   body: {html: string, text: string}, attachments: Array,
+ *   attachedMessages: string[], messageId: string|null}}
+ */
+function parseRawEmail(raw) {
+  const source = raw.toString("utf8").replace(/\r\n?/g, "\n");
+  const { headerBlock, body } = splitHeaderBlock(source);
+  const headers = parseHeaders(headerBlock);
+
+  const collected = {
+    html: "",
+    text: "",
+    attachments: [],
+    attachedMessages: [],
+  };
+  collectParts(headers, body, collected);
+
+  const messageId = headers["message-id"] || null;
+  const date = Date.parse(headers.date);
+  return {
+    id: messageId
+      ? messageId.replace(/^<|>$/g, "")
+      : `sha1-${crypto.createHash("sha1").update(source).digest("hex")}`,
+    internalDate: isNaN(date) ? null : String(date),
+    headers,
+    body: { html: collected.html, text: collected.text },
+    attachments: collected.attachments,
+    attachedMessages: collected.attachedMessages,
+    messageId,
+  };
+}
+
+module.exports = { parseRawEmail };
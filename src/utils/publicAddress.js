@@ -0,0 +1,85 @@
+// src/utils/publicAddress.js - KEEP OUTBOUND REQUESTS OFF INTERNAL NETWORKS
+
+const dns = require("dns").promises;
+const net = require("net");
+
+// Loopback, private, link-local (cloud metadata), shared, multicast,
+// documentation and other special-purpose ranges (IANA registries)
+const RESERVED_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.0.2.0", 24, "ipv4"],
+  ["192.88.99.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["198.51.100.0", 24, "ipv4"],
+  ["203.0.113.0", 24, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  // NAT64 and 6to4 addresses can reach the IPv4 ranges above
+  ["64:ff9b::", 96, "ipv6"],
+  ["64:ff9b:1::", 48, "ipv6"],
+  ["100::", 64, "ipv6"],
+  ["2001::", 23, "ipv6"],
+  ["2001:db8::", 32, "ipv6"],
+  ["2002::", 16, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const reserved = new net.BlockList();
+for (const [network, prefix, family] of RESERVED_RANGES) {
+  reserved.addSubnet(network, prefix, family);
+}
+
+// IPv4-mapped IPv6 addresses, kept apart: a BlockList matches every IPv4
+// address against this subnet
+const ipv4Mapped = new net.BlockList();
+ipv4Mapped.addSubnet("::ffff:0:0", 96, "ipv6");
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6, without brackets
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  if (family === 6 && ipv4Mapped.check(address, "ipv6")) return false;
+  return !reserved.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Resolve a URL hostname and check every address it has, so a name with
+ * one public and one internal address is refused too
+ * @returns {Promise<{address: string, family: number}>} Address to connect to
+ * @throws {Error} code PRIVATE_ADDRESS for internal or reserved addresses
+ */
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = await dns.lookup(host, { all: true, verbatim: true });
+
+  const internal = addresses.find(({ address }) => !isPublicAddress(address));
+  if (internal) {
+    throw Object.assign(
+      new Error(
+        `${host} resolves to ${internal.address}, a private or reserved address`
+      ),
+      { code: "PRIVATE_ADDRESS" }
+    );
+  }
+
+  return addresses[0];
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicAddress,
+};
@@ -0,0 +1,265 @@
+// src/utils/tokenCrypto.js - ENVELOPE ENCRYPTION FOR OAUTH TOKENS AT REST
+
+const crypto = require("crypto");
+const logger = require("./logger").createModuleLogger("TokenCrypto");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Every stored secret; `jsonKey` is a field inside a JSONB column
+const ENCRYPTED_COLUMNS = [
+  { table: "mail_accounts", column: "access_token" },
+  { table: "mail_accounts", column: "refresh_token" },
+  { table: "mail_accounts", column: "imap_settings", jsonKey: "password" },
+  { table: "webhook_endpoints", column: "secret" },
+];
+
+/**
+ * Master keys from TOKEN_ENCRYPTION_KEYS: comma separated
+ * "<key id>:<base64 32-byte key>" pairs. New values use
+ * TOKEN_ENCRYPTION_KEY_ID, the first key by default; older keys stay listed
+ * until `npm run tokens:reencrypt` has moved their values to the active one.
+ */
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+
+  for (const entry of (env.TOKEN_ENCRYPTION_KEYS || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [keyId, encoded = ""] = entry.trim().split(":");
+    const key = Buffer.from(encoded, "base64");
+    if (!keyId || key.length !== KEY_BYTES) {
+      throw new Error(
+        `TOKEN_ENCRYPTION_KEYS: key "${keyId}" must be ${KEY_BYTES} bytes, base64 encoded`
+      );
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId =
+    env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(
+      `TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`
+    );
+  }
+
+  return { keys, activeKeyId };
+}
+
+let keyring = null;
+let warnedUnencrypted = false;
+
+function getKeyring() {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+}
+
+// iv | tag | ciphertext
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    sealed.subarray(0, IV_BYTES)
+  );
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)),
+    decipher.final(),
+  ]);
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * "enc:v1:<key id>:<data key sealed by the master key>:<value sealed by the
+ * data key>", both sealed parts base64
+ */
+function format(keyId, wrappedKey, payload) {
+  return `${PREFIX}${keyId}:${wrappedKey.toString(
+    "base64"
+  )}:${payload.toString("base64")}`;
+}
+
+function parse(value) {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(":");
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, "base64"),
+    payload: Buffer.from(payload, "base64"),
+  };
+}
+
+function getMasterKey(keyId) {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(
+      `Token encrypted with key "${keyId}", which is not in TOKEN_ENCRYPTION_KEYS`
+    );
+  }
+  return key;
+}
+
+/**
+ * Encrypt a token under a fresh data key wrapped by the active master key.
+ * Without TOKEN_ENCRYPTION_KEYS the token is kept as is outside production.
+ */
+function encryptToken(value) {
+  if (value === null || value === undefined || isEncrypted(value)) {
+    return value;
+  }
+
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("TOKEN_ENCRYPTION_KEYS must be set to store tokens");
+    }
+    if (!warnedUnencrypted) {
+      logger.warn("TOKEN_ENCRYPTION_KEYS not set; storing tokens unencrypted");
+      warnedUnencrypted = true;
+    }
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return format(
+    activeKeyId,
+    seal(getMasterKey(activeKeyId), dataKey),
+    seal(dataKey, Buffer.from(String(value), "utf8"))
+  );
+}
+
+/**
+ * Plaintext of an encrypted token. Values stored before encryption was
+ * enabled are returned unchanged.
+ */
+function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  return open(dataKey, payload).toString("utf8");
+}
+
+/**
+ * The value under the active master key. Only its data key is re-wrapped;
+ * plaintext values are encrypted.
+ */
+function reencryptToken(value) {
+  if (value === null || value === undefined) return value;
+
+  const { activeKeyId } = getKeyring();
+  if (!activeKeyId) throw new Error("TOKEN_ENCRYPTION_KEYS is not set");
+  if (!isEncrypted(value)) return encryptToken(value);
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  if (keyId === activeKeyId) return value;
+
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  return format(activeKeyId, seal(getMasterKey(activeKeyId), dataKey), payload);
+}
+
+/**
+ * Getter and setter for a model attribute stored encrypted, e.g.
+ * `access_token: { type: DataTypes.TEXT, ...encryptedField("access_token") }`
+ */
+function encryptedField(field) {
+  return {
+    get() {
+      return decryptToken(this.getDataValue(field));
+    },
+    set(value) {
+      this.setDataValue(field, encryptToken(value));
+    },
+  };
+}
+
+/**
+ * Same for one key inside a JSONB attribute, e.g. an IMAP password
+ */
+function encryptedJsonField(field, jsonKey) {
+  return {
+    get() {
+      const value = this.getDataValue(field);
+      return value?.[jsonKey]
+        ? { ...value, [jsonKey]: decryptToken(value[jsonKey]) }
+        : value;
+    },
+    set(value) {
+      this.setDataValue(
+        field,
+        value?.[jsonKey]
+          ? { ...value, [jsonKey]: encryptToken(value[jsonKey]) }
+          : value
+      );
+    },
+  };
+}
+
+/**
+ * Pass every stored secret through `transform` (encryptToken, decryptToken
+ * or reencryptToken) in SQL, bypassing the model getters and setters. Used
+ * by the encryption migration and scripts/reencryptTokens.js.
+ * @returns {Promise<number>} How many values changed
+ */
+async function rewriteStoredSecrets(sequelize, transform) {
+  let changed = 0;
+  // Migrations run this before later migrations create their tables
+  const tables = await sequelize.getQueryInterface().showAllTables();
+
+  for (const { table, column, jsonKey } of ENCRYPTED_COLUMNS) {
+    if (!tables.includes(table)) continue;
+
+    const [rows] = await sequelize.query(
+      `SELECT id, "${column}" AS value FROM "${table}" WHERE "${column}" IS NOT NULL`
+    );
+
+    for (const row of rows) {
+      const current = jsonKey ? row.value[jsonKey] : row.value;
+      if (current === null || current === undefined) continue;
+
+      const next = transform(current);
+      if (next === current) continue;
+
+      await sequelize.query(
+        jsonKey
+          ? `UPDATE "${table}" SET "${column}" = CAST(:value AS JSONB) WHERE id = :id`
+          : `UPDATE "${table}" SET "${column}" = :value WHERE id = :id`,
+        {
+          replacements: {
+            id: row.id,
+            value: jsonKey
+              ? JSON.stringify({ ...row.value, [jsonKey]: next })
+              : next,
+          },
+        }
+      );
+      changed++;
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  reencryptToken,
+  isEncrypted,
+  encryptedField,
+  encryptedJsonField,
+  rewriteStoredSecrets,
+  loadKeyring,
+  getKeyring,
+};
@@ -0,0 +1,220 @@
+// tests/helpers/emailFixtures.js - FIXTURE FORMAT FOR PARSER REGRESSION TESTS
+//
+// A fixture is a pair of files in tests/fixtures/emails/<platform>/:
+//   <name>.json  - { description, email: {id, from, subject, date}, expected }
+//   <name>.html  - raw email body (or <name>.txt for plain-text mail)
+// `expected` holds the parse result fields below, or null when the email
+// must be rejected. Fields left out of `expected` are not checked.
+
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "emails");
+const BODY_EXTENSIONS = [".html", ".txt"];
+
+// Parse result fields a fixture can pin down
+const COMPARED_FIELDS = [
+  "platform",
+  "resultType",
+  "orderId",
+  "amount",
+  "status",
+  "trackingId",
+  "orderDate",
+  "expectedDelivery",
+  "items",
+];
+const DATE_FIELDS = ["orderDate", "expectedDelivery"];
+const ITEM_FIELDS = ["name", "quantity", "price"];
+
+/**
+ * Every fixture under tests/fixtures/emails, sorted by platform and name
+ * @returns {Array<{name: string, platform: string, description: string,
+ *   email: Object, expected: Object|null}>}
+ */
+function loadFixtures(fixturesDir = FIXTURES_DIR) {
+  if (!fs.existsSync(fixturesDir)) return [];
+
+  return fs
+    .readdirSync(fixturesDir)
+    .sort()
+    .flatMap((platform) => {
+      const platformDir = path.join(fixturesDir, platform);
+      if (!fs.statSync(platformDir).isDirectory()) return [];
+
+      return fs
+        .readdirSync(platformDir)
+        .filter((file) => file.endsWith(".json"))
+        .sort()
+        .map((file) =>
+          readFixture(platformDir, path.basename(file, ".json"), platform)
+        );
+    });
+}
+
+function readFixture(platformDir, name, platform) {
+  const fixture = JSON.parse(
+    fs.readFileSync(path.join(platformDir, `${name}.json`), "utf8")
+  );
+
+  const bodyExtension = BODY_EXTENSIONS.find((extension) =>
+    fs.existsSync(path.join(platformDir, `${name}${extension}`))
+  );
+  if (!bodyExtension) {
+    throw new Error(`Fixture ${platform}/${name} has no .html or .txt body`);
+  }
+  const body = fs.readFileSync(
+    path.join(platformDir, `${name}${bodyExtension}`),
+    "utf8"
+  );
+
+  return {
+    name,
+    platform,
+    description: fixture.description || "",
+    email: {
+      ...fixture.email,
+      html: bodyExtension === ".html" ? body : "",
+      text: bodyExtension === ".txt" ? body : "",
+    },
+    expected: fixture.expected === undefined ? null : fixture.expected,
+  };
+}
+
+/**
+ * Write a fixture pair, creating the platform directory if needed
+ * @returns {string} path of the fixture's .json file
+ */
+function writeFixture(
+  platform,
+  name,
+  { description, email, body, isHtml, expected },
+  fixturesDir = FIXTURES_DIR
+) {
+  const platformDir = path.join(fixturesDir, platform);
+  fs.mkdirSync(platformDir, { recursive: true });
+
+  const jsonPath = path.join(platformDir, `${name}.json`);
+  fs.writeFileSync(
+    jsonPath,
+    `${JSON.stringify({ description, email, expected }, null, 2)}\n`
+  );
+  fs.writeFileSync(
+    path.join(platformDir, `${name}${isHtml ? ".html" : ".txt"}`),
+    body
+  );
+
+  return jsonPath;
+}
+
+/**
+ * The email as ParserFactory.parseEmail receives it during sync
+ */
+function toParserInput(email) {
+  return {
+    from: email.from,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    date: email.date,
+    messageId: email.id,
+  };
+}
+
+// Dates compare by calendar day; parsers only ever extract a day
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return `${value}`;
+
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Parse result reduced to the fixture fields, in fixture form
+ */
+function summarizeResult(result) {
+  if (!result) return null;
+
+  const summary = {};
+  for (const field of COMPARED_FIELDS) {
+    if (field === "items") {
+      summary.items = (result.products || []).map((product) =>
+        Object.fromEntries(ITEM_FIELDS.map((key) => [key, product[key]]))
+      );
+    } else if (DATE_FIELDS.includes(field)) {
+      summary[field] = formatDate(result[field]);
+    } else {
+      summary[field] = result[field] ?? null;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Field-level differences between a fixture's `expected` and a parse result.
+ * Items are compared one by one on the item fields the fixture lists.
+ * @returns {Array<{field: string, expected: *, actual: *}>} empty on a match
+ */
+function diffParsedResult(expected, result) {
+  const actual = summarizeResult(result);
+
+  if (expected === null || actual === null) {
+    return expected === actual
+      ? []
+      : [{ field: "result", expected, actual: actual && "parsed" }];
+  }
+
+  const diffs = [];
+  for (const field of COMPARED_FIELDS) {
+    if (!(field in expected)) continue;
+
+    if (field === "items") {
+      diffs.push(...diffItems(expected.items, actual.items));
+    } else if (!isSameValue(expected[field], actual[field])) {
+      diffs.push({ field, expected: expected[field], actual: actual[field] });
+    }
+  }
+  return diffs;
+}
+
+function diffItems(expectedItems, actualItems) {
+  if (expectedItems.length !== actualItems.length) {
+    return [
+      {
+        field: "items.length",
+        expected: expectedItems.length,
+        actual: actualItems.length,
+      },
+    ];
+  }
+
+  return expectedItems.flatMap((expectedItem, index) =>
+    Object.keys(expectedItem)
+      .filter((key) => !isSameValue(expectedItem[key], actualItems[index][key]))
+      .map((key) => ({
+        field: `items[${index}].${key}`,
+        expected: expectedItem[key],
+        actual: actualItems[index][key],
+      }))
+  );
+}
+
+// Amounts may come back as numeric strings
+function isSameValue(expected, actual) {
+  if (typeof expected === "number") return parseFloat(actual) === expected;
+  return expected === actual;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  COMPARED_FIELDS,
+  loadFixtures,
+  writeFixture,
+  toParserInput,
+  summarizeResult,
+  diffParsedResult,
+};
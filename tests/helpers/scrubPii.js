@@ -0,0 +1,110 @@
+// tests/helpers/scrubPii.js - REMOVE PERSONAL DATA FROM EMAILS BEFORE THEY BECOME FIXTURES
+//
+// Pattern based, so it errs on the side of scrubbing: always read a new
+// fixture before committing it.
+
+const NAME_PLACEHOLDER = "Customer";
+const ADDRESS_PLACEHOLDER = "1 Example Street, Example City";
+const PIN_CODE_PLACEHOLDER = "000000";
+const EMAIL_PLACEHOLDER = "customer@example.com";
+const PHONE_PLACEHOLDER = "9000000000";
+
+// A capitalised name of one to three words
+const NAME = "([A-Z][a-z]+(?: [A-Z][a-z]+){0,2})";
+const NAME_PATTERNS = [
+  new RegExp(`\\b(?:Hi|Hello|Hey|Dear)\\s+${NAME}\\s*[,!]`, "g"),
+  new RegExp(
+    `\\b(?:Customer Name|Recipient(?: Name)?|Ship(?:ping)? to|Deliver(?:ing|y)? to)\\s*[:\\-]?\\s*${NAME}\\b`,
+    "g"
+  ),
+];
+const NOT_NAMES = ["Customer", "Sir", "Madam", "Team", "There", "User"];
+
+// The address runs to the end of its text, i.e. the next tag or line break
+const ADDRESS_PATTERN =
+  /\b((?:shipping|delivery|billing|home|office)\s+address|deliver(?:ing|y)?\s+to|ship(?:ping)?\s+to)(\s*[:\-]?\s*)[^<\n]+/gi;
+const PIN_CODE_PATTERN = /\b[1-9]\d{5}\b/g;
+const EMAIL_PATTERN = /\b[\w.+-]+@([\w-]+(?:\.[\w-]+)+)\b/g;
+// Indian mobile numbers, with or without +91 / 0 and a space in the middle
+const PHONE_PATTERN = /(?:\+91[\s-]?|\b0)?\b[6-9]\d{4}[\s-]?\d{5}\b/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Names greeted or labelled in the text, e.g. "Hi Asha Rao,"
+ */
+function findNames(text) {
+  const names = new Set();
+  for (const pattern of NAME_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (!NOT_NAMES.includes(match[1])) names.add(match[1]);
+    }
+  }
+  return [...names];
+}
+
+/**
+ * Replace names, addresses, PIN codes, email addresses and phone numbers
+ * with fixed placeholders.
+ * @param {string} text - Email body or subject
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Names to scrub besides the ones found
+ * @param {string[]} [options.keep] - Values that must survive as-is, such as
+ *   the order id and tracking number the parser needs
+ * @param {string[]} [options.keepDomains] - Email domains that are not
+ *   personal (the sender's), e.g. ["amazon.in"]
+ * @returns {string}
+ */
+function scrubPii(text, { names = [], keep = [], keepDomains = [] } = {}) {
+  if (!text) return text;
+
+  // Park the kept values where no pattern can match them
+  const kept = keep.filter(Boolean).map(String);
+  let scrubbed = kept.reduce(
+    (current, value, index) =>
+      current.split(value).join(`\u0000KEEP${index}\u0000`),
+    text
+  );
+
+  // Full names first, then their parts, so "Asha Rao" does not become
+  // "Customer Customer"
+  const nameParts = [...new Set([...names, ...findNames(text)])]
+    .flatMap((name) => [name, ...name.split(/\s+/)])
+    .filter((part) => part.length >= 3 && !NOT_NAMES.includes(part))
+    .sort((a, b) => b.length - a.length);
+  for (const part of nameParts) {
+    scrubbed = scrubbed.replace(
+      new RegExp(`\\b${escapeRegExp(part)}\\b`, "gi"),
+      NAME_PLACEHOLDER
+    );
+  }
+
+  scrubbed = scrubbed
+    .replace(
+      ADDRESS_PATTERN,
+      (match, label, separator) =>
+        `${label}${separator || " "}${ADDRESS_PLACEHOLDER}`
+    )
+    .replace(PIN_CODE_PATTERN, PIN_CODE_PLACEHOLDER)
+    .replace(EMAIL_PATTERN, (match, domain) =>
+      keepDomains.some(
+        (keepDomain) =>
+          domain.toLowerCase() === keepDomain ||
+          domain.toLowerCase().endsWith(`.${keepDomain}`)
+      )
+        ? match
+        : EMAIL_PLACEHOLDER
+    )
+    .replace(PHONE_PATTERN, PHONE_PLACEHOLDER);
+
+  return kept.reduce(
+    (current, value, index) =>
+      current.split(`\u0000KEEP${index}\u0000`).join(value),
+    scrubbed
+  );
+}
+
+module.exports = {
+  scrubPii,
+  findNames,
+};
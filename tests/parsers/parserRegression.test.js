@@ -0,0 +1,64 @@
+// tests/parsers/parserRegression.test.js - EVERY PARSER AGAINST THE FIXTURE CORPUS
+//
+// Add a case with `npm run fixture:from-debug -- <saved debug email>`.
+
+// Fixture dates are Indian shop emails; pin the zone so days compare alike
+process.env.TZ = "Asia/Kolkata";
+
+const { parserFactory } = require("../../src/services/parsers");
+const {
+  loadFixtures,
+  toParserInput,
+  diffParsedResult,
+} = require("../helpers/emailFixtures");
+
+const fixtures = loadFixtures();
+
+describe("parser regression fixtures", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("corpus is not empty", () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  describe.each(parserFactory.getAvailablePlatforms().sort())(
+    "%s",
+    (platform) => {
+      const platformFixtures = fixtures.filter(
+        (fixture) => fixture.platform === platform
+      );
+
+      // A platform without fixtures fails here instead of quietly
+      // dropping out of the run
+      if (platformFixtures.length === 0) {
+        test("has at least one fixture", () => {
+          expect(platformFixtures).not.toHaveLength(0);
+        });
+        return;
+      }
+
+      test.each(platformFixtures.map((fixture) => [fixture.name, fixture]))(
+        "%s",
+        (name, fixture) => {
+          // Parsers fall back to "now" for missing dates; make that the
+          // email's own date so results do not depend on when tests run
+          jest.useFakeTimers({ now: new Date(fixture.email.date) });
+
+          const result = parserFactory.parseEmail(toParserInput(fixture.email));
+
+          expect(diffParsedResult(fixture.expected, result)).toEqual([]);
+        }
+      );
+    }
+  );
+
+  test("every fixture belongs to a registered parser", () => {
+    const unknown = fixtures
+      .filter((fixture) => !parserFactory.isPlatformSupported(fixture.platform))
+      .map((fixture) => `${fixture.platform}/${fixture.name}`);
+
+    expect(unknown).toEqual([]);
+  });
+});
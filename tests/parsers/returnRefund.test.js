@@ -0,0 +1,131 @@
+// tests/parsers/returnRefund.test.js - RETURN AND REFUND MAILS, RETURN DEADLINES
+
+const {
+  detectReturnRefundType,
+  statusForReturnRefundType,
+  extractRefundDetails,
+  extractReturnDeadline,
+} = require("../../src/services/parsers/returnRefund");
+
+describe("detectReturnRefundType", () => {
+  test.each([
+    ["Refund credited for your order", "", "refund_credited"],
+    ["Your refund has been initiated", "", "refund_initiated"],
+    ["Pickup scheduled for your return", "", "return_pickup_scheduled"],
+    ["Return request received", "", "return_requested"],
+    [
+      "Update on order 402-123",
+      "The refund of Rs. 499 has been credited to your account",
+      "refund_credited",
+    ],
+  ])("%s → %s", (subject, content, emailType) => {
+    expect(detectReturnRefundType(subject, content)).toBe(emailType);
+  });
+
+  test("prefers the most advanced stage a mail mentions", () => {
+    expect(
+      detectReturnRefundType(
+        "Return picked up",
+        "Your return was picked up. A refund of ₹1,299 has been processed."
+      )
+    ).toBe("refund_credited");
+  });
+
+  test("ignores the returns policy in an order mail's footer", () => {
+    expect(
+      detectReturnRefundType(
+        "Your order has been shipped",
+        "Easy returns: items can be returned within 10 days of delivery."
+      )
+    ).toBeNull();
+  });
+
+  test("moves the order only for return mails", () => {
+    expect(statusForReturnRefundType("return_requested")).toBe(
+      "return_requested"
+    );
+    expect(statusForReturnRefundType("refund_credited")).toBe("unknown");
+    expect(statusForReturnRefundType("shipped")).toBeNull();
+  });
+});
+
+describe("extractRefundDetails", () => {
+  test("reads the amount, method and reference", () => {
+    expect(
+      extractRefundDetails(
+        "refund_initiated",
+        "Refund of ₹1,299.50 has been initiated to your UPI account. Refund reference ID: RFD12345678"
+      )
+    ).toEqual({
+      status: "initiated",
+      amount: 1299.5,
+      method: "upi",
+      reference: "RFD12345678",
+    });
+  });
+
+  test("takes the most specific refund method", () => {
+    expect(
+      extractRefundDetails(
+        "refund_credited",
+        "Rs. 250 has been credited to your Amazon Pay gift card balance"
+      )
+    ).toMatchObject({ status: "credited", amount: 250, method: "gift_card" });
+  });
+
+  test("leaves out details the mail does not give", () => {
+    expect(
+      extractRefundDetails(
+        "refund_credited",
+        "Your refund has been credited. Refund reference ID will be shared soon."
+      )
+    ).toEqual({
+      status: "credited",
+      amount: null,
+      method: null,
+      reference: null,
+    });
+  });
+
+  test("returns null for mails that are not refunds", () => {
+    expect(
+      extractRefundDetails("return_requested", "Refund of ₹10")
+    ).toBeNull();
+  });
+});
+
+describe("extractReturnDeadline", () => {
+  const emailDate = new Date(2026, 9, 12);
+
+  test.each([
+    ["Return window closes on 30 Oct 2026", new Date(2026, 9, 30, 23, 59, 59)],
+    [
+      "Eligible for return till October 25th, 2026.",
+      new Date(2026, 9, 25, 23, 59, 59),
+    ],
+    [
+      "Replacement available until 05/11/2026",
+      new Date(2026, 10, 5, 23, 59, 59),
+    ],
+  ])("%s", (content, deadline) => {
+    expect(extractReturnDeadline(content, emailDate)).toEqual(deadline);
+  });
+
+  test("puts a date without a year after the email", () => {
+    expect(
+      extractReturnDeadline(
+        "You can return this item by 5 Jan",
+        new Date(2026, 11, 28)
+      )
+    ).toEqual(new Date(2027, 0, 5, 23, 59, 59));
+  });
+
+  test("returns null without a stated deadline", () => {
+    expect(
+      extractReturnDeadline("Easy 10 day returns on most items", emailDate)
+    ).toBeNull();
+    expect(
+      extractReturnDeadline("Return by 31 Foo 2026", emailDate)
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,337 @@
+// tests/routes/auth.test.js - MAILBOX LINKING, LISTING AND DISCONNECTING
+
+process.env.GOOGLE_CLIENT_ID = "test-client-id";
+process.env.GOOGLE_CLIENT_SECRET = "test-client-secret";
+process.env.FRONTEND_URL = "https://app.example.com";
+
+jest.mock("../../src/models", () => ({
+  User: { findByPk: jest.fn(), findByProviderId: jest.fn(), create: jest.fn() },
+  MailAccount: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    findOrBuild: jest.fn(),
+  },
+}));
+
+const express = require("express");
+const request = require("supertest");
+const { User, MailAccount } = require("../../src/models");
+const {
+  passport,
+  generateToken,
+  MAILBOX_LINK_COOKIE,
+} = require("../../src/middleware/authentication");
+const {
+  googleStrategy,
+} = require("../../src/middleware/authentication/googleAuth");
+const authRoutes = require("../../src/routes/auth");
+
+const app = express();
+app.use(express.json());
+app.use(passport.initialize());
+app.use("/auth", authRoutes);
+
+const users = {
+  "user-1": { id: "user-1", email: "asha@example.com", is_active: true },
+  "user-2": { id: "user-2", email: "ravi@example.com", is_active: true },
+};
+const bearer = (userId) => `Bearer ${generateToken(users[userId])}`;
+
+const mailAccount = (fields) => ({
+  provider: "gmail",
+  refresh_token: null,
+  destroy: jest.fn().mockResolvedValue(),
+  toSafeObject() {
+    const { refresh_token, destroy, toSafeObject, ...safe } = this;
+    return safe;
+  },
+  ...fields,
+});
+
+// Google's side of the callback: the code exchange and the profile
+const signInWithGoogle = (address) => {
+  jest
+    .spyOn(googleStrategy._oauth2, "getOAuthAccessToken")
+    .mockImplementation((code, params, callback) =>
+      callback(null, "google-access", "google-refresh", {})
+    );
+  jest
+    .spyOn(googleStrategy, "userProfile")
+    .mockImplementation((accessToken, done) =>
+      done(null, {
+        id: `google-${address}`,
+        displayName: address,
+        emails: [{ value: address }],
+        photos: [],
+      })
+    );
+};
+
+// What the browser sends back after Google: state, plus any cookie
+const googleCallback = (linkToken, cookie) => {
+  const callback = request(app)
+    .get("/auth/google/callback")
+    .query({
+      code: "google-code",
+      state: JSON.stringify({
+        redirect_url: "https://app.example.com/accounts",
+        link_token: linkToken,
+      }),
+    });
+  return cookie ? callback.set("Cookie", cookie) : callback;
+};
+
+const startLinking = async (userId) => {
+  const res = await request(app)
+    .post("/auth/accounts/google")
+    .set("Authorization", bearer(userId))
+    .send({ redirect_url: "https://app.example.com/accounts" });
+
+  const authUrl = new URL(res.body.authUrl, "http://localhost");
+  return {
+    res,
+    authUrl,
+    linkToken: authUrl.searchParams.get("link_token"),
+    cookie: res.headers["set-cookie"][0].split(";")[0],
+  };
+};
+
+describe("auth routes", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    User.findByPk.mockImplementation(async (id) => users[id] || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("POST /auth/accounts/google", () => {
+    test("returns a link URL and sets the nonce cookie", async () => {
+      const { res, authUrl, linkToken } = await startLinking("user-1");
+
+      expect(res.status).toBe(200);
+      expect(authUrl.pathname).toBe("/auth/google");
+      expect(authUrl.searchParams.get("redirect_url")).toBe(
+        "https://app.example.com/accounts"
+      );
+      expect(linkToken).toBeTruthy();
+
+      const [cookie] = res.headers["set-cookie"];
+      expect(cookie).toMatch(new RegExp(`^${MAILBOX_LINK_COOKIE}=[\\w-]+;`));
+      expect(cookie).toContain("Path=/auth/google");
+      expect(cookie).toContain("HttpOnly");
+      expect(cookie).toContain("SameSite=Lax");
+      // The nonce itself never appears in the URL
+      const nonce = cookie.split(";")[0].split("=")[1];
+      expect(res.body.authUrl).not.toContain(nonce);
+    });
+
+    test("requires a signed-in user", async () => {
+      const res = await request(app).post("/auth/accounts/google");
+
+      expect(res.status).toBe(401);
+      expect(res.headers["set-cookie"]).toBeUndefined();
+    });
+  });
+
+  test("GET /auth/google carries the link token to Google", async () => {
+    const { authUrl } = await startLinking("user-1");
+
+    const res = await request(app).get(`${authUrl.pathname}${authUrl.search}`);
+
+    expect(res.status).toBe(302);
+    const googleUrl = new URL(res.headers.location);
+    expect(googleUrl.hostname).toBe("accounts.google.com");
+    expect(googleUrl.searchParams.get("prompt")).toBe("select_account consent");
+    expect(JSON.parse(googleUrl.searchParams.get("state"))).toEqual({
+      redirect_url: "https://app.example.com/accounts",
+      link_token: authUrl.searchParams.get("link_token"),
+    });
+  });
+
+  describe("GET /auth/google/callback with a link token", () => {
+    beforeEach(() => {
+      signInWithGoogle("asha.orders@gmail.com");
+    });
+
+    test("adds the mailbox in the browser that asked for the link", async () => {
+      const account = mailAccount({ address: "asha.orders@gmail.com" });
+      account.set = jest.fn();
+      account.save = jest.fn().mockResolvedValue();
+      MailAccount.findOrBuild.mockResolvedValue([account]);
+      const { linkToken, cookie } = await startLinking("user-1");
+
+      const res = await googleCallback(linkToken, cookie);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toMatch(
+        /^https:\/\/app\.example\.com\/accounts\?token=.+&linked_account=asha\.orders%40gmail\.com$/
+      );
+      expect(MailAccount.findOrBuild).toHaveBeenCalledWith({
+        where: {
+          user_id: "user-1",
+          provider: "gmail",
+          address: "asha.orders@gmail.com",
+        },
+      });
+      expect(account.set).toHaveBeenCalledWith(
+        expect.objectContaining({ refresh_token: "google-refresh" })
+      );
+      // Used up
+      expect(res.headers["set-cookie"][0]).toMatch(
+        new RegExp(`^${MAILBOX_LINK_COOKIE}=;.*Expires=Thu, 01 Jan 1970`)
+      );
+    });
+
+    test("refuses a link opened without its cookie", async () => {
+      const { linkToken } = await startLinking("user-1");
+
+      const res = await googleCallback(linkToken);
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe("/auth/error");
+      expect(MailAccount.findOrBuild).not.toHaveBeenCalled();
+      expect(User.findByProviderId).not.toHaveBeenCalled();
+    });
+
+    test("refuses a link with another link's cookie", async () => {
+      const { linkToken } = await startLinking("user-2");
+      const { cookie } = await startLinking("user-1");
+
+      const res = await googleCallback(linkToken, cookie);
+
+      expect(res.headers.location).toBe("/auth/error");
+      expect(MailAccount.findOrBuild).not.toHaveBeenCalled();
+    });
+
+    test("refuses a forged link token", async () => {
+      const { cookie } = await startLinking("user-1");
+
+      const res = await googleCallback("not-a-token", cookie);
+
+      expect(res.headers.location).toBe("/auth/error");
+      expect(MailAccount.findOrBuild).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /auth/accounts", () => {
+    test("lists the user's mailboxes without credentials", async () => {
+      MailAccount.findAll.mockResolvedValue([
+        mailAccount({
+          id: "account-1",
+          address: "asha@example.com",
+          refresh_token: "secret",
+        }),
+        mailAccount({
+          id: "account-2",
+          provider: "imap",
+          address: "asha@outlook.com",
+        }),
+      ]);
+
+      const res = await request(app)
+        .get("/auth/accounts")
+        .set("Authorization", bearer("user-1"));
+
+      expect(res.status).toBe(200);
+      expect(MailAccount.findAll).toHaveBeenCalledWith({
+        where: { user_id: "user-1" },
+        order: [["created_at", "ASC"]],
+      });
+      expect(res.body.accounts).toEqual([
+        { id: "account-1", provider: "gmail", address: "asha@example.com" },
+        { id: "account-2", provider: "imap", address: "asha@outlook.com" },
+      ]);
+    });
+
+    test("requires a signed-in user", async () => {
+      const res = await request(app).get("/auth/accounts");
+
+      expect(res.status).toBe(401);
+      expect(MailAccount.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /auth/disconnect", () => {
+    beforeEach(() => {
+      jest.spyOn(global, "fetch").mockResolvedValue({ ok: true });
+    });
+
+    test("removes the chosen mailbox and revokes its Google grant", async () => {
+      const account = mailAccount({
+        id: "account-2",
+        address: "asha.orders@gmail.com",
+        refresh_token: "google-refresh",
+      });
+      MailAccount.findOne.mockResolvedValue(account);
+
+      const res = await request(app)
+        .post("/auth/disconnect")
+        .set("Authorization", bearer("user-1"))
+        .send({ accountId: "account-2" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("asha.orders@gmail.com disconnected");
+      expect(MailAccount.findOne).toHaveBeenCalledWith({
+        where: { id: "account-2", user_id: "user-1" },
+      });
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://oauth2.googleapis.com/revoke?token=google-refresh",
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(account.destroy).toHaveBeenCalled();
+    });
+
+    test("defaults to the sign-in mailbox", async () => {
+      const account = mailAccount({ address: "asha@example.com" });
+      MailAccount.findOne.mockResolvedValue(account);
+
+      await request(app)
+        .post("/auth/disconnect")
+        .set("Authorization", bearer("user-1"));
+
+      expect(MailAccount.findOne).toHaveBeenCalledWith({
+        where: {
+          user_id: "user-1",
+          provider: "gmail",
+          address: "asha@example.com",
+        },
+      });
+      expect(account.destroy).toHaveBeenCalled();
+    });
+
+    test("has nothing to revoke for an IMAP mailbox", async () => {
+      const account = mailAccount({
+        id: "account-3",
+        provider: "imap",
+        address: "asha@outlook.com",
+      });
+      MailAccount.findOne.mockResolvedValue(account);
+
+      const res = await request(app)
+        .post("/auth/disconnect")
+        .set("Authorization", bearer("user-1"))
+        .send({ accountId: "account-3" });
+
+      expect(res.status).toBe(200);
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(account.destroy).toHaveBeenCalled();
+    });
+
+    test("does not find another user's mailbox", async () => {
+      MailAccount.findOne.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post("/auth/disconnect")
+        .set("Authorization", bearer("user-2"))
+        .send({ accountId: "account-2" });
+
+      expect(res.status).toBe(404);
+      expect(MailAccount.findOne).toHaveBeenCalledWith({
+        where: { id: "account-2", user_id: "user-2" },
+      });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,336 @@
+// tests/services/imapMailSource.test.js - READING A MAILBOX OVER IMAP
+
+// No DST, so "30 days back" is exactly 30 * DAY_MS
+process.env.TZ = "Asia/Kolkata";
+
+jest.mock("imapflow", () => ({ ImapFlow: jest.fn() }));
+
+const { ImapFlow } = require("imapflow");
+const ImapMailSource = require("../../src/services/mailSources/imapMailSource");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rawMessage = ({ messageId, from, subject, date }) =>
+  Buffer.from(
+    [
+      ...(messageId ? [`Message-ID: <${messageId}>`] : []),
+      `From: ${from}`,
+      `Subject: ${subject}`,
+      `Date: ${date.toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      `${subject}. Thank you for shopping with us.`,
+      "",
+    ].join("\r\n")
+  );
+
+const message = (uid, { name, address, subject, daysAgo, messageId }) => {
+  const internalDate = new Date(Date.now() - daysAgo * DAY_MS);
+  return {
+    uid,
+    internalDate,
+    envelope: {
+      from: [{ name, address }],
+      subject,
+      messageId: messageId ? `<${messageId}>` : undefined,
+    },
+    source: rawMessage({
+      messageId,
+      from: `${name} <${address}>`,
+      subject,
+      date: internalDate,
+    }),
+  };
+};
+
+const MESSAGES = [
+  message(101, {
+    name: "Amazon.in",
+    address: "auto-confirm@amazon.in",
+    subject: "Your Amazon.in order of Cotton kurta",
+    daysAgo: 20,
+    messageId: "order-101@amazon.in",
+  }),
+  message(102, {
+    name: "Flipkart",
+    address: "noreply@nct.flipkart.com",
+    subject: "Big Billion Days sale is live",
+    daysAgo: 10,
+    messageId: "sale-102@flipkart.com",
+  }),
+  message(103, {
+    name: "Delhivery",
+    address: "noreply@delhivery.com",
+    subject: "Your shipment is out for delivery",
+    daysAgo: 2,
+  }),
+];
+
+// Just enough of ImapFlow for ImapMailSource, over MESSAGES
+class FakeImapClient {
+  constructor(options, { loginError = null } = {}) {
+    this.options = options;
+    this.loginError = loginError;
+    this.on = jest.fn();
+    this.connect = jest.fn(async () => {
+      if (this.loginError) throw this.loginError;
+    });
+    this.mailboxOpen = jest.fn(async () => ({
+      path: "INBOX",
+      uidValidity: 7,
+      uidNext: 104,
+    }));
+    this.logout = jest.fn().mockResolvedValue();
+    this.search = jest.fn(async (criteria) => {
+      if (criteria.uid) {
+        // IMAP matches the newest message for "n:*" even when n is past it
+        const from = Number(criteria.uid.split(":")[0]);
+        const uids = MESSAGES.map((m) => m.uid).filter((uid) => uid >= from);
+        return uids.length > 0 ? uids : [MESSAGES[MESSAGES.length - 1].uid];
+      }
+      return MESSAGES.filter(
+        (m) =>
+          m.internalDate >= criteria.since &&
+          criteria.or.some(({ from }) =>
+            m.envelope.from[0].address.includes(from)
+          )
+      ).map((m) => m.uid);
+    });
+    this.fetch = jest.fn(async function* (uids, query) {
+      for (const m of MESSAGES.filter(({ uid }) => uids.includes(uid))) {
+        yield query.source
+          ? { uid: m.uid, source: m.source }
+          : { uid: m.uid, envelope: m.envelope, internalDate: m.internalDate };
+      }
+    });
+  }
+}
+
+const account = (settings = {}) => ({
+  id: "account-1",
+  reauth_required: false,
+  update: jest.fn().mockResolvedValue(),
+  imap_settings: {
+    host: "imap.example.com",
+    port: "993",
+    username: "shopper@example.com",
+    password: "app-password",
+    ...settings,
+  },
+});
+
+const connectedSource = async (settings) => {
+  const source = new ImapMailSource(account(settings));
+  await source.connect();
+  return source;
+};
+
+describe("ImapMailSource", () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ImapFlow.mockImplementation((options) => {
+      client = new FakeImapClient(options);
+      return client;
+    });
+  });
+
+  describe("connect", () => {
+    test("logs in and opens the mailbox read-only", async () => {
+      const source = await connectedSource();
+
+      expect(client.options).toMatchObject({
+        host: "imap.example.com",
+        port: 993,
+        secure: true,
+        auth: { user: "shopper@example.com", pass: "app-password" },
+      });
+      expect(client.on).toHaveBeenCalledWith("error", expect.any(Function));
+      expect(client.mailboxOpen).toHaveBeenCalledWith("INBOX", {
+        readOnly: true,
+      });
+      expect(source.provider).toBe("imap");
+    });
+
+    test("opens the folder named in the settings", async () => {
+      await connectedSource({ mailbox: "Orders", secure: false });
+
+      expect(client.options.secure).toBe(false);
+      expect(client.mailboxOpen).toHaveBeenCalledWith("Orders", {
+        readOnly: true,
+      });
+    });
+
+    test("asks for reauth when settings are missing", async () => {
+      const source = new ImapMailSource(account({ password: "" }));
+
+      await expect(source.connect()).rejects.toMatchObject({
+        code: "REAUTH_REQUIRED",
+        message: "IMAP settings incomplete: password",
+      });
+      expect(ImapFlow).not.toHaveBeenCalled();
+    });
+
+    test("flags the account for reauth when login fails", async () => {
+      const loginError = Object.assign(new Error("Invalid credentials"), {
+        authenticationFailed: true,
+      });
+      ImapFlow.mockImplementation(
+        (options) => new FakeImapClient(options, { loginError })
+      );
+      const mailAccount = account();
+      const source = new ImapMailSource(mailAccount);
+
+      await expect(source.connect()).rejects.toMatchObject({
+        code: "REAUTH_REQUIRED",
+        message: "IMAP login failed",
+      });
+      expect(mailAccount.update).toHaveBeenCalledWith({
+        reauth_required: true,
+      });
+      expect(source.client).toBeNull();
+    });
+
+    test("passes other connection errors on without flagging", async () => {
+      const loginError = Object.assign(new Error("getaddrinfo ENOTFOUND"), {
+        code: "ENOTFOUND",
+      });
+      ImapFlow.mockImplementation(
+        (options) => new FakeImapClient(options, { loginError })
+      );
+      const mailAccount = account();
+
+      await expect(new ImapMailSource(mailAccount).connect()).rejects.toBe(
+        loginError
+      );
+      expect(mailAccount.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("searchByDateRange", () => {
+    test("searches trusted senders within the window", async () => {
+      const source = await connectedSource();
+
+      await source.searchByDateRange(30, 50);
+
+      const [criteria, options] = client.search.mock.calls[0];
+      expect(options).toEqual({ uid: true });
+      expect(
+        Math.abs(criteria.since.getTime() - (Date.now() - 30 * DAY_MS))
+      ).toBeLessThan(1000);
+      expect(criteria.or).toEqual(
+        expect.arrayContaining([
+          { from: "amazon.in" },
+          { from: "delhivery.com" },
+        ])
+      );
+    });
+
+    test("keeps order mail only, newest first", async () => {
+      const source = await connectedSource();
+
+      const refs = await source.searchByDateRange(30, 50);
+
+      expect(refs).toEqual([
+        {
+          id: "imap-7-103",
+          uid: 103,
+          internalDate: String(MESSAGES[2].internalDate.getTime()),
+        },
+        {
+          id: "order-101@amazon.in",
+          uid: 101,
+          internalDate: String(MESSAGES[0].internalDate.getTime()),
+        },
+      ]);
+    });
+
+    test("stops at maxResults and at the window", async () => {
+      const source = await connectedSource();
+
+      expect(await source.searchByDateRange(30, 1)).toHaveLength(1);
+      expect(
+        (await source.searchByDateRange(7, 50)).map((ref) => ref.uid)
+      ).toEqual([103]);
+    });
+  });
+
+  describe("cursor", () => {
+    test("is the UIDVALIDITY and the last UID in the mailbox", async () => {
+      const source = await connectedSource();
+
+      await expect(source.getCursor()).resolves.toBe("7:103");
+    });
+
+    test("finds mail that arrived after the cursor", async () => {
+      const source = await connectedSource();
+
+      const refs = await source.searchSinceCursor("7:102");
+
+      expect(client.search).toHaveBeenCalledWith(
+        { uid: "103:*" },
+        { uid: true }
+      );
+      expect(refs.map((ref) => ref.uid)).toEqual([103]);
+    });
+
+    test("finds nothing when no mail arrived", async () => {
+      const source = await connectedSource();
+
+      await expect(source.searchSinceCursor("7:103")).resolves.toEqual([]);
+      expect(client.fetch).not.toHaveBeenCalled();
+    });
+
+    test("is discarded after a UIDVALIDITY change", async () => {
+      const source = await connectedSource();
+
+      await expect(source.searchSinceCursor("6:90")).resolves.toBeNull();
+      expect(client.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("fetchMessages", () => {
+    test("parses each message under its ref's id and date", async () => {
+      const source = await connectedSource();
+      const refs = await source.searchByDateRange(30, 50);
+
+      const emails = await source.fetchMessages(refs);
+
+      expect(client.fetch).toHaveBeenLastCalledWith(
+        [103, 101],
+        { source: true },
+        { uid: true }
+      );
+      expect(emails).toHaveLength(2);
+      const orderEmail = emails.find(
+        (email) => email.id === "order-101@amazon.in"
+      );
+      expect(orderEmail).toMatchObject({
+        id: "order-101@amazon.in",
+        internalDate: refs[1].internalDate,
+        headers: {
+          from: "Amazon.in <auto-confirm@amazon.in>",
+          subject: "Your Amazon.in order of Cotton kurta",
+        },
+      });
+      expect(orderEmail.body.text).toContain("Thank you for shopping with us");
+    });
+
+    test("fetches nothing without refs", async () => {
+      const source = await connectedSource();
+
+      await expect(source.fetchMessages([])).resolves.toEqual([]);
+      expect(client.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  test("disconnect logs out and tolerates a closed connection", async () => {
+    const source = await connectedSource();
+    client.logout.mockRejectedValue(new Error("Connection not available"));
+
+    await expect(source.disconnect()).resolves.toBeUndefined();
+    expect(client.logout).toHaveBeenCalled();
+    expect(source.client).toBeNull();
+  });
+});
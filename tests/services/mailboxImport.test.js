@@ -0,0 +1,206 @@
+// tests/services/mailboxImport.test.js - READING UPLOADED .eml / .mbox FILES
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "mailbox-import-"));
+process.env.IMPORT_UPLOAD_DIR = uploadDir;
+
+const {
+  readMailboxFiles,
+  discardMailboxFiles,
+} = require("../../src/services/mailboxImport");
+const { parseRawEmail } = require("../../src/utils/parseRawEmail");
+const { splitMbox, isMbox } = require("../../src/utils/parseMbox");
+
+const message = ({ id, from = "Shop <orders@shop.example>", subject, body }) =>
+  [
+    `From: ${from}`,
+    `Subject: ${subject}`,
+    "Date: Sat, 10 Oct 2026 14:30:00 +0530",
+    `Message-ID: <${id}@shop.example>`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    body,
+    "",
+  ].join("\r\n");
+
+const writeUpload = (file, contents) => {
+  fs.writeFileSync(path.join(uploadDir, file), contents);
+  return { name: `${file}.original`, file };
+};
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe("parseRawEmail", () => {
+  test("decodes encoded-word headers and quoted-printable bodies", () => {
+    const email = parseRawEmail(
+      [
+        "From: =?UTF-8?B?U2hvcCDigrk=?= <orders@shop.example>",
+        "Subject: =?UTF-8?Q?Order_=E2=82=B9499_placed?=",
+        "Message-ID: <qp-1@shop.example>",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: quoted-printable",
+        "",
+        "Total: =E2=82=B9499 for a very long line that is soft=",
+        "-wrapped",
+      ].join("\r\n")
+    );
+
+    expect(email.id).toBe("qp-1@shop.example");
+    expect(email.headers.from).toBe("Shop ₹ <orders@shop.example>");
+    expect(email.headers.subject).toBe("Order ₹499 placed");
+    expect(email.body.text).toContain(
+      "₹499 for a very long line that is soft-wrapped"
+    );
+  });
+
+  test("keeps HTML and text parts and lists attachments", () => {
+    const email = parseRawEmail(
+      [
+        "From: orders@shop.example",
+        "Subject: Invoice",
+        'Content-Type: multipart/mixed; boundary="outer"',
+        "",
+        "--outer",
+        'Content-Type: multipart/alternative; boundary="inner"',
+        "",
+        "--inner",
+        "Content-Type: text/plain",
+        "",
+        "plain body",
+        "--inner",
+        "Content-Type: text/html",
+        "Content-Transfer-Encoding: base64",
+        "",
+        Buffer.from("<p>html body</p>").toString("base64"),
+        "--inner--",
+        "--outer",
+        'Content-Type: application/pdf; name="invoice.pdf"',
+        "",
+        "JVBERi0=",
+        "--outer--",
+      ].join("\n")
+    );
+
+    expect(email.body.text).toBe("plain body");
+    expect(email.body.html).toBe("<p>html body</p>");
+    expect(email.attachments).toEqual([
+      expect.objectContaining({
+        filename: "invoice.pdf",
+        mimeType: "application/pdf",
+      }),
+    ]);
+  });
+
+  test("hashes the source when there is no Message-ID", () => {
+    const raw = "From: a@shop.example\nSubject: x\n\nbody";
+
+    expect(parseRawEmail(raw).id).toMatch(/^sha1-[0-9a-f]{40}$/);
+    expect(parseRawEmail(raw).id).toBe(parseRawEmail(raw).id);
+  });
+});
+
+describe("splitMbox", () => {
+  test("splits on From lines and unescapes >From", () => {
+    const mbox = [
+      "From orders@shop.example Sat Oct 10 09:00:00 2026",
+      "Subject: one",
+      "",
+      ">From the warehouse with love",
+      "",
+      "From orders@shop.example Sat Oct 10 10:00:00 2026",
+      "Subject: two",
+      "",
+      "second body",
+      "",
+    ].join("\n");
+
+    const messages = splitMbox(mbox);
+
+    expect(isMbox(Buffer.from(mbox))).toBe(true);
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toContain("\nFrom the warehouse with love");
+    expect(messages[0]).not.toContain(">From");
+    expect(messages[1]).toContain("second body");
+  });
+
+  test("does not take a single message for an archive", () => {
+    expect(isMbox(Buffer.from("From: orders@shop.example\n"))).toBe(false);
+  });
+});
+
+describe("readMailboxFiles", () => {
+  test("reads .eml and .mbox uploads and keeps each message once", async () => {
+    const first = message({ id: "a", subject: "Order A", body: "A" });
+    const second = message({ id: "b", subject: "Order B", body: "B" });
+    const uploads = [
+      writeUpload("upload-eml", first),
+      writeUpload(
+        "upload-mbox",
+        `From MAILER Sat Oct 10 09:00:00 2026\n${first}\nFrom MAILER Sat Oct 10 10:00:00 2026\n${second}`
+      ),
+    ];
+
+    const { emails, files } = await readMailboxFiles(uploads);
+
+    expect(emails.map((email) => email.id).sort()).toEqual([
+      "a@shop.example",
+      "b@shop.example",
+    ]);
+    expect(files).toEqual([
+      { name: "upload-eml.original", messages: 1, unreadable: 0 },
+      { name: "upload-mbox.original", messages: 2, unreadable: 0 },
+    ]);
+  });
+
+  test("counts messages without a sender as unreadable", async () => {
+    const uploads = [writeUpload("upload-nofrom", "Subject: lost\n\nbody")];
+
+    const { emails, files } = await readMailboxFiles(uploads);
+
+    expect(emails).toEqual([]);
+    expect(files[0]).toMatchObject({ messages: 0, unreadable: 1 });
+  });
+
+  test("imports the shop email inside an inline forward", async () => {
+    const forward = message({
+      id: "fwd",
+      from: "Me <me@mail.example>",
+      subject: "Fwd: Your order",
+      body: [
+        "---------- Forwarded message ---------",
+        "From: Shop <orders@shop.example>",
+        "Date: Sat, 10 Oct 2026 at 7:42 PM",
+        "Subject: Your order has shipped",
+        "",
+        "Order 123 has shipped",
+      ].join("\r\n"),
+    });
+
+    const { emails } = await readMailboxFiles([
+      writeUpload("upload-fwd", forward),
+    ]);
+
+    expect(emails[0].headers.from).toBe("Shop <orders@shop.example>");
+    expect(emails[0].headers.subject).toBe("Your order has shipped");
+  });
+
+  test("only reads and deletes files inside the upload directory", async () => {
+    const upload = writeUpload("upload-delete", "From: a@shop.example\n\nx");
+    const outside = path.join(os.tmpdir(), `outside-${process.pid}`);
+    fs.writeFileSync(outside, "keep me");
+
+    await discardMailboxFiles([
+      upload,
+      { name: "x", file: `../${path.basename(outside)}` },
+    ]);
+
+    expect(fs.existsSync(path.join(uploadDir, upload.file))).toBe(false);
+    expect(fs.existsSync(outside)).toBe(true);
+    fs.rmSync(outside);
+  });
+});
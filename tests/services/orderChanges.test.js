@@ -0,0 +1,116 @@
+// tests/services/orderChanges.test.js - MERGING A LATER EMAIL INTO AN ORDER
+
+jest.mock("../../src/models", () => ({
+  Order: {
+    mergeProvenance: (provenance, columns, entry) => ({
+      ...(provenance || {}),
+      ...Object.fromEntries(columns.map((column) => [column, entry])),
+    }),
+  },
+}));
+
+const syncService = require("../../src/services/syncService");
+const { parserFactory } = require("../../src/services/parsers");
+const { FIELD_SOURCE } = require("../../src/constants");
+
+const email = { id: "msg-2" };
+
+const existingOrder = (fields = {}) => ({
+  status: "confirmed",
+  total_amount: "499.00",
+  product_name: "Cotton kurta",
+  tracking_number: null,
+  confidence_score: "0.90",
+  field_provenance: {
+    total_amount: { source: FIELD_SOURCE.PARSER, confidence: 0.9 },
+    product_name: { source: FIELD_SOURCE.PARSER, confidence: 0.9 },
+  },
+  user_locked_fields: [],
+  ...fields,
+});
+
+const laterEmail = (confidence) => ({
+  platform: "amazon",
+  status: "confirmed",
+  amount: 549,
+  products: [{ name: "Cotton kurta, blue" }],
+  confidence,
+});
+
+describe("SyncService.detectOrderChanges", () => {
+  test("keeps values from a more confident parse", () => {
+    const { hasChanges, updateData } = syncService.detectOrderChanges(
+      existingOrder(),
+      laterEmail(0.4),
+      email
+    );
+
+    expect(hasChanges).toBe(false);
+    expect(updateData).toEqual({});
+  });
+
+  test("replaces values with a more confident parse", () => {
+    const { updateData } = syncService.detectOrderChanges(
+      existingOrder(),
+      laterEmail(0.95),
+      email
+    );
+
+    expect(updateData).toMatchObject({
+      total_amount: 549,
+      product_name: "Cotton kurta, blue",
+    });
+    expect(updateData.field_provenance.total_amount).toMatchObject({
+      source: FIELD_SOURCE.EMAIL_UPDATE,
+      message_id: "msg-2",
+      confidence: 0.95,
+    });
+  });
+
+  test("never replaces a value the user entered", () => {
+    const order = existingOrder({
+      field_provenance: {
+        total_amount: { source: FIELD_SOURCE.MANUAL, confidence: 1 },
+        product_name: { source: FIELD_SOURCE.PARSER, confidence: 0.9 },
+      },
+    });
+
+    const { updateData } = syncService.detectOrderChanges(
+      order,
+      laterEmail(0.95),
+      email
+    );
+
+    expect(updateData).not.toHaveProperty("total_amount");
+    expect(updateData.product_name).toBe("Cotton kurta, blue");
+  });
+
+  test("falls back to the order's confidence without field provenance", () => {
+    const order = existingOrder({ field_provenance: {} });
+
+    const { updateData } = syncService.detectOrderChanges(
+      order,
+      laterEmail(0.6),
+      email
+    );
+
+    expect(updateData).toEqual({});
+  });
+
+  test("a parse without a confidence does not outrank anything", () => {
+    const result = parserFactory.enhanceParseResult(
+      { orderId: "402-1234567", amount: 549 },
+      { date: "Sun, 12 Oct 2026 10:00:00 +0530" },
+      "amazon"
+    );
+    expect(result.confidence).toBeNull();
+
+    const { updateData } = syncService.detectOrderChanges(
+      existingOrder({ confidence_score: "0.10", field_provenance: {} }),
+      { ...result, products: laterEmail().products },
+      email
+    );
+
+    expect(updateData).toEqual({});
+  });
+});
@@ -0,0 +1,331 @@
+// tests/services/orderExport.test.js - CSV ESCAPING, EXPORT FORMATS AND PAGING
+
+jest.mock("../../src/models", () => ({
+  Order: {
+    findAll: jest.fn(),
+    rawAttributes: {
+      order_date: { field: "order_date" },
+      total_amount: { field: "total_amount" },
+      updatedAt: { field: "updated_at" },
+    },
+    sequelize: {
+      escape: (value) => `'${String(value).replace(/'/g, "''")}'`,
+      literal: (val) => ({ val }),
+    },
+  },
+  OrderItem: { findAll: jest.fn() },
+  OrderEvent: {},
+  Refund: {},
+  User: {},
+}));
+
+const { Writable } = require("stream");
+const ExcelJS = require("exceljs");
+const { Op } = require("sequelize");
+const { Order, OrderItem } = require("../../src/models");
+const {
+  streamOrderExport,
+  getExportColumns,
+  getExportFilename,
+} = require("../../src/services/orderExport");
+
+const order = (fields = {}) => {
+  const values = {
+    id: "order-1",
+    platform: "amazon",
+    platform_order_id: "402-1234567",
+    order_date: new Date("2026-10-01T10:00:00Z"),
+    status: "delivered",
+    product_name: "Cotton kurta",
+    total_amount: "499.00",
+    currency: "INR",
+    seller_name: null,
+    carrier_name: null,
+    tracking_number: null,
+    expected_delivery: null,
+    delivered_date: null,
+    source: "email",
+    sort_key: "2026-10-01 10:00:00+00",
+    ...fields,
+  };
+  return { ...values, get: (key) => values[key] };
+};
+
+const item = (orderId, fields = {}) => ({
+  id: `${orderId}-item`,
+  order_id: orderId,
+  name: "Cotton kurta",
+  brand: null,
+  category: null,
+  sku: null,
+  quantity: 1,
+  unit_price: "499.00",
+  total_price: "499.00",
+  ...fields,
+});
+
+// Response stand-in that keeps what is written
+class Response extends Writable {
+  constructor() {
+    super();
+    this.headers = {};
+    this.chunks = [];
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.from(chunk));
+    callback();
+  }
+
+  get body() {
+    return Buffer.concat(this.chunks).toString("utf8");
+  }
+}
+
+const exportOrders = async (orders, items, options) => {
+  Order.findAll.mockResolvedValueOnce(orders);
+  OrderItem.findAll.mockResolvedValueOnce(items);
+  const res = new Response();
+  const finished = new Promise((resolve) => res.on("finish", resolve));
+  await streamOrderExport(res, "user-1", options);
+  await finished;
+  return res;
+};
+
+const csvLines = (res) => res.body.split("\r\n").slice(0, -1);
+
+describe("streamOrderExport", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe("csv", () => {
+    test("starts with a byte order mark and the column names", async () => {
+      const res = await exportOrders([], [], { format: "csv" });
+
+      expect(res.headers["Content-Type"]).toBe("text/csv; charset=utf-8");
+      expect(res.body).toBe(
+        "\uFEFF" +
+          getExportColumns()
+            .map((column) => column.name)
+            .join(",") +
+          "\r\n"
+      );
+    });
+
+    test.each([
+      ['=HYPERLINK("http://evil")', `"'=HYPERLINK(""http://evil"")"`],
+      ["+91 Deals", "'+91 Deals"],
+      ["-2+3", "'-2+3"],
+      ["@SUM(A1:A2)", "'@SUM(A1:A2)"],
+      ["\tTabbed", "'\tTabbed"],
+      ["\rReturned", `"'\rReturned"`],
+      ["Kurta = comfy", "Kurta = comfy"],
+    ])("%j → %j", async (productName, cell) => {
+      const res = await exportOrders(
+        [order({ product_name: productName })],
+        [],
+        { format: "csv" }
+      );
+
+      const productColumn = getExportColumns().findIndex(
+        (column) => column.name === "product_name"
+      );
+      const [, row] = csvLines(res);
+      expect(row.split(",")[productColumn]).toBe(cell);
+    });
+
+    test("leaves numbers alone, even negative ones", async () => {
+      const res = await exportOrders([order({ total_amount: "-120.50" })], [], {
+        format: "csv",
+      });
+
+      const [, row] = csvLines(res);
+      expect(row).toContain(",-120.5,");
+      expect(row).not.toContain("'-120.5");
+    });
+
+    test("quotes commas, quotes and line breaks", async () => {
+      const res = await exportOrders(
+        [order({ product_name: 'Kurta, "blue"\nsize M' })],
+        [],
+        { format: "csv" }
+      );
+
+      expect(res.body).toContain(`,"Kurta, ""blue""\nsize M",`);
+    });
+
+    test("writes dates as ISO 8601 and missing values empty", async () => {
+      const res = await exportOrders([order()], [], { format: "csv" });
+
+      const [, row] = csvLines(res);
+      expect(row).toBe(
+        "order-1,amazon,402-1234567,2026-10-01T10:00:00.000Z,delivered," +
+          "Cotton kurta,0,499,INR,,,,,,email"
+      );
+    });
+
+    test("writes a row per item with item granularity", async () => {
+      const res = await exportOrders(
+        [order(), order({ id: "order-2" })],
+        [
+          item("order-1", { id: "a", name: "=cmd|' /C calc'!A0" }),
+          item("order-1", { id: "b", quantity: 2 }),
+        ],
+        { format: "csv", granularity: "item" }
+      );
+
+      const [header, ...rows] = csvLines(res);
+      expect(header).toContain(",item_id,item_name,");
+      expect(rows).toHaveLength(3);
+      expect(rows[0]).toMatch(/^order-1,.*,a,'=cmd\|' \/C calc'!A0,/);
+      expect(rows[1]).toMatch(/^order-1,.*,b,Cotton kurta,,,,2,499,499$/);
+      // An order without items keeps its row, item columns empty
+      expect(rows[2]).toMatch(/^order-2,.*,email,,,,,,,,$/);
+    });
+  });
+
+  describe("json", () => {
+    test("writes an array of objects keyed by column name", async () => {
+      const res = await exportOrders(
+        [order({ product_name: "=1+1" }), order({ id: "order-2" })],
+        [],
+        { format: "json" }
+      );
+
+      const exported = JSON.parse(res.body);
+      expect(exported).toHaveLength(2);
+      expect(exported[0]).toMatchObject({
+        order_id: "order-1",
+        order_date: "2026-10-01T10:00:00.000Z",
+        total_amount: 499,
+        item_count: 0,
+        seller_name: null,
+        // Only spreadsheets run formulas
+        product_name: "=1+1",
+      });
+    });
+
+    test("writes an empty array without orders", async () => {
+      const res = await exportOrders([], [], { format: "json" });
+
+      expect(JSON.parse(res.body)).toEqual([]);
+    });
+  });
+
+  describe("xlsx", () => {
+    test("writes formulas as plain text cells", async () => {
+      const res = await exportOrders(
+        [order({ product_name: '=HYPERLINK("http://evil")' })],
+        [],
+        { format: "xlsx" }
+      );
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(Buffer.concat(res.chunks));
+      const row = workbook.getWorksheet("Orders").getRow(2);
+      const productCell = row.getCell(
+        getExportColumns().findIndex((c) => c.name === "product_name") + 1
+      );
+      expect(productCell.type).toBe(ExcelJS.ValueType.String);
+      expect(productCell.value).toBe('=HYPERLINK("http://evil")');
+      expect(row.getCell(8).value).toBe(499);
+    });
+  });
+
+  describe("paging", () => {
+    const whereOf = (call) => Order.findAll.mock.calls[call][0].where;
+
+    test("starts each batch after the last row of the previous one", async () => {
+      Order.findAll
+        .mockResolvedValueOnce([
+          order({ id: "order-1" }),
+          order({ id: "order-2", sort_key: "2026-09-30 08:15:00.123456+00" }),
+        ])
+        .mockResolvedValueOnce([order({ id: "order-3" })]);
+      OrderItem.findAll.mockResolvedValue([]);
+      const res = new Response();
+
+      await streamOrderExport(res, "user-1", {
+        format: "json",
+        batchSize: 2,
+      });
+
+      expect(Order.findAll).toHaveBeenCalledTimes(2);
+      const [firstQuery, secondQuery] = Order.findAll.mock.calls.map(
+        ([query]) => query
+      );
+      expect(firstQuery.where).toEqual({ user_id: "user-1" });
+      expect(firstQuery).not.toHaveProperty("offset");
+      expect(secondQuery).not.toHaveProperty("offset");
+      expect(whereOf(1)[Op.and]).toEqual([
+        { user_id: "user-1" },
+        {
+          val: `(("Order"."order_date", "Order"."id") < ('2026-09-30 08:15:00.123456+00', 'order-2'))`,
+        },
+      ]);
+      expect(secondQuery.order).toEqual([
+        ["order_date", "DESC"],
+        ["id", "DESC"],
+      ]);
+    });
+
+    test("keeps NULL amounts last when sorting up", async () => {
+      Order.findAll
+        .mockResolvedValueOnce([order({ id: "order-1", sort_key: "10.00" })])
+        .mockResolvedValueOnce([order({ id: "order-2", sort_key: null })])
+        .mockResolvedValueOnce([]);
+      OrderItem.findAll.mockResolvedValue([]);
+
+      await streamOrderExport(new Response(), "user-1", {
+        format: "json",
+        sortBy: "amount",
+        sortOrder: "asc",
+        batchSize: 1,
+      });
+
+      const column = '"Order"."total_amount"';
+      expect(whereOf(1)[Op.and][1].val).toBe(
+        `((${column}, "Order"."id") > ('10.00', 'order-1') OR ${column} IS NULL)`
+      );
+      expect(whereOf(2)[Op.and][1].val).toBe(
+        `(${column} IS NULL AND "Order"."id" > 'order-2')`
+      );
+    });
+
+    test("moves on from NULL amounts when sorting down", async () => {
+      Order.findAll
+        .mockResolvedValueOnce([order({ id: "order-1", sort_key: null })])
+        .mockResolvedValueOnce([]);
+      OrderItem.findAll.mockResolvedValue([]);
+
+      await streamOrderExport(new Response(), "user-1", {
+        format: "json",
+        sortBy: "amount",
+        batchSize: 1,
+      });
+
+      const column = '"Order"."total_amount"';
+      expect(whereOf(1)[Op.and][1].val).toBe(
+        `((${column} IS NULL AND "Order"."id" < 'order-1') OR ${column} IS NOT NULL)`
+      );
+    });
+  });
+});
+
+describe("getExportFilename", () => {
+  test("names the file after the granularity and date", () => {
+    const date = new Date("2026-10-19T12:00:00Z");
+
+    expect(getExportFilename("csv", "order", date)).toBe(
+      "orders-2026-10-19.csv"
+    );
+    expect(getExportFilename("xlsx", "item", date)).toBe(
+      "order-items-2026-10-19.xlsx"
+    );
+  });
+});
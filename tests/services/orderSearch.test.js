@@ -0,0 +1,114 @@
+// tests/services/orderSearch.test.js - SEARCH QUERY BUILDER
+
+jest.mock("../../src/models", () => {
+  const transaction = { id: "tx" };
+  return {
+    Order: {
+      count: jest.fn(),
+      findAll: jest.fn(),
+      sequelize: {
+        escape: (value) => `'${String(value).replace(/'/g, "''")}'`,
+        literal: (val) => ({ val }),
+        query: jest.fn(),
+        transaction: jest.fn((callback) => callback(transaction)),
+      },
+    },
+    OrderItem: {},
+    OrderEvent: {},
+    Refund: {},
+    User: {},
+  };
+});
+
+const { Op } = require("sequelize");
+const { Order } = require("../../src/models");
+const OrderService = require("../../src/services/database/orderService");
+
+describe("OrderService search", () => {
+  let orderService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    orderService = new OrderService();
+  });
+
+  describe("buildSearchSql", () => {
+    test("matches through the indexed order and item expressions", () => {
+      const { match } = orderService.buildSearchSql("user-1", "shoes");
+
+      expect(match).toContain("SELECT id FROM orders");
+      expect(match).toContain("user_id = 'user-1'");
+      expect(match).toContain("SELECT order_id FROM order_items");
+      expect(match).toContain(
+        "to_tsvector('english', (coalesce(product_name, '') || ' ' || coalesce(seller_name, '')"
+      );
+      expect(match).toContain(
+        "'shoes' <% (coalesce(name, '') || ' ' || coalesce(brand, '') || ' ' || coalesce(category, ''))"
+      );
+      expect(match).not.toContain("word_similarity");
+    });
+
+    test("escapes the query everywhere it is used", () => {
+      const sql = Object.values(
+        orderService.buildSearchSql("user-1", "it's'; drop table orders; --")
+      ).join("\n");
+
+      expect(sql).not.toMatch(/[^']'; drop/);
+      expect(sql).toContain("'it''s''; drop table orders; --'");
+    });
+
+    test("ranks by full-text rank plus word similarity", () => {
+      const { rank, snippet } = orderService.buildSearchSql("user-1", "shoes");
+
+      expect(rank).toMatch(/^\(ts_rank\(.*\) \+ word_similarity\('shoes', /s);
+      expect(snippet).toContain("StartSel=<mark>");
+    });
+  });
+
+  describe("searchOrders", () => {
+    test("sets the trigram threshold in the same transaction", async () => {
+      Order.count.mockResolvedValue(0);
+      Order.findAll.mockResolvedValue([]);
+
+      const result = await orderService.searchOrders("user-1", "shoes");
+
+      expect(Order.sequelize.query).toHaveBeenCalledWith(
+        expect.stringContaining("pg_trgm.word_similarity_threshold"),
+        { replacements: { threshold: "0.4" }, transaction: { id: "tx" } }
+      );
+      const countOptions = Order.count.mock.calls[0][0];
+      expect(countOptions.transaction).toEqual({ id: "tx" });
+      expect(countOptions.where.user_id).toBe("user-1");
+      expect(countOptions.where[Op.and].val).toContain('"Order"."id" IN (');
+      expect(result).toEqual({
+        results: [],
+        pagination: expect.objectContaining({ total: 0 }),
+      });
+    });
+
+    test("returns matches in rank order with their snippets", async () => {
+      Order.count.mockResolvedValue(2);
+      Order.findAll
+        .mockResolvedValueOnce([
+          {
+            id: "order-2",
+            search_rank: "0.9",
+            search_snippet: "<mark>b</mark>",
+          },
+          {
+            id: "order-1",
+            search_rank: "0.5",
+            search_snippet: "<mark>a</mark>",
+          },
+        ])
+        .mockResolvedValueOnce([{ id: "order-1" }, { id: "order-2" }]);
+
+      const { results } = await orderService.searchOrders("user-1", "shoes");
+
+      expect(results).toEqual([
+        { order: { id: "order-2" }, rank: 0.9, snippet: "<mark>b</mark>" },
+        { order: { id: "order-1" }, rank: 0.5, snippet: "<mark>a</mark>" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+// tests/services/pushNotifications.test.js - PUSH BATCHING WITH THE MEMORY TRANSPORT
+
+jest.mock("../../src/models", () => ({
+  Device: { findByUser: jest.fn(), destroy: jest.fn() },
+}));
+
+const { Device } = require("../../src/models");
+const {
+  PushNotificationService,
+} = require("../../src/services/pushNotifications");
+const { MemoryPushTransport } = require("../../src/services/push");
+const { NotificationEvents } = require("../../src/services/notificationEvents");
+
+const BATCH_WINDOW_MS = 1000;
+
+const user = (id) => ({ id, wantsNotification: () => true });
+
+const device = (id, token) => ({ id, push_token: token });
+
+const orderUpdate = (orderId, extra = {}) => ({
+  orderId,
+  platform: "amazon",
+  platformOrderId: `402-${orderId}`,
+  productName: `Product ${orderId}`,
+  ...extra,
+});
+
+describe("PushNotificationService", () => {
+  let bus;
+  let transport;
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    bus = new NotificationEvents();
+    transport = new MemoryPushTransport();
+    service = new PushNotificationService({
+      transport,
+      batchWindowMs: BATCH_WINDOW_MS,
+    });
+    service.start(bus);
+    Device.findByUser.mockResolvedValue([device("d1", "ExponentPushToken[a]")]);
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    jest.useRealTimers();
+  });
+
+  test("holds notifications until the publisher flushes", async () => {
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+
+    expect(transport.sent).toHaveLength(0);
+
+    bus.flush("u1");
+    await jest.runAllTimersAsync();
+
+    expect(Device.findByUser).toHaveBeenCalledWith("u1");
+    expect(transport.sent).toEqual([
+      {
+        to: "ExponentPushToken[a]",
+        title: "Amazon order shipped",
+        body: "Product o1 is on its way",
+        data: expect.objectContaining({
+          orderId: "o1",
+          type: "order_shipped",
+          collapseKey: "order:o1",
+        }),
+      },
+    ]);
+  });
+
+  test("sends after a quiet batch window without a flush", async () => {
+    bus.notify(user("u1"), "order_delivered", orderUpdate("o1"));
+    await jest.advanceTimersByTimeAsync(BATCH_WINDOW_MS - 1);
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o2"));
+    await jest.advanceTimersByTimeAsync(BATCH_WINDOW_MS - 1);
+
+    // Each notification restarts the window
+    expect(transport.sent).toHaveLength(0);
+
+    await jest.advanceTimersByTimeAsync(1);
+
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].title).toBe("2 updates on your orders");
+  });
+
+  test("keeps only the latest update of each order in a batch", async () => {
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+    bus.notify(user("u1"), "order_out_for_delivery", orderUpdate("o1"));
+    bus.notify(user("u1"), "order_delivered", orderUpdate("o1"));
+
+    const result = await service.flush("u1");
+
+    expect(result).toMatchObject({ notifications: 1, devices: 1, sent: 1 });
+    expect(transport.sent[0]).toMatchObject({
+      title: "Amazon order delivered",
+      body: "Product o1 has been delivered",
+    });
+  });
+
+  test("summarises a batch of several notifications", async () => {
+    bus.notify(user("u1"), "order_delivered", orderUpdate("o1"));
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o2"));
+    bus.notify(user("u1"), "order_delivered", orderUpdate("o3"));
+    bus.notify(user("u1"), "return_window_closing", {
+      ...orderUpdate("o1"),
+      daysLeft: 2,
+      items: [{ name: "Kurta" }],
+    });
+
+    await service.flush("u1");
+
+    expect(transport.sent[0]).toEqual({
+      to: "ExponentPushToken[a]",
+      title: "4 updates on your orders",
+      body: "2 delivered, 1 shipped, 1 closing for returns",
+      data: {
+        type: "summary",
+        collapseKey: "summary",
+        orderIds: ["o1", "o2", "o3"],
+      },
+    });
+  });
+
+  test("batches each user separately", async () => {
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+    bus.notify(user("u2"), "order_shipped", orderUpdate("o2"));
+
+    await service.flush("u1");
+
+    expect(transport.sent).toHaveLength(1);
+    expect(service.pending.has("u2")).toBe(true);
+  });
+
+  test("removes devices Expo no longer knows", async () => {
+    Device.findByUser.mockResolvedValue([
+      device("d1", "ExponentPushToken[a]"),
+      device("d2", "ExponentPushToken[gone]"),
+    ]);
+    transport.unregisteredTokens.add("ExponentPushToken[gone]");
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+
+    const result = await service.flush("u1");
+
+    expect(result).toMatchObject({ devices: 2, sent: 1, unregistered: 1 });
+    expect(Device.destroy).toHaveBeenCalledWith({ where: { id: ["d2"] } });
+  });
+
+  test("drops notifications for users without devices", async () => {
+    Device.findByUser.mockResolvedValue([]);
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+
+    await expect(service.flush("u1")).resolves.toEqual({
+      notifications: 1,
+      devices: 0,
+      sent: 0,
+    });
+    expect(transport.sent).toHaveLength(0);
+    await expect(service.flush("u1")).resolves.toBeNull();
+  });
+
+  test("sends what is still held when stopped", async () => {
+    bus.notify(user("u1"), "order_shipped", orderUpdate("o1"));
+
+    await service.stop();
+    bus.notify(user("u1"), "order_delivered", orderUpdate("o2"));
+
+    expect(transport.sent).toHaveLength(1);
+    expect(service.pending.size).toBe(0);
+  });
+});
@@ -0,0 +1,160 @@
+// tests/services/refunds.test.js - RECORDING REFUNDS FROM REFUND MAILS
+
+jest.mock("../../src/models", () => ({
+  Refund: { findMatching: jest.fn(), create: jest.fn() },
+}));
+
+const { Refund } = require("../../src/models");
+const syncService = require("../../src/services/syncService");
+
+const EMAIL_TIME = Date.UTC(2026, 9, 12, 10, 0, 0);
+
+const order = {
+  id: "order-1",
+  user_id: "user-1",
+  platform_order_id: "402-1234567",
+  currency: "INR",
+};
+
+const refundMail = (id, refund) => ({
+  email: { id, internalDate: String(EMAIL_TIME) },
+  parsedData: { refund },
+});
+
+const storedRefund = (fields) => ({
+  amount: null,
+  method: null,
+  reference: null,
+  initiated_message_id: null,
+  credited_message_id: null,
+  update: jest.fn().mockResolvedValue(),
+  ...fields,
+});
+
+describe("SyncService.recordOrderRefund", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("records a new initiated refund with its initiation mail", async () => {
+    Refund.findMatching.mockResolvedValue(null);
+    const { email, parsedData } = refundMail("msg-1", {
+      status: "initiated",
+      amount: 499,
+      method: "upi",
+      reference: null,
+    });
+
+    await expect(
+      syncService.recordOrderRefund(order, parsedData, email)
+    ).resolves.toBe(true);
+
+    expect(Refund.findMatching).toHaveBeenCalledWith("order-1", {
+      ...parsedData.refund,
+      messageId: "msg-1",
+    });
+    expect(Refund.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        user_id: "user-1",
+        order_id: "order-1",
+        amount: 499,
+        currency: "INR",
+        status: "initiated",
+        initiated_at: new Date(EMAIL_TIME),
+        initiated_message_id: "msg-1",
+        credited_at: null,
+        credited_message_id: null,
+      })
+    );
+  });
+
+  test("records a credit seen without its initiation mail", async () => {
+    Refund.findMatching.mockResolvedValue(null);
+    const { email, parsedData } = refundMail("msg-2", { status: "credited" });
+
+    await syncService.recordOrderRefund(order, parsedData, email);
+
+    expect(Refund.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: "credited",
+        initiated_at: null,
+        credited_at: new Date(EMAIL_TIME),
+        credited_message_id: "msg-2",
+      })
+    );
+  });
+
+  test("credits a known refund and fills in details it lacked", async () => {
+    const refund = storedRefund({
+      status: "initiated",
+      amount: "499.00",
+      initiated_message_id: "msg-1",
+    });
+    Refund.findMatching.mockResolvedValue(refund);
+    const { email, parsedData } = refundMail("msg-3", {
+      status: "credited",
+      amount: 499,
+      method: "bank_account",
+      reference: "UTR123456789",
+    });
+
+    await expect(
+      syncService.recordOrderRefund(order, parsedData, email)
+    ).resolves.toBe(true);
+
+    expect(Refund.create).not.toHaveBeenCalled();
+    expect(refund.update).toHaveBeenCalledWith({
+      method: "bank_account",
+      reference: "UTR123456789",
+      status: "credited",
+      credited_at: new Date(EMAIL_TIME),
+      credited_message_id: "msg-3",
+    });
+  });
+
+  test("keeps the credited status when the initiation mail comes later", async () => {
+    const refund = storedRefund({
+      status: "credited",
+      credited_message_id: "msg-3",
+    });
+    Refund.findMatching.mockResolvedValue(refund);
+    const { email, parsedData } = refundMail("msg-1", { status: "initiated" });
+
+    await syncService.recordOrderRefund(order, parsedData, email);
+
+    expect(refund.update).toHaveBeenCalledWith({
+      initiated_at: new Date(EMAIL_TIME),
+      initiated_message_id: "msg-1",
+    });
+  });
+
+  test("saves nothing for a mail already recorded", async () => {
+    const refund = storedRefund({
+      status: "initiated",
+      amount: "499.00",
+      initiated_message_id: "msg-1",
+    });
+    Refund.findMatching.mockResolvedValue(refund);
+    const { email, parsedData } = refundMail("msg-1", {
+      status: "initiated",
+      amount: 499,
+    });
+
+    await expect(
+      syncService.recordOrderRefund(order, parsedData, email)
+    ).resolves.toBe(false);
+    expect(refund.update).not.toHaveBeenCalled();
+  });
+
+  test("ignores mails without an order or refund details", async () => {
+    const { email } = refundMail("msg-1", null);
+
+    await expect(
+      syncService.recordOrderRefund(null, { refund: {} }, email)
+    ).resolves.toBe(false);
+    await expect(
+      syncService.recordOrderRefund(order, { refund: null }, email)
+    ).resolves.toBe(false);
+    expect(Refund.findMatching).not.toHaveBeenCalled();
+  });
+});
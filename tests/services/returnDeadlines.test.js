@@ -0,0 +1,202 @@
+// tests/services/returnDeadlines.test.js - RETURN DEADLINES AND REMINDERS
+
+jest.mock("../../src/models", () => ({
+  Order: {},
+  User: {},
+  OrderItem: { findByOrder: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+}));
+
+const { Op } = require("sequelize");
+const { OrderItem } = require("../../src/models");
+const syncService = require("../../src/services/syncService");
+const {
+  ReturnReminderScheduler,
+} = require("../../src/services/returnReminderScheduler");
+const {
+  notificationEvents,
+  NOTIFICATION_EVENT,
+} = require("../../src/services/notificationEvents");
+const { getReturnWindowDays } = require("../../src/config/parserConfig");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const item = (fields = {}) => ({
+  id: "item-1",
+  name: "Cotton kurta",
+  category: null,
+  return_eligible_until: null,
+  update: jest.fn().mockResolvedValue(),
+  ...fields,
+});
+
+const deliveredOrder = {
+  id: "order-1",
+  platform: "amazon",
+  platform_order_id: "402-1234567",
+  status: "delivered",
+  delivered_date: new Date(2026, 9, 10, 15, 0),
+};
+
+describe("getReturnWindowDays", () => {
+  test("uses the category window, else the platform's", () => {
+    expect(getReturnWindowDays("amazon", { category: "Mobile Phones" })).toBe(
+      7
+    );
+    expect(getReturnWindowDays("amazon", { name: "Cotton kurta" })).toBe(10);
+    expect(getReturnWindowDays("unknown-shop", {})).toBeNull();
+  });
+});
+
+describe("SyncService.recordReturnDeadlines", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("adds the return window to the delivery date", async () => {
+    const kurta = item();
+    const phone = item({ id: "item-2", category: "mobile" });
+    OrderItem.findByOrder.mockResolvedValue([kurta, phone]);
+
+    await expect(
+      syncService.recordReturnDeadlines(deliveredOrder, {})
+    ).resolves.toBe(2);
+
+    expect(kurta.update).toHaveBeenCalledWith({
+      return_eligible_until: new Date(2026, 9, 20, 23, 59, 59),
+      return_reminder_sent_at: null,
+    });
+    expect(phone.update).toHaveBeenCalledWith({
+      return_eligible_until: new Date(2026, 9, 17, 23, 59, 59),
+      return_reminder_sent_at: null,
+    });
+  });
+
+  test("keeps a deadline already set when computing one", async () => {
+    const kurta = item({ return_eligible_until: new Date(2026, 9, 30) });
+    OrderItem.findByOrder.mockResolvedValue([kurta]);
+
+    await expect(
+      syncService.recordReturnDeadlines(deliveredOrder, {})
+    ).resolves.toBe(0);
+    expect(kurta.update).not.toHaveBeenCalled();
+  });
+
+  test("lets a stated deadline replace an earlier one", async () => {
+    const returnBy = new Date(2026, 9, 25, 23, 59, 59);
+    const kurta = item({ return_eligible_until: new Date(2026, 9, 20) });
+    const same = item({ id: "item-2", return_eligible_until: returnBy });
+    OrderItem.findByOrder.mockResolvedValue([kurta, same]);
+
+    await expect(
+      syncService.recordReturnDeadlines(
+        { ...deliveredOrder, status: "shipped" },
+        { returnBy }
+      )
+    ).resolves.toBe(1);
+
+    expect(kurta.update).toHaveBeenCalledWith({
+      return_eligible_until: returnBy,
+      return_reminder_sent_at: null,
+    });
+    expect(same.update).not.toHaveBeenCalled();
+  });
+
+  test("waits for delivery without a stated deadline", async () => {
+    await expect(
+      syncService.recordReturnDeadlines(
+        { ...deliveredOrder, status: "shipped" },
+        {}
+      )
+    ).resolves.toBe(0);
+    expect(OrderItem.findByOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe("ReturnReminderScheduler", () => {
+  const now = new Date(2026, 9, 18, 9, 0);
+  let scheduler;
+  let published;
+
+  const user = (wantsReminder) => ({
+    id: "user-1",
+    wantsNotification: jest.fn().mockReturnValue(wantsReminder),
+  });
+
+  const dueItem = (id, orderId, deadline, orderUser) => ({
+    id,
+    name: `Item ${id}`,
+    order_id: orderId,
+    return_eligible_until: deadline,
+    order: {
+      id: orderId,
+      platform: "amazon",
+      platform_order_id: `402-${orderId}`,
+      user: orderUser,
+    },
+  });
+
+  const listener = (event) => published.push(event);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduler = new ReturnReminderScheduler();
+    published = [];
+    notificationEvents.on(NOTIFICATION_EVENT, listener);
+  });
+
+  afterEach(() => {
+    notificationEvents.off(NOTIFICATION_EVENT, listener);
+  });
+
+  test("looks for unreminded deadlines within the reminder period", async () => {
+    OrderItem.findAll.mockResolvedValue([]);
+
+    await scheduler.findDueItems(now);
+
+    const { where, include } = OrderItem.findAll.mock.calls[0][0];
+    expect(where).toEqual({
+      return_eligible_until: {
+        [Op.between]: [now, new Date(now.getTime() + 3 * DAY_MS)],
+      },
+      return_reminder_sent_at: null,
+    });
+    expect(include[0].where).toEqual({ status: "delivered" });
+  });
+
+  test("sends one reminder per order and stamps every item", async () => {
+    const remindedUser = user(true);
+    const mutedUser = user(false);
+    OrderItem.findAll.mockResolvedValue([
+      dueItem("a", "o1", new Date(now.getTime() + DAY_MS), remindedUser),
+      dueItem("b", "o1", new Date(now.getTime() + 2 * DAY_MS), remindedUser),
+      dueItem("c", "o2", new Date(now.getTime() + DAY_MS), mutedUser),
+    ]);
+
+    const summary = await scheduler.tick(now);
+
+    expect(summary).toEqual({ orders: 2, sent: 1, turnedOff: 1 });
+    expect(published).toHaveLength(1);
+    expect(published[0]).toMatchObject({
+      type: "return_window_closing",
+      userId: "user-1",
+      data: {
+        orderId: "o1",
+        platformOrderId: "402-o1",
+        daysLeft: 1,
+        items: [
+          expect.objectContaining({ id: "a" }),
+          expect.objectContaining({ id: "b" }),
+        ],
+      },
+    });
+    // Turned-off reminders are stamped too, so they are not retried daily
+    expect(OrderItem.update).toHaveBeenCalledWith(
+      { return_reminder_sent_at: now },
+      { where: { id: ["a", "b"] } }
+    );
+    expect(OrderItem.update).toHaveBeenCalledWith(
+      { return_reminder_sent_at: now },
+      { where: { id: ["c"] } }
+    );
+  });
+});
@@ -0,0 +1,168 @@
+// tests/services/returnShipments.test.js - RETURN MAILS AND ORDER SHIPMENTS
+
+jest.mock("../../src/models", () => ({
+  Order: { findOne: jest.fn(), findByPk: jest.fn() },
+  Shipment: { findOne: jest.fn(), findAll: jest.fn(), create: jest.fn() },
+}));
+
+const { Sequelize, DataTypes } = require("sequelize");
+const { Order, Shipment } = require("../../src/models");
+const syncService = require("../../src/services/syncService");
+
+// Real model definitions; nothing here touches a database
+const sequelize = new Sequelize("postgres://localhost/orders_test", {
+  logging: false,
+});
+const OrderModel = require("../../src/models/order")(sequelize, DataTypes);
+const ShipmentModel = require("../../src/models/shipment")(
+  sequelize,
+  DataTypes
+);
+
+const EMAIL_TIME = Date.UTC(2026, 9, 14, 10, 0, 0);
+const email = { id: "msg-3", internalDate: String(EMAIL_TIME) };
+
+const knownOrder = () => ({
+  id: "order-1",
+  user_id: "user-1",
+  platform_order_id: "402-1234567",
+  carrier_name: null,
+  refreshStatusFromShipments: jest.fn(),
+});
+
+describe("SyncService.recordOrderShipment", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test.each([
+    "return_requested",
+    "return_pickup_scheduled",
+    "refund_initiated",
+    "refund_credited",
+  ])("leaves shipments alone for a %s mail", async (emailType) => {
+    const order = knownOrder();
+
+    await expect(
+      syncService.recordOrderShipment(
+        order,
+        { emailType, status: "return_pickup_scheduled", trackingId: "RV123" },
+        email
+      )
+    ).resolves.toBe(false);
+
+    expect(Shipment.findOne).not.toHaveBeenCalled();
+    expect(Shipment.create).not.toHaveBeenCalled();
+    expect(order.refreshStatusFromShipments).not.toHaveBeenCalled();
+  });
+
+  test("creates a shipment for a shipping mail", async () => {
+    const order = knownOrder();
+    Shipment.findOne.mockResolvedValue(null);
+    Shipment.create.mockResolvedValue({ linkItemsByName: jest.fn() });
+
+    await expect(
+      syncService.recordOrderShipment(
+        order,
+        {
+          emailType: "shipping_notification",
+          status: "shipped",
+          trackingId: "AWB123",
+        },
+        email
+      )
+    ).resolves.toBe(true);
+
+    expect(Shipment.create).toHaveBeenCalledWith(
+      expect.objectContaining({ tracking_number: "AWB123", status: "shipped" })
+    );
+    expect(order.refreshStatusFromShipments).toHaveBeenCalled();
+  });
+});
+
+describe("SyncService.processShipmentEmail", () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test("stores an order-only status as shipped", async () => {
+    Shipment.findOne.mockResolvedValue(null);
+    Order.findOne.mockResolvedValue(null);
+
+    await syncService.processShipmentEmail(
+      {
+        carrierName: "Delhivery",
+        trackingId: "1493218876520",
+        status: "confirmed",
+      },
+      email,
+      "user-1"
+    );
+
+    expect(Shipment.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "shipped", delivered_at: null })
+    );
+  });
+});
+
+describe("Order.refreshStatusFromShipments", () => {
+  const deliveredDate = new Date(2026, 9, 10, 15, 0);
+
+  const orderWithShipments = (status, shipmentStatuses) => {
+    sequelize.models.Shipment = ShipmentModel;
+    jest
+      .spyOn(ShipmentModel, "findAll")
+      .mockResolvedValue(
+        shipmentStatuses.map((shipmentStatus) =>
+          ShipmentModel.build({ status: shipmentStatus })
+        )
+      );
+
+    const order = OrderModel.build({
+      user_id: "user-1",
+      platform: "amazon",
+      platform_order_id: "402-1234567",
+      status,
+      delivered_date: deliveredDate,
+    });
+    jest.spyOn(order, "save").mockResolvedValue(order);
+    return order;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ["return_requested", ["delivered"]],
+    ["return_pickup_scheduled", ["shipped"]],
+    ["return_pickup_scheduled", ["delivered", "shipped"]],
+    ["returned", ["shipped"]],
+  ])("keeps %s when the packages say %j", async (status, shipments) => {
+    const order = orderWithShipments(status, shipments);
+
+    await order.refreshStatusFromShipments();
+
+    expect(order.status).toBe(status);
+    expect(order.delivered_date).toEqual(deliveredDate);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test("completes a return once the package is back", async () => {
+    const order = orderWithShipments("return_pickup_scheduled", ["returned"]);
+
+    await order.refreshStatusFromShipments();
+
+    expect(order.status).toBe("returned");
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test("still follows the packages before a return", async () => {
+    const order = orderWithShipments("shipped", ["delivered"]);
+
+    await order.refreshStatusFromShipments();
+
+    expect(order.status).toBe("delivered");
+    expect(order.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+// tests/services/syncQueue.test.js - CLAIMING, HEARTBEATS AND RECOVERY
+
+jest.mock("../../src/models", () => ({
+  EmailSync: {
+    findAll: jest.fn(),
+    claimPending: jest.fn(),
+    touchHeartbeat: jest.fn(),
+  },
+}));
+jest.mock("../../src/services/syncService", () => ({
+  createSyncJob: jest.fn(),
+  runSyncJob: jest.fn(),
+}));
+
+const { Op } = require("sequelize");
+const { EmailSync } = require("../../src/models");
+const syncService = require("../../src/services/syncService");
+const { SyncQueue } = require("../../src/services/syncQueue");
+
+const syncRow = (id, extra = {}) => ({
+  id,
+  user_id: "user-1",
+  reload: jest
+    .fn()
+    .mockResolvedValue({ id, user_id: "user-1", reloaded: true }),
+  fail: jest.fn().mockResolvedValue(),
+  ...extra,
+});
+
+describe("SyncQueue", () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queue = new SyncQueue();
+    queue.running = true;
+  });
+
+  describe("claimNext", () => {
+    test("skips rows another worker claimed first", async () => {
+      const taken = syncRow("sync-1");
+      const free = syncRow("sync-2");
+      EmailSync.findAll.mockResolvedValue([taken, free]);
+      EmailSync.claimPending.mockImplementation(async (id) => id === "sync-2");
+
+      const claimed = await queue.claimNext();
+
+      expect(EmailSync.claimPending).toHaveBeenCalledTimes(2);
+      expect(claimed).toEqual({
+        id: "sync-2",
+        user_id: "user-1",
+        reloaded: true,
+      });
+      expect(taken.reload).not.toHaveBeenCalled();
+    });
+
+    test("returns null when every candidate is taken", async () => {
+      EmailSync.findAll.mockResolvedValue([syncRow("sync-1")]);
+      EmailSync.claimPending.mockResolvedValue(false);
+
+      expect(await queue.claimNext()).toBeNull();
+    });
+
+    test("asks for the oldest pending rows", async () => {
+      EmailSync.findAll.mockResolvedValue([]);
+
+      await queue.claimNext();
+
+      expect(EmailSync.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { status: "pending" },
+          order: [["created_at", "ASC"]],
+        })
+      );
+    });
+  });
+
+  describe("drain", () => {
+    test("starts no more jobs than the concurrency allows", async () => {
+      queue.concurrency = 2;
+      let next = 0;
+      jest
+        .spyOn(queue, "claimNext")
+        .mockImplementation(async () => syncRow(`sync-${++next}`));
+      syncService.runSyncJob.mockReturnValue(new Promise(() => {}));
+
+      await queue.drain();
+
+      expect(queue.claimNext).toHaveBeenCalledTimes(2);
+      expect([...queue.activeJobs.keys()]).toEqual(["sync-1", "sync-2"]);
+    });
+
+    test("frees the slot and drains again when a job ends", async () => {
+      jest
+        .spyOn(queue, "claimNext")
+        .mockResolvedValueOnce(syncRow("sync-1"))
+        .mockResolvedValue(null);
+      syncService.runSyncJob.mockResolvedValue({});
+
+      await queue.drain();
+      expect(queue.claimNext).toHaveBeenCalledTimes(1);
+
+      await queue.activeJobs.get("sync-1");
+      await new Promise(setImmediate);
+
+      expect(queue.activeJobs.size).toBe(0);
+      expect(queue.claimNext).toHaveBeenCalledTimes(2);
+    });
+
+    test("does nothing once stopped", async () => {
+      queue.running = false;
+      jest.spyOn(queue, "claimNext");
+
+      await queue.drain();
+
+      expect(queue.claimNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("recoverOrphanedSyncs", () => {
+    test("fails only stale syncs this worker is not running", async () => {
+      const orphan = syncRow("sync-dead");
+      EmailSync.findAll.mockResolvedValue([orphan]);
+      queue.staleAfterMs = 60000;
+      queue.activeJobs.set("sync-mine", Promise.resolve());
+      const before = Date.now();
+
+      expect(await queue.recoverOrphanedSyncs()).toBe(1);
+      const after = Date.now();
+
+      const { where } = EmailSync.findAll.mock.calls[0][0];
+      expect(where.status).toBe("in_progress");
+      expect(where.id[Op.notIn]).toEqual(["sync-mine"]);
+      const staleBefore = where[Op.or][0].heartbeat_at[Op.lt].getTime();
+      expect(staleBefore).toBeGreaterThanOrEqual(before - 60000);
+      expect(staleBefore).toBeLessThanOrEqual(after - 60000);
+      expect(orphan.fail).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.any(String) })
+      );
+    });
+  });
+
+  describe("heartbeat", () => {
+    test("refreshes this worker's jobs, then recovers others", async () => {
+      queue.activeJobs.set("sync-1", Promise.resolve());
+      EmailSync.touchHeartbeat.mockResolvedValue(1);
+      EmailSync.findAll.mockResolvedValue([]);
+
+      await queue.heartbeat();
+
+      expect(EmailSync.touchHeartbeat).toHaveBeenCalledWith(["sync-1"]);
+      expect(EmailSync.findAll).toHaveBeenCalled();
+    });
+
+    test("logs instead of throwing when the database is down", async () => {
+      EmailSync.touchHeartbeat.mockRejectedValue(new Error("db down"));
+
+      await expect(queue.heartbeat()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+// tests/services/syncScheduler.test.js - DUE USERS, ATTEMPTS AND BACKOFF
+
+jest.mock("../../src/models", () => ({
+  User: {
+    findAll: jest.fn(),
+    sequelize: { escape: (value) => `'${value.toISOString()}'` },
+  },
+}));
+jest.mock("../../src/services/syncQueue", () => ({
+  syncQueue: { enqueue: jest.fn() },
+}));
+
+const { Op } = require("sequelize");
+const { User } = require("../../src/models");
+const { syncQueue } = require("../../src/services/syncQueue");
+const { SyncScheduler } = require("../../src/services/syncScheduler");
+const emailConfig = require("../../src/config/emailConfig");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userRow = (extra = {}) => ({
+  id: "user-1",
+  last_sync: null,
+  settings: { auto_sync: true, sync_frequency: "daily" },
+  update: jest.fn().mockResolvedValue(),
+  increment: jest.fn().mockResolvedValue(),
+  ...extra,
+});
+
+const codedError = (code) =>
+  Object.assign(new Error(`failed with ${code}`), { code });
+
+describe("SyncScheduler", () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    scheduler = new SyncScheduler();
+    scheduler.staggerMs = 0;
+  });
+
+  describe("findDueUsers", () => {
+    test("filters, orders and limits in a single query", async () => {
+      User.findAll.mockResolvedValue([]);
+      scheduler.batchSize = 5;
+
+      await scheduler.findDueUsers(new Date("2026-10-19T12:00:00Z"));
+
+      const options = User.findAll.mock.calls[0][0];
+      expect(options.limit).toBe(5);
+      expect(options.order).toEqual([["last_sync", "ASC NULLS FIRST"]]);
+      expect(options.where).toMatchObject({
+        is_active: true,
+        settings: { auto_sync: true },
+      });
+
+      const sql = options.where[Op.and].map((part) => part.val).join("\n");
+      expect(sql).toContain("mail_accounts.enabled");
+      expect(sql).toContain("NOT mail_accounts.reauth_required");
+      expect(sql).toContain("'2026-10-19T12:00:00.000Z'");
+      expect(sql).toContain(`WHEN 'hourly' THEN ${60 * 60 * 1000}`);
+      expect(sql).toContain('"User"."sync_failure_count" = 0');
+      expect(sql).toContain(`${30 * 60 * 1000} *`);
+      expect(sql).toContain(`${DAY_MS}) * INTERVAL`);
+    });
+  });
+
+  describe("queueUserSync", () => {
+    test("records the attempt before queueing", async () => {
+      const user = userRow();
+      syncQueue.enqueue.mockResolvedValue({ id: "sync-1" });
+
+      expect(await scheduler.queueUserSync(user)).toBe("queued");
+
+      expect(user.update).toHaveBeenCalledWith({
+        last_sync_attempt_at: expect.any(Date),
+      });
+      expect(user.update.mock.invocationCallOrder[0]).toBeLessThan(
+        syncQueue.enqueue.mock.invocationCallOrder[0]
+      );
+      expect(syncQueue.enqueue).toHaveBeenCalledWith(
+        "user-1",
+        expect.objectContaining({ daysToFetch: expect.any(Number) }),
+        "scheduled"
+      );
+      expect(user.increment).not.toHaveBeenCalled();
+    });
+
+    test("counts a failed enqueue towards the backoff", async () => {
+      const user = userRow();
+      syncQueue.enqueue.mockRejectedValue(codedError("NO_MAIL_ACCOUNTS"));
+
+      expect(await scheduler.queueUserSync(user)).toBe("skipped");
+      expect(user.increment).toHaveBeenCalledWith("sync_failure_count");
+    });
+
+    test("does not count a sync that is already running", async () => {
+      const user = userRow();
+      syncQueue.enqueue.mockRejectedValue(codedError("SYNC_IN_PROGRESS"));
+
+      expect(await scheduler.queueUserSync(user)).toBe("skipped");
+      expect(user.increment).not.toHaveBeenCalled();
+    });
+
+    test("reports users who need to re-authenticate", async () => {
+      const user = userRow();
+      syncQueue.enqueue.mockRejectedValue(codedError("REAUTH_REQUIRED"));
+
+      expect(await scheduler.queueUserSync(user)).toBe("reauthRequired");
+      expect(user.increment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getDaysToFetch", () => {
+    const now = new Date("2026-10-19T12:00:00Z");
+
+    test("uses the full window for a first sync", () => {
+      expect(scheduler.getDaysToFetch(userRow(), now)).toBe(
+        emailConfig.defaultDaysToFetch
+      );
+    });
+
+    test("looks back to the previous sync plus a day", () => {
+      const user = userRow({ last_sync: new Date(now - 2 * DAY_MS) });
+      expect(scheduler.getDaysToFetch(user, now)).toBe(3);
+    });
+
+    test("never looks back further than the window", () => {
+      const maxDays = emailConfig.defaultDaysToFetch;
+      const user = userRow({ last_sync: new Date(now - 2 * maxDays * DAY_MS) });
+      expect(scheduler.getDaysToFetch(user, now)).toBe(maxDays);
+    });
+  });
+
+  describe("tick", () => {
+    test("summarises outcomes across the due users", async () => {
+      User.findAll.mockResolvedValue([userRow(), userRow({ id: "user-2" })]);
+      syncQueue.enqueue
+        .mockResolvedValueOnce({ id: "sync-1" })
+        .mockRejectedValueOnce(codedError("REAUTH_REQUIRED"));
+
+      expect(await scheduler.tick()).toEqual({
+        due: 2,
+        queued: 1,
+        skipped: 0,
+        reauthRequired: 1,
+      });
+      expect(scheduler.ticking).toBe(false);
+    });
+  });
+});
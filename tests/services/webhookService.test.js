@@ -0,0 +1,209 @@
+// tests/services/webhookService.test.js - SIGNING, DELIVERY AND ADDRESS CHECKS
+
+jest.mock("../../src/models", () => ({
+  WebhookEndpoint: {},
+  WebhookDelivery: {},
+}));
+
+const crypto = require("crypto");
+const http = require("http");
+const {
+  WebhookService,
+  signPayload,
+} = require("../../src/services/webhookService");
+const { isPublicAddress } = require("../../src/utils/publicAddress");
+const { WEBHOOKS } = require("../../src/constants");
+
+const SECRET = "whsec_test";
+
+const delivery = (fields = {}) => ({
+  id: "delivery-1",
+  webhook_id: "webhook-1",
+  event: "order.created",
+  event_id: "event-1",
+  attempts: 0,
+  payload: { id: "event-1", event: "order.created", data: { order: {} } },
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+  }),
+  ...fields,
+});
+
+describe("signPayload", () => {
+  test("signs <timestamp>.<body> the way receivers verify it", () => {
+    const body = JSON.stringify({ id: "event-1" });
+    const signature = signPayload(SECRET, "1760000000", body);
+
+    // The check the README gives receivers
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update(`1760000000.${body}`)
+      .digest("hex");
+    expect(signature).toBe(expected);
+    expect(signPayload(SECRET, "1760000001", body)).not.toBe(signature);
+    expect(signPayload("other", "1760000000", body)).not.toBe(signature);
+  });
+});
+
+describe("isPublicAddress", () => {
+  test.each([
+    ["127.0.0.1", false],
+    ["10.0.0.5", false],
+    ["172.16.4.1", false],
+    ["192.168.1.1", false],
+    ["169.254.169.254", false],
+    ["100.64.0.1", false],
+    ["0.0.0.0", false],
+    ["::1", false],
+    ["::ffff:127.0.0.1", false],
+    ["fd12::1", false],
+    ["fe80::1", false],
+    ["93.184.216.34", true],
+    ["2606:4700:4700::1111", true],
+    ["not-an-ip", false],
+  ])("%s → %s", (address, expected) => {
+    expect(isPublicAddress(address)).toBe(expected);
+  });
+});
+
+describe("WebhookService delivery", () => {
+  let server;
+  let baseUrl;
+  let received;
+  let respond;
+  let service;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        respond(req, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    respond = (req, res) => res.writeHead(204).end();
+    service = new WebhookService();
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+  });
+
+  test("posts the payload with a verifiable signature", async () => {
+    const result = await service.post(
+      { url: `${baseUrl}/hook`, secret: SECRET },
+      delivery()
+    );
+
+    expect(result).toEqual({ status: 204 });
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual(delivery().payload);
+    expect(headers["x-webhook-id"]).toBe("event-1");
+    expect(headers["x-webhook-event"]).toBe("order.created");
+    expect(headers["x-webhook-signature"]).toBe(
+      `sha256=${signPayload(SECRET, headers["x-webhook-timestamp"], body)}`
+    );
+  });
+
+  test("refuses private addresses unless allowed", async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+    const results = await Promise.all(
+      [`${baseUrl}/hook`, "http://localhost/hook", "http://[::1]/hook"].map(
+        (url) => service.post({ url, secret: SECRET }, delivery())
+      )
+    );
+
+    for (const result of results) {
+      expect(result.error).toMatch(/private or reserved address/);
+    }
+    expect(received).toHaveLength(0);
+  });
+
+  test("does not follow redirects or keep the response body", async () => {
+    respond = (req, res) =>
+      req.url === "/hook"
+        ? res.writeHead(302, { Location: "/internal" }).end("moved")
+        : res.writeHead(200).end("secret internal data");
+
+    const result = await service.post(
+      { url: `${baseUrl}/hook`, secret: SECRET },
+      delivery()
+    );
+
+    expect(result).toEqual({ status: 302 });
+    expect(received.map(({ url }) => url)).toEqual(["/hook"]);
+  });
+
+  test("gives up on endpoints that do not answer in time", async () => {
+    const timeoutMs = WEBHOOKS.TIMEOUT_MS;
+    WEBHOOKS.TIMEOUT_MS = 50;
+    respond = () => {};
+
+    try {
+      const result = await service.post(
+        { url: `${baseUrl}/hook`, secret: SECRET },
+        delivery()
+      );
+      expect(result).toEqual({ error: "No response within 50ms" });
+    } finally {
+      WEBHOOKS.TIMEOUT_MS = timeoutMs;
+    }
+  });
+
+  test("records a success without the response body", async () => {
+    respond = (req, res) => res.writeHead(200).end("thanks");
+    const attempted = delivery();
+
+    await service.attempt(attempted, {
+      url: `${baseUrl}/hook`,
+      secret: SECRET,
+      enabled: true,
+    });
+
+    expect(attempted.update).toHaveBeenCalledWith({
+      attempts: 1,
+      last_attempt_at: expect.any(Date),
+      response_status: 200,
+      error: null,
+      status: "succeeded",
+      delivered_at: expect.any(Date),
+      next_attempt_at: null,
+    });
+  });
+
+  test("retries a failed attempt with exponential backoff", async () => {
+    respond = (req, res) => res.writeHead(500).end();
+    const attempted = delivery({ attempts: 2 });
+    const before = Date.now();
+
+    await service.attempt(attempted, {
+      url: `${baseUrl}/hook`,
+      secret: SECRET,
+      enabled: true,
+    });
+
+    const update = attempted.update.mock.calls[0][0];
+    expect(update).toMatchObject({
+      attempts: 3,
+      response_status: 500,
+      error: "Endpoint responded with 500",
+    });
+    expect(update.status).toBeUndefined();
+    expect(update.next_attempt_at.getTime()).toBeGreaterThanOrEqual(
+      before + 4 * WEBHOOKS.BACKOFF_BASE_MS
+    );
+  });
+});
@@ -0,0 +1,200 @@
+// tests/utils/tokenCrypto.test.js - TOKEN ENCRYPTION AND KEY ROTATION
+
+const crypto = require("crypto");
+
+const key = () => crypto.randomBytes(32).toString("base64");
+const K1 = `k1:${key()}`;
+const K2 = `k2:${key()}`;
+
+const originalEnv = { ...process.env };
+
+/**
+ * A fresh copy of the module, since the keyring is read once per process
+ */
+const loadTokenCrypto = (env) => {
+  process.env = { ...originalEnv, ...env };
+  let tokenCrypto;
+  jest.isolateModules(() => {
+    tokenCrypto = require("../../src/utils/tokenCrypto");
+  });
+  return tokenCrypto;
+};
+
+afterEach(() => {
+  process.env = { ...originalEnv };
+});
+
+describe("tokenCrypto", () => {
+  test("round-trips a token under the active key", () => {
+    const { encryptToken, decryptToken, isEncrypted } = loadTokenCrypto({
+      TOKEN_ENCRYPTION_KEYS: K1,
+    });
+
+    const encrypted = encryptToken("ya29.access-token");
+
+    expect(isEncrypted(encrypted)).toBe(true);
+    expect(encrypted.startsWith("enc:v1:k1:")).toBe(true);
+    expect(encrypted).not.toContain("ya29");
+    expect(decryptToken(encrypted)).toBe("ya29.access-token");
+    // Fresh data key and IV every time
+    expect(encryptToken("ya29.access-token")).not.toBe(encrypted);
+  });
+
+  test("passes through empty, plaintext and already encrypted values", () => {
+    const { encryptToken, decryptToken } = loadTokenCrypto({
+      TOKEN_ENCRYPTION_KEYS: K1,
+    });
+    const encrypted = encryptToken("secret");
+
+    expect(encryptToken(null)).toBeNull();
+    expect(encryptToken(encrypted)).toBe(encrypted);
+    expect(decryptToken("legacy-plaintext")).toBe("legacy-plaintext");
+    expect(decryptToken(undefined)).toBeUndefined();
+  });
+
+  test("rejects a tampered value", () => {
+    const { encryptToken, decryptToken } = loadTokenCrypto({
+      TOKEN_ENCRYPTION_KEYS: K1,
+    });
+    const [prefix, version, keyId, wrappedKey, payload] =
+      encryptToken("secret").split(":");
+    const bytes = Buffer.from(payload, "base64");
+    bytes[bytes.length - 1] ^= 1;
+
+    expect(() =>
+      decryptToken(
+        [prefix, version, keyId, wrappedKey, bytes.toString("base64")].join(":")
+      )
+    ).toThrow();
+  });
+
+  test("stores tokens unencrypted without keys only outside production", () => {
+    expect(
+      loadTokenCrypto({
+        TOKEN_ENCRYPTION_KEYS: "",
+        NODE_ENV: "development",
+      }).encryptToken("secret")
+    ).toBe("secret");
+    expect(() =>
+      loadTokenCrypto({
+        TOKEN_ENCRYPTION_KEYS: "",
+        NODE_ENV: "production",
+      }).encryptToken("secret")
+    ).toThrow("TOKEN_ENCRYPTION_KEYS must be set");
+  });
+
+  describe("loadKeyring", () => {
+    const { loadKeyring } = require("../../src/utils/tokenCrypto");
+
+    test("uses the first key unless TOKEN_ENCRYPTION_KEY_ID says otherwise", () => {
+      expect(
+        loadKeyring({ TOKEN_ENCRYPTION_KEYS: `${K1},${K2}` }).activeKeyId
+      ).toBe("k1");
+      expect(
+        loadKeyring({
+          TOKEN_ENCRYPTION_KEYS: `${K1},${K2}`,
+          TOKEN_ENCRYPTION_KEY_ID: "k2",
+        }).activeKeyId
+      ).toBe("k2");
+    });
+
+    test("rejects short keys and unknown active key ids", () => {
+      expect(() =>
+        loadKeyring({ TOKEN_ENCRYPTION_KEYS: "k1:c2hvcnQ=" })
+      ).toThrow('key "k1" must be 32 bytes');
+      expect(() =>
+        loadKeyring({
+          TOKEN_ENCRYPTION_KEYS: K1,
+          TOKEN_ENCRYPTION_KEY_ID: "k9",
+        })
+      ).toThrow('"k9" is not in TOKEN_ENCRYPTION_KEYS');
+    });
+  });
+
+  describe("key rotation", () => {
+    const storedUnderK1 = () =>
+      loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: K1 }).encryptToken("refresh");
+
+    test("re-wraps the data key under the new active key", () => {
+      const old = storedUnderK1();
+      const { reencryptToken, decryptToken } = loadTokenCrypto({
+        TOKEN_ENCRYPTION_KEYS: `${K2},${K1}`,
+      });
+
+      const rotated = reencryptToken(old);
+
+      expect(rotated.startsWith("enc:v1:k2:")).toBe(true);
+      // The value itself is not re-encrypted, only its data key
+      expect(rotated.split(":").pop()).toBe(old.split(":").pop());
+      expect(decryptToken(rotated)).toBe("refresh");
+      expect(decryptToken(old)).toBe("refresh");
+      expect(reencryptToken(rotated)).toBe(rotated);
+    });
+
+    test("encrypts values still stored in plaintext", () => {
+      const { reencryptToken, decryptToken } = loadTokenCrypto({
+        TOKEN_ENCRYPTION_KEYS: K2,
+      });
+
+      const encrypted = reencryptToken("plaintext-token");
+
+      expect(encrypted.startsWith("enc:v1:k2:")).toBe(true);
+      expect(decryptToken(encrypted)).toBe("plaintext-token");
+    });
+
+    test("names the retired key a value still needs", () => {
+      const old = storedUnderK1();
+      const { decryptToken } = loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: K2 });
+
+      expect(() => decryptToken(old)).toThrow(
+        'Token encrypted with key "k1", which is not in TOKEN_ENCRYPTION_KEYS'
+      );
+    });
+
+    test("rewrites stored secrets, including JSON fields, and counts changes", async () => {
+      const old = storedUnderK1();
+      const { rewriteStoredSecrets, reencryptToken, decryptToken } =
+        loadTokenCrypto({ TOKEN_ENCRYPTION_KEYS: `${K2},${K1}` });
+      const current = reencryptToken("already-rotated");
+      const rows = {
+        access_token: [{ id: "a1", value: old }],
+        refresh_token: [{ id: "a1", value: current }],
+        imap_settings: [
+          { id: "a2", value: { host: "imap.example", password: old } },
+          { id: "a3", value: { host: "imap.example" } },
+        ],
+      };
+      const sequelize = {
+        getQueryInterface: () => ({
+          showAllTables: async () => ["mail_accounts"],
+        }),
+        query: jest.fn(async (sql) => {
+          const column = sql.match(/^SELECT id, "(\w+)"/)?.[1];
+          return [column ? rows[column] : []];
+        }),
+      };
+
+      const changed = await rewriteStoredSecrets(sequelize, reencryptToken);
+
+      const updates = sequelize.query.mock.calls.filter(([sql]) =>
+        sql.startsWith("UPDATE")
+      );
+      expect(changed).toBe(2);
+      expect(updates).toHaveLength(2);
+      expect(updates[0][0]).toBe(
+        'UPDATE "mail_accounts" SET "access_token" = :value WHERE id = :id'
+      );
+      expect(decryptToken(updates[0][1].replacements.value)).toBe("refresh");
+      expect(updates[1][0]).toContain("CAST(:value AS JSONB)");
+      const settings = JSON.parse(updates[1][1].replacements.value);
+      expect(settings.host).toBe("imap.example");
+      expect(settings.password.startsWith("enc:v1:k2:")).toBe(true);
+      // webhook_endpoints does not exist yet and is skipped
+      expect(
+        sequelize.query.mock.calls.some(([sql]) =>
+          sql.includes("webhook_endpoints")
+        )
+      ).toBe(false);
+    });
+  });
+});